@@ -0,0 +1,123 @@
+// scripts/manage-users.js - Local user accounts from the command line
+//
+// For the first admin of "local" auth mode, and for recovery when nobody
+// can sign in; once someone can, /api/users does the same.
+//
+//   npm run users -- list
+//   npm run users -- add <username> [--roles admin,analyst] [--name "Display Name"] [--attributes region=EMEA]
+//   npm run users -- passwd <username>
+//   npm run users -- roles <username> <role,role>
+//   npm run users -- attributes <username> <name=value,name=value>
+//   npm run users -- disable <username> | enable <username> | remove <username>
+//
+// Passwords are prompted for, or taken from USER_PASSWORD. The server reads
+// the users collection when it starts, so restart it after changes made
+// here.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { storageDirectory } = require('../server/store');
+const { UserStore } = require('../server/auth/users');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'config', 'database-metadata.json');
+
+const usage = () => {
+  console.error('Usage: npm run users -- list | add <username> [--roles a,b] [--name "Name"] | passwd <username> | roles <username> <a,b> | attributes <username> <name=value,...> | disable <username> | enable <username> | remove <username>');
+  process.exit(1);
+};
+
+// The storage directory and role names; both are plain values in the
+// config, so no placeholders need expanding
+const readConfig = () => {
+  const { metadata = {} } = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+  return { directory: storageDirectory(metadata.storage), roleNames: Object.keys(metadata.auth?.roles || {}) };
+};
+
+const option = (args, name) => {
+  const idx = args.indexOf(name);
+  return idx === -1 ? undefined : args[idx + 1];
+};
+
+const listOf = (value) => (value ? value.split(',').map(role => role.trim()).filter(Boolean) : []);
+
+// "region=EMEA,team=north" as { region: 'EMEA', team: 'north' }
+const attributesOf = (value) => Object.fromEntries(listOf(value).map((entry) => {
+  const idx = entry.indexOf('=');
+  return idx === -1 ? [entry, ''] : [entry.slice(0, idx).trim(), entry.slice(idx + 1).trim()];
+}));
+
+// Read a password without echoing it
+const askPassword = (prompt) => {
+  if (process.env.USER_PASSWORD) return Promise.resolve(process.env.USER_PASSWORD);
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl.stdoutMuted = false;
+    rl._writeToOutput = (text) => {
+      if (!rl.stdoutMuted) process.stdout.write(text);
+    };
+    rl.question(prompt, (answer) => {
+      process.stdout.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+    rl.stdoutMuted = true;
+  });
+};
+
+const newPassword = async () => {
+  const password = await askPassword('Password: ');
+  if (!process.env.USER_PASSWORD && password !== await askPassword('Repeat password: ')) {
+    throw new Error('The passwords do not match');
+  }
+  return password;
+};
+
+const main = async () => {
+  const [command, username, ...rest] = process.argv.slice(2);
+  const { directory, roleNames } = readConfig();
+  const users = new UserStore(directory);
+
+  if (command === 'list') {
+    for (const user of await users.list()) {
+      const attributes = Object.entries(user.attributes).map(([name, value]) => `${name}=${value}`).join(',');
+      console.log(`${user.username}\t${user.roles.join(',') || '-'}\t${attributes || '-'}\t${user.disabled ? 'disabled' : 'active'}\t${user.displayName || ''}`);
+    }
+    return;
+  }
+  if (!command || !username) usage();
+
+  if (command === 'add') {
+    const user = await users.create({
+      username,
+      password: await newPassword(),
+      displayName: option(rest, '--name'),
+      roles: listOf(option(rest, '--roles')),
+      attributes: attributesOf(option(rest, '--attributes'))
+    }, roleNames);
+    console.log(`✓ Added ${user.username} (${user.roles.join(', ') || 'no roles'})`);
+  } else {
+    const user = await users.findByUsername(username);
+    if (!user) throw new Error(`No user named ${username}`);
+
+    if (command === 'passwd') {
+      await users.update(user.id, { password: await newPassword() }, roleNames);
+    } else if (command === 'roles') {
+      await users.update(user.id, { roles: listOf(rest[0]) }, roleNames);
+    } else if (command === 'attributes') {
+      await users.update(user.id, { attributes: attributesOf(rest[0]) }, roleNames);
+    } else if (command === 'disable' || command === 'enable') {
+      await users.update(user.id, { disabled: command === 'disable' }, roleNames);
+    } else if (command === 'remove') {
+      await users.delete(user.id);
+    } else {
+      usage();
+    }
+    console.log(`✓ ${command} ${user.username}`);
+  }
+  await users.flush();
+};
+
+main().catch((error) => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
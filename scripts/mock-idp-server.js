@@ -0,0 +1,196 @@
+// scripts/mock-idp-server.js - Local OpenID Connect provider for oidc auth
+//
+// Signs users in with a plain HTML form and issues RS256 ID and access
+// tokens carrying "roles" and "segment" claims, so the server's oidc mode,
+// row filters and the login screen's single sign-on can be exercised
+// without a real provider:
+//
+//   npm run mock:idp
+//   AUTH_MODE=oidc OIDC_ISSUER=http://localhost:4020 npm run server
+//
+// Serves discovery (/.well-known/openid-configuration), the key set
+// (/jwks), /authorize (authorization code with PKCE) and /token, which also
+// takes grant_type=password for scripts and curl:
+//
+//   curl -d grant_type=password -d username=alice -d password=alice-password \
+//     -d client_id=conversational-analytics http://localhost:4020/token
+//
+// Users come from MOCK_IDP_USERS (a JSON array of { username, password,
+// roles, name, email, segment }) or the built-in admin, alice, bob and
+// carol. Any client ID and redirect URI are accepted. Keys are made at
+// startup, so tokens do not survive a restart.
+const http = require('http');
+const { createHash, generateKeyPairSync, randomBytes, randomUUID, sign } = require('crypto');
+
+const PORT = process.env.MOCK_IDP_PORT || 4020;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const TOKEN_TTL = Number(process.env.MOCK_IDP_TOKEN_TTL || 3600);
+const CODE_TTL_MS = 60 * 1000;
+
+const USERS = process.env.MOCK_IDP_USERS ? JSON.parse(process.env.MOCK_IDP_USERS) : [
+  { username: 'admin', password: 'admin-password', roles: ['admin'], name: 'Ada Admin', email: 'admin@example.com' },
+  { username: 'alice', password: 'alice-password', roles: ['analyst'], name: 'Alice Analyst', email: 'alice@example.com' },
+  { username: 'bob', password: 'bob-password', roles: ['sales'], name: 'Bob Sales', email: 'bob@example.com' },
+  { username: 'carol', password: 'carol-password', roles: ['account-manager'], name: 'Carol Accounts', email: 'carol@example.com', segment: 'Enterprise' }
+];
+
+const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = randomBytes(8).toString('hex');
+const JWK = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+// Authorization code -> { user, clientId, redirectUri, codeChallenge, nonce, expiresAt }
+const codes = new Map();
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const issueToken = (claims) => {
+  const now = Math.floor(Date.now() / 1000);
+  const signed = `${encode({ alg: 'RS256', typ: 'JWT', kid: KEY_ID })}.${encode({ iss: ISSUER, iat: now, exp: now + TOKEN_TTL, ...claims })}`;
+  return `${signed}.${sign('sha256', Buffer.from(signed), privateKey).toString('base64url')}`;
+};
+
+const tokensFor = (user, clientId, nonce) => {
+  const claims = {
+    sub: user.username,
+    aud: clientId,
+    preferred_username: user.username,
+    name: user.name,
+    email: user.email,
+    roles: user.roles || [],
+    ...(user.segment ? { segment: user.segment } : {})
+  };
+  return {
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL,
+    access_token: issueToken({ ...claims, jti: randomUUID() }),
+    id_token: issueToken({ ...claims, ...(nonce && { nonce }) })
+  };
+};
+
+const findUser = (username, password) => USERS.find(user => user.username === username && user.password === password);
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+
+const send = (res, status, body, type = 'application/json') => {
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(type === 'application/json' ? JSON.stringify(body) : body);
+};
+
+const readForm = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+  req.on('error', reject);
+});
+
+const loginPage = (params, error) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Mock identity provider</title>
+<style>body{font-family:sans-serif;background:#f3f4f6;display:flex;justify-content:center;padding-top:80px}form{background:#fff;padding:24px;border-radius:8px;width:280px;box-shadow:0 1px 3px #0002}input{display:block;width:100%;margin:4px 0 12px;padding:6px;box-sizing:border-box}.error{color:#b91c1c}</style>
+</head>
+<body>
+<form method="post" action="/authorize">
+<h3>Mock identity provider</h3>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+${Object.entries(params).map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('\n')}
+<label>Username<input name="username" autofocus></label>
+<label>Password<input name="password" type="password"></label>
+<button type="submit">Sign in</button>
+<p><small>${USERS.map(user => escapeHtml(user.username)).join(', ')}</small></p>
+</form>
+</body>
+</html>`;
+
+const AUTHORIZE_PARAMS = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method', 'scope', 'response_type'];
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return send(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code', 'password'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return send(res, 200, { keys: [JWK] });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = req.method === 'POST' ? await readForm(req) : Object.fromEntries(url.searchParams);
+      const request = Object.fromEntries(AUTHORIZE_PARAMS.filter(name => params[name]).map(name => [name, params[name]]));
+      if (!request.client_id || !request.redirect_uri || request.response_type !== 'code') {
+        return send(res, 400, { error: 'invalid_request', error_description: 'client_id, redirect_uri and response_type=code are required' });
+      }
+      if (req.method === 'GET') {
+        return send(res, 200, loginPage(request), 'text/html; charset=utf-8');
+      }
+
+      const user = findUser(params.username, params.password);
+      if (!user) {
+        return send(res, 200, loginPage(request, 'Wrong username or password'), 'text/html; charset=utf-8');
+      }
+      const code = randomBytes(16).toString('hex');
+      codes.set(code, {
+        user,
+        clientId: request.client_id,
+        redirectUri: request.redirect_uri,
+        codeChallenge: request.code_challenge,
+        nonce: request.nonce,
+        expiresAt: Date.now() + CODE_TTL_MS
+      });
+      const redirect = new URL(request.redirect_uri);
+      redirect.searchParams.set('code', code);
+      if (request.state) redirect.searchParams.set('state', request.state);
+      console.log(`GET /authorize -> ${user.username}`);
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      const form = await readForm(req);
+
+      if (form.grant_type === 'password') {
+        const user = findUser(form.username, form.password);
+        if (!user) return send(res, 400, { error: 'invalid_grant', error_description: 'Wrong username or password' });
+        console.log(`POST /token (password) -> ${user.username}`);
+        return send(res, 200, tokensFor(user, form.client_id || 'conversational-analytics'));
+      }
+
+      if (form.grant_type === 'authorization_code') {
+        const grant = codes.get(form.code);
+        codes.delete(form.code);
+        if (!grant || grant.expiresAt < Date.now() || grant.clientId !== form.client_id || grant.redirectUri !== form.redirect_uri) {
+          return send(res, 400, { error: 'invalid_grant', error_description: 'Unknown, expired or mismatched code' });
+        }
+        const challenge = createHash('sha256').update(form.code_verifier || '').digest('base64url');
+        if (grant.codeChallenge && challenge !== grant.codeChallenge) {
+          return send(res, 400, { error: 'invalid_grant', error_description: 'code_verifier does not match' });
+        }
+        console.log(`POST /token (authorization_code) -> ${grant.user.username}`);
+        return send(res, 200, tokensFor(grant.user, grant.clientId, grant.nonce));
+      }
+
+      return send(res, 400, { error: 'unsupported_grant_type' });
+    }
+
+    send(res, 404, { error: 'not_found' });
+  } catch (error) {
+    send(res, 500, { error: 'server_error', error_description: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock identity provider at ${ISSUER} (users: ${USERS.map(user => user.username).join(', ')})`);
+});
@@ -0,0 +1,121 @@
+// scripts/mock-llm-server.js - Local stand-in for the chat completion APIs
+//
+// Answers chat completions with canned analytics responses so the chat flow
+// (including SSE streaming) can be exercised without network access:
+//
+//   npm run mock:llm
+//   ELEVANCE_API_BASE=http://localhost:4010/v2 ELEVANCE_API_KEY=test npm run server
+//   LLM_PROVIDER=openai OPENAI_BASE_URL=http://localhost:4010/v1 npm run server
+//
+// POST /oauth/token issues client-credentials tokens for ELEVANCE_TOKEN_URL.
+// Set MOCK_TOKEN_TTL below MOCK_TOKEN_EXPIRES_IN to have tokens rejected with
+// 401 before the client expects, which exercises the refresh-and-retry path.
+// Bearer values that were not issued here (static API keys) are accepted.
+//
+// Answers come from the fixture provider's built-in responses, so the mock
+// behaves like LLM_PROVIDER=fixture but over real HTTP and SSE.
+const http = require('http');
+const { cannedResponse } = require('../server/llm/fixture');
+
+const PORT = process.env.MOCK_LLM_PORT || 4010;
+const CHUNK_SIZE = 8;
+const CHUNK_DELAY_MS = Number(process.env.MOCK_LLM_DELAY_MS || 30);
+
+const TOKEN_TTL = Number(process.env.MOCK_TOKEN_TTL || 300);
+const TOKEN_EXPIRES_IN = Number(process.env.MOCK_TOKEN_EXPIRES_IN || TOKEN_TTL);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Issued token -> expiry time
+const issuedTokens = new Map();
+let tokenCounter = 0;
+
+const issueToken = (res) => {
+  tokenCounter += 1;
+  const token = `mock-token-${tokenCounter}`;
+  issuedTokens.set(token, Date.now() + TOKEN_TTL * 1000);
+  console.log(`POST /oauth/token -> token #${tokenCounter} issued, expires in ${TOKEN_EXPIRES_IN}s`);
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ access_token: token, token_type: 'Bearer', expires_in: TOKEN_EXPIRES_IN }));
+};
+
+const isAuthorized = (req) => {
+  const token = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1];
+  if (!token) return false;
+  if (!issuedTokens.has(token)) return !token.startsWith('mock-token-');
+  return Date.now() < issuedTokens.get(token);
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const completion = (content) => ({
+  id: `mock-${Date.now()}`,
+  object: 'chat.completion',
+  choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+  usage: { prompt_tokens: 0, completion_tokens: content.length, total_tokens: content.length }
+});
+
+const streamCompletion = async (req, res, content) => {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  for (let i = 0; i < content.length && !closed; i += CHUNK_SIZE) {
+    const chunk = { choices: [{ index: 0, delta: { content: content.slice(i, i + CHUNK_SIZE) } }] };
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    await sleep(CHUNK_DELAY_MS);
+  }
+
+  if (!closed) {
+    res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+    res.end('data: [DONE]\n\n');
+  } else {
+    console.log('  ↳ client disconnected, stream aborted');
+  }
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'POST' && req.url === '/oauth/token') {
+    await readBody(req);
+    return issueToken(res);
+  }
+
+  if (req.method !== 'POST' || !/\/(text\/chats|chat\/completions)$/.test(req.url)) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ message: `No mock for ${req.method} ${req.url}` }));
+  }
+
+  if (!isAuthorized(req)) {
+    await readBody(req);
+    console.log(`${req.method} ${req.url} -> 401`);
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ message: 'Invalid or expired token' }));
+  }
+
+  try {
+    const request = JSON.parse(await readBody(req));
+    const content = cannedResponse(request.messages || []);
+    console.log(`${req.method} ${req.url}${request.stream ? ' (stream)' : ''}`);
+
+    if (request.stream) {
+      await streamCompletion(req, res, content);
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(completion(content)));
+    }
+  } catch (error) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: error.message }));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock LLM server listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,110 @@
+// scripts/mock-smtp-server.js - Local SMTP server for scheduled reports
+//
+// Accepts every message and prints its envelope and subject, so the
+// scheduler's smtp transport can be exercised without a mail server:
+//
+//   npm run mock:smtp
+//   SMTP_HOST=localhost SMTP_PORT=2525 npm run server
+//
+// With MOCK_SMTP_DIR set, each message is also written there as a .eml
+// file to open in a mail client. No TLS and no authentication: any
+// credentials are accepted.
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.MOCK_SMTP_PORT || 2525;
+const OUTPUT_DIR = process.env.MOCK_SMTP_DIR;
+
+let messageCounter = 0;
+
+const saveMessage = (envelope, data) => {
+  messageCounter += 1;
+  const subject = /^Subject: (.*)$/mi.exec(data)?.[1] || '(no subject)';
+  console.log(`MAIL #${messageCounter} from ${envelope.from} to ${envelope.to.join(', ')}: ${subject} (${data.length} bytes)`);
+  if (OUTPUT_DIR) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    fs.writeFileSync(path.join(OUTPUT_DIR, `message-${Date.now()}-${messageCounter}.eml`), data);
+  }
+};
+
+const server = net.createServer((socket) => {
+  let envelope = { from: null, to: [] };
+  let buffer = '';
+  let data = null;
+  // Credential lines still expected after AUTH
+  let authLines = 0;
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+  reply('220 mock-smtp ready');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf-8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      // Message body until a line with a single dot
+      if (data !== null) {
+        if (line === '.') {
+          saveMessage(envelope, data.join('\r\n'));
+          envelope = { from: null, to: [] };
+          data = null;
+          reply('250 OK: queued');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      if (authLines > 0) {
+        authLines -= 1;
+        reply(authLines > 0 ? '334 UGFzc3dvcmQ6' : '235 Authentication successful');
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO') {
+        reply('250-mock-smtp');
+        reply('250-AUTH PLAIN LOGIN');
+        reply('250 8BITMIME');
+      } else if (command === 'HELO') {
+        reply('250 mock-smtp');
+      } else if (command === 'AUTH') {
+        // LOGIN asks for the user name, then the password; PLAIN takes
+        // both at once, on the AUTH line or the next
+        const [, mechanism = '', initial] = line.split(' ');
+        const login = mechanism.toUpperCase() === 'LOGIN';
+        authLines = (login ? 2 : 1) - (initial ? 1 : 0);
+        if (authLines === 0) reply('235 Authentication successful');
+        else if (login) reply(initial ? '334 UGFzc3dvcmQ6' : '334 VXNlcm5hbWU6');
+        else reply('334 ');
+      } else if (command === 'MAIL') {
+        envelope.from = /<([^>]*)>/.exec(line)?.[1] || '';
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push(/<([^>]*)>/.exec(line)?.[1] || '');
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        data = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (command === 'NOOP') {
+        reply('250 OK');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('502 Command not implemented');
+      }
+    }
+  });
+  socket.on('error', () => socket.destroy());
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock SMTP server listening on localhost:${PORT}`);
+});
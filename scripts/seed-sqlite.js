@@ -0,0 +1,156 @@
+// scripts/seed-sqlite.js - Build the local SQLite sample database
+//
+// Creates data/sample.db with the same tables as the Oracle primary database
+// and a few months of generated sales, so the app can be exercised without a
+// live database server. Run with: npm run seed:sqlite
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DB_PATH = path.join(__dirname, '..', 'data', 'sample.db');
+const DAYS = 90;
+
+// Deterministic pseudo-random numbers so every seed produces the same data
+let seed = 42;
+const random = () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+const pick = (items) => items[Math.floor(random() * items.length)];
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+if (fs.existsSync(DB_PATH)) {
+  fs.unlinkSync(DB_PATH);
+}
+
+const db = new Database(DB_PATH);
+
+db.exec(`
+  CREATE TABLE CUSTOMERS (
+    ID INTEGER PRIMARY KEY,
+    NAME TEXT NOT NULL,
+    EMAIL TEXT,
+    AGE INTEGER,
+    SEGMENT TEXT,
+    REGISTRATION_DATE TEXT
+  );
+
+  CREATE TABLE PRODUCTS (
+    ID INTEGER PRIMARY KEY,
+    NAME TEXT NOT NULL,
+    CATEGORY TEXT,
+    PRICE REAL,
+    STOCK_QUANTITY INTEGER
+  );
+
+  CREATE TABLE SALES_TRANSACTIONS (
+    ID INTEGER PRIMARY KEY,
+    TRANSACTION_DATE TEXT NOT NULL,
+    AMOUNT REAL NOT NULL,
+    CUSTOMER_ID INTEGER REFERENCES CUSTOMERS(ID),
+    PRODUCT_ID INTEGER REFERENCES PRODUCTS(ID),
+    QUANTITY INTEGER,
+    CREATED_AT TEXT
+  );
+
+  CREATE TABLE WAREHOUSES (
+    WAREHOUSE_ID INTEGER PRIMARY KEY,
+    NAME TEXT NOT NULL,
+    LOCATION TEXT,
+    CAPACITY INTEGER
+  );
+
+  CREATE TABLE WAREHOUSE_STOCK (
+    STOCK_ID INTEGER PRIMARY KEY,
+    WAREHOUSE_ID INTEGER REFERENCES WAREHOUSES(WAREHOUSE_ID),
+    PRODUCT_ID INTEGER REFERENCES PRODUCTS(ID),
+    QUANTITY INTEGER,
+    LAST_UPDATED TEXT
+  );
+`);
+
+const segments = ['Consumer', 'Small Business', 'Enterprise', 'Government'];
+const firstNames = ['Avery', 'Jordan', 'Riley', 'Morgan', 'Casey', 'Taylor', 'Quinn', 'Skyler', 'Reese', 'Rowan'];
+const lastNames = ['Nguyen', 'Patel', 'Garcia', 'Smith', 'Okafor', 'Kim', 'Rossi', 'Cohen', 'Silva', 'Moreau'];
+const products = [
+  ['Laptop Pro 14', 'Electronics', 1499.0],
+  ['Wireless Mouse', 'Electronics', 29.99],
+  ['Standing Desk', 'Furniture', 549.0],
+  ['Office Chair', 'Furniture', 289.5],
+  ['Noise-Cancelling Headphones', 'Electronics', 249.0],
+  ['Notebook Pack', 'Stationery', 12.75],
+  ['Monitor 27"', 'Electronics', 329.0],
+  ['Desk Lamp', 'Furniture', 45.0],
+  ['Gel Pens (12)', 'Stationery', 8.5],
+  ['Webcam HD', 'Electronics', 79.0]
+];
+const warehouses = [
+  ['Central DC', 'Indianapolis, IN', 50000],
+  ['East DC', 'Richmond, VA', 35000],
+  ['West DC', 'Reno, NV', 42000]
+];
+
+const today = new Date();
+const daysAgo = (days) => new Date(today.getTime() - days * 24 * 60 * 60 * 1000);
+
+const seedAll = db.transaction(() => {
+  const insertCustomer = db.prepare('INSERT INTO CUSTOMERS VALUES (?, ?, ?, ?, ?, ?)');
+  for (let id = 1; id <= 50; id++) {
+    const first = pick(firstNames);
+    const last = pick(lastNames);
+    insertCustomer.run(
+      id,
+      `${first} ${last}`,
+      `${first}.${last}${id}@example.com`.toLowerCase(),
+      20 + Math.floor(random() * 50),
+      pick(segments),
+      isoDate(daysAgo(100 + Math.floor(random() * 900)))
+    );
+  }
+
+  const insertProduct = db.prepare('INSERT INTO PRODUCTS VALUES (?, ?, ?, ?, ?)');
+  products.forEach(([name, category, price], idx) => {
+    insertProduct.run(idx + 1, name, category, price, Math.floor(random() * 500));
+  });
+
+  const insertWarehouse = db.prepare('INSERT INTO WAREHOUSES VALUES (?, ?, ?, ?)');
+  warehouses.forEach(([name, location, capacity], idx) => {
+    insertWarehouse.run(idx + 1, name, location, capacity);
+  });
+
+  const insertStock = db.prepare('INSERT INTO WAREHOUSE_STOCK VALUES (?, ?, ?, ?, ?)');
+  let stockId = 1;
+  warehouses.forEach((_, warehouseIdx) => {
+    products.forEach((_, productIdx) => {
+      insertStock.run(stockId++, warehouseIdx + 1, productIdx + 1, Math.floor(random() * 1000), isoDate(daysAgo(Math.floor(random() * 7))));
+    });
+  });
+
+  const insertSale = db.prepare('INSERT INTO SALES_TRANSACTIONS VALUES (?, ?, ?, ?, ?, ?, ?)');
+  let saleId = 1;
+  for (let day = DAYS; day >= 0; day--) {
+    const date = daysAgo(day);
+    const salesToday = 5 + Math.floor(random() * 20);
+    for (let n = 0; n < salesToday; n++) {
+      const productIdx = Math.floor(random() * products.length);
+      const quantity = 1 + Math.floor(random() * 4);
+      insertSale.run(
+        saleId++,
+        isoDate(date),
+        Math.round(products[productIdx][2] * quantity * 100) / 100,
+        1 + Math.floor(random() * 50),
+        productIdx + 1,
+        quantity,
+        date.toISOString()
+      );
+    }
+  }
+
+  return saleId - 1;
+});
+
+const salesCount = seedAll();
+db.close();
+
+console.log(`✓ Seeded ${DB_PATH} with ${salesCount} sales transactions`);
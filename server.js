@@ -1,112 +1,110 @@
 // server.js - Backend API Server
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-// const { Client: PgClient } = require('pg');
-// const mysql = require('mysql2/promise');
-const oracledb = require('oracledb');
-// const { Snowflake } = require('snowflake-sdk');
-// const OpenAI = require('openai');
-const fs = require('fs').promises;
 const path = require('path');
+const { randomUUID } = require('crypto');
+const { SqlGuardError, validateReadOnlyQuery } = require('./server/sql/guard');
+const { QueryCancelledError, resolveQueryLimits, countQuery } = require('./server/query-limits');
+const { ResultCache, ResultCacheError } = require('./server/result-cache');
+const { EXPORT_FORMATS, writeExport } = require('./server/export');
+const { storageDirectory } = require('./server/store');
+const { ConversationStore, ConversationError } = require('./server/conversations');
+const { SavedQueryStore, SavedQueryError } = require('./server/saved-queries');
+const { DashboardStore, DashboardError } = require('./server/dashboards');
+const { Scheduler, ScheduleError } = require('./server/scheduler');
+const { Authenticator, AuthError, AccessError, UserError } = require('./server/auth');
+const { getConnector, listConnectorTypes } = require('./server/connectors');
+const { serializeRows } = require('./server/connectors/columns');
+const { SchemaIntrospector } = require('./server/schema-introspector');
+const { QueryAgent } = require('./server/query-agent');
+const { retrieveSchema } = require('./server/schema-retrieval');
+const { dialectName, dialectGuidance } = require('./server/sql/dialects');
+const { ParameterError, bindParameters, resolveParameters } = require('./server/sql/parameters');
+const { applyRowFilters } = require('./server/sql/row-filters');
+const { configurePrivacy, maskResult, scrubForPrompt } = require('./server/privacy');
+const { redactResponses } = require('./server/config-loader');
+const { MetadataFile } = require('./server/metadata-file');
+const { openEventStream } = require('./server/sse');
+const { createLLMClient } = require('./server/llm');
+const { chatMessagesProblem, plainChatResponse, createMessageExtractor } = require('./server/chat-response');
+const { StructuredOutputError, resolveStructured, completeStructured, getOutputStats } = require('./server/llm/structured-output');
+const { checkChartColumns } = require('./server/llm/output-schemas');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Initialize Oracle thick client
-try {
-  oracledb.initOracleClient({
-    libDir: process.env.ORACLE_CLIENT_LIB_DIR || '/opt/oracle/instantclient_21_1'
-  });
-  console.log('✓ Oracle thick client initialized');
-} catch (err) {
-  console.error('Oracle thick client initialization error:', err);
-  console.log('⚠ Running with thin client mode');
-}
-
-// Middleware
-app.use(cors());
+// Middleware. Browsers on other origins may only call the API from
+// metadata.auth.allowedOrigins (see server/auth).
+app.use(cors({ origin: (origin, callback) => callback(null, authenticator.allowsOrigin(origin)) }));
 app.use(express.json());
+app.use(redactResponses);
 
-// Elevance Health API Configuration (replaces OpenAI)
-let elevanceApiKey = process.env.ELEVANCE_API_KEY;
-let tokenRefreshInterval = null;
-
-const ELEVANCE_API_BASE = 'https://api.horizon.elevancehealth.com/v2';
-
-const callElevanceAPI = async (messages, options = {}) => {
-  try {
-    const response = await fetch(`${ELEVANCE_API_BASE}/text/chats`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${elevanceApiKey}`,
-        ...options.headers
-      },
-      body: JSON.stringify({
-        messages: messages,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.max_tokens || 2000,
-        model: options.model || 'gpt-4-turbo-preview'
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Elevance API request failed');
-    }
+// LLM client for the configured provider (see server/llm). Rebuilt when
+// database-metadata.json reloads, since its metadata.llm block can change.
+let llm = null;
 
-    return await response.json();
-  } catch (error) {
-    console.error('Elevance API Error:', error);
-    throw error;
-  }
+const initializeLLM = (metadata) => {
+  llm = createLLMClient(metadata?.metadata?.llm);
+  console.log(`✓ LLM provider: ${llm.provider} (${llm.model})${llm.configured ? '' : ' - not configured'}`);
 };
 
-const initializeElevanceAPI = () => {
-  elevanceApiKey = process.env.ELEVANCE_API_KEY;
-  console.log('✓ Elevance Health API client initialized');
+// Connection pool defaults; override globally in the "connectionPool" block of
+// database-metadata.json's "metadata" section or per database with "pool".
+// Times are in seconds.
+const DEFAULT_POOL_OPTIONS = {
+  min: 0,
+  max: 4,
+  idleTimeout: 60,
+  acquireTimeout: 30,
+  healthCheckInterval: 60,
+  drainTimeout: 10
 };
 
-// Token refresh job - runs every 14 minutes
-const startTokenRefreshJob = () => {
-  if (tokenRefreshInterval) {
-    clearInterval(tokenRefreshInterval);
-  }
-  
-  tokenRefreshInterval = setInterval(() => {
-    console.log('🔄 Refreshing Elevance API token...');
-    initializeElevanceAPI();
-    console.log('✓ Elevance API token refreshed at', new Date().toISOString());
-  }, 14 * 60 * 1000); // 14 minutes
-  
-  console.log('✓ Token refresh job started (every 14 minutes)');
-};
+// Settings that require a new pool when they change on reload
+const CONNECTION_FIELDS = [
+  'type', 'host', 'port', 'database', 'username', 'password', 'schema', 'ssl',
+  'account', 'warehouse', 'role', 'filename', 'readonly', 'pool'
+];
+
+const connectionFingerprint = (dbConfig) =>
+  JSON.stringify(CONNECTION_FIELDS.map(field => dbConfig?.[field]));
 
 // Database Metadata Manager
-class DatabaseMetadata {
+//
+// The config file (see server/metadata-file) plus the connection pools and
+// running queries of the databases it declares.
+class DatabaseMetadata extends MetadataFile {
   constructor(metadataPath) {
-    this.metadataPath = metadataPath;
+    super(metadataPath);
     this.connections = new Map();
+    this.connectionStatus = new Map();
+    this.healthCheckInterval = null;
+    this.runningQueries = new Map();
   }
 
-  async loadMetadata() {
-    try {
-      const data = await fs.readFile(this.metadataPath, 'utf-8');
-      const metadata = JSON.parse(data);
-      console.log(`✓ Loaded metadata for ${metadata.databases.length} databases`);
-      return metadata;
-    } catch (error) {
-      console.error('Error loading metadata:', error);
-      throw error;
+  applyMetadata(metadata) {
+    const previous = this.metadata;
+
+    // Pools keep the credentials they were created with; recycle the ones
+    // whose connection settings changed or whose database was removed
+    for (const dbId of previous ? [...this.connections.keys()] : []) {
+      const before = previous.databases.find(db => db.id === dbId);
+      const after = metadata.databases.find(db => db.id === dbId);
+      if (!after || connectionFingerprint(before) !== connectionFingerprint(after)) {
+        this.closePool(dbId);
+      }
     }
+
+    super.applyMetadata(metadata);
   }
 
   async refreshMetadata() {
-    const metadata = await this.loadMetadata();
+    const metadata = await this.loadMetadata({ force: true });
     
     for (const db of metadata.databases) {
       try {
-        await this.testConnection(db);
+        await this.testConnection(db, metadata);
         console.log(`✓ Connection validated: ${db.name}`);
       } catch (error) {
         console.error(`✗ Connection failed: ${db.name}`, error.message);
@@ -116,198 +114,459 @@ class DatabaseMetadata {
     return metadata;
   }
 
-  async testConnection(dbConfig) {
-    switch (dbConfig.type) {
-      // case 'postgres':
-      //   return this.testPostgres(dbConfig);
-      // case 'mysql':
-      //   return this.testMySQL(dbConfig);
-      case 'oracle':
-        return this.testOracle(dbConfig);
-      // case 'snowflake':
-      //   return this.testSnowflake(dbConfig);
-      default:
-        throw new Error(`Unsupported database type: ${dbConfig.type}`);
-    }
-  }
-
-  // async testPostgres(config) {
-  //   const client = new PgClient({
-  //     host: config.host,
-  //     port: config.port,
-  //     database: config.database,
-  //     user: config.username,
-  //     password: config.password,
-  //     ssl: config.ssl ? { rejectUnauthorized: false } : false
-  //   });
-  //   
-  //   await client.connect();
-  //   await client.query('SELECT 1');
-  //   await client.end();
-  //   return true;
-  // }
-
-  // async testMySQL(config) {
-  //   const connection = await mysql.createConnection({
-  //     host: config.host,
-  //     port: config.port,
-  //     database: config.database,
-  //     user: config.username,
-  //     password: config.password
-  //   });
-  //   
-  //   await connection.query('SELECT 1');
-  //   await connection.end();
-  //   return true;
-  // }
-
-  async testOracle(config) {
-    const connection = await oracledb.getConnection({
-      user: config.username,
-      password: config.password,
-      connectString: `${config.host}:${config.port}/${config.database}`
-    });
-    
-    await connection.execute('SELECT 1 FROM DUAL');
-    await connection.close();
-    return true;
+  getStatus(dbId) {
+    return this.connectionStatus.get(dbId) || 'unknown';
+  }
+
+  getPoolOptions(dbConfig, metadata) {
+    return {
+      ...DEFAULT_POOL_OPTIONS,
+      ...(metadata?.metadata?.connectionPool || {}),
+      ...(dbConfig.pool || {})
+    };
+  }
+
+  // Pools are created on first use and shared by every request for that
+  // database. The map holds the creation promise so concurrent first
+  // requests don't open two pools.
+  getPool(dbConfig, metadata) {
+    const entry = this.connections.get(dbConfig.id);
+    if (entry) {
+      return entry.pool;
+    }
+
+    const options = this.getPoolOptions(dbConfig, metadata);
+    const pool = getConnector(dbConfig.type).createPool(dbConfig, options);
+    this.connections.set(dbConfig.id, { pool, options, name: dbConfig.name, lastHealthCheck: null });
+
+    pool.then(
+      () => console.log(`✓ Connection pool created: ${dbConfig.name} (max ${options.max})`),
+      () => this.connections.delete(dbConfig.id)
+    );
+
+    return pool;
+  }
+
+  async closePool(dbId) {
+    const entry = this.connections.get(dbId);
+    if (!entry) return;
+
+    this.connections.delete(dbId);
+    try {
+      const pool = await entry.pool;
+      await pool.close(entry.options.drainTimeout);
+      console.log(`✓ Connection pool closed: ${entry.name}`);
+    } catch (error) {
+      console.error(`✗ Failed to close connection pool: ${entry.name}`, error.message);
+    }
+  }
+
+  async testConnection(dbConfig, metadata) {
+    try {
+      const pool = await this.getPool(dbConfig, metadata);
+      await pool.test();
+      this.connectionStatus.set(dbConfig.id, 'connected');
+      return true;
+    } catch (error) {
+      // Drop the pool so the next request starts from a fresh login
+      this.connectionStatus.set(dbConfig.id, 'error');
+      await this.closePool(dbConfig.id);
+      throw error;
+    }
+  }
+
+  async introspect(dbConfig, metadata) {
+    const pool = await this.getPool(dbConfig, metadata);
+    return pool.introspect();
   }
 
-  // async testSnowflake(config) {
-  //   return new Promise((resolve, reject) => {
-  //     const connection = Snowflake.createConnection({
-  //       account: config.account,
-  //       username: config.username,
-  //       password: config.password,
-  //       warehouse: config.warehouse,
-  //       database: config.database,
-  //       schema: config.schema
-  //     });
-
-  //     connection.connect((err) => {
-  //       if (err) {
-  //         reject(err);
-  //       } else {
-  //         connection.execute({
-  //           sqlText: 'SELECT 1',
-  //           complete: (err) => {
-  //             connection.destroy();
-  //             if (err) reject(err);
-  //             else resolve(true);
-  //           }
-  //         });
-  //       }
-  //     });
-  //   });
-  // }
-
-  async executeQuery(dbId, query) {
+  // The database's config as `access` (server/auth/access.js) sees it:
+  // hidden tables and columns join its query policy. Throws an AccessError
+  // when the user may not query it at all.
+  async resolveDatabase(dbId, access) {
+    access?.checkDatabase(dbId);
     const metadata = await this.loadMetadata();
     const dbConfig = metadata.databases.find(db => db.id === dbId);
-    
+
     if (!dbConfig) {
       throw new Error(`Database ${dbId} not found`);
     }
+    return { metadata, dbConfig, policyConfig: access ? access.restrictDatabase(dbConfig) : dbConfig };
+  }
+
+  // A validated statement ready for the driver: the user's row filters
+  // applied (server/sql/row-filters.js), then named parameters (:name) as
+  // binds (server/sql/parameters.js). Filters bind the user's own values,
+  // whatever `params` says.
+  bindStatement(dbConfig, statement, params, access) {
+    const { filters, values } = access ? access.rowFiltersFor(dbConfig.id) : { filters: null, values: {} };
+    const { sql, parameters } = applyRowFilters(statement, filters, dbConfig.type);
+    const missing = parameters.filter(name => values[name] === undefined || values[name] === null);
+    if (missing.length > 0) {
+      throw new AccessError(`Your account has no ${missing.map(name => name.replace(/^user_/, '')).join(', ')} attribute, which the row filters of your role need`);
+    }
+    return bindParameters(sql, { ...params, ...values }, dbConfig.type);
+  }
+
+  // Rows and columns as the user may see them: masked columns (from
+  // validateReadOnlyQuery) masked, and the columns that hold classified
+  // values marked as such (server/privacy.js)
+  maskRows({ rows, columns }, { maskedColumns, classified }) {
+    return maskResult(rows, columns, maskedColumns, classified);
+  }
+
+  // Run a read-only query within the database's limits (see
+  // server/query-limits.js); `limits` may lower them. Resolves to { rows,
+  // columns, truncated, totalRows, queryId, limits }, with values
+  // serialised by column type (server/connectors/columns.js). Aborting
+  // `signal`, the time limit or cancelQuery(queryId) stops the query with
+  // a QueryCancelledError. With `access`, the query must keep to the user's
+  // databases, tables and columns, reads only the rows their row filters
+  // allow and comes back with classified columns masked for them. `owner`
+  // (a user ID) limits who sees the query in listRunningQueries() and may
+  // cancel it.
+  async executeQuery(dbId, query, { limits: requested, signal, params, access, owner, queryId = randomUUID() } = {}) {
+    const { metadata, dbConfig, policyConfig } = await this.resolveDatabase(dbId, access);
+    if (this.runningQueries.has(queryId)) {
+      throw new Error(`Query ${queryId} is already running`);
+    }
+
+    // Reject anything that is not a single read-only statement
+    const validated = validateReadOnlyQuery(query, policyConfig);
+    const { statement } = validated;
+    const { sql, binds } = this.bindStatement(dbConfig, statement, params, access);
+    const limits = resolveQueryLimits(dbConfig, metadata, requested);
+    const pool = await this.getPool(dbConfig, metadata);
+    const { controller, release } = this.trackQuery(queryId, dbId, statement, limits.timeout, signal, owner);
+
+    try {
+      const options = { ...limits, signal: controller.signal };
+      const result = await pool.query(sql, binds, options);
+
+      let totalRows = result.totalRows ?? result.rows.length;
+      if (result.truncated && result.totalRows === undefined) {
+        totalRows = await this.countRows(pool, sql, binds, options);
+      }
+      const { rows, columns } = this.maskRows(serializeRows(result.rows, result.columns), validated);
+      return { rows, columns, truncated: result.truncated, totalRows, queryId, limits };
+    } catch (error) {
+      // Drivers report cancellation in their own words
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+      throw error;
+    } finally {
+      release();
+    }
+  }
+
+  // Stream every row of a read-only query, without the row cap, for
+  // exports. Yields { columns, rows } chunks (columns on the first one),
+  // serialised like executeQuery's rows. The query runs under
+  // limits.exportTimeout and can be cancelled like any other; `access` and
+  // `owner` work as in executeQuery.
+  async *streamQuery(dbId, query, { signal, params, access, owner, queryId = randomUUID() } = {}) {
+    const { metadata, dbConfig, policyConfig } = await this.resolveDatabase(dbId, access);
+    if (this.runningQueries.has(queryId)) {
+      throw new Error(`Query ${queryId} is already running`);
+    }
+
+    const validated = validateReadOnlyQuery(query, policyConfig);
+    const { statement } = validated;
+    const { sql, binds } = this.bindStatement(dbConfig, statement, params, access);
+    const limits = resolveQueryLimits(dbConfig, metadata);
+    const pool = await this.getPool(dbConfig, metadata);
+    if (!pool.stream) {
+      throw new Error(`The ${dbConfig.type} connector cannot stream results`);
+    }
+    const { controller, release } = this.trackQuery(queryId, dbId, statement, limits.exportTimeout, signal, owner);
+
+    try {
+      let columns = null;
+      const options = { timeout: limits.exportTimeout, fetchArraySize: limits.fetchArraySize, signal: controller.signal };
+      for await (const chunk of pool.stream(sql, binds, options)) {
+        // Types inferred from the first chunk hold for the rest
+        const serialized = serializeRows(chunk.rows, columns || chunk.columns);
+        const visible = this.maskRows(serialized, validated);
+        yield columns ? { rows: visible.rows } : { columns: visible.columns, rows: visible.rows };
+        columns = serialized.columns;
+      }
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+      throw error;
+    } finally {
+      release();
+    }
+  }
+
+  // Register a running query so cancelQuery(queryId) can stop it. The
+  // returned controller aborts on cancel, on `signal` or after `timeout`
+  // seconds; release() forgets the query.
+  trackQuery(queryId, dbId, statement, timeout, signal, owner = null) {
+    const controller = new AbortController();
+    const cancel = () => controller.abort(new QueryCancelledError('cancelled'));
+    const timer = setTimeout(() => controller.abort(new QueryCancelledError('timeout', timeout)), timeout * 1000);
+    signal?.addEventListener('abort', cancel, { once: true });
+    if (signal?.aborted) cancel();
 
-    switch (dbConfig.type) {
-      // case 'postgres':
-      //   return this.queryPostgres(dbConfig, query);
-      // case 'mysql':
-      //   return this.queryMySQL(dbConfig, query);
-      case 'oracle':
-        return this.queryOracle(dbConfig, query);
-      // case 'snowflake':
-      //   return this.querySnowflake(dbConfig, query);
-      default:
-        throw new Error(`Unsupported database type: ${dbConfig.type}`);
-    }
-  }
-
-  // async queryPostgres(config, query) {
-  //   const client = new PgClient({
-  //     host: config.host,
-  //     port: config.port,
-  //     database: config.database,
-  //     user: config.username,
-  //     password: config.password,
-  //     ssl: config.ssl ? { rejectUnauthorized: false } : false
-  //   });
-  //   
-  //   await client.connect();
-  //   const result = await client.query(query);
-  //   await client.end();
-  //   return result.rows;
-  // }
-
-  // async queryMySQL(config, query) {
-  //   const connection = await mysql.createConnection({
-  //     host: config.host,
-  //     port: config.port,
-  //     database: config.database,
-  //     user: config.username,
-  //     password: config.password
-  //   });
-  //   
-  //   const [rows] = await connection.query(query);
-  //   await connection.end();
-  //   return rows;
-  // }
-
-  async queryOracle(config, query) {
-    const connection = await oracledb.getConnection({
-      user: config.username,
-      password: config.password,
-      connectString: `${config.host}:${config.port}/${config.database}`
+    this.runningQueries.set(queryId, {
+      id: queryId,
+      databaseId: dbId,
+      query: statement,
+      owner,
+      startedAt: Date.now(),
+      cancel
     });
-    
-    const result = await connection.execute(query, [], { outFormat: oracledb.OUT_FORMAT_OBJECT });
-    await connection.close();
-    return result.rows;
-  }
-
-  // async querySnowflake(config, query) {
-  //   return new Promise((resolve, reject) => {
-  //     const connection = Snowflake.createConnection({
-  //       account: config.account,
-  //       username: config.username,
-  //       password: config.password,
-  //       warehouse: config.warehouse,
-  //       database: config.database,
-  //       schema: config.schema
-  //     });
-
-  //     connection.connect((err) => {
-  //       if (err) {
-  //         reject(err);
-  //       } else {
-  //         connection.execute({
-  //           sqlText: query,
-  //           complete: (err, stmt, rows) => {
-  //             connection.destroy();
-  //             if (err) reject(err);
-  //             else resolve(rows);
-  //           }
-  //         });
-  //       }
-  //     });
-  //   });
-  // }
+
+    const release = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+      this.runningQueries.delete(queryId);
+    };
+    return { controller, release };
+  }
+
+  // Row count of a truncated result; null when counting fails or is
+  // cancelled, since the rows themselves are still good
+  async countRows(pool, statement, binds, options) {
+    try {
+      const { rows } = await pool.query(countQuery(statement), binds, { ...options, maxRows: 1 });
+      const row = rows[0] || {};
+      return Number(row.TOTAL_ROWS ?? row.total_rows ?? Object.values(row)[0]);
+    } catch (error) {
+      console.warn(`⚠ Could not count the rows of a truncated result: ${error.message}`);
+      return null;
+    }
+  }
+
+  // With an `owner` (a user ID) only that user's queries are listed, here
+  // and in cancelQuery()
+  listRunningQueries({ owner } = {}) {
+    const now = Date.now();
+    return [...this.runningQueries.values()]
+      .filter(entry => owner === undefined || entry.owner === owner)
+      .map(({ id, databaseId, query, startedAt }) => ({
+        id,
+        databaseId,
+        query,
+        startedAt: new Date(startedAt).toISOString(),
+        elapsedMs: now - startedAt
+      }));
+  }
+
+  // False when no query with that ID is running for `owner`
+  cancelQuery(queryId, owner) {
+    const entry = this.runningQueries.get(queryId);
+    if (!entry || (owner !== undefined && entry.owner !== owner)) return false;
+    entry.cancel();
+    return true;
+  }
+
+  // Periodically ping every open pool; a failing pool is closed and will be
+  // recreated on the next request
+  startHealthChecks(intervalSeconds = DEFAULT_POOL_OPTIONS.healthCheckInterval) {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+    }
+
+    this.healthCheckInterval = setInterval(async () => {
+      for (const [dbId, entry] of this.connections) {
+        try {
+          const pool = await entry.pool;
+          await pool.test();
+          entry.lastHealthCheck = new Date().toISOString();
+          this.connectionStatus.set(dbId, 'connected');
+        } catch (error) {
+          console.error(`✗ Pool health check failed: ${entry.name}`, error.message);
+          this.connectionStatus.set(dbId, 'error');
+          await this.closePool(dbId);
+        }
+      }
+    }, intervalSeconds * 1000);
+
+    console.log(`✓ Pool health checks started (every ${intervalSeconds} seconds)`);
+  }
+
+  async getPoolStats() {
+    const stats = {};
+    for (const [dbId, entry] of this.connections) {
+      try {
+        const pool = await entry.pool;
+        stats[dbId] = {
+          ...pool.stats(),
+          status: this.getStatus(dbId),
+          lastHealthCheck: entry.lastHealthCheck
+        };
+      } catch (error) {
+        stats[dbId] = { status: 'error', error: error.message };
+      }
+    }
+    return stats;
+  }
+
+  async close() {
+    this.unwatch();
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+      this.healthCheckInterval = null;
+    }
+    await Promise.all([...this.connections.keys()].map(dbId => this.closePool(dbId)));
+  }
 }
 
 // Initialize services
 const dbMetadata = new DatabaseMetadata(
   path.join(__dirname, 'config', 'database-metadata.json')
 );
+const schemaIntrospector = new SchemaIntrospector(dbMetadata);
+const queryAgent = new QueryAgent(dbMetadata, schemaIntrospector, () => llm);
+const resultCache = new ResultCache();
+const conversations = new ConversationStore(storageDirectory());
+const savedQueries = new SavedQueryStore(storageDirectory());
+const dashboards = new DashboardStore(storageDirectory());
+const authenticator = new Authenticator(storageDirectory());
+
+// Scheduled runs go through the same guard and limits as /api/query, with
+// the access of the schedule's owner (`owner`: { id, username, roles,
+// attributes })
+const runSavedQuery = async (saved, values, owner) => {
+  if (!owner && authenticator.mode !== 'none') {
+    throw new AccessError('This schedule has no owner; save it again to run it with your access');
+  }
+  // Without sign-in there are no owners and everyone has the same access
+  const access = authenticator.accessFor(owner ? await authenticator.resolveOwner(owner) : null);
+  const params = resolveParameters(saved.parameters, values);
+  const result = await dbMetadata.executeQuery(saved.databaseId, saved.query, { params, access, owner: owner?.id });
+  await savedQueries.markRun(saved.id);
+  return { ...result, params };
+};
+const scheduler = new Scheduler(storageDirectory(), {}, { savedQueries, runSavedQuery });
+
+// Every /api route needs a signed-in user, apart from the health check and
+// the sign-in routes. Sets req.user and req.access.
+app.use('/api', authenticator.middleware({
+  publicPaths: ['/health', '/auth/config', '/auth/login', '/auth/oidc/callback'],
+  downloadPaths: [/^\/results\/[^/]+\/export$/]
+}));
+
+// Conversations and result handles belong to the user they were made for;
+// without sign-in everyone shares them
+const ownerOf = (req) => (authenticator.mode === 'none' ? undefined : req.user.id);
+
+// Saved queries, dashboards and schedules too, but users who manage users
+// may also see and change everyone else's
+const recordOwnerOf = (req) => (req.access.manageUsers ? undefined : ownerOf(req));
 
 // API Routes
 
+const sendAuthError = (res, error) => {
+  if (error instanceof AuthError || error instanceof AccessError || error instanceof UserError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error('Auth error:', error);
+  res.status(500).json({ error: error.message });
+};
+
+// How to sign in: { mode } and, in oidc mode, the provider's authorization
+// endpoint, client ID and scope for the browser's redirect
+app.get('/api/auth/config', async (req, res) => {
+  try {
+    res.json(await authenticator.describe());
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+// Password sign-in (local mode). Body: { username, password }. Resolves to
+// { token, expiresAt, user }; send the token as "Authorization: Bearer".
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    res.json({ success: true, ...(await authenticator.login(username, password)) });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+// Finish a single sign-on (oidc mode). Body: { code, codeVerifier,
+// redirectUri, nonce } from the provider's redirect and the PKCE values the
+// browser made; resolves like /api/auth/login.
+app.post('/api/auth/oidc/callback', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await authenticator.completeOidcLogin(req.body || {})) });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+// The signed-in user, their roles and whether they may manage users
+app.get('/api/auth/me', (req, res) => {
+  res.json({ mode: authenticator.mode, user: authenticator.describeUser(req.user) });
+});
+
+// Local users (server/auth/users.js), for roles with manageUsers
+const requireUserManager = (req, res, next) => {
+  if (!req.access.manageUsers) {
+    return res.status(403).json({ error: 'Managing users needs a role with manageUsers' });
+  }
+  next();
+};
+
+app.get('/api/users', requireUserManager, async (req, res) => {
+  try {
+    res.json({ users: await authenticator.users.list(), roles: authenticator.roleNames() });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+// Body: { username, password, displayName?, roles?, attributes? }
+app.post('/api/users', requireUserManager, async (req, res) => {
+  try {
+    res.status(201).json({ success: true, user: await authenticator.users.create(req.body || {}, authenticator.roleNames()) });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+// Body: any of { password, displayName, roles, attributes, disabled }
+app.patch('/api/users/:id', requireUserManager, async (req, res) => {
+  try {
+    res.json({ success: true, user: await authenticator.users.update(req.params.id, req.body || {}, authenticator.roleNames()) });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+app.delete('/api/users/:id', requireUserManager, async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    await authenticator.users.delete(req.params.id);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
 // Health check
-app.get('/api/health', (req, res) => {
+// Anonymous callers (load balancer probes) only learn that the server is up.
+app.get('/api/health', async (req, res) => {
+  if (!req.user) {
+    return res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+  }
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
-    elevanceApi: elevanceApiKey ? 'connected' : 'disconnected',
-    oracle: 'enabled'
+    llm: { ...llm?.describe(), output: getOutputStats() },
+    connectors: listConnectorTypes(),
+    pools: await dbMetadata.getPoolStats(),
+    runningQueries: dbMetadata.runningQueries.size,
+    resultCache: resultCache.stats(),
+    config: dbMetadata.lastReload
   });
 });
 
@@ -315,11 +574,11 @@ app.get('/api/health', (req, res) => {
 app.get('/api/databases', async (req, res) => {
   try {
     const metadata = await dbMetadata.loadMetadata();
-    const connections = metadata.databases.map(db => ({
+    const connections = metadata.databases.filter(db => req.access.canQuery(db.id)).map(db => ({
       id: db.id,
       name: db.name,
       type: db.type,
-      status: 'connected'
+      status: dbMetadata.getStatus(db.id)
     }));
     res.json(connections);
   } catch (error) {
@@ -327,14 +586,20 @@ app.get('/api/databases', async (req, res) => {
   }
 });
 
-// Refresh database metadata
+// Refresh database metadata. Reconnects and re-introspects every
+// database, so it is kept to users who manage users.
 app.post('/api/databases/refresh', async (req, res) => {
+  if (!req.access.manageUsers) {
+    return res.status(403).json({ error: 'Refreshing metadata needs a role with manageUsers' });
+  }
   try {
     const metadata = await dbMetadata.refreshMetadata();
+    const schemas = await schemaIntrospector.refreshAll(metadata);
     res.json({ 
       success: true, 
       message: 'Metadata refreshed',
-      databases: metadata.databases.length
+      databases: metadata.databases.length,
+      schemas
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -342,8 +607,10 @@ app.post('/api/databases/refresh', async (req, res) => {
 });
 
 // Get database schema
+// Tables and columns hidden from the user's roles are left out.
 app.get('/api/databases/:id/schema', async (req, res) => {
   try {
+    req.access.checkDatabase(req.params.id);
     const metadata = await dbMetadata.loadMetadata();
     const db = metadata.databases.find(d => d.id === req.params.id);
     
@@ -351,106 +618,305 @@ app.get('/api/databases/:id/schema', async (req, res) => {
       return res.status(404).json({ error: 'Database not found' });
     }
 
+    const liveSchema = await schemaIntrospector.getSchema(db, metadata, {
+      refresh: req.query.refresh === 'true'
+    });
+
     res.json({
       id: db.id,
       name: db.name,
       type: db.type,
-      tables: db.tables || [],
-      schema: db.schema
+      tables: req.access.restrictTables(db.id, liveSchema.tables),
+      schema: db.schema,
+      source: liveSchema.source,
+      introspectedAt: liveSchema.introspectedAt,
+      warnings: liveSchema.warnings
     });
   } catch (error) {
+    if (error instanceof AccessError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 // Execute database query
+// Body: { databaseId, query, limits?, queryId?, pageSize?, params? }. limits
+// ({ maxRows, timeout, fetchArraySize }) can only lower the configured
+// ones; params holds the values of named parameters (:name) in the query.
+// A client that wants to cancel the query supplies its own queryId;
+// disconnecting cancels it too. The rows are kept as a result handle
+// (server/result-cache.js) and the response carries the first pageSize of
+// them; /api/results/:id/rows pages, sorts and filters the rest.
 app.post('/api/query', async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
   try {
-    const { databaseId, query } = req.body;
+    const { databaseId, query, limits, queryId, pageSize, params } = req.body;
     
     if (!databaseId || !query) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
+    if (queryId !== undefined && (typeof queryId !== 'string' || queryId.length === 0 || queryId.length > 128)) {
+      return res.status(400).json({ error: 'queryId must be a string of at most 128 characters' });
+    }
 
-    const results = await dbMetadata.executeQuery(databaseId, query);
-    res.json({ success: true, data: results });
+    const result = await dbMetadata.executeQuery(databaseId, query, { limits, queryId, params, access: req.access, owner: ownerOf(req), signal: controller.signal });
+    const handle = resultCache.store({ databaseId, query, params, ...result, owner: ownerOf(req) });
+    const { data, offset, limit, matchedRows } = resultCache.page(handle.id, { limit: pageSize });
+    res.json({
+      success: true,
+      data,
+      columns: result.columns,
+      truncated: result.truncated,
+      totalRows: result.totalRows,
+      queryId: result.queryId,
+      limits: result.limits,
+      result: handle,
+      page: { offset, limit, matchedRows }
+    });
   } catch (error) {
+    if (error instanceof SqlGuardError) {
+      return res.status(400).json({ error: error.message, rule: error.rule, details: error.details });
+    }
+    if (error instanceof QueryCancelledError) {
+      return res.status(error.statusCode).json({ error: error.message, reason: error.reason });
+    }
+    if (error instanceof ParameterError) {
+      return res.status(400).json({ error: error.message, parameter: error.parameter });
+    }
+    if (error instanceof AccessError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Chat with AI (using Elevance Health API)
-app.post('/api/chat', async (req, res) => {
+// The user's queries running now on their databases, oldest first
+app.get('/api/queries', (req, res) => {
+  const queries = dbMetadata.listRunningQueries({ owner: ownerOf(req) });
+  res.json({ queries: queries.filter(query => req.access.canQuery(query.databaseId)) });
+});
+
+// Cancel a running query by the ID from /api/query, the chat stream's
+// query events or /api/queries
+app.post('/api/queries/:id/cancel', (req, res) => {
+  const owner = ownerOf(req);
+  const running = dbMetadata.listRunningQueries({ owner }).find(query => query.id === req.params.id);
+  if (!running || !req.access.canQuery(running.databaseId) || !dbMetadata.cancelQuery(req.params.id, owner)) {
+    return res.status(404).json({ error: `No running query with ID ${req.params.id}` });
+  }
+  res.json({ success: true, id: req.params.id });
+});
+
+const sendResultCacheError = (res, error) => {
+  if (error instanceof ResultCacheError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// A result handle from /api/query or a chat turn: columns, row counts and
+// when it expires
+app.get('/api/results/:id', (req, res) => {
   try {
-    const { messages, databaseId, context } = req.body;
+    res.json({ success: true, result: resultCache.describe(resultCache.get(req.params.id, ownerOf(req))) });
+  } catch (error) {
+    sendResultCacheError(res, error);
+  }
+});
 
-    if (!elevanceApiKey) {
-      return res.status(503).json({ error: 'Elevance API service not available' });
-    }
+// A page of a cached result without running the query again.
+// Body: { offset?, limit?, sort?: [{ column, direction }], filters?:
+// [{ column, operator, value }], search? }; see ResultCache.page().
+app.post('/api/results/:id/rows', (req, res) => {
+  try {
+    const { offset, limit, sort, filters, search } = req.body || {};
+    const { result, ...page } = resultCache.page(req.params.id, { offset, limit, sort, filters, search, owner: ownerOf(req) });
+    res.json({ success: true, result, ...page });
+  } catch (error) {
+    sendResultCacheError(res, error);
+  }
+});
 
-    // Get database schema for context
-    const metadata = await dbMetadata.loadMetadata();
-    const db = metadata.databases.find(d => d.id === databaseId);
-    
-    const systemPrompt = `You are a data analytics assistant. You have access to an ${db?.type || 'Oracle'} database with the following schema:
+const exportFormatProblem = (format) => (EXPORT_FORMATS[format]
+  ? null
+  : `Unknown export format "${format}"; use ${Object.keys(EXPORT_FORMATS).join(' or ')}`);
 
-${JSON.stringify(db?.tables || [], null, 2)}
+// A link the browser can download a result from. A plain link sends no
+// Authorization header, so it carries a single-use download token that
+// expires within a minute instead of the session token.
+app.post('/api/results/:id/export-link', (req, res) => {
+  const format = String(req.body?.format || 'csv').toLowerCase();
+  const problem = exportFormatProblem(format);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  try {
+    resultCache.get(req.params.id, ownerOf(req));
+  } catch (error) {
+    return sendResultCacheError(res, error);
+  }
 
-Generate SQL queries and provide insights based on user questions. Always return responses in JSON format with:
-- message: A clear explanation
-- query: The SQL query to execute (if applicable)
-- visualization: Suggested visualization type (line, bar, scatter, donut)
+  const path = `/results/${encodeURIComponent(req.params.id)}/export`;
+  const token = authenticator.issueDownloadToken(req.user, path);
+  res.json({ success: true, url: `/api${path}?format=${format}&download=${token}` });
+});
 
-Previous context: ${JSON.stringify(context || {})}`;
+// Download a result in full: the stored query runs again without the row
+// cap and streams straight to the client. ?format=csv (default) or xlsx.
+// Browsers start it with a link from /export-link.
+app.get('/api/results/:id/export', async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  const problem = exportFormatProblem(format);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
 
-    const apiMessages = [
-      { role: 'system', content: systemPrompt },
-      ...messages
-    ];
+  let handle;
+  try {
+    handle = resultCache.get(req.params.id, ownerOf(req));
+  } catch (error) {
+    return sendResultCacheError(res, error);
+  }
 
-    const completion = await callElevanceAPI(apiMessages, {
-      temperature: 0.7,
-      max_tokens: 2000
-    });
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
 
-    const response = completion.choices[0].message.content;
-    
-    // Try to parse as JSON, otherwise return as text
-    let parsedResponse;
-    try {
-      parsedResponse = JSON.parse(response);
-    } catch {
-      parsedResponse = {
-        message: response,
-        query: null,
-        visualization: null
-      };
+  const chunks = dbMetadata.streamQuery(handle.databaseId, handle.query, { params: handle.params, access: req.access, owner: ownerOf(req), signal: controller.signal });
+  let first;
+  try {
+    ({ value: first } = await chunks.next());
+  } catch (error) {
+    if (error instanceof SqlGuardError) {
+      return res.status(400).json({ error: error.message, rule: error.rule });
+    }
+    if (error instanceof QueryCancelledError || error instanceof AccessError) {
+      return res.status(error.statusCode).json({ error: error.message, reason: error.reason });
     }
+    return res.status(500).json({ error: error.message });
+  }
 
-    res.json({
-      success: true,
-      response: parsedResponse,
-      usage: completion.usage
-    });
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${handle.databaseId}-${stamp}.${EXPORT_FORMATS[format].extension}"`);
+  try {
+    await writeExport(format, first, chunks, res);
   } catch (error) {
-    console.error('Chat error:', error);
-    res.status(500).json({ error: error.message });
+    // Too late for a status code; cutting the response marks the download
+    // as failed
+    if (!controller.signal.aborted) {
+      console.error(`✗ Export of result ${handle.id} failed:`, error.message);
+    }
+    await chunks.return();
+    res.destroy(error);
   }
 });
 
-// Generate visualization from data (using Elevance Health API)
-app.post('/api/visualize', async (req, res) => {
+app.delete('/api/results/:id', (req, res) => {
   try {
-    const { data, query } = req.body;
+    resultCache.get(req.params.id, ownerOf(req));
+  } catch {
+    return res.status(404).json({ error: `No result with ID ${req.params.id}` });
+  }
+  resultCache.delete(req.params.id);
+  res.json({ success: true, id: req.params.id });
+});
+
+// Where classified values (server/privacy.js) sit in the result of
+// `query` on `databaseId`, as the SQL guard traces them under `access`:
+// what scrubForPrompt needs. A query that cannot be traced (none, one the
+// guard refuses, an unknown database) may hold any classified column of
+// the databases it could have read, anywhere in its result.
+const tracePromptColumns = async (databaseId, query, access) => {
+  const metadata = await dbMetadata.loadMetadata();
+  const db = metadata.databases.find(d => d.id === databaseId);
+  const classified = (db ? [db] : metadata.databases)
+    .flatMap(d => d.tables || [])
+    .flatMap(table => table.columns || [])
+    .find(column => column.classification);
+  if (!classified) return { columns: {}, derived: null };
 
-    if (!elevanceApiKey) {
-      return res.status(503).json({ error: 'Elevance API service not available' });
+  if (db && typeof query === 'string') {
+    try {
+      return validateReadOnlyQuery(query, access ? access.restrictDatabase(db) : db).classified;
+    } catch {
+      // Not traceable: treat every column as classified
     }
+  }
+  return { columns: {}, derived: classified.classification };
+};
+
+// Build the system prompt and message list for a chat turn. Only the tables
+// relevant to the recent questions go into the prompt (see
+// server/schema-retrieval.js); `retrieval` records which ones did. Tables
+// and columns hidden from the user (`access`) never reach the model, nor
+// do classified values in the result rows of `context`, traced from the
+// query they came from (context.source).
+const buildChatMessages = async ({ messages, databaseId, context, access }) => {
+  const metadata = await dbMetadata.loadMetadata();
+  const db = metadata.databases.find(d => d.id === databaseId);
+  const tables = db ? access.restrictTables(db.id, (await schemaIntrospector.getSchema(db, metadata)).tables) : [];
+
+  // Follow-ups ("and by region?") lean on the previous question
+  const question = messages
+    .filter(message => message.role === 'user')
+    .slice(-2)
+    .map(message => message.content)
+    .join('\n');
+  const retrieval = retrieveSchema(tables, question, metadata.metadata?.schemaRetrieval);
+  const source = context?.source || {};
+  const promptContext = context && typeof context === 'object' ? {
+    ...context,
+    data: Array.isArray(context.data)
+      ? scrubForPrompt(context.data, await tracePromptColumns(source.databaseId ?? databaseId, source.query, access))
+      : undefined
+  } : {};
+  
+  const systemPrompt = `You are a data analytics assistant. You have access to ${db ? `a ${dialectName(db.type)}` : 'an Oracle'} database. These are the tables most relevant to the question:
+
+${retrieval.text}
+
+${dialectGuidance(db?.type || 'oracle')}
+
+Generate SQL queries and provide insights based on user questions. Always return responses in JSON format with:
+- message: A clear explanation
+- query: The SQL query to execute (if applicable)
+- visualization: Suggested visualization type (line, bar, scatter, donut)
 
-    const prompt = `Based on this SQL query and data, suggest the best visualization.
+Previous context: ${JSON.stringify(promptContext)}`;
+
+  return {
+    apiMessages: [
+      { role: 'system', content: systemPrompt },
+      ...messages
+    ],
+    retrieval
+  };
+};
+
+// "NAME (type)" per result column, so the model need not guess types from
+// the sample
+const describeResultColumns = (columns) => (
+  columns.map(column => `${column.name} (${column.type}${column.dbType ? `, ${column.dbType}` : ''})`).join(', ')
+);
+
+// Ask the model for a chart spec that fits the query results. `columns` is
+// the column metadata from executeQuery, when the caller has it. The
+// sample leaves out classified values, which the SQL guard traces from
+// `query` on `databaseId` under the user's `access`.
+const suggestVisualization = async (data, query, options = {}) => {
+  const { columns, databaseId, access } = options;
+  const sample = scrubForPrompt(data.slice(0, 5), await tracePromptColumns(databaseId, query, access));
+  const prompt = `Based on this SQL query and data, suggest the best visualization.
 
 Query: ${query}
-Data sample: ${JSON.stringify(data.slice(0, 5), null, 2)}
+${columns?.length ? `Columns: ${describeResultColumns(columns)}\n` : ''}Data sample: ${JSON.stringify(sample, null, 2)}
 Total rows: ${data.length}
 
 Analyze the data structure and suggest ONE of these chart types:
@@ -486,41 +952,771 @@ Consider:
 - Use "line" for time-based or sequential data
 - Use "bar" for categorical comparisons`;
 
-    const messages = [
-      { role: 'system', content: 'You are a data visualization expert. Always return valid JSON.' },
-      { role: 'user', content: prompt }
-    ];
+  const messages = [
+    { role: 'system', content: 'You are a data visualization expert. Always return valid JSON.' },
+    { role: 'user', content: prompt }
+  ];
 
-    const completion = await callElevanceAPI(messages, {
-      temperature: 0.3,
-      max_tokens: 1000
-    });
+  // Chart specs should be repeatable, so this runs cooler than chat
+  const { value } = await completeStructured(llm, messages, 'chartSpec', {
+    temperature: 0.3,
+    maxTokens: 1000,
+    signal: options.signal,
+    check: checkChartColumns(Object.keys(data[0] || {}))
+  });
 
-    const suggestion = JSON.parse(completion.choices[0].message.content);
-    res.json({ success: true, visualization: suggestion });
+  return value;
+};
+
+// Validate the model's chat reply, asking it to repair the JSON when needed.
+// A reply that cannot be repaired is shown as plain text without a query.
+const resolveChatResponse = async (apiMessages, completion, options = {}) => {
+  try {
+    return await resolveStructured(llm, apiMessages, completion, 'chatResponse', options);
   } catch (error) {
-    console.error('Visualization error:', error);
-    res.status(500).json({ error: error.message });
+    if (!(error instanceof StructuredOutputError)) throw error;
+    console.warn(`⚠ Using the unstructured chat reply: ${error.message}`);
+    return { value: plainChatResponse(completion.content), usage: completion.usage, repairs: null };
   }
-});
+};
+
+const lastUserQuestion = (messages = []) => (
+  [...messages].reverse().find(message => message.role === 'user')?.content || null
+);
+
+const sendConversationError = (res, error) => {
+  if (error instanceof ConversationError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// Add a chat turn to its conversation. A turn that cannot be saved is
+// logged rather than failing the answer the user already has.
+const saveTurn = async (conversationId, turn) => {
+  try {
+    return await conversations.addTurn(conversationId, turn);
+  } catch (error) {
+    console.error(`✗ Could not save a turn of conversation ${conversationId}:`, error.message);
+    return null;
+  }
+};
+
+// Saved conversations, most recent first (?databaseId= narrows the list)
+app.get('/api/conversations', async (req, res) => {
+  try {
+    res.json({ conversations: await conversations.list({ databaseId: req.query.databaseId, owner: ownerOf(req) }) });
+  } catch (error) {
+    sendConversationError(res, error);
+  }
+});
+
+// Start a conversation. Body: { databaseId?, title? }; without a title the
+// first question names it.
+app.post('/api/conversations', async (req, res) => {
+  try {
+    const { databaseId, title } = req.body || {};
+    const conversation = await conversations.create({ databaseId, title, owner: ownerOf(req) ?? null });
+    res.status(201).json({ success: true, conversation: conversations.describe(conversation) });
+  } catch (error) {
+    sendConversationError(res, error);
+  }
+});
+
+// A conversation with all its turns
+app.get('/api/conversations/:id', async (req, res) => {
+  try {
+    res.json({ success: true, conversation: await conversations.get(req.params.id, ownerOf(req)) });
+  } catch (error) {
+    sendConversationError(res, error);
+  }
+});
+
+// Rename a conversation. Body: { title }
+app.patch('/api/conversations/:id', async (req, res) => {
+  try {
+    await conversations.get(req.params.id, ownerOf(req));
+    const conversation = await conversations.rename(req.params.id, req.body?.title);
+    res.json({ success: true, conversation: conversations.describe(conversation) });
+  } catch (error) {
+    sendConversationError(res, error);
+  }
+});
+
+app.delete('/api/conversations/:id', async (req, res) => {
+  try {
+    await conversations.get(req.params.id, ownerOf(req));
+    await conversations.delete(req.params.id);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    sendConversationError(res, error);
+  }
+});
+
+const sendSavedQueryError = (res, error) => {
+  if (error instanceof SavedQueryError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (error instanceof SqlGuardError) {
+    return res.status(400).json({ error: error.message, rule: error.rule, details: error.details });
+  }
+  if (error instanceof ParameterError) {
+    return res.status(400).json({ error: error.message, parameter: error.parameter });
+  }
+  if (error instanceof QueryCancelledError) {
+    return res.status(error.statusCode).json({ error: error.message, reason: error.reason });
+  }
+  if (error instanceof AccessError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// The configuration of the database `query` is stored to run on, after
+// checking that the SQL passes the read-only guard there; null when there
+// is no such database
+const checkStoredQuery = async (databaseId, query) => {
+  const metadata = await dbMetadata.loadMetadata();
+  const db = metadata.databases.find(d => d.id === databaseId);
+  if (db) validateReadOnlyQuery(query, db);
+  return db || null;
+};
+
+// The type of the database a saved query runs on
+const checkSavedQuery = async ({ databaseId, query }) => {
+  if (typeof databaseId !== 'string' || !databaseId) {
+    throw new SavedQueryError('databaseId is required');
+  }
+  const db = await checkStoredQuery(databaseId, query);
+  if (!db) {
+    throw new SavedQueryError(`Database ${databaseId} not found`);
+  }
+  return db.type;
+};
+
+// A saved query the user may see: their own (anyone's for user managers),
+// on a database they can query
+const findSavedQuery = async (req) => {
+  const saved = await savedQueries.get(req.params.id, recordOwnerOf(req));
+  req.access.checkDatabase(saved.databaseId);
+  return saved;
+};
+
+// The user's saved queries, most recently updated first. ?search= matches
+// names, descriptions, questions, SQL and tags; ?tag= and ?databaseId=
+// narrow the list.
+app.get('/api/saved-queries', async (req, res) => {
+  try {
+    const { search, tag, databaseId } = req.query;
+    const list = await savedQueries.list({ search, tag, databaseId, owner: recordOwnerOf(req) });
+    res.json({ savedQueries: list.filter(saved => req.access.canQuery(saved.databaseId)) });
+  } catch (error) {
+    sendSavedQueryError(res, error);
+  }
+});
+
+// Save a query. Body: { name, tags?, description?, question?, query,
+// databaseId, chart?, parameters?: [{ name, type, label?, default? }] }.
+// Every :name in the SQL gets a parameter, a string unless stated.
+app.post('/api/saved-queries', async (req, res) => {
+  try {
+    const input = req.body || {};
+    const dialect = await checkSavedQuery(input);
+    req.access.checkDatabase(input.databaseId);
+    res.status(201).json({ success: true, savedQuery: await savedQueries.create(input, dialect, ownerOf(req) ?? null) });
+  } catch (error) {
+    sendSavedQueryError(res, error);
+  }
+});
+
+app.get('/api/saved-queries/:id', async (req, res) => {
+  try {
+    res.json({ success: true, savedQuery: await findSavedQuery(req) });
+  } catch (error) {
+    sendSavedQueryError(res, error);
+  }
+});
+
+// Edit a saved query; the body has the fields to change
+app.patch('/api/saved-queries/:id', async (req, res) => {
+  try {
+    const changes = req.body || {};
+    const saved = await findSavedQuery(req);
+    const dialect = await checkSavedQuery({ ...saved, ...changes });
+    req.access.checkDatabase(changes.databaseId ?? saved.databaseId);
+    res.json({ success: true, savedQuery: await savedQueries.update(req.params.id, changes, dialect) });
+  } catch (error) {
+    sendSavedQueryError(res, error);
+  }
+});
+
+app.delete('/api/saved-queries/:id', async (req, res) => {
+  try {
+    await savedQueries.get(req.params.id, recordOwnerOf(req));
+    await savedQueries.delete(req.params.id);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    sendSavedQueryError(res, error);
+  }
+});
+
+// Run a saved query straight against its database, without the model.
+// Body: { params?: { name: value }, limits? }; parameters left out take
+// their defaults. Returns every row (up to maxRows) like a chat turn, with
+// the saved chart spec.
+app.post('/api/saved-queries/:id/run', async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const saved = await findSavedQuery(req);
+    const { params: values, limits } = req.body || {};
+    const params = resolveParameters(saved.parameters, values);
+    const result = await dbMetadata.executeQuery(saved.databaseId, saved.query, { limits, params, access: req.access, owner: ownerOf(req), signal: controller.signal });
+    const handle = resultCache.store({ databaseId: saved.databaseId, query: saved.query, params, ...result, owner: ownerOf(req) });
+    await savedQueries.markRun(saved.id);
+
+    res.json({
+      success: true,
+      savedQuery: saved,
+      query: saved.query,
+      params,
+      chart: saved.chart,
+      data: result.rows,
+      columns: result.columns,
+      truncated: result.truncated,
+      totalRows: result.totalRows,
+      queryId: result.queryId,
+      resultId: handle.id
+    });
+  } catch (error) {
+    sendSavedQueryError(res, error);
+  }
+});
+
+const sendDashboardError = (res, error) => {
+  if (error instanceof DashboardError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  if (error instanceof SqlGuardError) {
+    return res.status(400).json({ error: error.message, rule: error.rule, details: error.details });
+  }
+  if (error instanceof ParameterError) {
+    return res.status(400).json({ error: error.message, parameter: error.parameter });
+  }
+  if (error instanceof QueryCancelledError) {
+    return res.status(error.statusCode).json({ error: error.message, reason: error.reason });
+  }
+  if (error instanceof AccessError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// The user's dashboards (everyone's for user managers)
+app.get('/api/dashboards', async (req, res) => {
+  try {
+    res.json({ dashboards: await dashboards.list({ owner: recordOwnerOf(req) }) });
+  } catch (error) {
+    sendDashboardError(res, error);
+  }
+});
+
+// Body: { name, description?, refreshInterval? }; refreshInterval is in
+// seconds, null to query only when the dashboard opens
+app.post('/api/dashboards', async (req, res) => {
+  try {
+    const dashboard = await dashboards.create(req.body || {}, ownerOf(req) ?? null);
+    res.status(201).json({ success: true, dashboard });
+  } catch (error) {
+    sendDashboardError(res, error);
+  }
+});
+
+// A dashboard with its widgets in display order, leaving out widgets on
+// databases the user cannot query
+app.get('/api/dashboards/:id', async (req, res) => {
+  try {
+    const dashboard = await dashboards.get(req.params.id, recordOwnerOf(req));
+    res.json({ success: true, dashboard: { ...dashboard, widgets: dashboard.widgets.filter(widget => req.access.canQuery(widget.databaseId)) } });
+  } catch (error) {
+    sendDashboardError(res, error);
+  }
+});
+
+// Body: { name?, description?, refreshInterval?, order?: [widgetId] }
+app.patch('/api/dashboards/:id', async (req, res) => {
+  try {
+    await dashboards.get(req.params.id, recordOwnerOf(req));
+    res.json({ success: true, dashboard: await dashboards.update(req.params.id, req.body || {}) });
+  } catch (error) {
+    sendDashboardError(res, error);
+  }
+});
+
+app.delete('/api/dashboards/:id', async (req, res) => {
+  try {
+    await dashboards.get(req.params.id, recordOwnerOf(req));
+    await dashboards.delete(req.params.id);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    sendDashboardError(res, error);
+  }
+});
+
+// Pin a chart. Body: { title, databaseId, query, params?, chart?, layout?:
+// { w, h } }
+app.post('/api/dashboards/:id/widgets', async (req, res) => {
+  try {
+    const input = req.body || {};
+    await dashboards.get(req.params.id, recordOwnerOf(req));
+    if (typeof input.databaseId === 'string') {
+      if (!(await checkStoredQuery(input.databaseId, input.query))) {
+        throw new DashboardError(`Database ${input.databaseId} not found`);
+      }
+      req.access.checkDatabase(input.databaseId);
+    }
+    res.status(201).json({ success: true, widget: await dashboards.addWidget(req.params.id, input) });
+  } catch (error) {
+    sendDashboardError(res, error);
+  }
+});
+
+// Body: { title?, chart?, layout?: { w?, h? } }
+app.patch('/api/dashboards/:id/widgets/:widgetId', async (req, res) => {
+  try {
+    await dashboards.get(req.params.id, recordOwnerOf(req));
+    res.json({ success: true, widget: await dashboards.updateWidget(req.params.id, req.params.widgetId, req.body || {}) });
+  } catch (error) {
+    sendDashboardError(res, error);
+  }
+});
+
+app.delete('/api/dashboards/:id/widgets/:widgetId', async (req, res) => {
+  try {
+    await dashboards.get(req.params.id, recordOwnerOf(req));
+    await dashboards.removeWidget(req.params.id, req.params.widgetId);
+    res.json({ success: true, id: req.params.widgetId });
+  } catch (error) {
+    sendDashboardError(res, error);
+  }
+});
+
+// Query a widget's data now. Returns every row (up to maxRows) with the
+// widget's chart spec.
+app.post('/api/dashboards/:id/widgets/:widgetId/run', async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const widget = await dashboards.getWidget(req.params.id, req.params.widgetId, recordOwnerOf(req));
+    const { databaseId, query, params } = widget;
+    const result = await dbMetadata.executeQuery(databaseId, query, { params, access: req.access, owner: ownerOf(req), signal: controller.signal });
+    const handle = resultCache.store({ databaseId, query, params, ...result, owner: ownerOf(req) });
+    res.json({
+      success: true,
+      widgetId: widget.id,
+      chart: widget.chart,
+      data: result.rows,
+      columns: result.columns,
+      truncated: result.truncated,
+      totalRows: result.totalRows,
+      resultId: handle.id,
+      ranAt: new Date().toISOString()
+    });
+  } catch (error) {
+    sendDashboardError(res, error);
+  }
+});
+
+// Whose access a schedule runs with; null without sign-in
+const scheduleOwner = (req) => (authenticator.mode === 'none'
+  ? null
+  : { id: req.user.id, username: req.user.username, roles: req.user.roles, attributes: req.user.attributes });
+
+const sendScheduleError = (res, error) => {
+  if (error instanceof ScheduleError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error('Schedule error:', error);
+  res.status(500).json({ error: error.message });
+};
+
+// Scheduled reports and alerts (server/scheduler), the user's own
+// (everyone's for user managers). Each response carries nextRunAt, null
+// while the schedule is disabled.
+app.get('/api/schedules', async (req, res) => {
+  try {
+    res.json({ schedules: await scheduler.list({ owner: recordOwnerOf(req) }), transports: scheduler.listTransports() });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// { name, savedQueryId, cron, params, format, alert, deliveries, enabled }
+app.post('/api/schedules', async (req, res) => {
+  try {
+    res.status(201).json({ success: true, schedule: await scheduler.create(req.body || {}, scheduleOwner(req)) });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+app.get('/api/schedules/:id', async (req, res) => {
+  try {
+    res.json({ success: true, schedule: scheduler.describe(await scheduler.get(req.params.id, recordOwnerOf(req))) });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+app.patch('/api/schedules/:id', async (req, res) => {
+  try {
+    await scheduler.get(req.params.id, recordOwnerOf(req));
+    res.json({ success: true, schedule: await scheduler.update(req.params.id, req.body || {}, scheduleOwner(req)) });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    await scheduler.get(req.params.id, recordOwnerOf(req));
+    await scheduler.delete(req.params.id);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// Run history, newest first; ?limit= keeps the latest few
+app.get('/api/schedules/:id/runs', async (req, res) => {
+  try {
+    await scheduler.get(req.params.id, recordOwnerOf(req));
+    const limit = Number.parseInt(req.query.limit, 10);
+    res.json({ runs: await scheduler.history(req.params.id, { limit: limit > 0 ? limit : undefined }) });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// Run now and deliver (or check the alert) as the schedule would; resolves
+// to the recorded run. Only the owner may, user managers included, since
+// the run uses the owner's access.
+app.post('/api/schedules/:id/run', async (req, res) => {
+  try {
+    res.json({ success: true, run: await scheduler.runNow(req.params.id, ownerOf(req)) });
+  } catch (error) {
+    sendScheduleError(res, error);
+  }
+});
+
+// Chat with AI. With execute: true the generated query is also run, with
+// model repairs on failure, and the rows and attempts are returned.
+// `limits` lowers the query limits as in /api/query. With a conversationId
+// the turn is saved to that conversation.
+app.post('/api/chat', async (req, res) => {
+  try {
+    const { messages, databaseId, context, execute, maxAttempts, limits, conversationId } = req.body || {};
+
+    const problem = chatMessagesProblem(messages);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    if (!llm.configured) {
+      return res.status(503).json({ error: `LLM provider "${llm.provider}" is not configured` });
+    }
+    if (!req.access.canQuery(databaseId)) {
+      return res.status(403).json({ error: `You do not have access to database ${databaseId}` });
+    }
+    if (conversationId !== undefined) {
+      try {
+        await conversations.get(conversationId, ownerOf(req));
+      } catch (error) {
+        return sendConversationError(res, error);
+      }
+    }
+
+    // Stop calling the model and the database once the client is gone
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    const { signal } = controller;
+
+    const { apiMessages, retrieval } = await buildChatMessages({ messages, databaseId, context, access: req.access });
+
+    const completion = await llm.complete(apiMessages, { signal });
+    const { value, usage, repairs } = await resolveChatResponse(apiMessages, completion, { signal });
+
+    let execution = {};
+    if (execute && value.query) {
+      const { data, columns, truncated, totalRows, query, attempts, error } = await queryAgent.run({
+        databaseId,
+        query: value.query,
+        question: lastUserQuestion(messages),
+        maxAttempts,
+        limits,
+        signal,
+        access: req.access,
+        owner: ownerOf(req)
+      });
+      execution = {
+        data,
+        columns,
+        resultId: data ? resultCache.store({ databaseId, query, rows: data, columns, truncated, totalRows, owner: ownerOf(req) }).id : null,
+        truncated,
+        totalRows,
+        query,
+        attempts,
+        queryError: error ? { error: error.message, rule: error.rule, reason: error.reason } : null
+      };
+    }
+
+    const turn = conversationId && await saveTurn(conversationId, {
+      question: lastUserQuestion(messages),
+      message: value.message,
+      query: execution.query || value.query || null,
+      attempts: execution.attempts,
+      result: execution.data ? {
+        resultId: execution.resultId,
+        rows: execution.data,
+        columns: execution.columns,
+        truncated: execution.truncated,
+        totalRows: execution.totalRows
+      } : null,
+      error: execution.queryError?.error
+    });
+
+    res.json({
+      success: true,
+      response: value,
+      usage,
+      repairs,
+      ...execution,
+      ...(conversationId && { conversationId, turnId: turn?.id || null }),
+      debug: { schema: retrieval.debug }
+    });
+  } catch (error) {
+    if (res.destroyed) return;
+    console.error('Chat error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Streaming chat over Server-Sent Events. Events, in order:
+//   token    { content }                      assistant message text as it arrives
+//   message  { response, usage, repairs,      the validated response, and the
+//              debug }                        tables the prompt included
+//   sql      { query, attempt, explanation,   SQL about to run; attempts after
+//              dialect }                      the first are model revisions.
+//                                             dialect lists rewrites made for
+//                                             the database type, if any
+//   query    { status, attempt, queryId,      running → complete | error; an error
+//              rowCount, truncated,           with retrying: true is followed by
+//              totalRows, durationMs, error,  a revised sql event. queryId can
+//              retrying }                     be passed to /api/queries/:id/cancel
+//   attempts { attempts }                     every run of the query, in order
+//   result   { data, columns, truncated,      query rows, at most maxRows of them,
+//              totalRows, resultId }          and their column types; resultId
+//                                             pages them via /api/results/:id/rows
+//   chart    { visualization }                chart spec (null when the model fails)
+//   turn     { conversationId, turnId }       the turn was saved (with a
+//                                             conversationId in the body)
+//   error    { error }                        the turn failed
+//   done     {}
+// Closing the connection aborts the upstream model request and the query;
+// a turn stopped that way is not saved.
+app.post('/api/chat/stream', async (req, res) => {
+  const { messages, databaseId, context, conversationId } = req.body || {};
+
+  // Checked before the stream opens, so a bad body is a plain 400
+  const problem = chatMessagesProblem(messages);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  if (!llm.configured) {
+    return res.status(503).json({ error: `LLM provider "${llm.provider}" is not configured` });
+  }
+  if (!req.access.canQuery(databaseId)) {
+    return res.status(403).json({ error: `You do not have access to database ${databaseId}` });
+  }
+  if (conversationId !== undefined) {
+    try {
+      await conversations.get(conversationId, ownerOf(req));
+    } catch (error) {
+      return sendConversationError(res, error);
+    }
+  }
+
+  const stream = openEventStream(res);
+  const { signal } = stream;
+  const turn = {};
+  const recordTurn = async () => {
+    if (!conversationId || signal.aborted) return;
+    const saved = await saveTurn(conversationId, turn);
+    if (saved) stream.send('turn', { conversationId, turnId: saved.id });
+  };
+
+  try {
+    turn.question = lastUserQuestion(messages);
+    const { apiMessages, retrieval } = await buildChatMessages({ messages, databaseId, context, access: req.access });
+    const extractMessage = createMessageExtractor();
+
+    const completion = await llm.stream(apiMessages, { signal }, (delta) => {
+      const content = extractMessage(delta);
+      if (content) {
+        stream.send('token', { content });
+      }
+    });
+
+    const { value: parsedResponse, usage, repairs } = await resolveChatResponse(apiMessages, completion, { signal });
+    stream.send('message', { response: parsedResponse, usage, repairs, debug: { schema: retrieval.debug } });
+    turn.message = parsedResponse.message;
+    turn.query = parsedResponse.query || null;
+
+    if (parsedResponse.query && !signal.aborted) {
+      const { data, columns, truncated, totalRows, query, attempts, error } = await queryAgent.run({
+        databaseId,
+        query: parsedResponse.query,
+        question: lastUserQuestion(messages),
+        maxAttempts: req.body.maxAttempts,
+        limits: req.body.limits,
+        access: req.access,
+        owner: ownerOf(req),
+        signal,
+        onAttempt: ({ attempt, queryId, query: sql, explanation, dialect, status, error, rule, retrying, ...outcome }) => {
+          if (status === 'running') {
+            turn.dialect = dialect || null;
+            stream.send('sql', { query: sql, attempt, explanation, dialect });
+            stream.send('query', { status, attempt, queryId });
+          } else if (status === 'success') {
+            const { rowCount, durationMs } = outcome;
+            stream.send('query', { status: 'complete', attempt, queryId, rowCount, truncated: outcome.truncated, totalRows: outcome.totalRows, durationMs });
+          } else {
+            stream.send('query', { status, attempt, queryId, error, rule, retrying });
+          }
+        }
+      });
+      stream.send('attempts', { attempts });
+      Object.assign(turn, { query, attempts, error: error?.message || null });
+
+      if (data) {
+        const { id: resultId } = resultCache.store({ databaseId, query, rows: data, columns, truncated, totalRows, owner: ownerOf(req) });
+        stream.send('result', { data, columns, truncated, totalRows, resultId });
+        turn.result = { resultId, rows: data, columns, truncated, totalRows };
+      }
+
+      if (data && data.length > 0 && !signal.aborted) {
+        try {
+          const visualization = await suggestVisualization(data, query, { signal, columns, databaseId, access: req.access });
+          stream.send('chart', { visualization });
+          turn.chart = visualization;
+        } catch (error) {
+          stream.send('chart', { visualization: null, error: error.message });
+        }
+      }
+    }
+
+    await recordTurn();
+    stream.send('done', {});
+  } catch (error) {
+    if (!signal.aborted) {
+      console.error('Chat stream error:', error);
+      turn.error = error.message;
+      await recordTurn();
+      stream.send('error', { error: error.message });
+    }
+  } finally {
+    stream.close();
+  }
+});
+
+// Generate visualization from data. `columns` is optional column metadata
+// as returned by /api/query, and `databaseId` the database `query` ran on;
+// classified values in the rows, traced from the query, stay out of the
+// prompt.
+app.post('/api/visualize', async (req, res) => {
+  try {
+    const { data, query, columns, databaseId } = req.body;
+
+    if (!Array.isArray(data) || data.length === 0) {
+      return res.status(400).json({ error: 'data must be a non-empty array of rows' });
+    }
+
+    if (!llm.configured) {
+      return res.status(503).json({ error: `LLM provider "${llm.provider}" is not configured` });
+    }
+
+    const suggestion = await suggestVisualization(data, query, {
+      columns: Array.isArray(columns) ? columns.filter(column => column && typeof column.name === 'string') : undefined,
+      databaseId,
+      access: req.access
+    });
+    res.json({ success: true, visualization: suggestion });
+  } catch (error) {
+    if (error instanceof StructuredOutputError) {
+      return res.status(502).json({ error: error.message, problems: error.problems });
+    }
+    console.error('Visualization error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
 // Start server
 const startServer = async () => {
   try {
-    // Initialize Elevance API
-    initializeElevanceAPI();
-    
-    // Start token refresh job
-    startTokenRefreshJob();
-    
     // Load and validate database metadata
-    await dbMetadata.refreshMetadata();
+    const metadata = await dbMetadata.refreshMetadata();
+    dbMetadata.startHealthChecks(metadata.metadata?.connectionPool?.healthCheckInterval);
+    dbMetadata.watch();
+
+    // Initialize the LLM provider, then keep it in step with config reloads
+    initializeLLM(metadata);
+    resultCache.configure(metadata.metadata?.resultCache);
+    conversations.configure(storageDirectory(metadata.metadata?.storage), metadata.metadata?.conversations);
+    savedQueries.configure(storageDirectory(metadata.metadata?.storage));
+    dashboards.configure(storageDirectory(metadata.metadata?.storage));
+    scheduler.configure(storageDirectory(metadata.metadata?.storage), metadata.metadata?.scheduler);
+    configurePrivacy(metadata.metadata?.privacy);
+    authenticator.configure(storageDirectory(metadata.metadata?.storage), metadata.metadata?.auth, metadata.metadata?.privacy);
+    if (authenticator.mode === 'local' && (await authenticator.users.list()).length === 0) {
+      console.warn('⚠ No users yet; add one with: npm run users -- add <username> --roles admin');
+    }
+    dbMetadata.on('reload', (reloaded) => {
+      resultCache.configure(reloaded.metadata?.resultCache);
+      conversations.configure(storageDirectory(reloaded.metadata?.storage), reloaded.metadata?.conversations);
+      savedQueries.configure(storageDirectory(reloaded.metadata?.storage));
+      dashboards.configure(storageDirectory(reloaded.metadata?.storage));
+      try {
+        scheduler.configure(storageDirectory(reloaded.metadata?.storage), reloaded.metadata?.scheduler);
+      } catch (error) {
+        console.error(`✗ Keeping the previous scheduler settings: ${error.message}`);
+      }
+      try {
+        configurePrivacy(reloaded.metadata?.privacy);
+        authenticator.configure(storageDirectory(reloaded.metadata?.storage), reloaded.metadata?.auth, reloaded.metadata?.privacy);
+      } catch (error) {
+        console.error(`✗ Keeping the previous auth and privacy settings: ${error.message}`);
+      }
+      try {
+        initializeLLM(reloaded);
+      } catch (error) {
+        console.error(`✗ Keeping the previous LLM provider: ${error.message}`);
+      }
+    });
     
     app.listen(PORT, () => {
       console.log(`\n🚀 Server running on http://localhost:${PORT}`);
-      console.log(`✓ Elevance Health API integration active`);
-      console.log(`✓ Oracle database connection validated`);
-      console.log(`✓ Token refresh job scheduled\n`);
+      console.log(`✓ LLM provider: ${llm.provider} (${llm.model})`);
+      console.log(`✓ Database connectors: ${listConnectorTypes().join(', ')}`);
+      console.log(`✓ Auth: ${authenticator.mode}`);
+      scheduler.start();
+      console.log(`✓ Scheduler: ${scheduler.enabled ? 'on' : 'off'} (transports: ${scheduler.listTransports().map(({ name }) => name).join(', ') || 'none'})\n`);
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -529,21 +1725,17 @@ const startServer = async () => {
 };
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  if (tokenRefreshInterval) {
-    clearInterval(tokenRefreshInterval);
-  }
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down gracefully...`);
+  resultCache.close();
+  await scheduler.stop();
+  await Promise.all([conversations.flush(), savedQueries.flush(), dashboards.flush(), scheduler.flush(), authenticator.flush()]);
+  await dbMetadata.close();
   process.exit(0);
-});
+};
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully...');
-  if (tokenRefreshInterval) {
-    clearInterval(tokenRefreshInterval);
-  }
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 startServer();
 
@@ -0,0 +1,210 @@
+// server/auth/access.js - What a user's roles let them query
+//
+// Roles are defined in metadata.auth.roles:
+//
+//   "roles": {
+//     "admin":   { "databases": ["*"], "manageUsers": true, "masking": { "pii": "none" } },
+//     "analyst": {
+//       "databases": ["sqlite-local"],
+//       "hiddenTables": { "*": ["WAREHOUSE_STOCK"] },
+//       "hiddenColumns": { "sqlite-local": ["CUSTOMERS.EMAIL"] },
+//       "rowFilters": { "*": { "CUSTOMERS": "SEGMENT = :user_segment" } }
+//     }
+//   }
+//
+// "databases" lists the database IDs the role may query ("*" for all).
+// Hidden tables and columns are keyed by database ID, "*" applying to every
+// database. A user with several roles gets every database any of them
+// grants; a table or column stays hidden only if every role granting that
+// database hides it. Hidden tables and columns are left out of schemas and
+// prompts and refused by the SQL guard (see sql/guard.js deniedColumns).
+//
+// Columns classified in the config ("classification": "pii", "phi" or
+// "sensitive") come back masked (see ../privacy.js). "masking" picks the
+// strategy per classification, falling back to metadata.privacy.masking
+// and then to "redact"; "none" shows values as stored. With several roles
+// the most revealing strategy wins.
+//
+// "rowFilters" are predicates ANDed to every read of a table, keyed by
+// database ID ("*" for all) and table. :user_id, :user_name and
+// :user_<attribute> bind the signed-in user's ID, username and attributes
+// (users.js, or oidc.attributeClaims); a user lacking an attribute a filter
+// needs is refused. A table is filtered only if every granting role filters
+// it, by any of their predicates.
+class AccessError extends Error {
+  constructor(message, statusCode = 403) {
+    super(message);
+    this.name = 'AccessError';
+    this.statusCode = statusCode;
+  }
+}
+
+const upper = (name) => String(name).toUpperCase();
+
+const DEFAULT_STRATEGY = 'redact';
+
+const entriesFor = (byDatabase = {}, databaseId) => [
+  ...(byDatabase['*'] || []),
+  ...(byDatabase[databaseId] || [])
+].map(upper);
+
+// Strategies from most to least revealing
+const STRATEGIES_BY_REVEAL = ['none', 'partial', 'generalise', 'hash', 'redact'];
+const revealRank = (strategy) => {
+  const idx = STRATEGIES_BY_REVEAL.indexOf(strategy);
+  return idx === -1 ? 0 : STRATEGIES_BY_REVEAL.length - idx;
+};
+
+const grants = (role, databaseId) => (role.databases || []).some(id => id === '*' || id === databaseId);
+
+// A role's row filters for a database, as table -> predicate
+const filtersFor = (role, databaseId) => new Map(
+  [...Object.entries(role.rowFilters?.['*'] || {}), ...Object.entries(role.rowFilters?.[databaseId] || {})]
+    .map(([table, predicate]) => [upper(table), predicate])
+);
+
+class Access {
+  // `roles` are the user's role names; `definitions` is metadata.auth.roles.
+  // With unrestricted set, every database, table and row is allowed (auth
+  // mode "none"); classified columns are still masked. `user` is the
+  // signed-in identity, for row filters, and `privacy` is metadata.privacy.
+  constructor(roles = [], definitions = {}, { unrestricted = false, user = null, privacy = {} } = {}) {
+    this.roles = roles;
+    this.unrestricted = unrestricted;
+    this.user = user;
+    this.privacy = privacy;
+    this.definitions = roles.map(name => definitions[name]).filter(Boolean);
+    this.manageUsers = unrestricted || this.definitions.some(role => role.manageUsers === true);
+    this.rules = new Map();
+  }
+
+  granting(databaseId) {
+    return this.unrestricted ? [] : this.definitions.filter(role => grants(role, databaseId));
+  }
+
+  canQuery(databaseId) {
+    return this.unrestricted || this.definitions.some(role => grants(role, databaseId));
+  }
+
+  checkDatabase(databaseId) {
+    if (!this.canQuery(databaseId)) {
+      throw new AccessError(`You do not have access to database ${databaseId}`);
+    }
+  }
+
+  // { hiddenTables: Set, hiddenColumns: Set of "TABLE.COLUMN" } for a
+  // database the user may query
+  rulesFor(databaseId) {
+    this.checkDatabase(databaseId);
+    if (!this.rules.has(databaseId)) {
+      const granting = this.granting(databaseId);
+      const tablesOf = granting.map(role => new Set(entriesFor(role.hiddenTables, databaseId)));
+      const columnsOf = granting.map(role => new Set(entriesFor(role.hiddenColumns, databaseId)));
+      const hiddenBy = (idx, column) => columnsOf[idx].has(column) || tablesOf[idx].has(column.slice(0, column.lastIndexOf('.')));
+
+      const hiddenTables = new Set([...(tablesOf[0] || [])].filter(table => tablesOf.every(tables => tables.has(table))));
+      const hiddenColumns = new Set([...new Set(columnsOf.flatMap(columns => [...columns]))]
+        .filter(column => granting.every((_, idx) => hiddenBy(idx, column))));
+      this.rules.set(databaseId, { hiddenTables, hiddenColumns });
+    }
+    return this.rules.get(databaseId);
+  }
+
+  // How a column classified `classification` is masked for this user:
+  // "redact", "hash", "partial", "generalise" or "none"
+  strategyFor(databaseId, classification) {
+    const fallback = this.privacy.masking?.[classification] || DEFAULT_STRATEGY;
+    const granting = this.granting(databaseId);
+    if (granting.length === 0) return fallback;
+    const chosen = granting.map(role => role.masking?.[classification] || fallback);
+    return chosen.reduce((best, strategy) => (revealRank(strategy) > revealRank(best) ? strategy : best));
+  }
+
+  // Masked columns of the database's declared tables, as "TABLE.COLUMN" ->
+  // { classification, strategy }
+  maskedColumns(dbConfig) {
+    const masked = new Map();
+    for (const table of dbConfig.tables || []) {
+      for (const column of table.columns || []) {
+        if (!column.classification) continue;
+        const strategy = this.strategyFor(dbConfig.id, column.classification);
+        if (strategy !== 'none') {
+          masked.set(`${upper(table.name)}.${upper(column.name)}`, { classification: column.classification, strategy });
+        }
+      }
+    }
+    return masked;
+  }
+
+  // Row filters for the database's tables, as table -> predicate, and the
+  // values their :user_ parameters bind
+  rowFiltersFor(databaseId) {
+    const granting = this.granting(databaseId);
+    const filters = new Map();
+    if (granting.length === 0) return { filters, values: {} };
+
+    const byRole = granting.map(role => filtersFor(role, databaseId));
+    for (const table of byRole[0].keys()) {
+      if (byRole.every(roleFilters => roleFilters.has(table))) {
+        const predicates = [...new Set(byRole.map(roleFilters => roleFilters.get(table)))];
+        filters.set(table, predicates.length === 1 ? predicates[0] : predicates.map(predicate => `(${predicate})`).join(' OR '));
+      }
+    }
+    const values = {
+      user_id: this.user?.id,
+      user_name: this.user?.username,
+      ...Object.fromEntries(Object.entries(this.user?.attributes || {}).map(([name, value]) => [`user_${name}`, value]))
+    };
+    return { filters, values };
+  }
+
+  // The tables of a schema (from the introspector or the config) without
+  // hidden tables, columns and the foreign keys that lead to them. Masked
+  // columns carry their strategy as `masked`.
+  restrictTables(databaseId, tables = []) {
+    const { hiddenTables, hiddenColumns } = this.rulesFor(databaseId);
+    const visible = (table, column) => !hiddenTables.has(upper(table)) && !hiddenColumns.has(`${upper(table)}.${upper(column)}`);
+    const describeColumn = (column) => {
+      if (!column.classification) return column;
+      const strategy = this.strategyFor(databaseId, column.classification);
+      return strategy === 'none' ? column : { ...column, masked: strategy };
+    };
+
+    return tables
+      .filter(table => !hiddenTables.has(upper(table.name)))
+      .map(table => ({
+        ...table,
+        columns: (table.columns || []).filter(column => visible(table.name, column.name)).map(describeColumn),
+        ...(table.foreignKeys && {
+          foreignKeys: table.foreignKeys.filter(fk => fk.columns.every(column => visible(table.name, column))
+            && fk.references.columns.every(column => visible(fk.references.table, column)))
+        })
+      }));
+  }
+
+  // The database's config with hidden tables and columns added to its
+  // query policy, and its masked columns as maskedColumns, for the SQL
+  // guard
+  restrictDatabase(dbConfig) {
+    const { hiddenTables, hiddenColumns } = this.rulesFor(dbConfig.id);
+    const masked = this.maskedColumns(dbConfig);
+    if (hiddenTables.size === 0 && hiddenColumns.size === 0 && masked.size === 0) return dbConfig;
+
+    const policy = dbConfig.queryPolicy || {};
+    return {
+      ...dbConfig,
+      tables: this.restrictTables(dbConfig.id, dbConfig.tables),
+      queryPolicy: {
+        ...policy,
+        deniedTables: [...(policy.deniedTables || []), ...hiddenTables],
+        deniedColumns: [...(policy.deniedColumns || []), ...hiddenColumns],
+        maskedColumns: Object.fromEntries([...masked].map(([column, { strategy }]) => [column, strategy]))
+      }
+    };
+  }
+}
+
+module.exports = {
+  AccessError,
+  Access
+};
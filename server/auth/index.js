@@ -0,0 +1,406 @@
+// server/auth/index.js - Who is calling the API, and what they may query
+//
+// Configured by metadata.auth:
+//
+//   "auth": {
+//     "mode": "local",                  // "local", "oidc" or "none"
+//     "sessionSecret": "${JWT_SECRET}", // signs session tokens (32+ characters)
+//     "sessionTtl": 28800,              // seconds a sign-in lasts
+//     "allowedOrigins": ["http://localhost:3000"],
+//     "oidc": {
+//       "issuer": "http://localhost:4020",
+//       "clientId": "conversational-analytics",
+//       "rolesClaim": "roles",
+//       "attributeClaims": ["segment"]   // user attributes for row filters
+//     },
+//     "roles": { ... }                  // see access.js
+//   }
+//
+// "local" signs users in with the passwords in the users collection (see
+// users.js, and scripts/manage-users.js to create the first one). "oidc"
+// sends them to an OpenID Connect provider (authorization code with PKCE);
+// the provider's ID token names the user and, in rolesClaim, their roles.
+// Either way the server then issues its own session token, sent back as
+// "Authorization: Bearer <token>". In oidc mode tokens signed by the
+// provider itself are accepted too, for API clients. "none" (the default
+// without an auth block) lets every request through with full access.
+//
+// allowedOrigins lists the browser origins allowed to call the API from
+// another origin (CORS); same-origin calls, such as the Vite dev proxy,
+// need no entry.
+const { randomBytes } = require('crypto');
+const { Access, AccessError } = require('./access');
+const { TokenError, KeySet, decodeToken, signToken, verifyToken, verifyProviderToken } = require('./tokens');
+const { UserError, UserStore } = require('./users');
+const { verifyPassword, hashPassword } = require('./passwords');
+
+const AUTH_MODES = ['none', 'local', 'oidc'];
+
+const DEFAULT_AUTH = {
+  mode: 'none',
+  sessionTtl: 8 * 60 * 60,
+  allowedOrigins: [],
+  roles: {}
+};
+
+const DEFAULT_OIDC = {
+  scope: 'openid profile email',
+  usernameClaim: 'preferred_username',
+  rolesClaim: 'roles',
+  attributeClaims: [],
+  defaultRoles: []
+};
+
+const MIN_SECRET_LENGTH = 32;
+const DISCOVERY_TIMEOUT_MS = 10000;
+// Failed sign-ins per username before it is locked out for a while
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_TRACKED_LOGINS = 10000;
+// Download links (see issueDownloadToken) work once, within this time
+const DOWNLOAD_TOKEN_TTL_MS = 60 * 1000;
+
+const ANONYMOUS = { id: 'anonymous', username: 'anonymous', displayName: null, roles: [], attributes: {}, source: 'none' };
+
+class AuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+// A claim by dotted path ("realm_access.roles")
+const claimAt = (claims, path) => path.split('.').reduce((value, key) => value?.[key], claims);
+
+const bearerToken = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+};
+
+class Authenticator {
+  constructor(storageDirectory, options, privacy) {
+    this.users = new UserStore(storageDirectory);
+    this.failedLogins = new Map();
+    this.downloadTokens = new Map();
+    this.configure(storageDirectory, options, privacy);
+  }
+
+  // `options` is metadata.auth; `privacy` is metadata.privacy, for masking
+  configure(storageDirectory, options = {}, privacy = {}) {
+    const settings = {
+      ...DEFAULT_AUTH,
+      ...options,
+      oidc: { ...DEFAULT_OIDC, ...options.oidc }
+    };
+    if (!AUTH_MODES.includes(settings.mode)) {
+      throw new Error(`Unknown auth mode "${settings.mode}" (use ${AUTH_MODES.join(', ')})`);
+    }
+    if (settings.mode === 'oidc' && (!settings.oidc.issuer || !settings.oidc.clientId)) {
+      throw new Error('oidc auth needs oidc.issuer and oidc.clientId');
+    }
+
+    let secret = settings.sessionSecret;
+    if (secret && secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`auth.sessionSecret must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    if (!secret && settings.mode !== 'none') {
+      // Sessions then end whenever the server restarts
+      secret = this.generatedSecret || randomBytes(32).toString('hex');
+      if (!this.generatedSecret) {
+        console.warn('⚠ auth.sessionSecret is not set; using a random one, so sign-ins end when the server restarts');
+      }
+      this.generatedSecret = secret;
+    }
+
+    if (settings.oidc.issuer !== this.settings?.oidc.issuer) {
+      this.provider = null;
+      this.keySet = null;
+    }
+    this.users.configure(storageDirectory);
+    this.settings = settings;
+    this.privacy = privacy;
+    this.secret = secret;
+  }
+
+  get mode() {
+    return this.settings.mode;
+  }
+
+  roleNames() {
+    return Object.keys(this.settings.roles);
+  }
+
+  // For the cors middleware: same-origin requests carry no Origin header
+  allowsOrigin(origin) {
+    return !origin || this.settings.allowedOrigins.includes('*') || this.settings.allowedOrigins.includes(origin);
+  }
+
+  // The provider's endpoints from its discovery document, fetched once
+  async discover() {
+    if (!this.provider) {
+      const issuer = this.settings.oidc.issuer.replace(/\/$/, '');
+      this.provider = (async () => {
+        const response = await fetch(`${issuer}/.well-known/openid-configuration`, { signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS) });
+        if (!response.ok) {
+          throw new Error(`OIDC discovery at ${issuer} answered ${response.status}`);
+        }
+        const document = await response.json();
+        this.keySet = new KeySet(document.jwks_uri);
+        return document;
+      })().catch((error) => {
+        this.provider = null;
+        throw new AuthError(`Could not reach the identity provider: ${error.message}`, 502);
+      });
+    }
+    return this.provider;
+  }
+
+  // What the login screen needs to know; public
+  async describe() {
+    if (this.mode !== 'oidc') {
+      return { mode: this.mode };
+    }
+    const { authorization_endpoint: authorizationEndpoint } = await this.discover();
+    const { clientId, scope } = this.settings.oidc;
+    return { mode: 'oidc', oidc: { authorizationEndpoint, clientId, scope } };
+  }
+
+  issueSession(identity, claims = {}) {
+    const ttl = this.settings.sessionTtl;
+    const token = signToken({
+      sub: identity.id,
+      name: identity.username,
+      src: identity.source,
+      ...claims
+    }, this.secret, ttl);
+    return {
+      token,
+      expiresAt: new Date(Date.now() + ttl * 1000).toISOString(),
+      user: this.describeUser(identity)
+    };
+  }
+
+  async login(username, password) {
+    if (this.mode !== 'local') {
+      throw new AuthError(`Password sign-in is not available in ${this.mode} mode`, 400);
+    }
+    const key = String(username || '').toLowerCase();
+    const failures = this.failedLogins.get(key);
+    if (failures && failures.count >= MAX_FAILED_LOGINS && Date.now() - failures.lastAt < LOCKOUT_MS) {
+      throw new AuthError('Too many failed sign-ins; try again later', 429);
+    }
+
+    const user = await this.users.findByUsername(username);
+    // Hash anyway, so an unknown username takes as long as a wrong password
+    this.dummyHash ??= await hashPassword(randomBytes(16).toString('hex'));
+    const matches = await verifyPassword(password, user?.passwordHash || this.dummyHash);
+    if (!user || !matches || user.disabled) {
+      this.recordFailedLogin(key, failures);
+      throw new AuthError('Wrong username or password');
+    }
+
+    this.failedLogins.delete(key);
+    await this.users.markLogin(user.id);
+    return this.issueSession({ ...user, source: 'local' }, { pwd: user.passwordChangedAt });
+  }
+
+  recordFailedLogin(key, failures) {
+    const now = Date.now();
+    if (this.failedLogins.size >= MAX_TRACKED_LOGINS) {
+      for (const [name, entry] of this.failedLogins) {
+        if (now - entry.lastAt >= LOCKOUT_MS) this.failedLogins.delete(name);
+      }
+    }
+    const count = failures && now - failures.lastAt < LOCKOUT_MS ? failures.count + 1 : 1;
+    this.failedLogins.set(key, { count, lastAt: now });
+  }
+
+  // The user named by the provider's ID token or access token claims
+  identityFromClaims(claims) {
+    const { usernameClaim, rolesClaim, attributeClaims, defaultRoles } = this.settings.oidc;
+    const claimed = claimAt(claims, rolesClaim);
+    const roles = Array.isArray(claimed) ? claimed : typeof claimed === 'string' ? claimed.split(/[\s,]+/) : [];
+    return {
+      id: `oidc:${claims.sub}`,
+      username: String(claimAt(claims, usernameClaim) || claims.email || claims.sub),
+      displayName: claims.name || null,
+      roles: [...new Set([...defaultRoles, ...roles])].filter(role => this.settings.roles[role]),
+      attributes: Object.fromEntries(attributeClaims
+        .map(name => [name, claimAt(claims, name)])
+        .filter(([, value]) => typeof value === 'string' || typeof value === 'number')
+        .map(([name, value]) => [name.split('.').pop(), String(value)])),
+      source: 'oidc'
+    };
+  }
+
+  // Finish an authorization code sign-in started by the browser: swap the
+  // code for the provider's tokens and check the ID token
+  async completeOidcLogin({ code, codeVerifier, redirectUri, nonce } = {}) {
+    if (this.mode !== 'oidc') {
+      throw new AuthError(`Single sign-on is not available in ${this.mode} mode`, 400);
+    }
+    if (typeof code !== 'string' || typeof codeVerifier !== 'string' || typeof redirectUri !== 'string') {
+      throw new AuthError('code, codeVerifier and redirectUri are required', 400);
+    }
+
+    const { token_endpoint: tokenEndpoint } = await this.discover();
+    const { issuer, clientId, clientSecret } = this.settings.oidc;
+    const response = await fetch(tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        code_verifier: codeVerifier,
+        ...(clientSecret && { client_secret: clientSecret })
+      }),
+      signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || !body.id_token) {
+      throw new AuthError(`The identity provider refused the sign-in: ${body.error_description || body.error || response.status}`);
+    }
+
+    const claims = await verifyProviderToken(body.id_token, this.keySet, { issuer: issuer.replace(/\/$/, ''), audience: clientId });
+    if (nonce !== undefined && claims.nonce !== nonce) {
+      throw new AuthError('The ID token does not match this sign-in');
+    }
+    const identity = this.identityFromClaims(claims);
+    return this.issueSession(identity, { roles: identity.roles, dn: identity.displayName, at: identity.attributes });
+  }
+
+  // The identity behind a bearer token; throws AuthError when it is not
+  // (or no longer) valid
+  async authenticate(token) {
+    try {
+      const { payload } = decodeToken(token);
+
+      // Tokens straight from the identity provider
+      if (this.mode === 'oidc' && payload.iss) {
+        const { issuer, clientId, audience } = this.settings.oidc;
+        await this.discover();
+        const claims = await verifyProviderToken(token, this.keySet, { issuer: issuer.replace(/\/$/, ''), audience: audience || clientId });
+        return this.identityFromClaims(claims);
+      }
+
+      const claims = verifyToken(token, this.secret);
+      if (claims.src !== this.mode) {
+        throw new TokenError('Session was issued for another sign-in mode');
+      }
+      if (claims.src === 'oidc') {
+        return { id: claims.sub, username: claims.name, displayName: claims.dn || null, roles: claims.roles || [], attributes: claims.at || {}, source: 'oidc' };
+      }
+
+      const user = await this.users.get(claims.sub).catch(() => null);
+      if (!user || user.disabled || user.passwordChangedAt !== claims.pwd) {
+        throw new TokenError('Session has ended');
+      }
+      return { ...this.users.describe(user), source: 'local' };
+    } catch (error) {
+      if (error instanceof TokenError) throw new AuthError(error.message);
+      throw error;
+    }
+  }
+
+  // The identity a stored owner ({ id, username, roles, attributes }) has
+  // now: local users are looked up again, so role changes and disabling
+  // apply to what they own. Provider users keep the roles and attributes
+  // they had when saving.
+  async resolveOwner(owner) {
+    if (this.mode !== 'local') return owner;
+    const user = await this.users.get(owner.id).catch(() => null);
+    if (!user || user.disabled) {
+      throw new AccessError(`User ${owner.username} no longer exists or is disabled`);
+    }
+    return { ...this.users.describe(user), source: 'local' };
+  }
+
+  accessFor(identity) {
+    if (this.mode === 'none') return new Access([], {}, { unrestricted: true, privacy: this.privacy });
+    return new Access(identity.roles || [], this.settings.roles, { user: identity, privacy: this.privacy });
+  }
+
+  describeUser(identity) {
+    const access = this.accessFor(identity);
+    return {
+      id: identity.id,
+      username: identity.username,
+      displayName: identity.displayName || null,
+      roles: identity.roles || [],
+      attributes: identity.attributes || {},
+      source: identity.source,
+      manageUsers: access.manageUsers
+    };
+  }
+
+  // A token that lets `identity` GET `path` (relative to where the
+  // middleware is mounted) once, as ?download=<token>, for downloads the
+  // browser starts with a plain link and so without the session token
+  issueDownloadToken(identity, path) {
+    const now = Date.now();
+    for (const [token, entry] of this.downloadTokens) {
+      if (entry.expiresAt <= now) this.downloadTokens.delete(token);
+    }
+    const token = randomBytes(32).toString('base64url');
+    this.downloadTokens.set(token, { identity, path, expiresAt: now + DOWNLOAD_TOKEN_TTL_MS });
+    return token;
+  }
+
+  // The identity a download token was issued to, or null when it is
+  // unknown, used, expired or for another path. Either way it is spent.
+  redeemDownloadToken(token, path) {
+    const entry = this.downloadTokens.get(token);
+    this.downloadTokens.delete(token);
+    return entry && entry.path === path && entry.expiresAt > Date.now() ? entry.identity : null;
+  }
+
+  // Sets req.user and req.access, or answers 401. `publicPaths` (relative
+  // to where the middleware is mounted) let anonymous requests through;
+  // `downloadPaths` also take a download token (see issueDownloadToken())
+  // as ?download=.
+  middleware({ publicPaths = [], downloadPaths = [] } = {}) {
+    return async (req, res, next) => {
+      const isPublic = publicPaths.includes(req.path);
+      const token = bearerToken(req);
+      const download = !token && req.method === 'GET' && typeof req.query.download === 'string' &&
+        downloadPaths.some(pattern => pattern.test(req.path))
+        ? req.query.download
+        : null;
+
+      try {
+        if (download) {
+          req.user = this.redeemDownloadToken(download, req.path);
+        } else {
+          req.user = token && this.mode !== 'none' ? await this.authenticate(token) : null;
+        }
+      } catch (error) {
+        if (!isPublic) {
+          return res.status(error.statusCode || 500).json({ error: error.message });
+        }
+        req.user = null;
+      }
+      if (this.mode === 'none') {
+        req.user = ANONYMOUS;
+      }
+      if (!req.user && !isPublic) {
+        return res.status(401).json({ error: 'Sign in to continue' });
+      }
+      req.access = req.user ? this.accessFor(req.user) : null;
+      next();
+    };
+  }
+
+  flush() {
+    return this.users.flush();
+  }
+}
+
+module.exports = {
+  AuthError,
+  AccessError,
+  UserError,
+  Authenticator
+};
@@ -0,0 +1,52 @@
+// server/auth/passwords.js - Password hashing for local users
+//
+// Passwords are stored as scrypt hashes with a random salt, in the form
+// scrypt$N$r$p$<salt>$<hash> (salt and hash base64), so the cost can be
+// raised later without invalidating existing hashes.
+const { randomBytes, scrypt, timingSafeEqual } = require('crypto');
+
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 1024;
+
+const derive = (password, salt, { N, r, p }) => new Promise((resolve, reject) => {
+  scrypt(password, salt, KEY_LENGTH, { N, r, p, maxmem: 256 * N * r }, (error, key) => {
+    if (error) reject(error);
+    else resolve(key);
+  });
+});
+
+// Why `password` is not acceptable, or null
+const checkPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return `Passwords must be at most ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+const hashPassword = async (password) => {
+  const salt = randomBytes(16);
+  const key = await derive(password, salt, COST);
+  return ['scrypt', COST.N, COST.r, COST.p, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+// False for a wrong password and for a hash this module did not write
+const verifyPassword = async (password, stored) => {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !hash || typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const key = await derive(password, Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+  return key.length === expected.length && timingSafeEqual(key, expected);
+};
+
+module.exports = {
+  checkPassword,
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,151 @@
+// server/auth/tokens.js - Signed JSON Web Tokens
+//
+// The server issues its own session tokens (HS256, signed with
+// metadata.auth.sessionSecret) after a local or OIDC login, and in oidc mode
+// also accepts tokens signed by the identity provider (RS256/ES256 and
+// friends), verified against the provider's published keys (JWKS).
+const { createHmac, createPublicKey, timingSafeEqual, verify } = require('crypto');
+
+const CLOCK_SKEW_SECONDS = 60;
+const JWKS_TIMEOUT_MS = 10000;
+// Unknown key IDs refetch the key set at most this often
+const JWKS_REFRESH_MS = 60 * 1000;
+
+// Provider algorithms: node digest and, for ECDSA, the raw r||s signature
+const ASYMMETRIC_ALGORITHMS = {
+  RS256: { digest: 'sha256' },
+  RS384: { digest: 'sha384' },
+  RS512: { digest: 'sha512' },
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { digest: 'sha384', dsaEncoding: 'ieee-p1363' }
+};
+
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+    this.statusCode = 401;
+  }
+}
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// { header, payload, signed, signature } without checking the signature
+const decodeToken = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new TokenError('Malformed token');
+  }
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf-8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8')),
+      signed: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch {
+    throw new TokenError('Malformed token');
+  }
+};
+
+// exp, nbf, and iss/aud when `expected` names them
+const checkClaims = (payload, { issuer, audience } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new TokenError('Token has expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new TokenError('Token is not valid yet');
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new TokenError('Token was issued by someone else');
+  }
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      throw new TokenError('Token is meant for another audience');
+    }
+  }
+  return payload;
+};
+
+const signToken = (claims, secret, ttlSeconds) => {
+  const now = Math.floor(Date.now() / 1000);
+  const signed = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ ...claims, iat: now, exp: now + ttlSeconds })}`;
+  return `${signed}.${createHmac('sha256', secret).update(signed).digest('base64url')}`;
+};
+
+const verifyToken = (token, secret, expected) => {
+  const { header, payload, signed, signature } = decodeToken(token);
+  if (header.alg !== 'HS256') {
+    throw new TokenError(`Unexpected token algorithm ${header.alg}`);
+  }
+  const digest = createHmac('sha256', secret).update(signed).digest();
+  if (digest.length !== signature.length || !timingSafeEqual(digest, signature)) {
+    throw new TokenError('Invalid token signature');
+  }
+  return checkClaims(payload, expected);
+};
+
+// The keys published at `jwksUri`, fetched on first use and again when a
+// token names a key the cached set does not have (the provider rotated)
+class KeySet {
+  constructor(jwksUri) {
+    this.jwksUri = jwksUri;
+    this.keys = new Map();
+    this.fetchedAt = 0;
+    this.fetching = null;
+  }
+
+  async refresh() {
+    if (!this.fetching) {
+      this.fetching = (async () => {
+        const response = await fetch(this.jwksUri, { signal: AbortSignal.timeout(JWKS_TIMEOUT_MS) });
+        if (!response.ok) {
+          throw new Error(`Key set ${this.jwksUri} answered ${response.status}`);
+        }
+        const { keys = [] } = await response.json();
+        this.keys = new Map(keys.filter(jwk => jwk.use !== 'enc').map(jwk => [jwk.kid || '', createPublicKey({ key: jwk, format: 'jwk' })]));
+        this.fetchedAt = Date.now();
+      })().finally(() => {
+        this.fetching = null;
+      });
+    }
+    return this.fetching;
+  }
+
+  async get(kid = '') {
+    if (!this.keys.has(kid) && Date.now() - this.fetchedAt > JWKS_REFRESH_MS) {
+      await this.refresh();
+    }
+    // A key set with a single unnamed key signs tokens without a kid
+    const key = this.keys.get(kid) || (this.keys.size === 1 && !kid ? [...this.keys.values()][0] : null);
+    if (!key) {
+      throw new TokenError(`Unknown signing key "${kid}"`);
+    }
+    return key;
+  }
+}
+
+const verifyProviderToken = async (token, keySet, expected) => {
+  const { header, payload, signed, signature } = decodeToken(token);
+  const algorithm = ASYMMETRIC_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new TokenError(`Unexpected token algorithm ${header.alg}`);
+  }
+  const key = await keySet.get(header.kid);
+  const valid = verify(algorithm.digest, Buffer.from(signed), { key, dsaEncoding: algorithm.dsaEncoding }, signature);
+  if (!valid) {
+    throw new TokenError('Invalid token signature');
+  }
+  return checkClaims(payload, expected);
+};
+
+module.exports = {
+  TokenError,
+  KeySet,
+  decodeToken,
+  signToken,
+  verifyToken,
+  verifyProviderToken
+};
@@ -0,0 +1,179 @@
+// server/auth/users.js - Local user accounts
+//
+// Users of the "local" auth mode live in the "users" collection (see
+// server/store.js): { id, username, displayName, roles, disabled,
+// passwordHash, passwordChangedAt }. Usernames are unique ignoring case.
+// Roles name entries of metadata.auth.roles; a role that is later removed
+// from the config simply grants nothing. Changing the password ends every
+// session issued before the change.
+const { randomUUID } = require('crypto');
+const path = require('path');
+const { JsonStore } = require('../store');
+const { checkPassword, hashPassword } = require('./passwords');
+
+const USERNAME = /^[A-Za-z0-9][A-Za-z0-9._@-]{0,63}$/;
+const MAX_DISPLAY_NAME_LENGTH = 200;
+const MAX_ROLES = 20;
+const ATTRIBUTE_NAME = /^[a-z][a-z0-9_]{0,31}$/;
+const MAX_ATTRIBUTES = 20;
+const MAX_ATTRIBUTE_LENGTH = 200;
+
+class UserError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'UserError';
+    this.statusCode = statusCode;
+  }
+}
+
+const checkRoles = (roles, roleNames) => {
+  if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string') || roles.length > MAX_ROLES) {
+    throw new UserError(`roles must be an array of at most ${MAX_ROLES} role names`);
+  }
+  const unknown = roles.filter(role => !roleNames.includes(role));
+  if (unknown.length > 0) {
+    throw new UserError(`Unknown role${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} (configured: ${roleNames.join(', ') || 'none'})`);
+  }
+  return [...new Set(roles)];
+};
+
+const checkDisplayName = (displayName) => {
+  if (displayName === undefined || displayName === null || displayName === '') return null;
+  if (typeof displayName !== 'string' || displayName.trim().length > MAX_DISPLAY_NAME_LENGTH) {
+    throw new UserError(`displayName must be a string of at most ${MAX_DISPLAY_NAME_LENGTH} characters`);
+  }
+  return displayName.trim() || null;
+};
+
+const checkAttributes = (attributes) => {
+  if (attributes === undefined || attributes === null) return {};
+  const entries = typeof attributes === 'object' && !Array.isArray(attributes) ? Object.entries(attributes) : null;
+  if (!entries || entries.length > MAX_ATTRIBUTES) {
+    throw new UserError(`attributes must be an object of at most ${MAX_ATTRIBUTES} values`);
+  }
+  for (const [name, value] of entries) {
+    if (!ATTRIBUTE_NAME.test(name)) {
+      throw new UserError(`Attribute name ${name} must be lower-case letters, digits or _, starting with a letter`);
+    }
+    if (typeof value !== 'string' || value.length > MAX_ATTRIBUTE_LENGTH) {
+      throw new UserError(`Attribute ${name} must be text of at most ${MAX_ATTRIBUTE_LENGTH} characters`);
+    }
+  }
+  return Object.fromEntries(entries);
+};
+
+class UserStore {
+  constructor(storageDirectory) {
+    this.configure(storageDirectory);
+  }
+
+  configure(storageDirectory) {
+    const directory = path.join(storageDirectory, 'users');
+    if (this.store?.directory !== directory) {
+      this.store = new JsonStore(directory);
+    }
+  }
+
+  // Without password hashes, by username
+  async list() {
+    const users = await this.store.list();
+    return users
+      .sort((a, b) => a.username.localeCompare(b.username))
+      .map(user => this.describe(user));
+  }
+
+  async get(id) {
+    const user = await this.store.get(id);
+    if (!user) {
+      throw new UserError(`No user with ID ${id}`, 404);
+    }
+    return user;
+  }
+
+  // Null when there is no such user
+  async findByUsername(username) {
+    if (typeof username !== 'string') return null;
+    const wanted = username.toLowerCase();
+    const users = await this.store.list();
+    return users.find(user => user.username.toLowerCase() === wanted) || null;
+  }
+
+  // `input` is { username, password, displayName, roles, attributes };
+  // `roleNames` are the roles the config defines
+  async create(input = {}, roleNames = []) {
+    if (typeof input.username !== 'string' || !USERNAME.test(input.username)) {
+      throw new UserError('username must be 1 to 64 letters, digits or . _ @ -, starting with a letter or digit');
+    }
+    if (await this.findByUsername(input.username)) {
+      throw new UserError(`User ${input.username} already exists`, 409);
+    }
+    const problem = checkPassword(input.password);
+    if (problem) throw new UserError(problem);
+
+    const now = new Date().toISOString();
+    const user = await this.store.put({
+      id: randomUUID(),
+      username: input.username,
+      displayName: checkDisplayName(input.displayName),
+      roles: checkRoles(input.roles ?? [], roleNames),
+      attributes: checkAttributes(input.attributes),
+      disabled: false,
+      passwordHash: await hashPassword(input.password),
+      passwordChangedAt: now,
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: null
+    });
+    return this.describe(user);
+  }
+
+  // `changes` may set password, displayName, roles, attributes (replacing
+  // them all) and disabled
+  async update(id, changes = {}, roleNames = []) {
+    await this.get(id);
+    const checked = {};
+    if (changes.displayName !== undefined) checked.displayName = checkDisplayName(changes.displayName);
+    if (changes.roles !== undefined) checked.roles = checkRoles(changes.roles, roleNames);
+    if (changes.attributes !== undefined) checked.attributes = checkAttributes(changes.attributes);
+    if (changes.disabled !== undefined) {
+      if (typeof changes.disabled !== 'boolean') throw new UserError('disabled must be true or false');
+      checked.disabled = changes.disabled;
+    }
+    if (changes.password !== undefined) {
+      const problem = checkPassword(changes.password);
+      if (problem) throw new UserError(problem);
+      checked.passwordHash = await hashPassword(changes.password);
+      checked.passwordChangedAt = new Date().toISOString();
+    }
+
+    const updated = await this.store.update(id, current => ({ ...current, ...checked, updatedAt: new Date().toISOString() }));
+    if (!updated) {
+      throw new UserError(`No user with ID ${id}`, 404);
+    }
+    return this.describe(updated);
+  }
+
+  async delete(id) {
+    if (!(await this.store.delete(id))) {
+      throw new UserError(`No user with ID ${id}`, 404);
+    }
+  }
+
+  async markLogin(id) {
+    return this.store.update(id, user => ({ ...user, lastLoginAt: new Date().toISOString() }));
+  }
+
+  describe(user) {
+    const { passwordHash, ...rest } = user;
+    return { ...rest, attributes: rest.attributes || {} };
+  }
+
+  flush() {
+    return this.store.flush();
+  }
+}
+
+module.exports = {
+  UserError,
+  UserStore
+};
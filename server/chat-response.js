@@ -0,0 +1,109 @@
+// server/chat-response.js - Parsing of the assistant's chat responses
+//
+// The model is asked to answer with { message, query, visualization } JSON,
+// which structured-output.js extracts and validates once the reply is
+// complete. The helpers here cover the reply while it streams and the case
+// where no valid JSON can be recovered.
+
+// A reply with no usable JSON is shown as a plain message without a query
+const plainChatResponse = (content) => ({
+  message: content.trim() || 'I could not produce an answer. Please try rephrasing the question.',
+  query: null,
+  visualization: null
+});
+
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// Decode the string value of `field` from JSON that may still be arriving.
+// Returns null until the value has started, and stops before an escape
+// sequence that is not complete yet.
+const readPartialStringField = (text, field) => {
+  const start = new RegExp(`"${field}"\\s*:\\s*"`).exec(text);
+  if (!start) return null;
+
+  let value = '';
+  let i = start.index + start[0].length;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '"') break;
+
+    if (ch === '\\') {
+      const next = text[i + 1];
+      if (next === undefined) break;
+      if (next === 'u') {
+        const hex = text.slice(i + 2, i + 6);
+        if (hex.length < 4) break;
+        value += String.fromCharCode(parseInt(hex, 16));
+        i += 6;
+        continue;
+      }
+      value += JSON_ESCAPES[next] ?? next;
+      i += 2;
+      continue;
+    }
+
+    value += ch;
+    i++;
+  }
+
+  return value;
+};
+
+// Turns streamed completion deltas into deltas of the user-facing message:
+// the "message" field when the model answers in JSON, or the raw text when
+// it answers in prose
+const createMessageExtractor = () => {
+  let buffer = '';
+  let mode = null;
+  let emitted = 0;
+
+  return (delta) => {
+    buffer += delta;
+
+    if (mode === null) {
+      const trimmed = buffer.trimStart();
+      if (!trimmed) return '';
+      // Wait for enough characters to tell JSON (or a ```json fence) from prose
+      if (trimmed.length < 3 && '```'.startsWith(trimmed)) return '';
+      mode = trimmed.startsWith('{') || trimmed.startsWith('```') ? 'json' : 'text';
+    }
+
+    // Prose that leads into JSON is cut at the JSON; the parsed message
+    // replaces the streamed text once the reply is complete
+    const message = mode === 'json'
+      ? readPartialStringField(buffer, 'message')
+      : buffer.split(/```|\{/)[0].replace(/`{1,2}$/, '');
+    if (message === null || message.length <= emitted) return '';
+
+    const next = message.slice(emitted);
+    emitted = message.length;
+    return next;
+  };
+};
+
+// Roles a client may send; system prompts are only ever written here
+const CHAT_ROLES = ['user', 'assistant'];
+
+// Why a chat request's `messages` cannot be sent to the model, or null when
+// they can: a non-empty array of { role, content } with a user or
+// assistant role and string content
+const chatMessagesProblem = (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return 'messages must be a non-empty array';
+  }
+  const invalid = messages.findIndex(message => (
+    !message || typeof message !== 'object' || typeof message.role !== 'string' || typeof message.content !== 'string'
+  ));
+  if (invalid !== -1) {
+    return `messages[${invalid}] must be an object with string role and content`;
+  }
+  const wrongRole = messages.findIndex(message => !CHAT_ROLES.includes(message.role));
+  return wrongRole === -1 ? null : `messages[${wrongRole}].role must be one of ${CHAT_ROLES.join(', ')}`;
+};
+
+module.exports = {
+  chatMessagesProblem,
+  plainChatResponse,
+  createMessageExtractor
+};
@@ -0,0 +1,212 @@
+// server/config-loader.js - Placeholder expansion and secret resolution
+//
+// String values in database-metadata.json may reference secrets instead of
+// holding them:
+//
+//   "${ORACLE_PASSWORD}"                  environment variable
+//   "${ORACLE_PORT:-1521}"                environment variable with a default
+//   "${file:oracle_password}"             file in SECRETS_DIR (default /run/secrets)
+//   "${vault:database/oracle#password}"   entry in the local vault file
+//   "$${NOT_A_PLACEHOLDER}"               literal "${NOT_A_PLACEHOLDER}"
+//
+// Every unresolved reference is collected and reported at once, so a
+// misconfigured deployment fails at startup with the full list. Resolved
+// values that land in credential fields, or that come from a secret file or
+// the vault, are remembered so they can be scrubbed from anything the API
+// sends back.
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const PLACEHOLDER = /\$(\$)?\{([^}]*)\}/g;
+const SENSITIVE_KEY = /(password|passphrase|secret|token|api_?key|private_?key|credentials)/i;
+const REDACTED = '[REDACTED]';
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Secret sources by prefix; each resolver returns undefined when the
+// reference does not exist
+const secretSources = new Map();
+
+const registerSecretSource = (name, resolve) => {
+  secretSources.set(name, resolve);
+};
+
+registerSecretSource('env', (name) => process.env[name]);
+
+// One file per secret, as mounted by Docker and Kubernetes secrets
+registerSecretSource('file', (name) => {
+  if (!/^[A-Za-z0-9_.-]+$/.test(name) || name.startsWith('.')) {
+    throw new Error(`Invalid secret file name "${name}"`);
+  }
+
+  const dir = process.env.SECRETS_DIR || '/run/secrets';
+  try {
+    return fs.readFileSync(path.join(dir, name), 'utf-8').replace(/\r?\n$/, '');
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw error;
+  }
+});
+
+// Local stand-in for a secrets vault: a JSON file of nested objects,
+// addressed as "path/to/entry#key"
+registerSecretSource('vault', (reference) => {
+  const file = process.env.LOCAL_VAULT_FILE || path.join(PROJECT_ROOT, 'config', 'vault.local.json');
+  const [entryPath, key] = reference.split('#');
+
+  let vault;
+  try {
+    vault = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw new Error(`Cannot read vault file ${file}: ${error.message}`);
+  }
+
+  let entry = vault;
+  for (const segment of entryPath.split('/').filter(Boolean)) {
+    entry = entry?.[segment];
+  }
+  const value = key ? entry?.[key] : entry;
+  return value === undefined || value === null ? undefined : String(value);
+});
+
+// Secret values of the config resolved last, for redactSecrets
+let knownSecrets = new Set();
+
+const parseReference = (expression) => {
+  const defaultIndex = expression.indexOf(':-');
+  const reference = defaultIndex === -1 ? expression : expression.slice(0, defaultIndex);
+  const fallback = defaultIndex === -1 ? undefined : expression.slice(defaultIndex + 2);
+
+  const prefixMatch = /^([a-z]+):(.+)$/.exec(reference);
+  if (prefixMatch && secretSources.has(prefixMatch[1])) {
+    return { source: prefixMatch[1], name: prefixMatch[2], fallback };
+  }
+  return { source: 'env', name: reference, fallback };
+};
+
+const describeReference = ({ source, name }) => {
+  if (source === 'env') return `environment variable ${name}`;
+  if (source === 'file') return `secret file ${name}`;
+  return `${source} secret ${name}`;
+};
+
+// Returns the expanded string and whether any part of it came from a
+// secret source other than the environment
+const expandString = (value, location, problems) => {
+  let fromSecretSource = false;
+
+  const expanded = value.replace(PLACEHOLDER, (match, escaped, expression) => {
+    if (escaped) {
+      return match.slice(1);
+    }
+
+    const reference = parseReference(expression.trim());
+    if (!reference.name) {
+      problems.push(`Empty placeholder at ${location}`);
+      return match;
+    }
+
+    let resolved;
+    try {
+      resolved = secretSources.get(reference.source)(reference.name);
+    } catch (error) {
+      problems.push(`${error.message} (${location})`);
+      return match;
+    }
+
+    if (resolved === undefined || resolved === '') {
+      if (reference.fallback !== undefined) {
+        return reference.fallback;
+      }
+      problems.push(`Missing ${describeReference(reference)} (${location})`);
+      return match;
+    }
+
+    if (reference.source !== 'env') {
+      fromSecretSource = true;
+    }
+    return resolved;
+  });
+
+  return { expanded, fromSecretSource };
+};
+
+const expandValue = (value, location, problems, sensitive, secrets) => {
+  if (typeof value === 'string') {
+    const { expanded, fromSecretSource } = expandString(value, location, problems);
+    // Very short values would redact unrelated text, so they are not tracked
+    if (expanded !== value && (sensitive || fromSecretSource) && expanded.length >= 4) {
+      secrets.add(expanded);
+    }
+    return expanded;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, idx) => expandValue(item, `${location}[${idx}]`, problems, sensitive, secrets));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      expandValue(item, location ? `${location}.${key}` : key, problems, sensitive || SENSITIVE_KEY.test(key), secrets)
+    ]));
+  }
+  return value;
+};
+
+// Expand every placeholder in a parsed config object. Throws a ConfigError
+// listing all missing references. The secrets found replace those of the
+// previous config, so rotated credentials stop being tracked.
+const resolveConfig = (config) => {
+  const problems = [];
+  const secrets = new Set();
+  const resolved = expandValue(config, '', problems, false, secrets);
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  knownSecrets = secrets;
+  return resolved;
+};
+
+// Replace every known secret value in strings nested anywhere in `value`
+const redactSecrets = (value) => {
+  if (knownSecrets.size === 0) return value;
+
+  if (typeof value === 'string') {
+    let redacted = value;
+    for (const secret of knownSecrets) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+    return redacted;
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactSecrets(item)]));
+  }
+  return value;
+};
+
+// Express middleware: scrub credentials from every JSON response
+const redactResponses = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(redactSecrets(body));
+  next();
+};
+
+module.exports = {
+  ConfigError,
+  registerSecretSource,
+  resolveConfig,
+  redactSecrets,
+  redactResponses
+};
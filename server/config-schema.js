@@ -0,0 +1,89 @@
+// server/config-schema.js - Validation for database-metadata.json
+//
+// The file's "version" selects the schema by major version, so a v2 layout
+// can be introduced next to v1 without breaking existing deployments.
+// Validation runs on the raw file, before ${...} placeholders are expanded.
+
+const Ajv = require('ajv');
+const { ConfigError } = require('./config-loader');
+
+const SCHEMAS = {
+  1: require('../config/database-metadata.schema.json')
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validators = Object.fromEntries(
+  Object.entries(SCHEMAS).map(([major, schema]) => [major, ajv.compile(schema)])
+);
+
+const formatAjvError = (error) => {
+  const location = error.instancePath || '/';
+  switch (error.keyword) {
+    case 'required':
+      return `${location}: missing required property "${error.params.missingProperty}"`;
+    case 'additionalProperties':
+      return `${location}: unknown property "${error.params.additionalProperty}"`;
+    case 'enum':
+      return `${location}: must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+    default:
+      return `${location}: ${error.message}`;
+  }
+};
+
+// JSON Schema cannot express "unique by property", so ids and table names
+// are checked here
+const checkUniqueness = (metadata) => {
+  const problems = [];
+  const ids = new Map();
+
+  (metadata.databases || []).forEach((db, dbIdx) => {
+    if (ids.has(db.id)) {
+      problems.push(`/databases/${dbIdx}/id: duplicate database id "${db.id}" (also used by /databases/${ids.get(db.id)})`);
+    } else {
+      ids.set(db.id, dbIdx);
+    }
+
+    const tables = new Map();
+    (db.tables || []).forEach((table, tableIdx) => {
+      const name = String(table.name).toUpperCase();
+      if (tables.has(name)) {
+        problems.push(`/databases/${dbIdx}/tables/${tableIdx}/name: duplicate table "${table.name}"`);
+      } else {
+        tables.set(name, tableIdx);
+      }
+    });
+  });
+
+  return problems;
+};
+
+// Throws a ConfigError listing every problem with its JSON pointer
+const validateMetadata = (metadata) => {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new ConfigError(['/: database metadata must be a JSON object']);
+  }
+
+  const major = /^(\d+)\./.exec(metadata.version || '')?.[1];
+  const validate = validators[major];
+  if (!validate) {
+    throw new ConfigError([
+      `/version: unsupported metadata version "${metadata.version}" (supported: ${Object.keys(SCHEMAS).map(v => `${v}.x.x`).join(', ')})`
+    ]);
+  }
+
+  const problems = validate(metadata)
+    // if/then failures repeat the "required" errors reported underneath them
+    ? []
+    : [...new Set(validate.errors.filter(error => error.keyword !== 'if').map(formatAjvError))];
+
+  problems.push(...checkUniqueness(metadata));
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return metadata;
+};
+
+module.exports = {
+  validateMetadata
+};
@@ -0,0 +1,120 @@
+// server/connectors/columns.js - Result column metadata and value serialising
+//
+// Connectors describe result columns from their driver's metadata
+// (oracledb metaData, pg fields, mysql2 fields, Snowflake getColumns(),
+// better-sqlite3 columns()) as:
+//
+//   { name, dbType, type, nullable, precision, scale }
+//
+// dbType is the database's own type name; type is one of number, string,
+// date, timestamp, boolean or binary. nullable, precision and scale are
+// null when the driver does not report them.
+//
+// serializeRows() then makes the values agree with the types: dates become
+// ISO strings (YYYY-MM-DD for date, full ISO-8601 for timestamp), numbers
+// that drivers return as strings (pg numeric and int8, mysql DECIMAL)
+// become numbers when that loses no digits, and binary values become
+// base64.
+
+const LOGICAL_TYPES = [
+  ['boolean', /^(BOOL|BOOLEAN)$/],
+  ['timestamp', /^(TIMESTAMP|DATETIME|SMALLDATETIME|DATETIME2)/],
+  ['date', /^DATE$/],
+  ['number', /^(TINYINT|SMALLINT|MEDIUMINT|INT|INTEGER|BIGINT|INT2|INT4|INT8|NUMBER|NUMERIC|DECIMAL|DEC|FLOAT|FLOAT4|FLOAT8|DOUBLE|REAL|BINARY_FLOAT|BINARY_DOUBLE|FIXED|MONEY|YEAR|SERIAL|BIGSERIAL)\b/],
+  ['binary', /^(BLOB|TINYBLOB|MEDIUMBLOB|LONGBLOB|RAW|LONG RAW|BYTEA|BINARY|VARBINARY)\b/]
+];
+
+// Logical type for a database type name; anything unrecognised is a string
+const logicalType = (dbType) => {
+  const name = String(dbType || '').toUpperCase().trim();
+  const match = LOGICAL_TYPES.find(([, pattern]) => pattern.test(name));
+  return match ? match[0] : 'string';
+};
+
+const orNull = (value) => (value === undefined || value === null || Number.isNaN(value) ? null : value);
+
+// `type` overrides the mapping from dbType (Oracle DATE carries a time);
+// null leaves it for serializeRows() to infer from the values
+const describeColumn = ({ name, dbType, type, nullable, precision, scale }) => ({
+  name,
+  dbType: dbType || null,
+  type: type === undefined ? logicalType(dbType) : type,
+  nullable: orNull(nullable),
+  precision: orNull(precision),
+  scale: orNull(scale)
+});
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/;
+
+// For columns the driver cannot type (SQLite expressions), the first
+// non-null value decides
+const inferType = (rows, name) => {
+  const value = rows.find(row => row[name] !== null && row[name] !== undefined)?.[name];
+  if (typeof value === 'number' || typeof value === 'bigint') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (value instanceof Date) return 'timestamp';
+  if (Buffer.isBuffer(value)) return 'binary';
+  if (typeof value === 'string' && ISO_DATE.test(value)) return 'date';
+  if (typeof value === 'string' && ISO_TIMESTAMP.test(value)) return 'timestamp';
+  return 'string';
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Drivers build DATE values at local midnight; toISOString() would shift
+// them a day in timezones east of UTC
+const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Doubles hold about 15 significant digits; longer decimals stay strings
+const MAX_SAFE_DIGITS = 15;
+
+const toNumber = (value) => {
+  const mantissa = value.trim().replace(/[eE].*$/, '');
+  const digits = (mantissa.includes('.') ? mantissa.replace(/0+$/, '') : mantissa)
+    .replace(/[-+.]/g, '')
+    .replace(/^0+/, '');
+  const number = Number(value);
+  return value.trim() !== '' && Number.isFinite(number) && digits.length <= MAX_SAFE_DIGITS ? number : value;
+};
+
+const serializeValue = (value, type) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return type === 'date' ? formatDate(value) : value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  if (typeof value === 'bigint') {
+    return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+  }
+  if (type === 'number' && typeof value === 'string') return toNumber(value);
+  if (type === 'boolean' && typeof value === 'number') return value !== 0;
+  if ((type === 'date' || type === 'timestamp') && typeof value === 'string') {
+    // SQLite and MySQL strings use a space between date and time
+    return value.replace(/^(\d{4}-\d{2}-\d{2}) (\d{2}:)/, '$1T$2');
+  }
+  return value;
+};
+
+// Fill in types the driver left open, then serialise every row
+const serializeRows = (rows, columns = []) => {
+  const typed = columns.map(column => (
+    column.type ? column : { ...column, type: inferType(rows, column.name) }
+  ));
+  const types = new Map(typed.map(column => [column.name, column.type]));
+  const serialized = rows.map((row) => {
+    const out = {};
+    for (const [key, value] of Object.entries(row)) {
+      out[key] = serializeValue(value, types.get(key));
+    }
+    return out;
+  });
+  return { rows: serialized, columns: typed };
+};
+
+module.exports = {
+  logicalType,
+  describeColumn,
+  serializeRows
+};
@@ -0,0 +1,61 @@
+// server/connectors/index.js - Database connector registry
+//
+// Each database type registers a connector whose createPool(config, options)
+// resolves to a pool object with these operations:
+//
+//   test()              -> resolves true when the database answers
+//   query(sql, binds, { maxRows, timeout, fetchArraySize, signal })
+//                       -> resolves to { rows, truncated, columns, totalRows? };
+//                          at most maxRows rows, truncated when there were
+//                          more. Aborting `signal` cancels the statement.
+//                          totalRows is only set when the driver knows it;
+//                          columns are described with describeColumn()
+//                          from ./columns.
+//   stream(sql, binds, { timeout, fetchArraySize, signal })
+//                       -> async iterable of { columns?, rows } chunks with
+//                          every row and no cap, for exports. The first
+//                          chunk carries the columns (its rows may be
+//                          empty); fetchArraySize sets the chunk size.
+//                          Ending the iteration early closes the cursor.
+//   introspect()        -> resolves to { tables: [{ name, columns }] }
+//   stats()             -> { open, busy, waiting, max }
+//   close(drainSeconds) -> drains and closes every connection
+//
+// Connectors may also export isQueryError(error), true when a query failed
+// because of the SQL itself (unknown column, syntax, type mismatch) rather
+// than the connection, so a rewritten query could succeed.
+//
+// DatabaseMetadata looks connectors up by dbConfig.type and keeps one pool
+// per configured database, so adding an engine only means registering
+// another connector here.
+
+const connectors = new Map();
+
+const registerConnector = (connector) => {
+  if (typeof connector.createPool !== 'function') {
+    throw new Error(`Connector "${connector.type}" is missing createPool()`);
+  }
+  connectors.set(connector.type, connector);
+};
+
+const getConnector = (type) => {
+  const connector = connectors.get(type);
+  if (!connector) {
+    throw new Error(`Unsupported database type: ${type}`);
+  }
+  return connector;
+};
+
+const listConnectorTypes = () => [...connectors.keys()];
+
+registerConnector(require('./oracle'));
+registerConnector(require('./postgres'));
+registerConnector(require('./mysql'));
+registerConnector(require('./snowflake'));
+registerConnector(require('./sqlite'));
+
+module.exports = {
+  registerConnector,
+  getConnector,
+  listConnectorTypes
+};
@@ -0,0 +1,184 @@
+// server/connectors/mysql.js - MySQL connector (mysql2)
+const { buildTables, requireDriver, isSqlStateQueryError, onAbort, backstopTimeout, capRows, batches } = require('./shared');
+const { describeColumn } = require('./columns');
+
+// Protocol column type codes (mysql2 Types)
+const TYPE_NAMES = {
+  0: 'DECIMAL', 1: 'TINYINT', 2: 'SMALLINT', 3: 'INT', 4: 'FLOAT', 5: 'DOUBLE',
+  6: 'NULL', 7: 'TIMESTAMP', 8: 'BIGINT', 9: 'MEDIUMINT', 10: 'DATE', 11: 'TIME',
+  12: 'DATETIME', 13: 'YEAR', 14: 'DATE', 15: 'VARCHAR', 16: 'BIT', 245: 'JSON',
+  246: 'DECIMAL', 247: 'ENUM', 248: 'SET', 249: 'TINYBLOB', 250: 'MEDIUMBLOB',
+  251: 'LONGBLOB', 252: 'BLOB', 253: 'VARCHAR', 254: 'CHAR', 255: 'GEOMETRY'
+};
+
+const NOT_NULL_FLAG = 1;
+const BINARY_CHARSET = 63;
+
+// TEXT columns arrive as BLOB types with a text character set
+const describeColumns = (fields = []) => fields.map((field) => {
+  const code = field.columnType ?? field.type;
+  let dbType = TYPE_NAMES[code] || 'VARCHAR';
+  if (/BLOB$/.test(dbType) && field.characterSet !== BINARY_CHARSET) {
+    dbType = dbType.replace('BLOB', 'TEXT');
+  }
+  const decimal = dbType === 'DECIMAL';
+  return describeColumn({
+    name: field.name,
+    dbType,
+    nullable: (field.flags & NOT_NULL_FLAG) === 0,
+    // DECIMAL lengths count the sign and point
+    precision: decimal ? field.columnLength - (field.decimals > 0 ? 2 : 1) : field.columnLength,
+    scale: decimal ? field.decimals : null
+  });
+});
+
+const createPool = async (config, options) => {
+  const mysql = requireDriver('mysql2/promise', 'mysql');
+  const pool = mysql.createPool({
+    host: config.host,
+    port: config.port,
+    database: config.database,
+    user: config.username,
+    password: config.password,
+    ssl: config.ssl ? { rejectUnauthorized: false } : undefined,
+    connectionLimit: options.max,
+    maxIdle: Math.max(options.min, 1),
+    idleTimeout: options.idleTimeout * 1000,
+    connectTimeout: options.acquireTimeout * 1000,
+    waitForConnections: true,
+    queueLimit: 0
+  });
+
+  return {
+    test: async () => {
+      await pool.query('SELECT 1');
+      return true;
+    },
+
+    // sql_select_limit caps the result on the server; KILL QUERY from
+    // another connection cancels it
+    query: async (sql, binds = [], { maxRows, timeout, signal } = {}) => {
+      const connection = await pool.getConnection();
+      const detach = onAbort(signal, () => pool.query(`KILL QUERY ${connection.threadId}`));
+      let reusable = true;
+      try {
+        await connection.query(
+          `SET SESSION max_execution_time = ${backstopTimeout(timeout)}, SESSION sql_select_limit = ${maxRows ? maxRows + 1 : 'DEFAULT'}`
+        );
+        const [rows, fields] = await connection.query(sql, binds);
+        return { ...capRows(rows, maxRows), columns: describeColumns(fields) };
+      } finally {
+        await detach();
+        await connection.query('SET SESSION max_execution_time = DEFAULT, SESSION sql_select_limit = DEFAULT')
+          .catch(() => { reusable = false; });
+        if (reusable) connection.release();
+        else connection.destroy();
+      }
+    },
+
+    // Rows stream from the underlying (callback) connection; its fields
+    // event comes before the first row
+    async *stream(sql, binds = [], { timeout, fetchArraySize = 100, signal } = {}) {
+      const connection = await pool.getConnection();
+      const detach = onAbort(signal, () => pool.query(`KILL QUERY ${connection.threadId}`));
+      let reusable = true;
+      let rows = null;
+      try {
+        await connection.query(`SET SESSION max_execution_time = ${backstopTimeout(timeout)}`);
+        const query = connection.connection.query(sql, binds);
+        let fields = [];
+        query.on('fields', (received) => { fields = received; });
+        rows = query.stream({ highWaterMark: fetchArraySize });
+
+        let first = true;
+        for await (const batch of batches(rows, fetchArraySize)) {
+          yield first ? { columns: describeColumns(fields), rows: batch } : { rows: batch };
+          first = false;
+        }
+        if (first) {
+          yield { columns: describeColumns(fields), rows: [] };
+        }
+      } finally {
+        // A half-read result leaves the connection mid-protocol
+        if (rows && !rows.readableEnded) reusable = false;
+        rows?.destroy();
+        await detach();
+        if (reusable) {
+          await connection.query('SET SESSION max_execution_time = DEFAULT').catch(() => { reusable = false; });
+        }
+        if (reusable) connection.release();
+        else connection.destroy();
+      }
+    },
+
+    introspect: async () => {
+      const schema = config.schema || config.database;
+
+      const [columns] = await pool.query(
+        `SELECT TABLE_NAME, COLUMN_NAME, COLUMN_TYPE, IS_NULLABLE, COLUMN_COMMENT
+           FROM information_schema.COLUMNS
+          WHERE TABLE_SCHEMA = ?
+          ORDER BY TABLE_NAME, ORDINAL_POSITION`,
+        [schema]
+      );
+
+      const [tableComments] = await pool.query(
+        `SELECT TABLE_NAME, TABLE_COMMENT
+           FROM information_schema.TABLES
+          WHERE TABLE_SCHEMA = ?`,
+        [schema]
+      );
+
+      const [keys] = await pool.query(
+        `SELECT CONSTRAINT_NAME, TABLE_NAME, COLUMN_NAME, REFERENCED_TABLE_NAME, REFERENCED_COLUMN_NAME
+           FROM information_schema.KEY_COLUMN_USAGE
+          WHERE TABLE_SCHEMA = ?
+            AND (CONSTRAINT_NAME = 'PRIMARY' OR REFERENCED_TABLE_NAME IS NOT NULL)
+          ORDER BY TABLE_NAME, CONSTRAINT_NAME, ORDINAL_POSITION`,
+        [schema]
+      );
+
+      return {
+        tables: buildTables({
+          columns: columns.map(row => ({
+            tableName: row.TABLE_NAME,
+            columnName: row.COLUMN_NAME,
+            dataType: row.COLUMN_TYPE,
+            nullable: row.IS_NULLABLE === 'YES',
+            comment: row.COLUMN_COMMENT
+          })),
+          tableComments: tableComments.map(row => ({ tableName: row.TABLE_NAME, comment: row.TABLE_COMMENT })),
+          keys: keys.map(row => ({
+            constraintName: row.CONSTRAINT_NAME,
+            type: row.CONSTRAINT_NAME === 'PRIMARY' ? 'primary' : 'foreign',
+            tableName: row.TABLE_NAME,
+            columnName: row.COLUMN_NAME,
+            referencedTable: row.REFERENCED_TABLE_NAME,
+            referencedColumn: row.REFERENCED_COLUMN_NAME
+          }))
+        })
+      };
+    },
+
+    // mysql2 does not expose pool counters publicly; read the queues of the
+    // underlying callback pool
+    stats: () => {
+      const core = pool.pool;
+      const open = core._allConnections.length;
+      return {
+        open,
+        busy: open - core._freeConnections.length,
+        waiting: core._connectionQueue.length,
+        max: options.max
+      };
+    },
+
+    close: () => pool.end()
+  };
+};
+
+module.exports = {
+  type: 'mysql',
+  createPool,
+  isQueryError: isSqlStateQueryError
+};
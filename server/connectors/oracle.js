@@ -0,0 +1,196 @@
+// server/connectors/oracle.js - Oracle connector (oracledb)
+const { once } = require('events');
+const { buildTables, formatType, requireDriver, onAbort, backstopTimeout, capRows, batches } = require('./shared');
+const { describeColumn } = require('./columns');
+
+let oracledb = null;
+
+const getDriver = () => {
+  if (oracledb) return oracledb;
+
+  oracledb = requireDriver('oracledb', 'oracle');
+
+  // Initialize Oracle thick client
+  try {
+    oracledb.initOracleClient({
+      libDir: process.env.ORACLE_CLIENT_LIB_DIR || '/opt/oracle/instantclient_21_1'
+    });
+    console.log('✓ Oracle thick client initialized');
+  } catch (err) {
+    console.error('Oracle thick client initialization error:', err);
+    console.log('⚠ Running with thin client mode');
+  }
+
+  return oracledb;
+};
+
+const introspectWith = async (connection, config) => {
+  const owner = (config.schema || config.username).toUpperCase();
+  const options = { outFormat: getDriver().OUT_FORMAT_OBJECT };
+
+  const columns = await connection.execute(
+    `SELECT c.TABLE_NAME, c.COLUMN_NAME, c.DATA_TYPE, c.CHAR_LENGTH, c.DATA_PRECISION,
+            c.DATA_SCALE, c.NULLABLE, cc.COMMENTS
+       FROM ALL_TAB_COLUMNS c
+       LEFT JOIN ALL_COL_COMMENTS cc
+         ON cc.OWNER = c.OWNER AND cc.TABLE_NAME = c.TABLE_NAME AND cc.COLUMN_NAME = c.COLUMN_NAME
+      WHERE c.OWNER = :owner
+      ORDER BY c.TABLE_NAME, c.COLUMN_ID`,
+    { owner },
+    options
+  );
+
+  const tableComments = await connection.execute(
+    `SELECT TABLE_NAME, COMMENTS
+       FROM ALL_TAB_COMMENTS
+      WHERE OWNER = :owner AND COMMENTS IS NOT NULL`,
+    { owner },
+    options
+  );
+
+  const keys = await connection.execute(
+    `SELECT con.CONSTRAINT_NAME, con.CONSTRAINT_TYPE, con.TABLE_NAME, col.COLUMN_NAME,
+            rcol.TABLE_NAME AS R_TABLE_NAME, rcol.COLUMN_NAME AS R_COLUMN_NAME
+       FROM ALL_CONSTRAINTS con
+       JOIN ALL_CONS_COLUMNS col
+         ON col.OWNER = con.OWNER AND col.CONSTRAINT_NAME = con.CONSTRAINT_NAME
+       LEFT JOIN ALL_CONS_COLUMNS rcol
+         ON rcol.OWNER = con.R_OWNER AND rcol.CONSTRAINT_NAME = con.R_CONSTRAINT_NAME
+        AND rcol.POSITION = col.POSITION
+      WHERE con.OWNER = :owner AND con.CONSTRAINT_TYPE IN ('P', 'R')
+      ORDER BY con.TABLE_NAME, con.CONSTRAINT_NAME, col.POSITION`,
+    { owner },
+    options
+  );
+
+  return {
+    tables: buildTables({
+      columns: columns.rows.map(row => ({
+        tableName: row.TABLE_NAME,
+        columnName: row.COLUMN_NAME,
+        dataType: formatType(row.DATA_TYPE, {
+          length: /CHAR|RAW/.test(row.DATA_TYPE) ? row.CHAR_LENGTH : null,
+          precision: row.DATA_PRECISION,
+          scale: row.DATA_SCALE
+        }),
+        nullable: row.NULLABLE === 'Y',
+        comment: row.COMMENTS
+      })),
+      tableComments: tableComments.rows.map(row => ({ tableName: row.TABLE_NAME, comment: row.COMMENTS })),
+      keys: keys.rows.map(row => ({
+        constraintName: row.CONSTRAINT_NAME,
+        type: row.CONSTRAINT_TYPE === 'P' ? 'primary' : 'foreign',
+        tableName: row.TABLE_NAME,
+        columnName: row.COLUMN_NAME,
+        referencedTable: row.R_TABLE_NAME,
+        referencedColumn: row.R_COLUMN_NAME
+      }))
+    })
+  };
+};
+
+const createPool = async (config, options) => {
+  const driver = getDriver();
+  const pool = await driver.createPool({
+    user: config.username,
+    password: config.password,
+    connectString: `${config.host}:${config.port}/${config.database}`,
+    poolMin: options.min,
+    poolMax: options.max,
+    poolIncrement: 1,
+    poolTimeout: options.idleTimeout,
+    queueTimeout: options.acquireTimeout * 1000,
+    enableStatistics: true
+  });
+
+  // Oracle DATE holds a time of day, so it is a timestamp. Unconstrained
+  // NUMBER reports precision 0 and scale -127.
+  const describeColumns = (metaData = []) => metaData.map(meta => describeColumn({
+    name: meta.name,
+    dbType: meta.dbTypeName,
+    type: meta.dbTypeName === 'DATE' ? 'timestamp' : undefined,
+    nullable: meta.nullable,
+    precision: meta.precision || null,
+    scale: meta.scale === -127 ? null : meta.scale
+  }));
+
+  const withConnection = async (fn) => {
+    const connection = await pool.getConnection();
+    try {
+      return await fn(connection);
+    } finally {
+      await connection.close();
+    }
+  };
+
+  return {
+    test: () => withConnection(async (connection) => {
+      await connection.execute('SELECT 1 FROM DUAL');
+      return true;
+    }),
+
+    query: (sql, binds = [], { maxRows, timeout, fetchArraySize, signal } = {}) => withConnection(async (connection) => {
+      connection.callTimeout = backstopTimeout(timeout);
+      const detach = onAbort(signal, () => connection.break());
+      try {
+        const result = await connection.execute(sql, binds, {
+          outFormat: driver.OUT_FORMAT_OBJECT,
+          maxRows: maxRows ? maxRows + 1 : 0,
+          ...(fetchArraySize ? { fetchArraySize } : {})
+        });
+        return { ...capRows(result.rows, maxRows), columns: describeColumns(result.metaData) };
+      } finally {
+        await detach();
+        // The connection goes back to the pool
+        connection.callTimeout = 0;
+      }
+    }),
+
+    // queryStream() fetches fetchArraySize rows per round trip; the
+    // metadata event comes before the first row
+    async *stream(sql, binds = [], { timeout, fetchArraySize = 100, signal } = {}) {
+      const connection = await pool.getConnection();
+      connection.callTimeout = backstopTimeout(timeout);
+      const detach = onAbort(signal, () => connection.break());
+      let rows = null;
+      try {
+        rows = connection.queryStream(sql, binds, { outFormat: driver.OUT_FORMAT_OBJECT, fetchArraySize });
+        const [metaData] = await once(rows, 'metadata');
+        yield { columns: describeColumns(metaData), rows: [] };
+        for await (const batch of batches(rows, fetchArraySize)) {
+          yield { rows: batch };
+        }
+      } finally {
+        rows?.destroy();
+        await detach();
+        connection.callTimeout = 0;
+        await connection.close();
+      }
+    },
+
+    introspect: () => withConnection(connection => introspectWith(connection, config)),
+
+    stats: () => ({
+      open: pool.connectionsOpen,
+      busy: pool.connectionsInUse,
+      waiting: pool.getStatistics()?.currentQueueLength || 0,
+      max: pool.poolMax
+    }),
+
+    close: (drainSeconds) => pool.close(drainSeconds)
+  };
+};
+
+// Errors that are about the session rather than the SQL: bad credentials,
+// network (ORA-12xxx), lost connections, cancelled calls, memory limits
+const ORACLE_CONNECTION_ERRORS = /^ORA-(01017|01013|01033|01034|03113|03114|03135|04036|28000|28001|12\d{3}):/;
+
+const isQueryError = (error) => (
+  /^ORA-\d{5}:/.test(error.message || '') && !ORACLE_CONNECTION_ERRORS.test(error.message)
+);
+
+module.exports = {
+  type: 'oracle',
+  createPool,
+  isQueryError
+};
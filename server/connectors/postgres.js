@@ -0,0 +1,215 @@
+// server/connectors/postgres.js - PostgreSQL connector (pg)
+const { buildTables, formatType, requireDriver, isSqlStateQueryError, onAbort, backstopTimeout, capRows } = require('./shared');
+const { describeColumn } = require('./columns');
+
+// Type names of the built-in type OIDs a result field reports; anything
+// else (enums, domains, arrays) is described as text
+const TYPE_NAMES = {
+  16: 'BOOLEAN',
+  17: 'BYTEA',
+  20: 'BIGINT',
+  21: 'SMALLINT',
+  23: 'INTEGER',
+  25: 'TEXT',
+  26: 'OID',
+  114: 'JSON',
+  700: 'REAL',
+  701: 'DOUBLE PRECISION',
+  790: 'MONEY',
+  1042: 'CHAR',
+  1043: 'VARCHAR',
+  1082: 'DATE',
+  1083: 'TIME',
+  1114: 'TIMESTAMP',
+  1184: 'TIMESTAMPTZ',
+  1186: 'INTERVAL',
+  1700: 'NUMERIC',
+  2950: 'UUID',
+  3802: 'JSONB'
+};
+
+// Result fields carry no nullability; numeric precision and scale and
+// character lengths are packed into the type modifier
+const describeColumns = (fields = []) => fields.map(({ name, dataTypeID, dataTypeModifier }) => {
+  const dbType = TYPE_NAMES[dataTypeID] || 'TEXT';
+  const modifier = dataTypeModifier > 4 ? dataTypeModifier - 4 : null;
+  return describeColumn({
+    name,
+    dbType,
+    // OID is an unsigned integer
+    type: dataTypeID === 26 ? 'number' : undefined,
+    nullable: null,
+    precision: modifier === null ? null : dbType === 'NUMERIC' ? (modifier >> 16) & 0xffff : modifier,
+    scale: modifier !== null && dbType === 'NUMERIC' ? modifier & 0xffff : null
+  });
+});
+
+const createPool = async (config, options) => {
+  const { Pool } = requireDriver('pg', 'postgres');
+  const pool = new Pool({
+    host: config.host,
+    port: config.port,
+    database: config.database,
+    user: config.username,
+    password: config.password,
+    ssl: config.ssl ? { rejectUnauthorized: false } : false,
+    min: options.min,
+    max: options.max,
+    idleTimeoutMillis: options.idleTimeout * 1000,
+    connectionTimeoutMillis: options.acquireTimeout * 1000
+  });
+
+  // Idle clients can error when the server restarts; without a listener
+  // pg would crash the process
+  pool.on('error', (error) => {
+    console.error(`✗ Idle PostgreSQL client error (${config.id}):`, error.message);
+  });
+
+  return {
+    test: async () => {
+      await pool.query('SELECT 1');
+      return true;
+    },
+
+    // Rows are read through a cursor so a huge result stops at maxRows on
+    // the server side; cancelling goes through a second connection
+    query: async (sql, binds = [], { maxRows, timeout, signal } = {}) => {
+      const client = await pool.connect();
+      const detach = onAbort(signal, () => pool.query('SELECT pg_cancel_backend($1)', [client.processID]));
+      try {
+        await client.query('BEGIN READ ONLY');
+        if (timeout) {
+          await client.query(`SET LOCAL statement_timeout = ${backstopTimeout(timeout)}`);
+        }
+
+        let result;
+        if (maxRows) {
+          await client.query(`DECLARE result_cursor NO SCROLL CURSOR FOR ${sql}`, binds);
+          result = await client.query(`FETCH FORWARD ${maxRows + 1} FROM result_cursor`);
+        } else {
+          result = await client.query(sql, binds);
+        }
+        await client.query('COMMIT');
+        return { ...capRows(result.rows, maxRows), columns: describeColumns(result.fields) };
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        await detach();
+        client.release();
+      }
+    },
+
+    // FETCH in fetchArraySize steps from a cursor in a read-only
+    // transaction; statement_timeout applies to each FETCH
+    async *stream(sql, binds = [], { timeout, fetchArraySize = 100, signal } = {}) {
+      const client = await pool.connect();
+      const detach = onAbort(signal, () => pool.query('SELECT pg_cancel_backend($1)', [client.processID]));
+      let committed = false;
+      try {
+        await client.query('BEGIN READ ONLY');
+        if (timeout) {
+          await client.query(`SET LOCAL statement_timeout = ${backstopTimeout(timeout)}`);
+        }
+        await client.query(`DECLARE result_cursor NO SCROLL CURSOR FOR ${sql}`, binds);
+
+        for (let first = true; ; first = false) {
+          const result = await client.query(`FETCH FORWARD ${fetchArraySize} FROM result_cursor`);
+          if (first) {
+            yield { columns: describeColumns(result.fields), rows: result.rows };
+          } else if (result.rows.length > 0) {
+            yield { rows: result.rows };
+          }
+          if (result.rows.length < fetchArraySize) break;
+        }
+        await client.query('COMMIT');
+        committed = true;
+      } finally {
+        if (!committed) {
+          await client.query('ROLLBACK').catch(() => {});
+        }
+        await detach();
+        client.release();
+      }
+    },
+
+    introspect: async () => {
+      const schema = config.schema || 'public';
+
+      const columns = await pool.query(
+        `SELECT c.table_name, c.column_name, c.data_type, c.character_maximum_length,
+                c.numeric_precision, c.numeric_scale, c.is_nullable,
+                col_description(format('%I.%I', c.table_schema, c.table_name)::regclass, c.ordinal_position) AS column_comment
+           FROM information_schema.columns c
+          WHERE c.table_schema = $1
+          ORDER BY c.table_name, c.ordinal_position`,
+        [schema]
+      );
+
+      const tableComments = await pool.query(
+        `SELECT table_name,
+                obj_description(format('%I.%I', table_schema, table_name)::regclass, 'pg_class') AS table_comment
+           FROM information_schema.tables
+          WHERE table_schema = $1`,
+        [schema]
+      );
+
+      const keys = await pool.query(
+        `SELECT tc.constraint_name, tc.constraint_type, kcu.table_name, kcu.column_name,
+                ref.table_name AS referenced_table, ref.column_name AS referenced_column
+           FROM information_schema.table_constraints tc
+           JOIN information_schema.key_column_usage kcu
+             ON kcu.constraint_schema = tc.constraint_schema AND kcu.constraint_name = tc.constraint_name
+           LEFT JOIN information_schema.referential_constraints rc
+             ON rc.constraint_schema = tc.constraint_schema AND rc.constraint_name = tc.constraint_name
+           LEFT JOIN information_schema.key_column_usage ref
+             ON ref.constraint_schema = rc.unique_constraint_schema
+            AND ref.constraint_name = rc.unique_constraint_name
+            AND ref.ordinal_position = kcu.position_in_unique_constraint
+          WHERE tc.table_schema = $1 AND tc.constraint_type IN ('PRIMARY KEY', 'FOREIGN KEY')
+          ORDER BY kcu.table_name, tc.constraint_name, kcu.ordinal_position`,
+        [schema]
+      );
+
+      return {
+        tables: buildTables({
+          columns: columns.rows.map(row => ({
+            tableName: row.table_name,
+            columnName: row.column_name,
+            dataType: formatType(row.data_type, {
+              length: row.character_maximum_length,
+              precision: row.numeric_precision,
+              scale: row.numeric_scale
+            }),
+            nullable: row.is_nullable === 'YES',
+            comment: row.column_comment
+          })),
+          tableComments: tableComments.rows.map(row => ({ tableName: row.table_name, comment: row.table_comment })),
+          keys: keys.rows.map(row => ({
+            constraintName: row.constraint_name,
+            type: row.constraint_type === 'PRIMARY KEY' ? 'primary' : 'foreign',
+            tableName: row.table_name,
+            columnName: row.column_name,
+            referencedTable: row.referenced_table,
+            referencedColumn: row.referenced_column
+          }))
+        })
+      };
+    },
+
+    stats: () => ({
+      open: pool.totalCount,
+      busy: pool.totalCount - pool.idleCount,
+      waiting: pool.waitingCount,
+      max: options.max
+    }),
+
+    close: () => pool.end()
+  };
+};
+
+module.exports = {
+  type: 'postgres',
+  createPool,
+  isQueryError: isSqlStateQueryError
+};
@@ -0,0 +1,149 @@
+// server/connectors/shared.js - Helpers shared by the database connectors
+
+// Render a data-dictionary type the way database-metadata.json writes it,
+// e.g. NUMBER(10,2) or VARCHAR2(255)
+const formatType = (dataType, { length, precision, scale } = {}) => {
+  if (length) {
+    return `${dataType}(${length})`;
+  }
+  if (precision !== null && precision !== undefined && /^(NUMBER|NUMERIC|DECIMAL)$/i.test(dataType)) {
+    return scale ? `${dataType}(${precision},${scale})` : `${dataType}(${precision})`;
+  }
+  return dataType;
+};
+
+// Assemble introspection rows into the table shape used by
+// config/database-metadata.json:
+//
+//   columns       [{ tableName, columnName, dataType, nullable, comment }]
+//   tableComments [{ tableName, comment }]
+//   keys          [{ constraintName, type: 'primary' | 'foreign', tableName,
+//                    columnName, referencedTable, referencedColumn }]
+//
+// Keys must be ordered by constraint and column position.
+const buildTables = ({ columns, tableComments = [], keys = [] }) => {
+  const tables = new Map();
+
+  for (const row of columns) {
+    if (!tables.has(row.tableName)) {
+      tables.set(row.tableName, { name: row.tableName, comment: null, columns: [], foreignKeys: [] });
+    }
+    tables.get(row.tableName).columns.push({
+      name: row.columnName,
+      type: row.dataType,
+      nullable: row.nullable,
+      primaryKey: false,
+      comment: row.comment || null
+    });
+  }
+
+  for (const { tableName, comment } of tableComments) {
+    if (tables.has(tableName) && comment) {
+      tables.get(tableName).comment = comment;
+    }
+  }
+
+  const foreignKeys = new Map();
+  for (const key of keys) {
+    const table = tables.get(key.tableName);
+    if (!table) continue;
+
+    if (key.type === 'primary') {
+      const column = table.columns.find(col => col.name === key.columnName);
+      if (column) column.primaryKey = true;
+      continue;
+    }
+
+    const id = `${key.tableName}.${key.constraintName}`;
+    if (!foreignKeys.has(id)) {
+      const foreignKey = { name: key.constraintName, columns: [], references: { table: key.referencedTable, columns: [] } };
+      foreignKeys.set(id, foreignKey);
+      table.foreignKeys.push(foreignKey);
+    }
+    foreignKeys.get(id).columns.push(key.columnName);
+    foreignKeys.get(id).references.columns.push(key.referencedColumn);
+  }
+
+  return [...tables.values()];
+};
+
+// Lazily require an optional driver so a missing package only breaks the
+// connectors that need it
+const requireDriver = (moduleName, type) => {
+  try {
+    return require(moduleName);
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') {
+      throw new Error(`The ${type} connector needs the "${moduleName}" package (npm install ${moduleName})`);
+    }
+    throw error;
+  }
+};
+
+// SQLSTATE classes for errors in the statement itself: 42 syntax error or
+// access rule violation, 22 data exception, 21 cardinality violation.
+// Insufficient privilege (42501) is excluded; rewriting will not fix it.
+const isSqlStateQueryError = (error) => {
+  const state = String(error.sqlState || error.code || '');
+  return /^(42|22|21)[0-9A-Z]{3}$/.test(state) && state !== '42501';
+};
+
+// Call `cancel` if `signal` aborts while a query runs. The returned detach()
+// removes the listener and resolves once any cancel already sent has
+// settled, so a connection is never released with a cancel in flight.
+const onAbort = (signal, cancel) => {
+  let pending = null;
+  const listener = () => {
+    pending = Promise.resolve()
+      .then(cancel)
+      .catch(error => console.error('✗ Query cancel failed:', error.message));
+  };
+
+  if (signal) {
+    signal.addEventListener('abort', listener, { once: true });
+  }
+  return async () => {
+    signal?.removeEventListener('abort', listener);
+    await pending;
+  };
+};
+
+// The server cancels timed-out queries itself; driver-side timeouts are a
+// backstop for when the cancel cannot reach the database
+const BACKSTOP_SECONDS = 5;
+const backstopTimeout = (timeout) => (timeout ? (timeout + BACKSTOP_SECONDS) * 1000 : 0);
+
+// Drivers fetch one row past maxRows so a cut-off result can be told apart
+// from one that is exactly maxRows long
+const capRows = (rows, maxRows) => (
+  maxRows && rows.length > maxRows
+    ? { rows: rows.slice(0, maxRows), truncated: true }
+    : { rows, truncated: false }
+);
+
+// Group the rows of an object-mode stream (or any async iterable) into
+// arrays of up to `size` rows
+async function* batches(iterable, size) {
+  let batch = [];
+  for await (const row of iterable) {
+    batch.push(row);
+    if (batch.length >= size) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+module.exports = {
+  formatType,
+  buildTables,
+  requireDriver,
+  isSqlStateQueryError,
+  onAbort,
+  backstopTimeout,
+  capRows,
+  batches
+};
@@ -0,0 +1,220 @@
+// server/connectors/snowflake.js - Snowflake connector (snowflake-sdk)
+const { buildTables, formatType, requireDriver, isSqlStateQueryError, onAbort, backstopTimeout, batches } = require('./shared');
+const { describeColumn } = require('./columns');
+
+// Snowflake reports its internal type names (fixed, real, text,
+// timestamp_ltz, ...)
+const LOGICAL_TYPES = {
+  fixed: 'number',
+  real: 'number',
+  text: 'string',
+  boolean: 'boolean',
+  date: 'date',
+  timestamp_ltz: 'timestamp',
+  timestamp_ntz: 'timestamp',
+  timestamp_tz: 'timestamp',
+  binary: 'binary'
+};
+
+const describeColumns = (statement) => (statement.getColumns() || []).map(column => describeColumn({
+  name: column.getName(),
+  dbType: column.getType().toUpperCase(),
+  type: LOGICAL_TYPES[column.getType()] || 'string',
+  nullable: column.isNullable(),
+  precision: column.getPrecision(),
+  scale: column.getScale()
+}));
+
+const execute = (connection, sqlText, binds = []) => new Promise((resolve, reject) => {
+  connection.execute({
+    sqlText,
+    binds,
+    complete: (err, stmt, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    }
+  });
+});
+
+// Streams at most maxRows rows. Snowflake reports the full row count, so
+// a truncated result comes with totalRows.
+const executeLimited = (connection, sqlText, binds, { maxRows, signal }) => new Promise((resolve, reject) => {
+  let statement = null;
+  const detach = onAbort(signal, () => new Promise(done => statement.cancel(() => done())));
+  const finish = (error, result) => {
+    detach().then(() => (error ? reject(error) : resolve(result)));
+  };
+
+  statement = connection.execute({
+    sqlText,
+    binds,
+    streamResult: true,
+    complete: (err, stmt) => {
+      if (err) return finish(err);
+
+      const totalRows = stmt.getNumRows();
+      const count = maxRows ? Math.min(totalRows, maxRows) : totalRows;
+      const columns = describeColumns(stmt);
+      const rows = [];
+      if (count === 0) {
+        return finish(null, { rows, truncated: false, totalRows, columns });
+      }
+      stmt.streamRows({ start: 0, end: count - 1 })
+        .on('data', row => rows.push(row))
+        .on('error', error => finish(error))
+        .on('end', () => finish(null, { rows, truncated: totalRows > rows.length, totalRows, columns }));
+    }
+  });
+});
+
+// Resolves once the statement has run, with the statement to stream rows
+// from. onStatement gets it straight away so it can be cancelled.
+const executeStreaming = (connection, sqlText, binds, onStatement) => new Promise((resolve, reject) => {
+  onStatement(connection.execute({
+    sqlText,
+    binds,
+    streamResult: true,
+    complete: (err, stmt) => (err ? reject(err) : resolve(stmt))
+  }));
+});
+
+const createPool = async (config, options) => {
+  const snowflake = requireDriver('snowflake-sdk', 'snowflake');
+  const pool = snowflake.createPool({
+    account: config.account,
+    username: config.username,
+    password: config.password,
+    warehouse: config.warehouse,
+    database: config.database,
+    schema: config.schema,
+    role: config.role
+  }, {
+    min: options.min,
+    max: options.max,
+    idleTimeoutMillis: options.idleTimeout * 1000,
+    acquireTimeoutMillis: options.acquireTimeout * 1000,
+    evictionRunIntervalMillis: options.idleTimeout * 1000
+  });
+
+  return {
+    test: async () => {
+      await pool.use(connection => execute(connection, 'SELECT 1'));
+      return true;
+    },
+
+    query: (sql, binds = [], { maxRows, timeout, signal } = {}) => pool.use(async (connection) => {
+      if (timeout) {
+        await execute(connection, `ALTER SESSION SET STATEMENT_TIMEOUT_IN_SECONDS = ${Math.ceil(backstopTimeout(timeout) / 1000)}`);
+      }
+      try {
+        return await executeLimited(connection, sql, binds, { maxRows, signal });
+      } finally {
+        if (timeout) {
+          await execute(connection, 'ALTER SESSION UNSET STATEMENT_TIMEOUT_IN_SECONDS').catch(() => {});
+        }
+      }
+    }),
+
+    async *stream(sql, binds = [], { timeout, fetchArraySize = 100, signal } = {}) {
+      const connection = await pool.acquire();
+      let statement = null;
+      let rows = null;
+      const detach = onAbort(signal, () => statement && new Promise(done => statement.cancel(() => done())));
+      try {
+        if (timeout) {
+          await execute(connection, `ALTER SESSION SET STATEMENT_TIMEOUT_IN_SECONDS = ${Math.ceil(backstopTimeout(timeout) / 1000)}`);
+        }
+        statement = await executeStreaming(connection, sql, binds, (running) => { statement = running; });
+        yield { columns: describeColumns(statement), rows: [] };
+        rows = statement.streamRows();
+        for await (const batch of batches(rows, fetchArraySize)) {
+          yield { rows: batch };
+        }
+      } finally {
+        rows?.destroy();
+        await detach();
+        if (timeout) {
+          await execute(connection, 'ALTER SESSION UNSET STATEMENT_TIMEOUT_IN_SECONDS').catch(() => {});
+        }
+        await pool.release(connection);
+      }
+    },
+
+    introspect: async () => {
+      const schema = (config.schema || 'PUBLIC').toUpperCase();
+      const qualifiedSchema = `"${config.database.toUpperCase()}"."${schema}"`;
+
+      const [columns, tableComments, primaryKeys, importedKeys] = await pool.use(async (connection) => [
+        await execute(
+          connection,
+          `SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, CHARACTER_MAXIMUM_LENGTH,
+                  NUMERIC_PRECISION, NUMERIC_SCALE, IS_NULLABLE, COMMENT
+             FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = ?
+            ORDER BY TABLE_NAME, ORDINAL_POSITION`,
+          [schema]
+        ),
+        await execute(
+          connection,
+          'SELECT TABLE_NAME, COMMENT FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = ?',
+          [schema]
+        ),
+        await execute(connection, `SHOW PRIMARY KEYS IN SCHEMA ${qualifiedSchema}`),
+        await execute(connection, `SHOW IMPORTED KEYS IN SCHEMA ${qualifiedSchema}`)
+      ]);
+
+      const byPosition = (a, b) => a.key_sequence - b.key_sequence;
+
+      return {
+        tables: buildTables({
+          columns: columns.map(row => ({
+            tableName: row.TABLE_NAME,
+            columnName: row.COLUMN_NAME,
+            dataType: formatType(row.DATA_TYPE, {
+              length: row.CHARACTER_MAXIMUM_LENGTH,
+              precision: row.NUMERIC_PRECISION,
+              scale: row.NUMERIC_SCALE
+            }),
+            nullable: row.IS_NULLABLE === 'YES',
+            comment: row.COMMENT
+          })),
+          tableComments: tableComments.map(row => ({ tableName: row.TABLE_NAME, comment: row.COMMENT })),
+          keys: [
+            ...primaryKeys.map(row => ({
+              constraintName: row.constraint_name,
+              type: 'primary',
+              tableName: row.table_name,
+              columnName: row.column_name
+            })),
+            ...importedKeys.sort(byPosition).map(row => ({
+              constraintName: row.fk_name,
+              type: 'foreign',
+              tableName: row.fk_table_name,
+              columnName: row.fk_column_name,
+              referencedTable: row.pk_table_name,
+              referencedColumn: row.pk_column_name
+            }))
+          ]
+        })
+      };
+    },
+
+    stats: () => ({
+      open: pool.size,
+      busy: pool.borrowed,
+      waiting: pool.pending,
+      max: options.max
+    }),
+
+    close: async () => {
+      await pool.drain();
+      await pool.clear();
+    }
+  };
+};
+
+module.exports = {
+  type: 'snowflake',
+  createPool,
+  isQueryError: isSqlStateQueryError
+};
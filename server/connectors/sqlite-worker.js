@@ -0,0 +1,98 @@
+// server/connectors/sqlite-worker.js - Runs SQLite queries in a child process
+//
+// better-sqlite3 blocks the thread it runs on and cannot be interrupted, so
+// a runaway query on the main thread would stall every request, and one in
+// a worker thread would keep running after terminate(). The sqlite
+// connector forks this script, sends it queries one at a time and kills it
+// to cancel one. Exports get a worker of their own that sends a stream's
+// rows a batch at a time, each after the server asks for the next.
+const Database = require('better-sqlite3');
+
+const { filename, readonly, fileMustExist } = JSON.parse(process.argv[2]);
+const db = new Database(filename, { readonly, fileMustExist });
+
+// NOT NULL flags of a table's columns, for result column nullability
+const notNullColumns = (table) => new Set(
+  db.prepare('SELECT name FROM pragma_table_info(?) WHERE "notnull" = 1 OR pk > 0').all(table).map(row => row.name)
+);
+
+// Declared type and nullability of each result column; expressions have
+// neither
+const describeColumns = (statement) => {
+  const tables = new Map();
+  return statement.columns().map(({ name, column, table, type }) => {
+    if (table && !tables.has(table)) tables.set(table, notNullColumns(table));
+    return {
+      name,
+      dbType: type,
+      nullable: table && column ? !tables.get(table).has(column) : null
+    };
+  });
+};
+
+const sendError = (id, error) => {
+  process.send({ id, error: { message: error.message, code: error.code } });
+};
+
+// Open streams: id -> { iterator, batchSize }
+const streams = new Map();
+
+const sendBatch = (id, columns) => {
+  const { iterator, batchSize } = streams.get(id);
+  const rows = [];
+  let done = false;
+  while (rows.length < batchSize) {
+    const next = iterator.next();
+    if (next.done) {
+      done = true;
+      break;
+    }
+    rows.push(next.value);
+  }
+  if (done) streams.delete(id);
+  process.send({ id, rows, done, ...(columns ? { columns } : {}) });
+};
+
+const handleStream = ({ id, sql, binds, batchSize, next }) => {
+  try {
+    if (next) {
+      if (streams.has(id)) sendBatch(id);
+      return;
+    }
+    const statement = db.prepare(sql);
+    streams.set(id, { iterator: statement.iterate(binds), batchSize });
+    sendBatch(id, describeColumns(statement));
+  } catch (error) {
+    streams.delete(id);
+    sendError(id, error);
+  }
+};
+
+process.on('message', (message) => {
+  if (message.stream) {
+    handleStream(message);
+    return;
+  }
+
+  const { id, sql, binds, maxRows } = message;
+  try {
+    const statement = db.prepare(sql);
+    const columns = describeColumns(statement);
+    const rows = [];
+    let truncated = false;
+    // iterate() stops reading as soon as the cap is reached
+    for (const row of statement.iterate(binds)) {
+      if (maxRows && rows.length >= maxRows) {
+        truncated = true;
+        break;
+      }
+      rows.push(row);
+    }
+    process.send({ id, rows, truncated, columns });
+  } catch (error) {
+    sendError(id, error);
+  }
+});
+
+// The server went away
+process.on('disconnect', () => process.exit(0));
@@ -0,0 +1,296 @@
+// server/connectors/sqlite.js - SQLite connector (better-sqlite3)
+//
+// Meant for local development and demos: point a connection at a database
+// file and the whole app works without a live server. Relative filenames
+// are resolved from the project root.
+const path = require('path');
+const { fork } = require('child_process');
+const { buildTables, requireDriver, onAbort } = require('./shared');
+const { describeColumn } = require('./columns');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+const resolveFilename = (config) => {
+  if (!config.filename) {
+    throw new Error(`SQLite database ${config.id} needs a "filename"`);
+  }
+  return config.filename === ':memory:'
+    ? config.filename
+    : path.resolve(PROJECT_ROOT, config.filename);
+};
+
+// SQLite types by affinity of the declared type (any name goes), with
+// DATE and DATETIME/TIMESTAMP picked out first. SQLite has no date type and
+// dates usually live in TEXT columns, so text and undeclared (computed)
+// columns are left for serializeRows() to infer from the values.
+const columnType = (declared) => {
+  const name = (declared || '').toUpperCase();
+  if (/BOOL/.test(name)) return 'boolean';
+  if (/DATETIME|TIMESTAMP/.test(name)) return 'timestamp';
+  if (/DATE/.test(name)) return 'date';
+  if (/INT|REAL|FLOA|DOUB|NUM|DEC/.test(name)) return 'number';
+  if (/BLOB/.test(name)) return 'binary';
+  return null;
+};
+
+const precisionOf = (declared) => {
+  const match = /\(\s*(\d+)\s*(?:,\s*(\d+)\s*)?\)/.exec(declared || '');
+  return match ? { precision: Number(match[1]), scale: match[2] ? Number(match[2]) : null } : {};
+};
+
+// Column descriptions from the worker: declared type and nullability
+const describeColumns = (columns) => columns.map(column => describeColumn({
+  ...column,
+  ...precisionOf(column.dbType),
+  type: columnType(column.dbType)
+}));
+
+const forkWorker = (options) => {
+  const worker = fork(path.join(__dirname, 'sqlite-worker.js'), [JSON.stringify(options)], {
+    // Structured clone keeps BLOBs as Buffers
+    serialization: 'advanced'
+  });
+  // An idle worker must not keep the server alive at shutdown
+  worker.unref();
+  worker.channel?.unref();
+  return worker;
+};
+
+// Stream every row of `sql` from a worker of its own, so a long export does
+// not hold up other queries. The worker sends the next batch only when
+// asked, which keeps a slow download from piling rows up in memory.
+async function* streamFromWorker(options, sql, binds, { batchSize, signal }) {
+  const worker = forkWorker(options);
+  const inbox = [];
+  let failure = null;
+  let wake = null;
+  const notify = () => {
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+  worker.on('message', (message) => {
+    inbox.push(message);
+    notify();
+  });
+  worker.on('error', (error) => {
+    failure = failure || error;
+    notify();
+  });
+  worker.on('exit', () => {
+    failure = failure || new Error('SQLite worker exited');
+    notify();
+  });
+  const detach = onAbort(signal, () => {
+    failure = new Error('Query was cancelled');
+    worker.kill('SIGKILL');
+  });
+
+  const receive = async () => {
+    if (inbox.length === 0 && !failure) {
+      await new Promise((resolve) => { wake = resolve; });
+    }
+    if (inbox.length > 0) return inbox.shift();
+    throw failure;
+  };
+
+  try {
+    worker.send({ id: 1, stream: true, sql, binds, batchSize });
+    for (;;) {
+      const { rows, columns, done, error } = await receive();
+      if (error) {
+        throw Object.assign(new Error(error.message), { code: error.code });
+      }
+      yield columns ? { columns: describeColumns(columns), rows } : { rows };
+      if (done) break;
+      worker.send({ id: 1, stream: true, next: true });
+    }
+  } finally {
+    await detach();
+    worker.kill('SIGKILL');
+  }
+}
+
+// Runs queries in a child process (sqlite-worker.js), one at a time.
+// Cancelling the running query kills the process; queued queries move to a
+// fresh one.
+class QueryWorker {
+  constructor(options) {
+    this.options = options;
+    this.worker = null;
+    this.queue = [];
+    this.active = null;
+    this.nextId = 1;
+  }
+
+  run(sql, binds, { maxRows, signal }) {
+    return new Promise((resolve, reject) => {
+      const job = { id: this.nextId++, sql, binds, maxRows, resolve, reject };
+      job.detach = onAbort(signal, () => this.cancel(job));
+      this.queue.push(job);
+      this.startNext();
+    });
+  }
+
+  startNext() {
+    if (this.active || this.queue.length === 0) return;
+    if (!this.worker) {
+      this.worker = this.spawn();
+    }
+    this.active = this.queue.shift();
+    const { id, sql, binds, maxRows } = this.active;
+    this.worker.send({ id, sql, binds, maxRows });
+  }
+
+  spawn() {
+    const worker = forkWorker(this.options);
+
+    worker.on('message', ({ id, rows, truncated, columns, error }) => {
+      if (this.active?.id !== id) return;
+      const job = this.active;
+      this.active = null;
+      job.detach();
+      if (error) {
+        job.reject(Object.assign(new Error(error.message), { code: error.code }));
+      } else {
+        job.resolve({ rows, truncated, columns: describeColumns(columns) });
+      }
+      this.startNext();
+    });
+
+    worker.on('error', (error) => this.fail(worker, error));
+    worker.on('exit', () => this.fail(worker, new Error('SQLite worker exited')));
+    return worker;
+  }
+
+  // The worker died: the running query fails, queued ones get a new worker
+  fail(worker, error) {
+    if (this.worker !== worker) return;
+    this.worker = null;
+    if (this.active) {
+      const job = this.active;
+      this.active = null;
+      job.detach();
+      job.reject(error);
+    }
+    this.startNext();
+  }
+
+  cancel(job) {
+    const queued = this.queue.indexOf(job);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      job.reject(new Error('Query was cancelled'));
+      return;
+    }
+    if (this.active === job) {
+      const worker = this.worker;
+      this.worker = null;
+      this.active = null;
+      job.reject(new Error('Query was cancelled'));
+      worker.kill('SIGKILL');
+      this.startNext();
+    }
+  }
+
+  close() {
+    const jobs = this.active ? [this.active, ...this.queue] : this.queue;
+    this.active = null;
+    this.queue = [];
+    for (const job of jobs) {
+      job.reject(new Error('Connection pool closed'));
+    }
+    if (this.worker) {
+      const worker = this.worker;
+      this.worker = null;
+      worker.kill();
+    }
+  }
+}
+
+// better-sqlite3 is synchronous: metadata calls use a handle in the server
+// process, queries go through a QueryWorker
+const createPool = async (config) => {
+  const Database = requireDriver('better-sqlite3', 'sqlite');
+  const filename = resolveFilename(config);
+  const options = {
+    readonly: config.readonly !== false,
+    fileMustExist: filename !== ':memory:'
+  };
+  const db = new Database(filename, options);
+  const queries = new QueryWorker({ filename, ...options });
+
+  return {
+    test: async () => {
+      db.prepare('SELECT 1').get();
+      return true;
+    },
+
+    query: (sql, binds = [], { maxRows, signal } = {}) => queries.run(sql, binds, { maxRows, signal }),
+
+    stream: (sql, binds = [], { fetchArraySize = 100, signal } = {}) => (
+      streamFromWorker({ filename, ...options }, sql, binds, { batchSize: fetchArraySize, signal })
+    ),
+
+    introspect: async () => {
+      const tableNames = db.prepare(
+        `SELECT name FROM sqlite_master
+          WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%'
+          ORDER BY name`
+      ).all().map(row => row.name);
+
+      const columns = [];
+      const keys = [];
+      for (const tableName of tableNames) {
+        for (const column of db.prepare('SELECT name, type, "notnull", pk FROM pragma_table_info(?)').all(tableName)) {
+          columns.push({
+            tableName,
+            columnName: column.name,
+            dataType: column.type,
+            nullable: column.notnull === 0 && column.pk === 0
+          });
+          if (column.pk > 0) {
+            keys.push({ type: 'primary', tableName, columnName: column.name });
+          }
+        }
+
+        const foreignKeys = db.prepare('SELECT id, seq, "table", "from", "to" FROM pragma_foreign_key_list(?) ORDER BY id, seq').all(tableName);
+        for (const key of foreignKeys) {
+          keys.push({
+            constraintName: `fk_${tableName}_${key.id}`,
+            type: 'foreign',
+            tableName,
+            columnName: key.from,
+            referencedTable: key.table,
+            referencedColumn: key.to
+          });
+        }
+      }
+
+      return { tables: buildTables({ columns, keys }) };
+    },
+
+    stats: () => ({
+      open: db.open ? 1 : 0,
+      busy: queries.active ? 1 : 0,
+      waiting: queries.queue.length,
+      max: 1
+    }),
+
+    close: async () => {
+      queries.close();
+      db.close();
+    }
+  };
+};
+
+// SQLITE_ERROR covers syntax errors and unknown tables or columns; busy,
+// locked and I/O errors have their own codes
+const isQueryError = (error) => error.code === 'SQLITE_ERROR';
+
+module.exports = {
+  type: 'sqlite',
+  createPool,
+  isQueryError
+};
@@ -0,0 +1,173 @@
+// server/conversations.js - Saved chat conversations
+//
+// Each conversation is a record in the "conversations" collection (see
+// server/store.js) holding its turns in order. A turn keeps what is needed
+// to show the answer again without the model or the database: the
+// question, the assistant message, the SQL that ran, the chart spec and a
+// snapshot of the result. Configured by metadata.conversations:
+//
+//   "conversations": {
+//     "snapshotRows": 1000   // result rows kept with each turn
+//   }
+const { randomUUID } = require('crypto');
+const path = require('path');
+const { JsonStore } = require('./store');
+
+const DEFAULT_CONVERSATIONS = {
+  snapshotRows: 1000
+};
+
+const MAX_TITLE_LENGTH = 200;
+
+class ConversationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ConversationError';
+    this.statusCode = statusCode;
+  }
+}
+
+const checkTitle = (title) => {
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new ConversationError('title must be a non-empty string');
+  }
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    throw new ConversationError(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  return title.trim();
+};
+
+// The first question names an untitled conversation
+const titleFrom = (question) => {
+  const text = String(question || '').replace(/\s+/g, ' ').trim();
+  return text.length > 80 ? `${text.slice(0, 79)}…` : text || 'New conversation';
+};
+
+class ConversationStore {
+  constructor(storageDirectory, options = {}) {
+    this.configure(storageDirectory, options);
+  }
+
+  // Point at `storageDirectory` (metadata.storage) with
+  // metadata.conversations `options`
+  configure(storageDirectory, options = {}) {
+    const directory = path.join(storageDirectory, 'conversations');
+    if (this.store?.directory !== directory) {
+      this.store = new JsonStore(directory);
+    }
+    this.options = { ...DEFAULT_CONVERSATIONS, ...options };
+  }
+
+  // Summaries, most recently updated first; `databaseId` narrows them to
+  // one database. With an `owner` (a user ID) only that user's conversations
+  // are listed, here and in get().
+  async list({ databaseId, owner } = {}) {
+    const conversations = await this.store.list();
+    return conversations
+      .filter(conversation => owner === undefined || conversation.owner === owner)
+      .filter(conversation => !databaseId || conversation.databaseId === databaseId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(conversation => this.describe(conversation));
+  }
+
+  async get(id, owner) {
+    const conversation = await this.store.get(id);
+    if (!conversation || (owner !== undefined && conversation.owner !== owner)) {
+      throw new ConversationError(`No conversation with ID ${id}`, 404);
+    }
+    return conversation;
+  }
+
+  async create({ databaseId = null, title, owner = null } = {}) {
+    const now = new Date().toISOString();
+    return this.store.put({
+      id: randomUUID(),
+      owner,
+      title: title === undefined ? null : checkTitle(title),
+      databaseId: typeof databaseId === 'string' ? databaseId : null,
+      createdAt: now,
+      updatedAt: now,
+      turns: []
+    });
+  }
+
+  async rename(id, title) {
+    const checked = checkTitle(title);
+    return this.update(id, conversation => ({ ...conversation, title: checked, updatedAt: new Date().toISOString() }));
+  }
+
+  async update(id, change) {
+    const conversation = await this.store.update(id, change);
+    if (!conversation) {
+      throw new ConversationError(`No conversation with ID ${id}`, 404);
+    }
+    return conversation;
+  }
+
+  async delete(id) {
+    if (!(await this.store.delete(id))) {
+      throw new ConversationError(`No conversation with ID ${id}`, 404);
+    }
+  }
+
+  // Append a turn: { question, message, query, dialect, attempts, chart,
+  // result: { resultId, rows, columns, truncated, totalRows }, error }.
+  // Only the first snapshotRows rows of the result are kept.
+  async addTurn(id, { question, message, query = null, dialect = null, attempts = null, chart = null, result = null, error = null }) {
+    const now = new Date().toISOString();
+    const turn = {
+      id: randomUUID(),
+      createdAt: now,
+      question,
+      message,
+      query,
+      dialect,
+      attempts,
+      chart,
+      result: result && this.snapshot(result),
+      error
+    };
+
+    await this.update(id, conversation => ({
+      ...conversation,
+      title: conversation.title || titleFrom(question),
+      updatedAt: now,
+      turns: [...conversation.turns, turn]
+    }));
+    return turn;
+  }
+
+  snapshot({ resultId = null, rows, columns, truncated, totalRows }) {
+    const { snapshotRows } = this.options;
+    return {
+      resultId,
+      columns: columns || [],
+      rows: rows.slice(0, snapshotRows),
+      rowCount: rows.length,
+      snapshotTruncated: rows.length > snapshotRows,
+      truncated: Boolean(truncated),
+      totalRows: totalRows ?? rows.length
+    };
+  }
+
+  describe(conversation) {
+    return {
+      id: conversation.id,
+      title: conversation.title || 'New conversation',
+      databaseId: conversation.databaseId,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      turns: conversation.turns.length
+    };
+  }
+
+  flush() {
+    return this.store.flush();
+  }
+}
+
+module.exports = {
+  DEFAULT_CONVERSATIONS,
+  ConversationError,
+  ConversationStore
+};
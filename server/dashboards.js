@@ -0,0 +1,247 @@
+// server/dashboards.js - Dashboards of pinned charts
+//
+// A dashboard is a record in the "dashboards" collection (see
+// server/store.js): a name, how often its widgets re-query, and the widgets
+// in display order. Each widget is a chart pinned from an answer: the SQL
+// that produced it (with any parameter values), the database it runs on,
+// the chart spec and its size on the grid. `owner` is the ID of the user
+// who made the dashboard (null without sign-in).
+//
+//   layout: { w: 2, h: 2 }   // columns (1-4) and rows (1-4) it spans
+const { randomUUID } = require('crypto');
+const path = require('path');
+const { JsonStore } = require('./store');
+
+const GRID_COLUMNS = 4;
+const MAX_WIDGET_ROWS = 4;
+const MAX_WIDGETS = 50;
+const MIN_REFRESH_INTERVAL = 30;
+const MAX_REFRESH_INTERVAL = 24 * 60 * 60;
+const MAX_NAME_LENGTH = 200;
+
+const DEFAULT_LAYOUT = { w: 2, h: 2 };
+
+class DashboardError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DashboardError';
+    this.statusCode = statusCode;
+  }
+}
+
+const checkName = (value, field) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new DashboardError(`${field} must be a non-empty string`);
+  }
+  if (value.trim().length > MAX_NAME_LENGTH) {
+    throw new DashboardError(`${field} must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return value.trim();
+};
+
+// Seconds between refreshes, or null to query only when the dashboard opens
+const checkRefreshInterval = (value) => {
+  if (value === null || value === undefined || value === 0) return null;
+  if (!Number.isInteger(value) || value < MIN_REFRESH_INTERVAL || value > MAX_REFRESH_INTERVAL) {
+    throw new DashboardError(`refreshInterval must be whole seconds from ${MIN_REFRESH_INTERVAL} to ${MAX_REFRESH_INTERVAL}, or null`);
+  }
+  return value;
+};
+
+const checkLayout = (layout = {}, current = DEFAULT_LAYOUT) => {
+  if (typeof layout !== 'object' || layout === null || Array.isArray(layout)) {
+    throw new DashboardError('layout must be an object like { "w": 2, "h": 2 }');
+  }
+  const { w = current.w, h = current.h } = layout;
+  if (!Number.isInteger(w) || w < 1 || w > GRID_COLUMNS) {
+    throw new DashboardError(`layout.w must be a whole number of columns from 1 to ${GRID_COLUMNS}`);
+  }
+  if (!Number.isInteger(h) || h < 1 || h > MAX_WIDGET_ROWS) {
+    throw new DashboardError(`layout.h must be a whole number of rows from 1 to ${MAX_WIDGET_ROWS}`);
+  }
+  return { w, h };
+};
+
+const checkQuery = (query) => {
+  if (typeof query !== 'string' || !query.trim()) {
+    throw new DashboardError('query must be a non-empty string');
+  }
+  return query.trim();
+};
+
+const checkChart = (chart) => {
+  if (chart !== undefined && chart !== null && (typeof chart !== 'object' || Array.isArray(chart))) {
+    throw new DashboardError('chart must be a chart spec object or null');
+  }
+  return chart || null;
+};
+
+const checkParams = (params) => {
+  if (params === undefined || params === null) return null;
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    throw new DashboardError('params must map parameter names to values');
+  }
+  return params;
+};
+
+class DashboardStore {
+  constructor(storageDirectory) {
+    this.configure(storageDirectory);
+  }
+
+  configure(storageDirectory) {
+    const directory = path.join(storageDirectory, 'dashboards');
+    if (this.store?.directory !== directory) {
+      this.store = new JsonStore(directory);
+    }
+  }
+
+  // Summaries, by name. With an `owner` (a user ID) only that user's
+  // dashboards are listed, here and in get().
+  async list({ owner } = {}) {
+    const dashboards = await this.store.list();
+    return dashboards
+      .filter(dashboard => owner === undefined || dashboard.owner === owner)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(dashboard => this.describe(dashboard));
+  }
+
+  async get(id, owner) {
+    const dashboard = await this.store.get(id);
+    if (!dashboard || (owner !== undefined && dashboard.owner !== owner)) {
+      throw new DashboardError(`No dashboard with ID ${id}`, 404);
+    }
+    return dashboard;
+  }
+
+  async create({ name, description = null, refreshInterval = null } = {}, owner = null) {
+    const now = new Date().toISOString();
+    return this.store.put({
+      id: randomUUID(),
+      owner,
+      name: checkName(name, 'name'),
+      description: description === null ? null : checkName(description, 'description'),
+      refreshInterval: checkRefreshInterval(refreshInterval),
+      widgets: [],
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Change name, description or refreshInterval; `order` (widget IDs)
+  // rearranges the widgets and must list each of them once
+  async update(id, { name, description, refreshInterval, order } = {}) {
+    const changes = {};
+    if (name !== undefined) changes.name = checkName(name, 'name');
+    if (description !== undefined) changes.description = description === null || description === '' ? null : checkName(description, 'description');
+    if (refreshInterval !== undefined) changes.refreshInterval = checkRefreshInterval(refreshInterval);
+    if (order !== undefined && !Array.isArray(order)) {
+      throw new DashboardError('order must be an array of widget IDs');
+    }
+
+    return this.change(id, (dashboard) => {
+      const updated = { ...dashboard, ...changes };
+      if (order) {
+        const byId = new Map(dashboard.widgets.map(widget => [widget.id, widget]));
+        if (order.length !== byId.size || new Set(order).size !== order.length || order.some(widgetId => !byId.has(widgetId))) {
+          throw new DashboardError('order must list every widget of the dashboard once');
+        }
+        updated.widgets = order.map(widgetId => byId.get(widgetId));
+      }
+      return updated;
+    });
+  }
+
+  async delete(id) {
+    if (!(await this.store.delete(id))) {
+      throw new DashboardError(`No dashboard with ID ${id}`, 404);
+    }
+  }
+
+  // Pin a chart: { title, databaseId, query, params, chart, layout }. The
+  // caller checks the SQL against the database first.
+  async addWidget(id, { title, databaseId, query, params, chart, layout }) {
+    const widget = {
+      id: randomUUID(),
+      title: checkName(title, 'title'),
+      databaseId: checkName(databaseId, 'databaseId'),
+      query: checkQuery(query),
+      params: checkParams(params),
+      chart: checkChart(chart),
+      layout: checkLayout(layout),
+      createdAt: new Date().toISOString()
+    };
+    await this.change(id, (dashboard) => {
+      if (dashboard.widgets.length >= MAX_WIDGETS) {
+        throw new DashboardError(`A dashboard can have at most ${MAX_WIDGETS} widgets`);
+      }
+      return { ...dashboard, widgets: [...dashboard.widgets, widget] };
+    });
+    return widget;
+  }
+
+  // Change a widget's title, chart spec or layout
+  async updateWidget(id, widgetId, { title, chart, layout } = {}) {
+    let updated;
+    await this.change(id, (dashboard) => {
+      const widget = this.findWidget(dashboard, widgetId);
+      updated = {
+        ...widget,
+        ...(title !== undefined && { title: checkName(title, 'title') }),
+        ...(chart !== undefined && { chart: checkChart(chart) }),
+        ...(layout !== undefined && { layout: checkLayout(layout, widget.layout) })
+      };
+      return { ...dashboard, widgets: dashboard.widgets.map(candidate => (candidate.id === widgetId ? updated : candidate)) };
+    });
+    return updated;
+  }
+
+  async removeWidget(id, widgetId) {
+    await this.change(id, (dashboard) => {
+      this.findWidget(dashboard, widgetId);
+      return { ...dashboard, widgets: dashboard.widgets.filter(widget => widget.id !== widgetId) };
+    });
+  }
+
+  async getWidget(id, widgetId, owner) {
+    return this.findWidget(await this.get(id, owner), widgetId);
+  }
+
+  findWidget(dashboard, widgetId) {
+    const widget = dashboard.widgets.find(candidate => candidate.id === widgetId);
+    if (!widget) {
+      throw new DashboardError(`Dashboard ${dashboard.id} has no widget ${widgetId}`, 404);
+    }
+    return widget;
+  }
+
+  async change(id, update) {
+    const dashboard = await this.store.update(id, current => ({ ...update(current), updatedAt: new Date().toISOString() }));
+    if (!dashboard) {
+      throw new DashboardError(`No dashboard with ID ${id}`, 404);
+    }
+    return dashboard;
+  }
+
+  describe(dashboard) {
+    return {
+      id: dashboard.id,
+      name: dashboard.name,
+      description: dashboard.description,
+      refreshInterval: dashboard.refreshInterval,
+      widgets: dashboard.widgets.length,
+      updatedAt: dashboard.updatedAt
+    };
+  }
+
+  flush() {
+    return this.store.flush();
+  }
+}
+
+module.exports = {
+  GRID_COLUMNS,
+  MAX_WIDGET_ROWS,
+  DashboardError,
+  DashboardStore
+};
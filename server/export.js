@@ -0,0 +1,160 @@
+// server/export.js - CSV and XLSX downloads of whole query results
+//
+// Writers take the chunks from DatabaseMetadata.streamQuery() ({ columns,
+// rows } first, then { rows }) and write them to an HTTP response as they
+// arrive, waiting when the client reads slower than the database sends.
+// Like JSON responses and event streams, they have the configured secrets
+// cut out (see config-loader.js).
+
+const { redactSecrets } = require('./config-loader');
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+// Excel's limits per sheet and per cell
+const XLSX_MAX_ROWS = 1048576;
+const XLSX_MAX_CELL_TEXT = 32767;
+
+// Wait for the client to catch up; fails when it disconnects instead
+const drained = (output) => new Promise((resolve, reject) => {
+  if (!output.writableNeedDrain) {
+    resolve();
+    return;
+  }
+  const onDrain = () => {
+    cleanup();
+    resolve();
+  };
+  const onClose = () => {
+    cleanup();
+    reject(new Error('The client closed the connection'));
+  };
+  const cleanup = () => {
+    output.off('drain', onDrain);
+    output.off('close', onClose);
+  };
+  output.on('drain', onDrain);
+  output.on('close', onClose);
+});
+
+// Text that a spreadsheet would run as a formula gets a leading quote
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value, column) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'string' ? value : String(value);
+  if (typeof value === 'string' && column?.type !== 'number' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeCsv = async (first, rest, output) => {
+  const { columns } = first;
+  const line = row => `${columns.map(column => csvCell(row[column.name], column)).join(',')}\r\n`;
+
+  // The byte order mark makes Excel read the file as UTF-8
+  output.write(`\uFEFF${columns.map(column => csvCell(column.name)).join(',')}\r\n`);
+  const writeRows = async (rows) => {
+    if (rows.length === 0) return;
+    output.write(rows.map(line).join(''));
+    await drained(output);
+  };
+
+  await writeRows(first.rows);
+  for await (const chunk of rest) {
+    await writeRows(chunk.rows);
+  }
+  output.end();
+};
+
+// Calendar dates are written as UTC midnight so no timezone moves them
+const xlsxValue = (value, column) => {
+  if (value === null || value === undefined) return null;
+  if (column.type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+  if (column.type === 'timestamp' && typeof value === 'string') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date;
+  }
+  if (typeof value === 'string' && value.length > XLSX_MAX_CELL_TEXT) {
+    return value.slice(0, XLSX_MAX_CELL_TEXT);
+  }
+  return value;
+};
+
+const XLSX_FORMATS = {
+  date: 'yyyy-mm-dd',
+  timestamp: 'yyyy-mm-dd hh:mm:ss'
+};
+
+const writeXlsx = async (first, rest, output) => {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true, useSharedStrings: false });
+  const { columns } = first;
+
+  let sheet = null;
+  let sheets = 0;
+  let sheetRows = 0;
+  const addSheet = () => {
+    sheet?.commit();
+    sheets++;
+    sheet = workbook.addWorksheet(sheets === 1 ? 'Results' : `Results ${sheets}`, {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = columns.map(column => ({
+      header: column.name,
+      key: column.name,
+      width: Math.min(Math.max(column.name.length + 2, column.type === 'timestamp' ? 20 : 12), 50),
+      style: XLSX_FORMATS[column.type] ? { numFmt: XLSX_FORMATS[column.type] } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheetRows = 1;
+  };
+
+  const writeRows = async (rows) => {
+    for (const row of rows) {
+      if (sheetRows >= XLSX_MAX_ROWS) addSheet();
+      sheet.addRow(columns.map(column => xlsxValue(row[column.name], column))).commit();
+      sheetRows++;
+    }
+    await drained(output);
+  };
+
+  addSheet();
+  await writeRows(first.rows);
+  for await (const chunk of rest) {
+    await writeRows(chunk.rows);
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+async function* redactChunks(chunks) {
+  for await (const chunk of chunks) {
+    yield redactSecrets(chunk);
+  }
+}
+
+// Write a streamed result as `format` (a key of EXPORT_FORMATS). `first` is
+// the chunk already read from `rest`, so errors before any output can still
+// be answered with a status code.
+const writeExport = (format, first, rest, output) => {
+  const write = format === 'xlsx' ? writeXlsx : writeCsv;
+  return write(redactSecrets(first), redactChunks(rest), output);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  writeExport
+};
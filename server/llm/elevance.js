@@ -0,0 +1,136 @@
+// server/llm/elevance.js - Elevance Health chat API
+//
+// Speaks the OpenAI chat completions format at <baseUrl>/text/chats.
+// Point ELEVANCE_API_BASE at `npm run mock:llm` to develop offline.
+//
+// Authenticates with an OAuth2 client-credentials token when tokenUrl,
+// clientId and clientSecret are set, otherwise with a static apiKey. A 401
+// refreshes the token and retries the call once. A call that has not
+// finished after `timeout` seconds is aborted.
+const { readEventStream } = require('../sse');
+const { TokenManager } = require('./token-manager');
+
+const send = (settings, token, messages, options, signal, stream) => (
+  fetch(`${settings.baseUrl}/text/chats`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({
+      messages: messages,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      model: options.model,
+      ...(stream ? { stream: true } : {})
+    }),
+    signal
+  })
+);
+
+const request = async (settings, tokens, messages, options, signal, stream) => {
+  let token = tokens ? await tokens.getToken() : settings.apiKey;
+  let response = await send(settings, token, messages, options, signal, stream);
+
+  if (response.status === 401 && tokens) {
+    await response.body?.cancel();
+    token = await tokens.invalidate(token);
+    response = await send(settings, token, messages, options, signal, stream);
+  }
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || `Elevance API request failed (HTTP ${response.status})`);
+  }
+
+  return response;
+};
+
+// The caller's signal, if any, combined with the request timeout
+const requestSignal = (settings, options) => AbortSignal.any([
+  options.signal,
+  AbortSignal.timeout(settings.timeout * 1000)
+].filter(Boolean));
+
+const timeoutError = (settings, error) => (error.name === 'TimeoutError'
+  ? new Error(`Elevance API did not answer within ${settings.timeout} seconds`)
+  : error);
+
+const createClient = (settings) => {
+  const tokens = settings.tokenUrl && settings.clientId && settings.clientSecret
+    ? new TokenManager(settings)
+    : null;
+
+  return {
+    configured: Boolean(tokens || settings.apiKey),
+
+    status() {
+      return { auth: tokens ? 'oauth2' : 'apiKey', token: tokens ? tokens.status() : null };
+    },
+
+    async complete(messages, options) {
+      try {
+        const response = await request(settings, tokens, messages, options, requestSignal(settings, options), false);
+        const completion = await response.json();
+        return {
+          content: completion.choices[0].message.content,
+          usage: completion.usage
+        };
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Elevance API Error:', error);
+        }
+        throw timeoutError(settings, error);
+      }
+    },
+
+    async stream(messages, options, onToken) {
+      try {
+        const response = await request(settings, tokens, messages, options, requestSignal(settings, options), true);
+        let content = '';
+        let usage = null;
+
+        for await (const data of readEventStream(response.body)) {
+          if (data === '[DONE]') break;
+
+          const chunk = JSON.parse(data);
+          const delta = chunk.choices?.[0]?.delta?.content || '';
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+          usage = chunk.usage || usage;
+        }
+
+        return { content, usage };
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Elevance API Error:', error);
+        }
+        throw timeoutError(settings, error);
+      }
+    }
+  };
+};
+
+module.exports = {
+  type: 'elevance',
+  defaults: {
+    baseUrl: 'https://api.horizon.elevancehealth.com/v2',
+    model: 'gpt-4-turbo-preview',
+    temperature: 0.7,
+    maxTokens: 2000,
+    // Seconds before a chat request is aborted
+    timeout: 120,
+    refreshMargin: 60
+  },
+  env: {
+    apiKey: 'ELEVANCE_API_KEY',
+    baseUrl: 'ELEVANCE_API_BASE',
+    tokenUrl: 'ELEVANCE_TOKEN_URL',
+    clientId: 'ELEVANCE_CLIENT_ID',
+    clientSecret: 'ELEVANCE_CLIENT_SECRET',
+    scope: 'ELEVANCE_SCOPE'
+  },
+  createClient
+};
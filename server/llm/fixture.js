@@ -0,0 +1,174 @@
+// server/llm/fixture.js - Deterministic canned responses
+//
+// For development without a model and for CI: the same messages always get
+// the same answer. LLM_FIXTURES_FILE may point at a JSON array of
+//
+//   { "match": "regex on the last user message",
+//     "system": "optional regex on the system prompt",
+//     "response": "text" | { ...JSON answer } }
+//
+// checked in order. Messages no fixture matches get the built-in answers:
+// a chart spec for visualization prompts, otherwise one of a few analytics
+// questions over the sample sales tables, in the dialect the system prompt
+// names.
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const CHUNK_SIZE = 8;
+
+const lastWeekFilter = (dialect) => ({
+  sqlite: "TRANSACTION_DATE >= date('now', '-7 day')",
+  postgres: "TRANSACTION_DATE >= CURRENT_DATE - INTERVAL '7 days'",
+  mysql: 'TRANSACTION_DATE >= CURDATE() - INTERVAL 7 DAY',
+  snowflake: 'TRANSACTION_DATE >= DATEADD(day, -7, CURRENT_DATE())'
+}[dialect] || 'TRANSACTION_DATE >= TRUNC(SYSDATE) - 7');
+
+const chatAnswer = (question, dialect) => {
+  if (/product|category/i.test(question)) {
+    return {
+      message: 'Here is revenue broken down by product category. Electronics leads the mix by a wide margin.',
+      query: `SELECT p.CATEGORY, SUM(s.AMOUNT) AS TOTAL_SALES
+FROM SALES_TRANSACTIONS s
+JOIN PRODUCTS p ON p.ID = s.PRODUCT_ID
+GROUP BY p.CATEGORY
+ORDER BY TOTAL_SALES DESC`,
+      visualization: 'donut'
+    };
+  }
+
+  if (/customer|segment/i.test(question)) {
+    return {
+      message: 'These are customer counts and average age by segment.',
+      query: `SELECT SEGMENT, COUNT(*) AS CUSTOMERS, AVG(AGE) AS AVG_AGE
+FROM CUSTOMERS
+GROUP BY SEGMENT
+ORDER BY CUSTOMERS DESC`,
+      visualization: 'bar'
+    };
+  }
+
+  return {
+    message: 'Here are your daily sales totals for the last 7 days, with the number of transactions per day.',
+    query: `SELECT TRANSACTION_DATE, SUM(AMOUNT) AS TOTAL_SALES, COUNT(*) AS TRANSACTIONS
+FROM SALES_TRANSACTIONS
+WHERE ${lastWeekFilter(dialect)}
+GROUP BY TRANSACTION_DATE
+ORDER BY TRANSACTION_DATE`,
+    visualization: 'line'
+  };
+};
+
+const chartAnswer = (prompt) => {
+  const sampleMatch = /Data sample: ([\s\S]*?)\nTotal rows:/.exec(prompt);
+  let sample = [];
+  try {
+    sample = sampleMatch ? JSON.parse(sampleMatch[1]) : [];
+  } catch {
+    // Not the prompt we expected; answer with the generic spec below
+  }
+
+  const [xKey, ...rest] = Object.keys(sample[0] || {});
+  const numeric = rest.filter(key => typeof sample[0][key] === 'number');
+
+  if (xKey && /DATE|TIME|DAY|MONTH/i.test(xKey)) {
+    return { type: 'line', title: 'Trend over time', description: 'Time series data', xKey, yKeys: numeric };
+  }
+  if (numeric.length === 1 && sample.length <= 10) {
+    return { type: 'donut', title: 'Distribution', description: 'Share of a single measure', nameKey: xKey, valueKey: numeric[0] };
+  }
+  return { type: 'bar', title: 'Comparison', description: 'Categorical comparison', xKey, yKeys: numeric };
+};
+
+// The built-in answer to a conversation, as the text a model would return
+const cannedResponse = (messages) => {
+  const system = messages.find(message => message.role === 'system')?.content || '';
+  const lastUser = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+
+  if (/visualization expert/i.test(system)) {
+    return JSON.stringify(chartAnswer(lastUser));
+  }
+
+  const dialect = /access to an? (\w+) database/i.exec(system)?.[1]?.toLowerCase();
+  return JSON.stringify(chatAnswer(lastUser, dialect));
+};
+
+const loadFixtures = (file) => {
+  if (!file) return [];
+
+  const fixtures = JSON.parse(fs.readFileSync(path.resolve(PROJECT_ROOT, file), 'utf-8'));
+  if (!Array.isArray(fixtures)) {
+    throw new Error(`LLM fixtures file ${file} must contain a JSON array`);
+  }
+
+  return fixtures.map((fixture, idx) => {
+    if (fixture.response === undefined) {
+      throw new Error(`LLM fixture ${idx} in ${file} has no "response"`);
+    }
+    return {
+      match: new RegExp(fixture.match || '', 'i'),
+      system: fixture.system ? new RegExp(fixture.system, 'i') : null,
+      response: typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response)
+    };
+  });
+};
+
+// Rough, but stable: about four characters per token
+const countTokens = (text) => Math.ceil(text.length / 4);
+
+const abortError = () => Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+
+const createClient = (settings) => {
+  const fixtures = loadFixtures(settings.fixturesFile);
+
+  const respond = (messages, options) => {
+    if (options.signal?.aborted) throw abortError();
+
+    const system = messages.find(message => message.role === 'system')?.content || '';
+    const lastUser = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    const fixture = fixtures.find(candidate =>
+      candidate.match.test(lastUser) && (!candidate.system || candidate.system.test(system))
+    );
+    const content = fixture ? fixture.response : cannedResponse(messages);
+
+    const promptTokens = countTokens(messages.map(message => message.content).join('\n'));
+    const completionTokens = countTokens(content);
+    return {
+      content,
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+    };
+  };
+
+  return {
+    configured: true,
+
+    async complete(messages, options) {
+      return respond(messages, options);
+    },
+
+    async stream(messages, options, onToken) {
+      const completion = respond(messages, options);
+      for (let i = 0; i < completion.content.length; i += CHUNK_SIZE) {
+        if (options.signal?.aborted) throw abortError();
+        onToken(completion.content.slice(i, i + CHUNK_SIZE));
+        // Yield so aborts and other requests get a turn, as with a real stream
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return completion;
+    }
+  };
+};
+
+module.exports = {
+  type: 'fixture',
+  defaults: {
+    model: 'fixture',
+    temperature: 0,
+    maxTokens: 2000
+  },
+  env: {
+    fixturesFile: 'LLM_FIXTURES_FILE'
+  },
+  createClient,
+  cannedResponse
+};
@@ -0,0 +1,127 @@
+// server/llm/index.js - LLM provider registry
+//
+// Each provider registers { type, defaults, env, createClient(settings) }.
+// createClient returns an object with:
+//
+//   configured                          -> true when the provider can be called
+//   status()                            -> optional extra state for /api/health
+//   complete(messages, options)         -> resolves to { content, usage }
+//   stream(messages, options, onToken)  -> calls onToken per content delta,
+//                                          resolves to { content, usage }
+//
+// options: { temperature, maxTokens, signal }. Temperature and maxTokens
+// fall back to the provider's settings.
+//
+// Settings are merged from, lowest to highest precedence: the provider's
+// defaults, metadata.llm.providers.<type> in database-metadata.json, and
+// environment variables. LLM_PROVIDER (or metadata.llm.provider) picks the
+// provider; LLM_MODEL, LLM_TEMPERATURE and LLM_MAX_TOKENS override the
+// active provider's defaults.
+
+const providers = new Map();
+
+const COMMON_ENV = {
+  model: 'LLM_MODEL',
+  temperature: 'LLM_TEMPERATURE',
+  maxTokens: 'LLM_MAX_TOKENS'
+};
+
+const NUMERIC_SETTINGS = ['temperature', 'maxTokens', 'timeout', 'refreshMargin'];
+
+// Settings that never leave the server
+const SECRET_SETTINGS = ['apiKey', 'clientSecret'];
+
+const registerProvider = (provider) => {
+  if (typeof provider.createClient !== 'function') {
+    throw new Error(`LLM provider "${provider.type}" is missing createClient()`);
+  }
+  providers.set(provider.type, provider);
+};
+
+const getProvider = (type) => {
+  const provider = providers.get(type);
+  if (!provider) {
+    throw new Error(`Unsupported LLM provider: ${type} (available: ${listProviderTypes().join(', ')})`);
+  }
+  return provider;
+};
+
+const listProviderTypes = () => [...providers.keys()];
+
+const resolveSettings = (provider, llmConfig = {}, env = process.env) => {
+  const fromEnv = {};
+  for (const [key, variable] of Object.entries({ ...COMMON_ENV, ...provider.env })) {
+    if (env[variable] !== undefined && env[variable] !== '') {
+      fromEnv[key] = env[variable];
+    }
+  }
+
+  const settings = {
+    ...provider.defaults,
+    ...llmConfig.providers?.[provider.type],
+    ...fromEnv
+  };
+
+  for (const key of NUMERIC_SETTINGS) {
+    if (settings[key] !== undefined) {
+      const value = Number(settings[key]);
+      if (Number.isNaN(value)) {
+        throw new Error(`LLM setting "${key}" must be a number, got "${settings[key]}"`);
+      }
+      settings[key] = value;
+    }
+  }
+
+  return settings;
+};
+
+// Build the client for the configured provider. llmConfig is the optional
+// metadata.llm block of database-metadata.json.
+const createLLMClient = (llmConfig = {}, env = process.env) => {
+  const provider = getProvider(env.LLM_PROVIDER || llmConfig.provider || 'elevance');
+  const settings = resolveSettings(provider, llmConfig, env);
+  const client = provider.createClient(settings);
+
+  const withDefaults = (options = {}) => ({
+    ...options,
+    model: options.model || settings.model,
+    temperature: options.temperature ?? settings.temperature,
+    maxTokens: options.maxTokens ?? settings.maxTokens
+  });
+
+  return {
+    provider: provider.type,
+    model: settings.model,
+
+    get configured() {
+      return client.configured;
+    },
+
+    complete(messages, options) {
+      return client.complete(messages, withDefaults(options));
+    },
+
+    stream(messages, options, onToken = () => {}) {
+      return client.stream(messages, withDefaults(options), onToken);
+    },
+
+    // Settings as reported by /api/health
+    describe() {
+      const visible = Object.fromEntries(
+        Object.entries(settings).filter(([key]) => !SECRET_SETTINGS.includes(key))
+      );
+      return { provider: provider.type, configured: client.configured, ...visible, ...client.status?.() };
+    }
+  };
+};
+
+registerProvider(require('./elevance'));
+registerProvider(require('./openai'));
+registerProvider(require('./fixture'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviderTypes,
+  createLLMClient
+};
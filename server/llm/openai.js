@@ -0,0 +1,86 @@
+// server/llm/openai.js - OpenAI and OpenAI-compatible chat APIs
+//
+// Works with api.openai.com and with any server exposing
+// /v1/chat/completions, such as llama.cpp's llama-server, Ollama or vLLM:
+//
+//   LLM_PROVIDER=openai OPENAI_BASE_URL=http://localhost:11434/v1 LLM_MODEL=llama3.1:8b
+//
+// Local servers usually ignore the API key, so one is only required when
+// no base URL is set.
+const OpenAI = require('openai');
+
+const createClient = (settings) => {
+  const configured = Boolean(settings.apiKey || settings.baseUrl);
+  const client = configured
+    ? new OpenAI({
+      apiKey: settings.apiKey || 'not-needed',
+      baseURL: settings.baseUrl || undefined,
+      timeout: settings.timeout * 1000,
+      maxRetries: 1
+    })
+    : null;
+
+  const body = (messages, options) => ({
+    model: options.model,
+    messages,
+    temperature: options.temperature,
+    max_tokens: options.maxTokens
+  });
+
+  const requireClient = () => {
+    if (!client) {
+      throw new Error('OpenAI provider needs OPENAI_API_KEY or OPENAI_BASE_URL');
+    }
+    return client;
+  };
+
+  return {
+    configured,
+
+    async complete(messages, options) {
+      const completion = await requireClient().chat.completions.create(
+        body(messages, options),
+        { signal: options.signal }
+      );
+      return {
+        content: completion.choices[0]?.message?.content || '',
+        usage: completion.usage
+      };
+    },
+
+    async stream(messages, options, onToken) {
+      const chunks = await requireClient().chat.completions.create(
+        { ...body(messages, options), stream: true },
+        { signal: options.signal }
+      );
+
+      let content = '';
+      let usage = null;
+      for await (const chunk of chunks) {
+        const delta = chunk.choices?.[0]?.delta?.content || '';
+        if (delta) {
+          content += delta;
+          onToken(delta);
+        }
+        usage = chunk.usage || usage;
+      }
+
+      return { content, usage };
+    }
+  };
+};
+
+module.exports = {
+  type: 'openai',
+  defaults: {
+    model: 'gpt-4o-mini',
+    temperature: 0.7,
+    maxTokens: 2000,
+    timeout: 120
+  },
+  env: {
+    apiKey: 'OPENAI_API_KEY',
+    baseUrl: 'OPENAI_BASE_URL'
+  },
+  createClient
+};
@@ -0,0 +1,89 @@
+// server/llm/output-schemas.js - JSON schemas for model responses
+//
+// Used by structured-output.js to validate what the model returns and,
+// verbatim, in the repair prompt when it gets the shape wrong.
+
+const CHART_TYPES = ['line', 'bar', 'scatter', 'donut', 'pie'];
+
+const chatResponse = {
+  type: 'object',
+  required: ['message'],
+  properties: {
+    message: { type: 'string', minLength: 1 },
+    query: { type: ['string', 'null'] },
+    visualization: { enum: [...CHART_TYPES, null] }
+  }
+};
+
+const columnName = { type: 'string', minLength: 1 };
+
+const chartSpec = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { enum: CHART_TYPES },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    xKey: columnName,
+    yKey: columnName,
+    zKey: columnName,
+    yKeys: { type: 'array', items: columnName, minItems: 1 },
+    nameKey: columnName,
+    valueKey: columnName,
+    scatterSeries: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          color: { type: 'string' }
+        }
+      }
+    }
+  },
+  allOf: [
+    { if: { properties: { type: { enum: ['line', 'bar'] } } }, then: { required: ['xKey', 'yKeys'] } },
+    { if: { properties: { type: { const: 'scatter' } } }, then: { required: ['xKey', 'yKey'] } },
+    { if: { properties: { type: { enum: ['donut', 'pie'] } } }, then: { required: ['nameKey', 'valueKey'] } }
+  ]
+};
+
+const sqlFix = {
+  type: 'object',
+  required: ['query'],
+  properties: {
+    query: { type: 'string', minLength: 1 },
+    explanation: { type: 'string' }
+  }
+};
+
+// Keys of a chart spec that must name a column of the data
+const CHART_COLUMN_KEYS = ['xKey', 'yKey', 'zKey', 'nameKey', 'valueKey'];
+
+// Schema checks cannot see the data, so this reports spec keys that do not
+// name one of `columns`
+const checkChartColumns = (columns) => (spec) => {
+  const known = new Set(columns);
+  const problems = [];
+
+  for (const key of CHART_COLUMN_KEYS) {
+    if (spec[key] !== undefined && !known.has(spec[key])) {
+      problems.push(`/${key}: "${spec[key]}" is not a column of the results (columns: ${columns.join(', ')})`);
+    }
+  }
+  (spec.yKeys || []).forEach((column, idx) => {
+    if (!known.has(column)) {
+      problems.push(`/yKeys/${idx}: "${column}" is not a column of the results (columns: ${columns.join(', ')})`);
+    }
+  });
+
+  return problems;
+};
+
+module.exports = {
+  chatResponse,
+  chartSpec,
+  sqlFix,
+  checkChartColumns
+};
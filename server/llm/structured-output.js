@@ -0,0 +1,211 @@
+// server/llm/structured-output.js - Schema-checked JSON from model output
+//
+// Models wrap JSON in markdown fences, lead with prose or return a shape
+// close to but not quite what was asked for. parseStructured() digs the
+// JSON out of the text and validates it against one of the schemas in
+// output-schemas.js. When that fails, repairStructured() shows the model its
+// reply and the problems found and asks again, at most maxRepairs times
+// (LLM_MAX_REPAIRS, default 1). Outcomes are counted per schema for
+// /api/health.
+
+const Ajv = require('ajv');
+const schemas = require('./output-schemas');
+
+const DEFAULT_MAX_REPAIRS = Number(process.env.LLM_MAX_REPAIRS || 1);
+
+// Longest previous reply echoed back in a repair prompt
+const MAX_ECHOED_CHARS = 4000;
+
+class StructuredOutputError extends Error {
+  constructor(schemaName, kind, problems) {
+    super(`Model returned ${kind === 'parse' ? 'no usable JSON' : `JSON that does not match the ${schemaName} schema`}: ${problems.join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.schemaName = schemaName;
+    this.kind = kind;
+    this.problems = problems;
+  }
+}
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validators = {
+  chatResponse: ajv.compile(schemas.chatResponse),
+  chartSpec: ajv.compile(schemas.chartSpec),
+  sqlFix: ajv.compile(schemas.sqlFix)
+};
+
+const stats = new Map();
+
+const countOutcome = (schemaName, outcome) => {
+  if (!stats.has(schemaName)) {
+    stats.set(schemaName, { requests: 0, valid: 0, repaired: 0, failed: 0, parseFailures: 0, validationFailures: 0 });
+  }
+  stats.get(schemaName)[outcome] += 1;
+};
+
+const getOutputStats = () => Object.fromEntries(stats);
+
+// Index just past the object or array that opens at `start`, or -1 when
+// it is not closed
+const findClosing = (text, start) => {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+};
+
+// Every JSON value the text plausibly contains, most likely first: the
+// whole text, fenced code blocks, then each balanced {...} span
+const jsonCandidates = (text) => {
+  const candidates = [text.trim()];
+
+  for (const match of text.matchAll(/```[a-zA-Z]*\s*\n?([\s\S]*?)```/g)) {
+    candidates.push(match[1].trim());
+  }
+
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    const end = findClosing(text, start);
+    if (end !== -1) {
+      candidates.push(text.slice(start, end));
+    }
+  }
+
+  return [...new Set(candidates)];
+};
+
+const formatAjvError = (error) => {
+  const location = error.instancePath || '/';
+  if (error.keyword === 'required') {
+    return `${location}: missing required property "${error.params.missingProperty}"`;
+  }
+  if (error.keyword === 'enum') {
+    return `${location}: must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+  }
+  return `${location}: ${error.message}`;
+};
+
+// Extract and validate. `check` may add problems the schema cannot express.
+// Throws a StructuredOutputError.
+const parseStructured = (content, schemaName, check) => {
+  const validate = validators[schemaName];
+  if (!validate) {
+    throw new Error(`Unknown output schema: ${schemaName}`);
+  }
+
+  let firstProblems = null;
+  for (const candidate of jsonCandidates(content || '')) {
+    let value;
+    try {
+      value = JSON.parse(candidate);
+    } catch {
+      continue;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) continue;
+
+    const problems = validate(value)
+      ? (check ? check(value) : [])
+      : [...new Set(validate.errors.filter(error => error.keyword !== 'if').map(formatAjvError))];
+
+    if (problems.length === 0) {
+      return value;
+    }
+    firstProblems = firstProblems || problems;
+  }
+
+  if (firstProblems) {
+    throw new StructuredOutputError(schemaName, 'validation', firstProblems);
+  }
+  throw new StructuredOutputError(schemaName, 'parse', ['the reply does not contain a JSON object']);
+};
+
+const addUsage = (total, usage) => {
+  if (!usage) return total;
+  if (!total) return { ...usage };
+  return Object.fromEntries(
+    Object.entries(usage).map(([key, value]) => [key, typeof value === 'number' ? (total[key] || 0) + value : value])
+  );
+};
+
+const repairPrompt = (schemaName, problems) => `Your previous reply could not be used:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Reply again with only a JSON object that matches this schema. Do not use markdown code fences and do not add any text before or after the JSON.
+${JSON.stringify(schemas[schemaName])}`;
+
+// Ask the model to fix `content`, which failed with `error`. Resolves to
+// { value, content, usage, repairs } or throws the last StructuredOutputError.
+const repairStructured = async (llm, messages, content, error, schemaName, options = {}) => {
+  const { check, maxRepairs = DEFAULT_MAX_REPAIRS, ...completeOptions } = options;
+  let usage = null;
+  let lastContent = content;
+  let lastError = error;
+
+  countOutcome(schemaName, error.kind === 'parse' ? 'parseFailures' : 'validationFailures');
+
+  for (let attempt = 1; attempt <= maxRepairs; attempt++) {
+    console.warn(`⚠ ${schemaName} output rejected (${lastError.problems.join('; ')}), repair attempt ${attempt}/${maxRepairs}`);
+
+    const completion = await llm.complete([
+      ...messages,
+      { role: 'assistant', content: lastContent.slice(0, MAX_ECHOED_CHARS) },
+      { role: 'user', content: repairPrompt(schemaName, lastError.problems) }
+    ], completeOptions);
+    usage = addUsage(usage, completion.usage);
+    lastContent = completion.content;
+
+    try {
+      const value = parseStructured(lastContent, schemaName, check);
+      countOutcome(schemaName, 'repaired');
+      return { value, content: lastContent, usage, repairs: attempt };
+    } catch (repairError) {
+      if (!(repairError instanceof StructuredOutputError)) throw repairError;
+      lastError = repairError;
+      countOutcome(schemaName, repairError.kind === 'parse' ? 'parseFailures' : 'validationFailures');
+    }
+  }
+
+  countOutcome(schemaName, 'failed');
+  throw lastError;
+};
+
+// Parse an already received reply, repairing it when needed
+const resolveStructured = async (llm, messages, completion, schemaName, options = {}) => {
+  countOutcome(schemaName, 'requests');
+  try {
+    const value = parseStructured(completion.content, schemaName, options.check);
+    countOutcome(schemaName, 'valid');
+    return { value, content: completion.content, usage: completion.usage, repairs: 0 };
+  } catch (error) {
+    if (!(error instanceof StructuredOutputError)) throw error;
+    const repaired = await repairStructured(llm, messages, completion.content, error, schemaName, options);
+    return { ...repaired, usage: addUsage(addUsage(null, completion.usage), repaired.usage) };
+  }
+};
+
+// Complete, parse and validate, repairing when needed
+const completeStructured = async (llm, messages, schemaName, options = {}) => {
+  const { check, maxRepairs, ...completeOptions } = options;
+  const completion = await llm.complete(messages, completeOptions);
+  return resolveStructured(llm, messages, completion, schemaName, options);
+};
+
+module.exports = {
+  StructuredOutputError,
+  parseStructured,
+  resolveStructured,
+  completeStructured,
+  getOutputStats
+};
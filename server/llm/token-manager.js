@@ -0,0 +1,140 @@
+// server/llm/token-manager.js - OAuth2 client-credentials tokens
+//
+// Fetches an access token from the token endpoint and caches it until
+// refreshMargin seconds before it expires. Concurrent callers share one
+// in-flight token request, and a token the API rejected with 401 is
+// replaced at most once however many requests saw the rejection.
+
+// Lifetime assumed when the token response has no expires_in
+const DEFAULT_EXPIRES_IN = 300;
+// Every LLM call waits on the one in-flight token request, so a token
+// endpoint that never answers must not hold them forever
+const TOKEN_REQUEST_TIMEOUT_MS = 15000;
+
+class TokenManager {
+  constructor({ tokenUrl, clientId, clientSecret, scope, refreshMargin = 60, authMethod = 'basic' }) {
+    this.tokenUrl = tokenUrl;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scope = scope;
+    this.refreshMargin = refreshMargin;
+    this.authMethod = authMethod;
+
+    this.token = null;
+    this.expiresAt = 0;
+    this.refreshAt = 0;
+    this.pending = null;
+    this.lastRefreshAt = null;
+    this.lastError = null;
+    this.refreshCount = 0;
+  }
+
+  // Resolves to a usable access token, fetching a new one when the cached
+  // token is missing or about to expire
+  async getToken() {
+    if (this.token && Date.now() < this.refreshAt) {
+      return this.token;
+    }
+    return this.refresh();
+  }
+
+  // Called after a 401: drop `rejected` and fetch a replacement. When another
+  // request already replaced it, the newer token is returned instead.
+  async invalidate(rejected) {
+    if (this.pending) {
+      return this.pending;
+    }
+    if (this.token && this.token !== rejected) {
+      return this.token;
+    }
+    this.token = null;
+    return this.refresh();
+  }
+
+  refresh() {
+    if (!this.pending) {
+      this.pending = this.requestToken().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async requestToken() {
+    const body = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (this.scope) {
+      body.set('scope', this.scope);
+    }
+
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    };
+    if (this.authMethod === 'body') {
+      body.set('client_id', this.clientId);
+      body.set('client_secret', this.clientSecret);
+    } else {
+      const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    try {
+      const response = await fetch(this.tokenUrl, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(TOKEN_REQUEST_TIMEOUT_MS)
+      }).catch((error) => {
+        throw new Error(`Token request to ${this.tokenUrl} failed: ${error.cause?.message || error.message}`);
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok || !result.access_token) {
+        const reason = result.error_description || result.error || 'no access_token in response';
+        throw new Error(`Token request to ${this.tokenUrl} failed (HTTP ${response.status}): ${reason}`);
+      }
+
+      const expiresIn = Number(result.expires_in) || DEFAULT_EXPIRES_IN;
+      // Short-lived tokens would otherwise be refreshed on every call
+      const margin = Math.min(this.refreshMargin, expiresIn / 2);
+
+      this.token = result.access_token;
+      this.expiresAt = Date.now() + expiresIn * 1000;
+      this.refreshAt = this.expiresAt - margin * 1000;
+      this.lastRefreshAt = new Date().toISOString();
+      this.lastError = null;
+      this.refreshCount += 1;
+      console.log(`✓ LLM access token refreshed, expires at ${new Date(this.expiresAt).toISOString()}`);
+
+      return this.token;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error('✗ LLM access token refresh failed:', error.message);
+      throw error;
+    }
+  }
+
+  // Token state as reported by /api/health
+  status() {
+    const now = Date.now();
+    let state;
+    if (this.pending) state = 'refreshing';
+    else if (this.token && now < this.expiresAt) state = 'valid';
+    else if (this.lastError) state = 'error';
+    else if (this.token) state = 'expired';
+    else state = 'none';
+
+    return {
+      state,
+      expiresAt: this.token ? new Date(this.expiresAt).toISOString() : null,
+      expiresInSeconds: this.token ? Math.max(0, Math.round((this.expiresAt - now) / 1000)) : null,
+      lastRefreshAt: this.lastRefreshAt,
+      refreshCount: this.refreshCount,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = {
+  TokenManager
+};
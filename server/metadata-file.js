@@ -0,0 +1,105 @@
+// server/metadata-file.js - database-metadata.json on disk
+//
+// Keeps the validated config in memory and reloads it when the file changes.
+// Emits 'reload' with the new metadata after a successful reload.
+const fs = require('fs').promises;
+const { watch } = require('fs');
+const { EventEmitter } = require('events');
+const path = require('path');
+const { ConfigError, resolveConfig } = require('./config-loader');
+const { validateMetadata } = require('./config-schema');
+
+class MetadataFile extends EventEmitter {
+  constructor(metadataPath) {
+    super();
+    this.metadataPath = metadataPath;
+    this.metadata = null;
+    this.lastReload = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  // Read, validate and resolve the file without touching the cached copy
+  async readMetadata() {
+    const data = await fs.readFile(this.metadataPath, 'utf-8');
+
+    let raw;
+    try {
+      raw = JSON.parse(data);
+    } catch (error) {
+      throw new ConfigError([`/: invalid JSON (${error.message})`]);
+    }
+
+    validateMetadata(raw);
+    return resolveConfig(raw);
+  }
+
+  async loadMetadata({ force = false } = {}) {
+    if (this.metadata && !force) {
+      return this.metadata;
+    }
+
+    try {
+      const metadata = await this.readMetadata();
+      this.applyMetadata(metadata);
+      console.log(`✓ Loaded metadata for ${metadata.databases.length} databases`);
+      return metadata;
+    } catch (error) {
+      console.error('Error loading metadata:', error.message);
+      throw error;
+    }
+  }
+
+  applyMetadata(metadata) {
+    const previous = this.metadata;
+    this.metadata = metadata;
+    this.lastReload = { at: new Date().toISOString(), success: true, errors: [] };
+
+    if (previous) {
+      this.emit('reload', metadata);
+    }
+  }
+
+  // Re-read the file after an edit. A broken edit is logged and reported in
+  // /api/health while the previous configuration stays in service.
+  async reload() {
+    try {
+      const metadata = await this.readMetadata();
+      this.applyMetadata(metadata);
+      console.log(`✓ Reloaded ${path.basename(this.metadataPath)} (${metadata.databases.length} databases)`);
+    } catch (error) {
+      this.lastReload = {
+        at: new Date().toISOString(),
+        success: false,
+        errors: error.problems || [error.message]
+      };
+      console.error(`✗ Reload of ${path.basename(this.metadataPath)} failed, keeping the previous configuration\n${error.message}`);
+    }
+  }
+
+  // Watch the directory rather than the file: editors often save by
+  // replacing the file, which ends a watch on the old inode
+  watch() {
+    const filename = path.basename(this.metadataPath);
+
+    this.watcher = watch(path.dirname(this.metadataPath), (eventType, changed) => {
+      if (changed !== filename) return;
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), 250);
+    });
+
+    console.log(`✓ Watching ${filename} for changes`);
+  }
+
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    clearTimeout(this.reloadTimer);
+  }
+}
+
+module.exports = {
+  MetadataFile
+};
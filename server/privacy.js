@@ -0,0 +1,177 @@
+// server/privacy.js - Masking classified columns, and keeping them out of prompts
+//
+// Columns are classified in config/database-metadata.json:
+//
+//   { "name": "EMAIL", "type": "TEXT", "classification": "pii" }
+//
+// as "pii", "phi" or "sensitive". Whether and how a user sees them depends
+// on their roles (see auth/access.js); the SQL guard makes sure masked
+// columns reach the result under their own name, and executeQuery masks
+// them there with one of these strategies:
+//
+//   redact      "[redacted]"
+//   hash        a keyed hash (HMAC-SHA256, 16 hex digits): equal values
+//               hash alike, so grouping and counting still work
+//   partial     the first character of each word, the domain of an email
+//               address or the last four digits of a number-like value
+//   generalise  numbers to bands of ten (30-39), dates to the year, email
+//               addresses to their domain; anything else is redacted
+//
+// metadata.privacy sets the default strategy per classification and the
+// hash key:
+//
+//   "privacy": {
+//     "masking": { "pii": "partial", "phi": "redact", "sensitive": "generalise" },
+//     "hashSecret": "${MASKING_SECRET}"
+//   }
+//
+// Classified values never go to the LLM, masked or not: scrubForPrompt()
+// swaps them for their classification ("[PII]") in result samples before
+// a prompt is built. Which result columns hold them is traced by the SQL
+// guard from the query; when they may reach the result under another name
+// (EMAIL AS CONTACT), every value of the sample is swapped.
+const { createHmac, randomBytes } = require('crypto');
+
+const REDACTED = '[redacted]';
+const HASH_LENGTH = 16;
+const BAND_SIZE = 10;
+
+const EMAIL = /^([^@\s])[^@\s]*@([^@\s]+)$/;
+const NUMBER_LIKE = /^[\d\s()+./-]+$/;
+const ISO_DATE = /^(\d{4})-\d{2}-\d{2}/;
+
+let hashKey = null;
+
+const maskingStrategies = new Map();
+
+// Strategies are { type, mask(value, column) }; mask() is never given null
+const registerMaskingStrategy = (strategy) => {
+  if (typeof strategy.mask !== 'function') {
+    throw new Error(`Masking strategy "${strategy.type}" is missing mask()`);
+  }
+  maskingStrategies.set(strategy.type, strategy);
+};
+
+registerMaskingStrategy({
+  type: 'redact',
+  mask: () => REDACTED
+});
+
+registerMaskingStrategy({
+  type: 'hash',
+  mask: (value) => createHmac('sha256', hashKey).update(String(value)).digest('hex').slice(0, HASH_LENGTH)
+});
+
+registerMaskingStrategy({
+  type: 'partial',
+  mask: (value) => {
+    const text = String(value);
+    const email = EMAIL.exec(text);
+    if (email) return `${email[1]}***@${email[2]}`;
+    if (NUMBER_LIKE.test(text)) {
+      let keep = 4;
+      return [...text].reverse().map((ch) => {
+        if (!/\d/.test(ch)) return ch;
+        return keep-- > 0 ? ch : '*';
+      }).reverse().join('');
+    }
+    return text.replace(/\S+/g, word => `${word[0]}${'*'.repeat(word.length - 1)}`);
+  }
+});
+
+registerMaskingStrategy({
+  type: 'generalise',
+  mask: (value, column) => {
+    if (typeof value === 'number') {
+      const low = Math.floor(value / BAND_SIZE) * BAND_SIZE;
+      return `${low}-${low + BAND_SIZE - 1}`;
+    }
+    const text = String(value);
+    const date = ISO_DATE.exec(text);
+    if (date && (column?.type === 'date' || column?.type === 'timestamp' || text.length <= 10)) return date[1];
+    const email = EMAIL.exec(text);
+    if (email) return `*@${email[2]}`;
+    return REDACTED;
+  }
+});
+
+const maskingStrategyNames = () => ['none', ...maskingStrategies.keys()];
+
+// `settings` is metadata.privacy. Without hashSecret, hashes are keyed
+// with a random value and change when the server restarts.
+const configurePrivacy = (settings = {}) => {
+  for (const [classification, strategy] of Object.entries(settings.masking || {})) {
+    if (strategy !== 'none' && !maskingStrategies.has(strategy)) {
+      throw new Error(`Unknown masking strategy "${strategy}" for ${classification} (use ${maskingStrategyNames().join(', ')})`);
+    }
+  }
+  hashKey = settings.hashSecret || hashKey || randomBytes(32).toString('hex');
+};
+
+// Rows with the columns named in `masked` ({ NAME: strategy }, from
+// validateReadOnlyQuery) masked, and the columns described as such: a
+// masked column becomes a string with `masked` and `classification` set.
+// `classified` (validateReadOnlyQuery's trace) marks the other columns
+// that hold classified values; when it cannot tell which ones do, every
+// column is marked `derived`.
+const maskResult = (rows, columns, masked = {}, classified = {}) => {
+  const plan = [];
+  const described = columns.map((column) => {
+    const name = String(column.name).toUpperCase();
+    const classification = classified.columns?.[name] || null;
+    if (masked[name]) {
+      const strategy = maskingStrategies.get(masked[name]) || maskingStrategies.get('redact');
+      plan.push({ column, strategy });
+      return { ...column, type: 'string', classification, masked: strategy.type };
+    }
+    if (classification) return { ...column, classification };
+    return classified.derived ? { ...column, classification: classified.derived, derived: true } : column;
+  });
+  if (plan.length === 0) {
+    return { rows, columns: described };
+  }
+
+  const maskedRows = rows.map((row) => {
+    const copy = { ...row };
+    for (const { column, strategy } of plan) {
+      const value = copy[column.name];
+      if (value !== null && value !== undefined) copy[column.name] = strategy.mask(value, column);
+    }
+    return copy;
+  });
+  return { rows: maskedRows, columns: described };
+};
+
+// Result rows fit for a prompt: values of the classified columns in
+// `classified` (validateReadOnlyQuery's trace) replaced by "[PII]",
+// "[PHI]" or "[SENSITIVE]", and every value when classified ones may sit
+// under another name
+const scrubForPrompt = (rows, classified = {}) => {
+  const columns = classified.columns || {};
+  if (!classified.derived && Object.keys(columns).length === 0) return rows;
+  const placeholder = classification => `[${String(classification).toUpperCase()}]`;
+
+  return rows.map((row) => {
+    if (!row || typeof row !== 'object') return classified.derived ? placeholder(classified.derived) : row;
+    return Object.fromEntries(Object.entries(row).map(([key, value]) => {
+      const classification = columns[key.toUpperCase()] || classified.derived;
+      return [key, value === null || !classification ? value : placeholder(classification)];
+    }));
+  });
+};
+
+// A database error message without the quoted values some drivers echo
+// back ("invalid input syntax for type integer: "jo@example.com""); quoted
+// names in `known` (table and column names) are kept
+const scrubErrorMessage = (message, known = new Set()) => String(message)
+  .replace(/'[^']*'/g, "'…'")
+  .replace(/"([^"]*)"/g, (quoted, inner) => (known.has(inner.toUpperCase()) ? quoted : '"…"'));
+
+module.exports = {
+  registerMaskingStrategy,
+  maskingStrategyNames,
+  configurePrivacy,
+  maskResult,
+  scrubForPrompt,
+  scrubErrorMessage
+};
@@ -0,0 +1,221 @@
+// server/query-agent.js - Runs generated SQL and lets the model fix failures
+//
+// When a query fails because of the SQL itself (an unknown column such as
+// ORA-00904, a syntax error, a guard rule), the error, the failing SQL and
+// the schema of the tables it touches go back to the model, and the
+// corrected query is run. This repeats up to maxAttempts runs in total
+// (metadata.queryRepair.maxAttempts, default 3). Every run is recorded so
+// the UI can show how the query was revised.
+//
+// Connection problems and errors the connector does not classify as query
+// errors are not retried; no rewrite would fix them.
+//
+// Each generated query is first rewritten for the database's dialect (see
+// sql/dialects.js) unless the connection sets "transpile": false.
+//
+// Database errors can quote the values they tripped over; those are cut
+// from the error before it goes to the model (see privacy.js).
+
+const { randomUUID } = require('crypto');
+const { SqlGuardError, listReferencedTables } = require('./sql/guard');
+const { dialectGuidance, transpile } = require('./sql/dialects');
+const { getConnector } = require('./connectors');
+const { renderTable } = require('./schema-retrieval');
+const { scrubErrorMessage } = require('./privacy');
+const { StructuredOutputError, completeStructured } = require('./llm/structured-output');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+const normalizeSql = (sql) => sql.replace(/\s+/g, ' ').replace(/;\s*$/, '').trim().toUpperCase();
+
+class QueryAgent {
+  // getLLM returns the current client, which is replaced on config reload
+  constructor(dbMetadata, schemaIntrospector, getLLM) {
+    this.dbMetadata = dbMetadata;
+    this.schemaIntrospector = schemaIntrospector;
+    this.getLLM = getLLM;
+  }
+
+  isRepairable(dbConfig, error) {
+    if (error instanceof SqlGuardError) {
+      return true;
+    }
+    const connector = getConnector(dbConfig.type);
+    return Boolean(connector.isQueryError?.(error));
+  }
+
+  // Schema for the prompt: the tables the failing query reads, in full, and
+  // the names of the others in case the model picked the wrong table.
+  // Tables and columns hidden from the user stay out. `names` holds every
+  // table and column name shown, upper-cased.
+  async describeSchema(dbConfig, metadata, query, access) {
+    const { tables: schema } = await this.schemaIntrospector.getSchema(dbConfig, metadata);
+    const tables = access ? access.restrictTables(dbConfig.id, schema) : schema;
+    const referenced = new Set(listReferencedTables(query, dbConfig.type));
+
+    const relevant = tables
+      .filter(table => referenced.has(String(table.name).toUpperCase()))
+      .map(table => renderTable(table))
+      .join('\n\n');
+    const others = tables
+      .filter(table => !referenced.has(String(table.name).toUpperCase()))
+      .map(table => table.name);
+    const names = new Set(tables.flatMap(table => [table.name, ...(table.columns || []).map(column => column.name)])
+      .map(name => String(name).toUpperCase()));
+
+    return { relevant, others, names };
+  }
+
+  async requestFix({ dbConfig, metadata, question, query, error, signal, access }) {
+    const { relevant, others, names } = await this.describeSchema(dbConfig, metadata, query, access);
+    const reason = error instanceof SqlGuardError
+      ? `${error.message} (rejected by the read-only query policy, rule: ${error.rule})`
+      : scrubErrorMessage(error.message, names);
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You fix SQL queries for a ${dbConfig.type} database. Only read-only SELECT or WITH queries are allowed. Return only JSON of the form {"query": "corrected SQL", "explanation": "one sentence on what you changed"}.
+
+${dialectGuidance(dbConfig.type)}`
+      },
+      {
+        role: 'user',
+        content: `${question ? `The user asked: ${question}\n\n` : ''}This query failed:
+
+${query}
+
+Error: ${reason}
+
+Schema of the tables it reads:
+${relevant || '(none of the tables it names exist)'}
+${others.length > 0 ? `\nOther tables: ${others.join(', ')}\n` : ''}
+Return a corrected query that answers the same question.`
+      }
+    ];
+
+    const { value } = await completeStructured(this.getLLM(), messages, 'sqlFix', {
+      temperature: 0.2,
+      signal
+    });
+    return value;
+  }
+
+  // The query rewritten for the dialect and, when anything changed, the
+  // generated original, the rules applied and any warnings
+  prepare(dbConfig, query) {
+    if (dbConfig.transpile === false) {
+      return { query, dialect: null };
+    }
+    const { query: rewritten, rewrites, warnings } = transpile(query, dbConfig.type);
+    const dialect = rewrites.length > 0 || warnings.length > 0
+      ? { generated: query, rules: [...new Set(rewrites.map(rewrite => rewrite.rule))], warnings }
+      : null;
+    return { query: rewritten, dialect };
+  }
+
+  // Run `query`, asking the model for a fix after each repairable failure.
+  // onAttempt is called when a run starts ({ attempt, queryId, query,
+  // dialect, status: 'running' }) and when it ends. `limits` lowers the
+  // database's query limits; `access` keeps runs to what the user may read
+  // (see auth/access.js) and `owner` is who may see and cancel them.
+  // Resolves to { data, columns, truncated, totalRows, query, attempts,
+  // error }, where error is the last failure when no run succeeded.
+  async run({ databaseId, query, question, maxAttempts, limits, signal, access, owner, onAttempt = () => {} }) {
+    const metadata = await this.dbMetadata.loadMetadata();
+    const dbConfig = metadata.databases.find(db => db.id === databaseId);
+    if (!dbConfig) {
+      throw new Error(`Database ${databaseId} not found`);
+    }
+
+    const configured = metadata.metadata?.queryRepair?.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+    const limit = Math.max(1, Math.min(maxAttempts ?? configured, configured));
+
+    const attempts = [];
+    const tried = new Set();
+    let current = query;
+    let explanation = null;
+
+    for (let attempt = 1; ; attempt++) {
+      tried.add(normalizeSql(current));
+      const { query: prepared, dialect } = this.prepare(dbConfig, current);
+      current = prepared;
+      tried.add(normalizeSql(current));
+      const queryId = randomUUID();
+      onAttempt({ attempt, queryId, query: current, explanation, dialect, status: 'running' });
+
+      const startedAt = Date.now();
+      try {
+        const result = await this.dbMetadata.executeQuery(databaseId, current, { limits, signal, access, owner, queryId });
+        const record = {
+          attempt,
+          queryId,
+          query: current,
+          explanation,
+          dialect,
+          status: 'success',
+          rowCount: result.rows.length,
+          truncated: result.truncated,
+          totalRows: result.totalRows,
+          durationMs: Date.now() - startedAt
+        };
+        attempts.push(record);
+        onAttempt(record);
+        return {
+          data: result.rows,
+          columns: result.columns,
+          truncated: result.truncated,
+          totalRows: result.totalRows,
+          query: current,
+          attempts,
+          error: null
+        };
+      } catch (error) {
+        const llm = this.getLLM();
+        const retrying = attempt < limit && !signal?.aborted && Boolean(llm?.configured) &&
+          this.isRepairable(dbConfig, error);
+
+        const record = {
+          attempt,
+          queryId,
+          query: current,
+          explanation,
+          dialect,
+          status: 'error',
+          error: error.message,
+          rule: error.rule,
+          durationMs: Date.now() - startedAt,
+          retrying
+        };
+        attempts.push(record);
+        onAttempt(record);
+
+        if (!retrying) {
+          return { data: null, query: current, attempts, error };
+        }
+
+        let fix;
+        try {
+          fix = await this.requestFix({ dbConfig, metadata, question, query: current, error, signal, access });
+        } catch (fixError) {
+          if (!(fixError instanceof StructuredOutputError)) throw fixError;
+          record.retrying = false;
+          return { data: null, query: current, attempts, error };
+        }
+
+        // A query that already failed would only fail again
+        if (tried.has(normalizeSql(fix.query))) {
+          record.retrying = false;
+          return { data: null, query: current, attempts, error };
+        }
+
+        current = fix.query;
+        explanation = fix.explanation || null;
+      }
+    }
+  }
+}
+
+module.exports = {
+  QueryAgent
+};
@@ -0,0 +1,66 @@
+// server/query-limits.js - Row caps, time limits and cancellation for queries
+//
+// Limits come from metadata.queryLimits, then the connection's "limits"
+// block, and a request may lower (never raise) them:
+//
+//   "limits": {
+//     "maxRows": 10000,      // rows returned; the rest are counted, not sent
+//     "timeout": 60,         // seconds before the query is cancelled
+//     "fetchArraySize": 100, // rows per round trip, where the driver supports it
+//     "exportTimeout": 600   // seconds an export (no row cap) may run
+//   }
+
+const DEFAULT_QUERY_LIMITS = {
+  maxRows: 10000,
+  timeout: 60,
+  fetchArraySize: 100,
+  exportTimeout: 600
+};
+
+class QueryCancelledError extends Error {
+  constructor(reason, timeout) {
+    super(reason === 'timeout'
+      ? `Query exceeded the ${timeout} second time limit and was cancelled`
+      : 'Query was cancelled');
+    this.name = 'QueryCancelledError';
+    this.reason = reason;
+    this.statusCode = reason === 'timeout' ? 408 : 499;
+  }
+}
+
+// A requested value below the configured limit replaces it; anything else
+// (missing, zero, not a number, higher) leaves the configured limit. Row
+// counts are rounded down to whole rows, and to no fewer than one, since
+// connectors read a maxRows of 0 as no cap at all.
+const resolveQueryLimits = (dbConfig, metadata, requested = {}) => {
+  const configured = {
+    ...DEFAULT_QUERY_LIMITS,
+    ...(metadata?.metadata?.queryLimits || {}),
+    ...(dbConfig.limits || {})
+  };
+
+  const lower = (name, rows = false) => {
+    const normalise = (value) => (rows ? Math.max(1, Math.floor(value)) : value);
+    const limit = normalise(configured[name]);
+    const value = Number(requested?.[name]);
+    return Number.isFinite(value) && value > 0 ? Math.min(normalise(value), limit) : limit;
+  };
+
+  return {
+    maxRows: lower('maxRows', true),
+    timeout: lower('timeout'),
+    fetchArraySize: lower('fetchArraySize', true),
+    exportTimeout: lower('exportTimeout')
+  };
+};
+
+// Total row count of a truncated result. The alias takes no AS, which
+// Oracle rejects for derived tables.
+const countQuery = (statement) => `SELECT COUNT(*) AS TOTAL_ROWS FROM (\n${statement}\n) counted`;
+
+module.exports = {
+  DEFAULT_QUERY_LIMITS,
+  QueryCancelledError,
+  resolveQueryLimits,
+  countQuery
+};
@@ -0,0 +1,270 @@
+// server/result-cache.js - Result handles for paging, sorting and filtering
+//
+// A query's rows (at most maxRows of them, see server/query-limits.js) are
+// kept in memory under a result ID so a grid can page through them, sort
+// and filter without running the SQL again. Handles expire `ttl` seconds
+// after they were last read; past `maxResults` the least recently read
+// handle goes first. Configured by metadata.resultCache:
+//
+//   "resultCache": {
+//     "ttl": 900,          // seconds a handle lives after its last read
+//     "maxResults": 50,    // handles kept at once
+//     "pageSize": 100,     // rows per page when a request names none
+//     "maxPageSize": 1000  // largest page a request may ask for
+//   }
+const { randomUUID } = require('crypto');
+
+const DEFAULT_RESULT_CACHE = {
+  ttl: 900,
+  maxResults: 50,
+  pageSize: 100,
+  maxPageSize: 1000
+};
+
+class ResultCacheError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ResultCacheError';
+    this.statusCode = statusCode;
+  }
+}
+
+const FILTER_OPERATORS = ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'contains', 'startsWith', 'in', 'isNull', 'notNull'];
+
+// Nulls sort last in either direction; numbers and booleans compare as
+// values, everything else (ISO dates included) as text
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+const normalizeSort = (sort, columnNames) => (Array.isArray(sort) ? sort : sort ? [sort] : []).map((entry) => {
+  const { column, direction = 'asc' } = typeof entry === 'string' ? { column: entry } : entry || {};
+  if (!columnNames.has(column)) {
+    throw new ResultCacheError(`Cannot sort by unknown column "${column}"`);
+  }
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw new ResultCacheError(`Sort direction must be "asc" or "desc", not "${direction}"`);
+  }
+  return { column, direction };
+});
+
+const sortRows = (rows, sort) => {
+  if (sort.length === 0) return rows;
+  return [...rows].sort((left, right) => {
+    for (const { column, direction } of sort) {
+      const a = left[column];
+      const b = right[column];
+      if (a === b) continue;
+      if (a === null || a === undefined) return 1;
+      if (b === null || b === undefined) return -1;
+      const order = compareValues(a, b);
+      if (order !== 0) return direction === 'desc' ? -order : order;
+    }
+    return 0;
+  });
+};
+
+// Build a row predicate from [{ column, operator, value }]. Comparisons use
+// the column's logical type, so "10" matches 10 in a number column.
+const buildFilter = (filters, columns, search) => {
+  const types = new Map(columns.map(column => [column.name, column.type]));
+  const coerce = (column, value) => (
+    types.get(column) === 'number' && value !== null && value !== '' && Number.isFinite(Number(value))
+      ? Number(value)
+      : value
+  );
+
+  const tests = (Array.isArray(filters) ? filters : []).map(({ column, operator = 'eq', value } = {}) => {
+    if (!types.has(column)) {
+      throw new ResultCacheError(`Cannot filter on unknown column "${column}"`);
+    }
+    if (!FILTER_OPERATORS.includes(operator)) {
+      throw new ResultCacheError(`Unknown filter operator "${operator}"; use one of ${FILTER_OPERATORS.join(', ')}`);
+    }
+    if (operator === 'in' && !Array.isArray(value)) {
+      throw new ResultCacheError('The "in" filter operator needs an array value');
+    }
+
+    const expected = operator === 'in' ? value.map(item => coerce(column, item)) : coerce(column, value);
+    const text = String(value ?? '').toLowerCase();
+    return (row) => {
+      const actual = row[column];
+      const missing = actual === null || actual === undefined;
+      switch (operator) {
+        case 'isNull': return missing;
+        case 'notNull': return !missing;
+        case 'eq': return !missing && compareValues(actual, expected) === 0;
+        case 'ne': return missing || compareValues(actual, expected) !== 0;
+        case 'lt': return !missing && compareValues(actual, expected) < 0;
+        case 'lte': return !missing && compareValues(actual, expected) <= 0;
+        case 'gt': return !missing && compareValues(actual, expected) > 0;
+        case 'gte': return !missing && compareValues(actual, expected) >= 0;
+        case 'contains': return !missing && String(actual).toLowerCase().includes(text);
+        case 'startsWith': return !missing && String(actual).toLowerCase().startsWith(text);
+        case 'in': return !missing && expected.some(item => compareValues(actual, item) === 0);
+        default: return true;
+      }
+    };
+  });
+
+  // Free-text search over every column
+  if (typeof search === 'string' && search.trim()) {
+    const needle = search.trim().toLowerCase();
+    tests.push(row => Object.values(row).some(value => (
+      value !== null && value !== undefined && String(value).toLowerCase().includes(needle)
+    )));
+  }
+
+  return tests.length === 0 ? null : row => tests.every(test => test(row));
+};
+
+class ResultCache {
+  constructor(options = {}) {
+    this.results = new Map();
+    this.sweeper = null;
+    this.configure(options);
+  }
+
+  configure(options = {}) {
+    this.options = { ...DEFAULT_RESULT_CACHE, ...options };
+    if (this.sweeper) clearInterval(this.sweeper);
+    this.sweeper = setInterval(() => this.sweep(), Math.min(this.options.ttl, 60) * 1000);
+    this.sweeper.unref();
+    this.sweep();
+  }
+
+  // Keep `result` ({ rows, columns, truncated, totalRows }) from a query
+  // on `databaseId` run with parameter values `params` for the user
+  // `owner`; returns the handle description
+  store({ databaseId, query, params = null, rows, columns = [], truncated = false, totalRows = null, owner = null }) {
+    const entry = {
+      id: randomUUID(),
+      owner,
+      databaseId,
+      query,
+      params,
+      rows,
+      columns,
+      truncated,
+      totalRows: totalRows ?? rows.length,
+      createdAt: Date.now(),
+      expiresAt: 0,
+      view: null
+    };
+    this.touch(entry);
+    this.results.set(entry.id, entry);
+    this.evict();
+    return this.describe(entry);
+  }
+
+  // The entry behind `id`, which stays alive for another ttl seconds. With
+  // an `owner`, results stored for someone else are treated as missing.
+  get(id, owner) {
+    const entry = this.results.get(id);
+    if (!entry || entry.expiresAt <= Date.now() || (owner !== undefined && entry.owner !== owner)) {
+      if (entry?.expiresAt <= Date.now()) this.results.delete(id);
+      throw new ResultCacheError(`Result ${id} has expired or does not exist; run the query again`, 404);
+    }
+    this.touch(entry);
+    return entry;
+  }
+
+  // Rows offset..offset+limit of the result after filtering and sorting.
+  // sort is [{ column, direction: 'asc' | 'desc' }] (or a column name);
+  // filters are [{ column, operator, value }] with the operators in
+  // FILTER_OPERATORS; search matches text in any column.
+  page(id, { offset = 0, limit, sort, filters, search, owner } = {}) {
+    const entry = this.get(id, owner);
+    const start = Math.max(0, Math.floor(Number(offset) || 0));
+    const size = this.pageSize(limit);
+    const rows = this.view(entry, { sort, filters, search });
+
+    return {
+      result: this.describe(entry),
+      offset: start,
+      limit: size,
+      matchedRows: rows.length,
+      data: rows.slice(start, start + size)
+    };
+  }
+
+  pageSize(limit) {
+    const requested = Math.floor(Number(limit));
+    return Number.isFinite(requested) && requested > 0
+      ? Math.min(requested, this.options.maxPageSize)
+      : this.options.pageSize;
+  }
+
+  // Sorted, filtered rows; the last view is kept so paging through it does
+  // not sort again
+  view(entry, { sort, filters, search }) {
+    const names = new Set(entry.columns.map(column => column.name));
+    const order = normalizeSort(sort, names);
+    const key = JSON.stringify({ order, filters: filters || [], search: search || '' });
+    if (entry.view?.key === key) return entry.view.rows;
+
+    const predicate = buildFilter(filters, entry.columns, search);
+    const rows = sortRows(predicate ? entry.rows.filter(predicate) : entry.rows, order);
+    entry.view = { key, rows };
+    return rows;
+  }
+
+  delete(id) {
+    return this.results.delete(id);
+  }
+
+  describe(entry) {
+    return {
+      id: entry.id,
+      databaseId: entry.databaseId,
+      columns: entry.columns,
+      rowCount: entry.rows.length,
+      truncated: entry.truncated,
+      totalRows: entry.totalRows,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString()
+    };
+  }
+
+  touch(entry) {
+    entry.expiresAt = Date.now() + this.options.ttl * 1000;
+    // Map order doubles as least-recently-read order
+    this.results.delete(entry.id);
+    this.results.set(entry.id, entry);
+  }
+
+  evict() {
+    for (const id of this.results.keys()) {
+      if (this.results.size <= this.options.maxResults) break;
+      this.results.delete(id);
+    }
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [id, entry] of this.results) {
+      if (entry.expiresAt <= now) this.results.delete(id);
+    }
+  }
+
+  stats() {
+    let rows = 0;
+    for (const entry of this.results.values()) rows += entry.rows.length;
+    return { results: this.results.size, rows, ttl: this.options.ttl };
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+    this.sweeper = null;
+    this.results.clear();
+  }
+}
+
+module.exports = {
+  DEFAULT_RESULT_CACHE,
+  FILTER_OPERATORS,
+  ResultCache,
+  ResultCacheError
+};
@@ -0,0 +1,201 @@
+// server/saved-queries.js - Named, tagged queries that run without the model
+//
+// A saved query keeps a chat turn's question, SQL, database and chart spec
+// under a name and tags, in the "saved-queries" collection (see
+// server/store.js). Its SQL may use named parameters (:start_date); their
+// definitions ({ name, type, label, default }, see
+// server/sql/parameters.js) are kept in step with the SQL on every save,
+// so the UI can render an input for each. `owner` is the ID of the user
+// who saved it (null without sign-in).
+const { randomUUID } = require('crypto');
+const path = require('path');
+const { JsonStore } = require('./store');
+const { PARAMETER_TYPES, listParameters, coerceParameter } = require('./sql/parameters');
+
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+class SavedQueryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SavedQueryError';
+    this.statusCode = statusCode;
+  }
+}
+
+const checkText = (value, field, maxLength, { required = false } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw new SavedQueryError(`${field} is required`);
+    return null;
+  }
+  if (typeof value !== 'string' || (required && !value.trim())) {
+    throw new SavedQueryError(`${field} must be ${required ? 'a non-empty string' : 'a string'}`);
+  }
+  if (maxLength && value.trim().length > maxLength) {
+    throw new SavedQueryError(`${field} must be at most ${maxLength} characters`);
+  }
+  return value.trim();
+};
+
+// Trimmed, without duplicates (ignoring case)
+const checkTags = (tags = []) => {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw new SavedQueryError('tags must be an array of strings');
+  }
+  const seen = new Set();
+  const unique = [];
+  for (const tag of tags.map(tag => tag.trim()).filter(Boolean)) {
+    if (tag.length > MAX_TAG_LENGTH) {
+      throw new SavedQueryError(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    if (!seen.has(tag.toLowerCase())) {
+      seen.add(tag.toLowerCase());
+      unique.push(tag);
+    }
+  }
+  if (unique.length > MAX_TAGS) {
+    throw new SavedQueryError(`A saved query can have at most ${MAX_TAGS} tags`);
+  }
+  return unique;
+};
+
+// One definition per parameter in the SQL, taking type, label and default
+// from `given` where it names the parameter
+const checkParameters = (query, dialect, given = []) => {
+  if (!Array.isArray(given)) {
+    throw new SavedQueryError('parameters must be an array');
+  }
+  const names = listParameters(query, dialect);
+  const byName = new Map();
+  for (const definition of given) {
+    if (!definition || typeof definition.name !== 'string') {
+      throw new SavedQueryError('Each parameter needs a name');
+    }
+    if (!names.includes(definition.name)) {
+      throw new SavedQueryError(`Parameter :${definition.name} is not used in the query`);
+    }
+    byName.set(definition.name, definition);
+  }
+
+  return names.map((name) => {
+    const { type = 'string', label, default: defaultValue } = byName.get(name) || {};
+    if (!PARAMETER_TYPES.includes(type)) {
+      throw new SavedQueryError(`Parameter :${name} has unknown type "${type}"; use one of ${PARAMETER_TYPES.join(', ')}`);
+    }
+    const hasDefault = defaultValue !== undefined && defaultValue !== null && defaultValue !== '';
+    return {
+      name,
+      type,
+      label: checkText(label, `The label of :${name}`, MAX_NAME_LENGTH) || name,
+      default: hasDefault ? coerceParameter({ name, type }, defaultValue) : null
+    };
+  });
+};
+
+class SavedQueryStore {
+  constructor(storageDirectory) {
+    this.configure(storageDirectory);
+  }
+
+  configure(storageDirectory) {
+    const directory = path.join(storageDirectory, 'saved-queries');
+    if (this.store?.directory !== directory) {
+      this.store = new JsonStore(directory);
+    }
+  }
+
+  // Saved queries, most recently updated first. `search` matches the name,
+  // description, question, SQL and tags; `tag` and `databaseId` narrow the
+  // list further. With an `owner` (a user ID) only that user's saved
+  // queries are listed, here and in get().
+  async list({ search, tag, databaseId, owner } = {}) {
+    const needle = typeof search === 'string' ? search.trim().toLowerCase() : '';
+    const wantedTag = typeof tag === 'string' ? tag.trim().toLowerCase() : '';
+    const queries = await this.store.list();
+    return queries
+      .filter(saved => owner === undefined || saved.owner === owner)
+      .filter(saved => !databaseId || saved.databaseId === databaseId)
+      .filter(saved => !wantedTag || saved.tags.some(candidate => candidate.toLowerCase() === wantedTag))
+      .filter(saved => !needle || [saved.name, saved.description, saved.question, saved.query, ...saved.tags]
+        .some(text => text && text.toLowerCase().includes(needle)))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async get(id, owner) {
+    const saved = await this.store.get(id);
+    if (!saved || (owner !== undefined && saved.owner !== owner)) {
+      throw new SavedQueryError(`No saved query with ID ${id}`, 404);
+    }
+    return saved;
+  }
+
+  // `input` is { name, tags, description, question, query, databaseId,
+  // chart, parameters }; `dialect` is the database type, which decides how
+  // the SQL is read for parameters
+  async create(input, dialect, owner = null) {
+    const now = new Date().toISOString();
+    return this.store.put({
+      id: randomUUID(),
+      owner,
+      ...this.check(input, dialect),
+      createdAt: now,
+      updatedAt: now,
+      lastRunAt: null
+    });
+  }
+
+  // Change the fields in `changes`; the rest stay as they are
+  async update(id, changes, dialect) {
+    const saved = await this.get(id);
+    const merged = { ...saved, ...changes };
+    if (changes.parameters === undefined) {
+      // Definitions of parameters the new SQL no longer uses are dropped
+      const names = listParameters(merged.query, dialect);
+      merged.parameters = saved.parameters.filter(definition => names.includes(definition.name));
+    }
+    const checked = this.check(merged, dialect);
+    const updated = await this.store.update(id, current => ({ ...current, ...checked, updatedAt: new Date().toISOString() }));
+    if (!updated) {
+      throw new SavedQueryError(`No saved query with ID ${id}`, 404);
+    }
+    return updated;
+  }
+
+  async delete(id) {
+    if (!(await this.store.delete(id))) {
+      throw new SavedQueryError(`No saved query with ID ${id}`, 404);
+    }
+  }
+
+  async markRun(id) {
+    return this.store.update(id, saved => ({ ...saved, lastRunAt: new Date().toISOString() }));
+  }
+
+  check(input, dialect) {
+    const query = checkText(input.query, 'query', null, { required: true });
+    if (input.chart !== undefined && input.chart !== null && (typeof input.chart !== 'object' || Array.isArray(input.chart))) {
+      throw new SavedQueryError('chart must be a chart spec object or null');
+    }
+    return {
+      name: checkText(input.name, 'name', MAX_NAME_LENGTH, { required: true }),
+      description: checkText(input.description, 'description', MAX_DESCRIPTION_LENGTH),
+      tags: checkTags(input.tags),
+      question: checkText(input.question, 'question'),
+      query,
+      databaseId: checkText(input.databaseId, 'databaseId', null, { required: true }),
+      chart: input.chart || null,
+      parameters: checkParameters(query, dialect, input.parameters)
+    };
+  }
+
+  flush() {
+    return this.store.flush();
+  }
+}
+
+module.exports = {
+  SavedQueryError,
+  SavedQueryStore
+};
@@ -0,0 +1,132 @@
+// server/scheduler/alerts.js - Threshold rules on saved query results
+//
+// A schedule with an alert delivers its report only when the rule holds
+// for the latest (last) row of the result:
+//
+//   { "type": "threshold", "column": "TOTAL", "operator": "<", "value": 1000 }
+//   { "type": "change", "column": "TOTAL", "window": 7, "direction": "drop", "percent": 20 }
+//
+// "change" compares the last row with the average of the `window` rows
+// before it, so the query should return one row per period, oldest first:
+// the example fires when the day's total is 20% or more below the average
+// of the 7 days before.
+
+const OPERATORS = {
+  '<': (value, limit) => value < limit,
+  '<=': (value, limit) => value <= limit,
+  '>': (value, limit) => value > limit,
+  '>=': (value, limit) => value >= limit,
+  '=': (value, limit) => value === limit,
+  '!=': (value, limit) => value !== limit
+};
+const DIRECTIONS = ['drop', 'rise', 'any'];
+const MAX_WINDOW = 366;
+
+class AlertError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AlertError';
+    this.statusCode = 400;
+  }
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// A normalised copy of the rule, or null for none
+const checkAlert = (alert) => {
+  if (alert === undefined || alert === null) return null;
+  if (typeof alert !== 'object' || Array.isArray(alert)) {
+    throw new AlertError('alert must be a rule object or null');
+  }
+  if (typeof alert.column !== 'string' || !alert.column.trim()) {
+    throw new AlertError('alert.column must name a result column');
+  }
+  const column = alert.column.trim();
+
+  if (alert.type === 'threshold') {
+    if (!OPERATORS[alert.operator]) {
+      throw new AlertError(`alert.operator must be one of ${Object.keys(OPERATORS).join(' ')}`);
+    }
+    if (!isNumber(alert.value)) {
+      throw new AlertError('alert.value must be a number');
+    }
+    return { type: 'threshold', column, operator: alert.operator, value: alert.value };
+  }
+
+  if (alert.type === 'change') {
+    const { window: size = 7, direction = 'drop', percent } = alert;
+    if (!Number.isInteger(size) || size < 1 || size > MAX_WINDOW) {
+      throw new AlertError(`alert.window must be a whole number of rows from 1 to ${MAX_WINDOW}`);
+    }
+    if (!DIRECTIONS.includes(direction)) {
+      throw new AlertError(`alert.direction must be one of ${DIRECTIONS.join(', ')}`);
+    }
+    if (!isNumber(percent) || percent <= 0) {
+      throw new AlertError('alert.percent must be a positive number');
+    }
+    return { type: 'change', column, window: size, direction, percent };
+  }
+
+  throw new AlertError('alert.type must be "threshold" or "change"');
+};
+
+// Column names differ in case between databases (Oracle upper-cases them)
+const readColumn = (row, column) => {
+  if (column in row) return row[column];
+  const key = Object.keys(row).find(candidate => candidate.toLowerCase() === column.toLowerCase());
+  return key === undefined ? undefined : row[key];
+};
+
+const numberIn = (row, column) => {
+  const value = readColumn(row, column);
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const format = (value) => value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+// { triggered, message, value, baseline } for the rule against `rows`.
+// Rules that cannot be evaluated (no rows, missing values) do not fire and
+// say why in `message`.
+const evaluateAlert = (alert, rows) => {
+  const latest = rows[rows.length - 1];
+  const value = latest && numberIn(latest, alert.column);
+  if (value === null || value === undefined) {
+    return { triggered: false, message: `No numeric ${alert.column} in the last row`, value: null, baseline: null };
+  }
+
+  if (alert.type === 'threshold') {
+    const triggered = OPERATORS[alert.operator](value, alert.value);
+    return {
+      triggered,
+      message: `${alert.column} is ${format(value)}${triggered ? '' : ', not'} ${alert.operator} ${format(alert.value)}`,
+      value,
+      baseline: alert.value
+    };
+  }
+
+  const previous = rows.slice(0, -1).slice(-alert.window).map(row => numberIn(row, alert.column)).filter(number => number !== null);
+  if (previous.length < alert.window) {
+    return { triggered: false, message: `Needs ${alert.window} earlier rows of ${alert.column} to compare with, found ${previous.length}`, value, baseline: null };
+  }
+  const baseline = previous.reduce((sum, number) => sum + number, 0) / previous.length;
+  if (baseline === 0) {
+    return { triggered: false, message: `The ${alert.window}-row average of ${alert.column} is 0`, value, baseline };
+  }
+  const change = ((value - baseline) / Math.abs(baseline)) * 100;
+  const triggered = (alert.direction !== 'rise' && change <= -alert.percent)
+    || (alert.direction !== 'drop' && change >= alert.percent);
+  return {
+    triggered,
+    message: `${alert.column} is ${format(value)}, ${format(Math.abs(change))}% ${change < 0 ? 'below' : 'above'} the ${alert.window}-row average of ${format(baseline)}`,
+    value,
+    baseline
+  };
+};
+
+module.exports = {
+  AlertError,
+  checkAlert,
+  evaluateAlert
+};
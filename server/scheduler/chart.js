@@ -0,0 +1,200 @@
+// server/scheduler/chart.js - Charts for reports, without a browser
+//
+// layoutChart() turns a chart spec (the shape the model suggests and saved
+// queries keep: type, xKey, yKey/yKeys, nameKey, valueKey) and result rows
+// into a list of shapes: SVG path strings and text labels. The HTML report
+// embeds them as SVG (toSvg) and the PDF report draws the same paths with
+// PDFKit, so both show the same chart.
+
+const WIDTH = 720;
+const HEIGHT = 320;
+const MARGIN = { top: 16, right: 16, bottom: 48, left: 64 };
+const COLORS = ['#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#3b82f6', '#ec4899', '#14b8a6', '#f97316'];
+const MAX_LABELS = 12;
+const MAX_SLICES = 8;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// 1234567 -> "1.2M"
+const formatNumber = (value) => {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${round(value / 1e9)}B`;
+  if (abs >= 1e6) return `${round(value / 1e6)}M`;
+  if (abs >= 1e4) return `${round(value / 1e3)}k`;
+  return String(round(value));
+};
+
+const formatLabel = (value, maxLength = 14) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' ? formatNumber(value) : String(value);
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+const toNumber = (value) => (typeof value === 'number' ? value : Number(value) || 0);
+
+// Round the top of the value axis up to 1, 2 or 5 times a power of ten
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const power = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find(multiple => multiple * power >= value);
+  return step * power;
+};
+
+// Which columns to draw, from the spec where it names existing columns
+// and from the column types otherwise
+const pickKeys = (spec, rows, columns) => {
+  const keys = Object.keys(rows[0] || {});
+  const types = new Map((columns || []).map(column => [column.name, column.type]));
+  const isNumber = (key) => (types.get(key) || (typeof rows[0][key] === 'number' ? 'number' : 'string')) === 'number';
+  const has = (key) => typeof key === 'string' && keys.includes(key);
+
+  const xKey = has(spec.xKey) ? spec.xKey : (keys.find(key => !isNumber(key)) || keys[0]);
+  const named = (Array.isArray(spec.yKeys) ? spec.yKeys : [spec.yKey]).filter(has);
+  const series = named.length > 0 ? named : keys.filter(key => key !== xKey && isNumber(key));
+  return {
+    xKey,
+    series,
+    nameKey: has(spec.nameKey) ? spec.nameKey : xKey,
+    valueKey: has(spec.valueKey) ? spec.valueKey : series[0]
+  };
+};
+
+const text = (value, x, y, { anchor = 'middle', size = 10, fill = '#6b7280' } = {}) => ({
+  type: 'text', text: value, x: round(x), y: round(y), anchor, size, fill
+});
+
+const axes = (plot, labels, maxValue) => {
+  const shapes = [{
+    type: 'path',
+    d: `M${plot.left} ${plot.top} V${plot.bottom} H${plot.right}`,
+    stroke: '#9ca3af',
+    fill: 'none'
+  }];
+  for (let tick = 0; tick <= 4; tick += 1) {
+    const y = plot.bottom - (tick / 4) * (plot.bottom - plot.top);
+    if (tick > 0) shapes.push({ type: 'path', d: `M${plot.left} ${round(y)} H${plot.right}`, stroke: '#e5e7eb', fill: 'none' });
+    shapes.push(text(formatNumber((maxValue * tick) / 4), plot.left - 6, y + 3, { anchor: 'end' }));
+  }
+  const every = Math.ceil(labels.length / MAX_LABELS);
+  labels.forEach(({ label, x }, idx) => {
+    if (idx % every === 0) shapes.push(text(formatLabel(label), x, plot.bottom + 14));
+  });
+  return shapes;
+};
+
+const legend = (series, y) => series.map((name, idx) => [
+  { type: 'path', d: `M${MARGIN.left + idx * 140} ${y - 8} h10 v10 h-10 Z`, fill: COLORS[idx % COLORS.length] },
+  text(formatLabel(name), MARGIN.left + idx * 140 + 14, y, { anchor: 'start', fill: '#374151' })
+]).flat();
+
+const layoutCartesian = (type, rows, { xKey, series }) => {
+  const plot = { left: MARGIN.left, top: MARGIN.top, right: WIDTH - MARGIN.right, bottom: HEIGHT - MARGIN.bottom };
+  const maxValue = niceMax(Math.max(0, ...rows.flatMap(row => series.map(key => toNumber(row[key])))));
+  const band = (plot.right - plot.left) / rows.length;
+  const xOf = (idx) => plot.left + band * (idx + 0.5);
+  const yOf = (value) => plot.bottom - (Math.max(0, toNumber(value)) / maxValue) * (plot.bottom - plot.top);
+
+  const shapes = axes(plot, rows.map((row, idx) => ({ label: row[xKey], x: xOf(idx) })), maxValue);
+  series.forEach((key, seriesIdx) => {
+    const color = COLORS[seriesIdx % COLORS.length];
+    if (type === 'bar') {
+      const width = (band * 0.8) / series.length;
+      rows.forEach((row, idx) => {
+        const x = plot.left + band * idx + band * 0.1 + width * seriesIdx;
+        const y = yOf(row[key]);
+        shapes.push({ type: 'path', d: `M${round(x)} ${plot.bottom} V${round(y)} h${round(width)} V${plot.bottom} Z`, fill: color });
+      });
+    } else {
+      const points = rows.map((row, idx) => `${round(xOf(idx))} ${round(yOf(row[key]))}`);
+      shapes.push({ type: 'path', d: `M${points.join(' L')}`, stroke: color, strokeWidth: 2, fill: 'none' });
+    }
+  });
+  return [...shapes, ...(series.length > 1 ? legend(series, HEIGHT - 8) : [])];
+};
+
+// Slices in row order; small ones beyond MAX_SLICES are merged as "Other"
+const layoutDonut = (rows, { nameKey, valueKey }) => {
+  const slices = rows.map(row => ({ name: row[nameKey], value: Math.max(0, toNumber(row[valueKey])) }));
+  if (slices.length > MAX_SLICES) {
+    const rest = slices.splice(MAX_SLICES - 1);
+    slices.push({ name: 'Other', value: rest.reduce((sum, slice) => sum + slice.value, 0) });
+  }
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0) || 1;
+  const [cx, cy, outer, inner] = [HEIGHT / 2, HEIGHT / 2, HEIGHT / 2 - 16, HEIGHT / 4];
+  const point = (radius, angle) => `${round(cx + radius * Math.sin(angle))} ${round(cy - radius * Math.cos(angle))}`;
+
+  const shapes = [];
+  let start = 0;
+  slices.forEach((slice, idx) => {
+    // A full circle cannot be one arc, so stop just short of it
+    const sweep = Math.min((slice.value / total) * 2 * Math.PI, 2 * Math.PI - 0.0001);
+    const end = start + sweep;
+    const large = sweep > Math.PI ? 1 : 0;
+    const color = COLORS[idx % COLORS.length];
+    if (sweep > 0) {
+      shapes.push({
+        type: 'path',
+        d: `M${point(outer, start)} A${outer} ${outer} 0 ${large} 1 ${point(outer, end)} L${point(inner, end)} A${inner} ${inner} 0 ${large} 0 ${point(inner, start)} Z`,
+        fill: color
+      });
+    }
+    const y = MARGIN.top + 12 + idx * 20;
+    shapes.push({ type: 'path', d: `M${HEIGHT + 24} ${y - 8} h10 v10 h-10 Z`, fill: color });
+    shapes.push(text(`${formatLabel(slice.name, 40)} (${round((slice.value / total) * 100)}%)`, HEIGHT + 40, y, { anchor: 'start', fill: '#374151' }));
+    start = end;
+  });
+  return shapes;
+};
+
+const layoutScatter = (rows, { xKey, series }) => {
+  const yKey = series.find(key => key !== xKey) || series[0];
+  const plot = { left: MARGIN.left, top: MARGIN.top, right: WIDTH - MARGIN.right, bottom: HEIGHT - MARGIN.bottom };
+  const xs = rows.map(row => toNumber(row[xKey]));
+  const [minX, maxX] = [Math.min(...xs), Math.max(...xs)];
+  const maxValue = niceMax(Math.max(0, ...rows.map(row => toNumber(row[yKey]))));
+  const xOf = (value) => plot.left + ((value - minX) / (maxX - minX || 1)) * (plot.right - plot.left);
+  const yOf = (value) => plot.bottom - (Math.max(0, toNumber(value)) / maxValue) * (plot.bottom - plot.top);
+
+  const labels = [0, 0.25, 0.5, 0.75, 1].map(share => ({ label: minX + share * (maxX - minX), x: plot.left + share * (plot.right - plot.left) }));
+  return [
+    ...axes(plot, labels, maxValue),
+    ...rows.map(row => {
+      const [x, y] = [round(xOf(toNumber(row[xKey]))), round(yOf(row[yKey]))];
+      return { type: 'path', d: `M${x - 3} ${y} a3 3 0 1 0 6 0 a3 3 0 1 0 -6 0`, fill: COLORS[0] };
+    })
+  ];
+};
+
+// { width, height, shapes } for the rows, or null when there is nothing
+// to draw
+const layoutChart = (spec, rows, columns) => {
+  if (!rows || rows.length === 0) return null;
+  const keys = pickKeys(spec || {}, rows, columns);
+  if (keys.series.length === 0 || !keys.valueKey) return null;
+
+  const type = spec?.type === 'pie' ? 'donut' : spec?.type || 'bar';
+  let shapes;
+  if (type === 'donut') shapes = layoutDonut(rows, keys);
+  else if (type === 'scatter') shapes = layoutScatter(rows, keys);
+  else shapes = layoutCartesian(type === 'line' ? 'line' : 'bar', rows, keys);
+  return { width: WIDTH, height: HEIGHT, shapes };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const toSvg = ({ width, height, shapes }) => {
+  const body = shapes.map(shape => (shape.type === 'text'
+    ? `<text x="${shape.x}" y="${shape.y}" text-anchor="${shape.anchor}" font-size="${shape.size}" fill="${shape.fill}">${escapeXml(shape.text)}</text>`
+    : `<path d="${shape.d}" fill="${shape.fill || 'none'}"${shape.stroke ? ` stroke="${shape.stroke}" stroke-width="${shape.strokeWidth || 1}"` : ''}/>`));
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">${body.join('')}</svg>`;
+};
+
+module.exports = {
+  layoutChart,
+  toSvg,
+  escapeXml
+};
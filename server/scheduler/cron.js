@@ -0,0 +1,139 @@
+// server/scheduler/cron.js - Five-field cron expressions
+//
+//   minute hour day-of-month month day-of-week
+//   "0 8 * * 1"        08:00 every Monday
+//   "*/15 9-17 * * 1-5" every 15 minutes in office hours
+//   "@daily"           midnight
+//
+// Fields take *, numbers, ranges (1-5), steps (*/15, 0-30/10), lists of
+// those and, for months and weekdays, names (JAN, MON). Sunday is 0 or 7.
+// As in cron, when both day fields are restricted a time matches either.
+// Times are in the server's local time zone.
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Give up looking for the next run after this many years (e.g. "0 0 30 2 *")
+const SEARCH_YEARS = 5;
+
+class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CronError';
+    this.statusCode = 400;
+  }
+}
+
+const parseValue = (text, field) => {
+  const index = field.names?.indexOf(text.toUpperCase());
+  if (index !== undefined && index !== -1) return index + field.offset;
+  if (!/^\d+$/.test(text)) {
+    throw new CronError(`"${text}" is not a valid ${field.name}`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new CronError(`${field.name} ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+};
+
+// The set of values a field matches, and whether it was "*"
+const parseField = (text, field) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new CronError(`"${part}" has an invalid step`);
+    }
+    let [from, to] = [field.min, field.max];
+    if (range !== '*') {
+      const bounds = range.split('-');
+      if (bounds.length > 2) {
+        throw new CronError(`"${part}" is not a valid ${field.name}`);
+      }
+      from = parseValue(bounds[0], field);
+      to = bounds.length === 2 ? parseValue(bounds[1], field) : (stepText === undefined ? from : field.max);
+      if (to < from) {
+        throw new CronError(`"${part}" is a backwards range`);
+      }
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return { values, any: text === '*' };
+};
+
+// Parse an expression into the sets of matching values per field
+const parseCron = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new CronError('cron must be a non-empty string');
+  }
+  const text = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new CronError(`cron must have 5 fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, idx) => parseField(part, FIELDS[idx]));
+  if (dayOfWeek.values.has(7)) dayOfWeek.values.add(0);
+  return { minute, hour, dayOfMonth, month, dayOfWeek };
+};
+
+const matchesDay = (schedule, date) => {
+  const { dayOfMonth, dayOfWeek } = schedule;
+  const byMonth = dayOfMonth.values.has(date.getDate());
+  const byWeek = dayOfWeek.values.has(date.getDay());
+  if (dayOfMonth.any || dayOfWeek.any) return byMonth && byWeek;
+  return byMonth || byWeek;
+};
+
+// The first time after `after` that the expression matches, or null when
+// it matches nothing in the next few years
+const nextRun = (expression, after = new Date()) => {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!schedule.month.values.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!schedule.hour.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!schedule.minute.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  CronError,
+  parseCron,
+  nextRun
+};
@@ -0,0 +1,421 @@
+// server/scheduler/index.js - Scheduled reports and alerts on saved queries
+//
+// A schedule runs a saved query on a cron expression (see ./cron), renders
+// the result and its chart as an HTML or PDF report (./report) and hands it
+// to each of its deliveries (./transports). With an alert rule (./alerts)
+// the report only goes out when the rule fires. Every run is recorded.
+//
+// Schedules live in the "schedules" collection and runs in
+// "schedule-runs" (see server/store.js). Configured by metadata.scheduler:
+//
+//   "scheduler": {
+//     "enabled": true,      // false keeps schedules but never fires them
+//     "historySize": 100,   // runs kept per schedule
+//     "transports": { ... }
+//   }
+//
+// A schedule runs with the access of its owner, the user who made it
+// ({ id, username, roles, attributes }), so a report never shows more than
+// they could query themselves. It may only run one of its owner's saved
+// queries, which nobody else can edit.
+//
+// Schedules only fire while the server runs; runs missed while it was
+// down are not made up.
+const { randomUUID } = require('crypto');
+const path = require('path');
+const { JsonStore } = require('../store');
+const { parseCron, nextRun } = require('./cron');
+const { checkAlert, evaluateAlert } = require('./alerts');
+const { REPORT_FORMATS, renderReport } = require('./report');
+const { createTransports } = require('./transports');
+
+const DEFAULT_SCHEDULER = {
+  enabled: true,
+  historySize: 100
+};
+
+// Timers wake up at least this often, so clock changes are noticed
+const MAX_TIMER_DELAY_MS = 60 * 60 * 1000;
+const MAX_NAME_LENGTH = 200;
+const MAX_DELIVERIES = 10;
+
+class ScheduleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.statusCode = statusCode;
+  }
+}
+
+const checkName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new ScheduleError('name must be a non-empty string');
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new ScheduleError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return name.trim();
+};
+
+const checkParams = (params) => {
+  if (params === undefined || params === null) return {};
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    throw new ScheduleError('params must map parameter names to values');
+  }
+  return params;
+};
+
+class Scheduler {
+  // `savedQueries` is the SavedQueryStore; runSavedQuery(saved, params,
+  // owner) executes one and resolves to { rows, columns, truncated, totalRows,
+  // params }
+  constructor(storageDirectory, options, { savedQueries, runSavedQuery }) {
+    this.savedQueries = savedQueries;
+    this.runSavedQuery = runSavedQuery;
+    this.nextRuns = new Map();
+    this.running = new Map();
+    this.timer = null;
+    this.started = false;
+    this.configure(storageDirectory, options);
+  }
+
+  configure(storageDirectory, options = {}) {
+    const settings = { ...DEFAULT_SCHEDULER, ...options };
+    // Throws on a misconfigured transport before anything changes
+    this.transports = createTransports(settings.transports);
+    this.enabled = settings.enabled;
+    this.historySize = settings.historySize;
+
+    const directory = path.join(storageDirectory, 'schedules');
+    if (this.store?.directory !== directory) {
+      this.store = new JsonStore(directory);
+      this.runs = new JsonStore(path.join(storageDirectory, 'schedule-runs'));
+      this.nextRuns.clear();
+    }
+    if (this.started) this.plan();
+  }
+
+  // Transport names and types, for picking deliveries
+  listTransports() {
+    return [...this.transports.values()].map(({ name, type }) => ({ name, type }));
+  }
+
+  // With an `owner` (a user ID) only that user's schedules are listed,
+  // here and in get()
+  async list({ owner } = {}) {
+    const schedules = await this.store.list();
+    return schedules
+      .filter(schedule => owner === undefined || schedule.owner?.id === owner)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(schedule => this.describe(schedule));
+  }
+
+  async get(id, owner) {
+    const schedule = await this.store.get(id);
+    if (!schedule || (owner !== undefined && schedule.owner?.id !== owner)) {
+      throw new ScheduleError(`No schedule with ID ${id}`, 404);
+    }
+    return schedule;
+  }
+
+  // `input` is { name, savedQueryId, cron, params, format, alert,
+  // deliveries, enabled }; `owner` is the user saving it
+  async create(input = {}, owner = null) {
+    const now = new Date().toISOString();
+    const schedule = await this.store.put({
+      id: randomUUID(),
+      ...(await this.check(input, owner)),
+      owner,
+      createdAt: now,
+      updatedAt: now,
+      lastRunAt: null,
+      lastStatus: null
+    });
+    this.reschedule(schedule);
+    return this.describe(schedule);
+  }
+
+  // `owner` is the user saving it. A schedule edited by someone else (a
+  // user manager) keeps its owner; one saved before owners were recorded
+  // takes the editor as owner.
+  async update(id, changes = {}, owner = null) {
+    const schedule = await this.get(id);
+    const keptOwner = schedule.owner && schedule.owner.id !== owner?.id ? schedule.owner : owner;
+    const checked = await this.check({ ...schedule, ...changes }, keptOwner);
+    const updated = await this.store.update(id, current => ({ ...current, ...checked, owner: keptOwner, updatedAt: new Date().toISOString() }));
+    if (!updated) {
+      throw new ScheduleError(`No schedule with ID ${id}`, 404);
+    }
+    this.reschedule(updated);
+    return this.describe(updated);
+  }
+
+  async delete(id) {
+    if (!(await this.store.delete(id))) {
+      throw new ScheduleError(`No schedule with ID ${id}`, 404);
+    }
+    this.reschedule({ id, enabled: false });
+    const runs = await this.runs.list();
+    await Promise.all(runs.filter(run => run.scheduleId === id).map(run => this.runs.delete(run.id)));
+  }
+
+  // Runs of a schedule, newest first
+  async history(id, { limit } = {}) {
+    await this.get(id);
+    const runs = (await this.runs.list())
+      .filter(run => run.scheduleId === id)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    return limit ? runs.slice(0, limit) : runs;
+  }
+
+  // Run a schedule now, whatever its cron expression says. Only its owner
+  // (a user ID) may, as the run uses their access and deliveries.
+  async runNow(id, owner) {
+    return this.run(await this.get(id, owner), 'manual');
+  }
+
+  async check(input, owner = null) {
+    let parsed;
+    try {
+      parsed = parseCron(input.cron);
+    } catch (error) {
+      throw new ScheduleError(error.message);
+    }
+    const cron = input.cron.trim();
+    // "0 0 31 4 *" parses, but would be saved and then never run
+    if (nextRun(parsed) === null) {
+      throw new ScheduleError(`Cron expression "${cron}" never fires`);
+    }
+    if (!REPORT_FORMATS.includes(input.format || 'html')) {
+      throw new ScheduleError(`format must be one of ${REPORT_FORMATS.join(', ')}`);
+    }
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+      throw new ScheduleError('enabled must be true or false');
+    }
+    if (typeof input.savedQueryId !== 'string') {
+      throw new ScheduleError('savedQueryId is required');
+    }
+    try {
+      await this.savedQueries.get(input.savedQueryId, owner ? owner.id : undefined);
+    } catch (error) {
+      throw error.statusCode === 404 ? new ScheduleError(error.message) : error;
+    }
+
+    let alert;
+    try {
+      alert = checkAlert(input.alert);
+    } catch (error) {
+      throw new ScheduleError(error.message);
+    }
+
+    return {
+      name: checkName(input.name),
+      savedQueryId: input.savedQueryId,
+      cron,
+      params: checkParams(input.params),
+      format: input.format || 'html',
+      alert,
+      deliveries: this.checkDeliveries(input.deliveries),
+      enabled: input.enabled ?? true
+    };
+  }
+
+  checkDeliveries(deliveries) {
+    if (!Array.isArray(deliveries) || deliveries.length === 0 || deliveries.length > MAX_DELIVERIES) {
+      throw new ScheduleError(`deliveries must list 1 to ${MAX_DELIVERIES} transports`);
+    }
+    return deliveries.map((delivery) => {
+      const transport = this.transports.get(delivery?.transport);
+      if (!transport) {
+        const names = [...this.transports.keys()];
+        throw new ScheduleError(`Unknown transport "${delivery?.transport}" (configured: ${names.length ? names.join(', ') : 'none'})`);
+      }
+      try {
+        return { transport: transport.name, ...transport.checkDelivery(delivery) };
+      } catch (error) {
+        throw new ScheduleError(error.message);
+      }
+    });
+  }
+
+  start() {
+    this.started = true;
+    this.plan();
+  }
+
+  // Stop firing and wait for runs in progress
+  async stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await Promise.allSettled([...this.running.values()]);
+  }
+
+  reschedule(schedule) {
+    this.nextRuns.delete(schedule.id);
+    if (!this.started) return;
+    if (this.enabled && schedule.enabled) {
+      this.nextRuns.set(schedule.id, nextRun(schedule.cron, new Date()));
+    }
+    this.plan();
+  }
+
+  // Work out when each enabled schedule fires next and sleep until the
+  // first of them
+  async plan() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.enabled || !this.started) return;
+
+    let schedules;
+    try {
+      schedules = await this.store.list();
+    } catch (error) {
+      console.error('Failed to load schedules:', error.message);
+      return;
+    }
+    const now = new Date();
+    const enabled = new Set();
+    for (const schedule of schedules.filter(candidate => candidate.enabled)) {
+      enabled.add(schedule.id);
+      if (!this.nextRuns.has(schedule.id)) {
+        this.nextRuns.set(schedule.id, nextRun(schedule.cron, now));
+      }
+    }
+    for (const id of this.nextRuns.keys()) {
+      if (!enabled.has(id)) this.nextRuns.delete(id);
+    }
+
+    const times = [...this.nextRuns.values()].filter(Boolean).map(date => date.getTime());
+    if (times.length === 0) return;
+    const delay = Math.min(Math.max(Math.min(...times) - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.fire(), delay);
+  }
+
+  async fire() {
+    const now = new Date();
+    const due = [...this.nextRuns.entries()].filter(([, date]) => date && date <= now).map(([id]) => id);
+    for (const id of due) {
+      const schedule = await this.store.get(id);
+      if (schedule) {
+        this.nextRuns.set(id, nextRun(schedule.cron, now));
+        this.run(schedule, 'cron').catch(error => console.error(`Schedule ${schedule.name} failed:`, error.message));
+      }
+    }
+    this.plan();
+  }
+
+  // Run once; a schedule that is still running is not started again
+  run(schedule, trigger) {
+    if (this.running.has(schedule.id)) {
+      return Promise.reject(new ScheduleError(`Schedule ${schedule.name} is already running`, 409));
+    }
+    const running = this.execute(schedule, trigger).finally(() => this.running.delete(schedule.id));
+    this.running.set(schedule.id, running);
+    return running;
+  }
+
+  async execute(schedule, trigger) {
+    const run = {
+      id: randomUUID(),
+      scheduleId: schedule.id,
+      scheduleName: schedule.name,
+      trigger,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      status: null,
+      rowCount: null,
+      alert: null,
+      deliveries: [],
+      error: null
+    };
+
+    try {
+      const saved = await this.savedQueries.get(schedule.savedQueryId, schedule.owner ? schedule.owner.id : undefined);
+      const result = await this.runSavedQuery(saved, schedule.params, schedule.owner);
+      run.rowCount = result.rows.length;
+
+      if (schedule.alert) {
+        run.alert = evaluateAlert(schedule.alert, result.rows);
+      }
+      if (run.alert && !run.alert.triggered) {
+        run.status = 'skipped';
+      } else {
+        const report = await renderReport({
+          title: schedule.name,
+          ranAt: run.startedAt,
+          params: result.params,
+          alert: run.alert?.message || null,
+          chart: saved.chart,
+          rows: result.rows,
+          columns: result.columns,
+          truncated: result.truncated,
+          totalRows: result.totalRows
+        }, schedule.format);
+        run.deliveries = await this.deliver(schedule, run, report);
+        const sent = run.deliveries.filter(delivery => delivery.status === 'sent').length;
+        run.status = sent === run.deliveries.length ? 'delivered' : sent > 0 ? 'partial' : 'failed';
+      }
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date().toISOString();
+    await this.record(schedule, run);
+    return run;
+  }
+
+  async deliver(schedule, run, report) {
+    const message = {
+      subject: run.alert ? `Alert: ${schedule.name}` : schedule.name,
+      summary: run.alert ? run.alert.message : `${schedule.name}: ${run.rowCount} rows`,
+      schedule: { id: schedule.id, name: schedule.name },
+      runId: run.id,
+      ranAt: run.startedAt,
+      alert: run.alert,
+      report
+    };
+    return Promise.all(schedule.deliveries.map(async (delivery) => {
+      const transport = this.transports.get(delivery.transport);
+      if (!transport) {
+        return { transport: delivery.transport, status: 'failed', error: 'Transport is no longer configured' };
+      }
+      try {
+        return { transport: delivery.transport, status: 'sent', detail: await transport.send(message, delivery) };
+      } catch (error) {
+        return { transport: delivery.transport, status: 'failed', error: error.message };
+      }
+    }));
+  }
+
+  // Keep the run and drop the oldest beyond historySize
+  async record(schedule, run) {
+    try {
+      await this.runs.put(run);
+      await this.store.update(schedule.id, current => ({ ...current, lastRunAt: run.startedAt, lastStatus: run.status }));
+      const older = (await this.history(schedule.id)).slice(this.historySize);
+      await Promise.all(older.map(old => this.runs.delete(old.id)));
+    } catch (error) {
+      console.error(`Failed to record run of schedule ${schedule.name}:`, error.message);
+    }
+  }
+
+  describe(schedule) {
+    return {
+      ...schedule,
+      nextRunAt: (schedule.enabled && this.enabled && this.started && this.nextRuns.get(schedule.id)?.toISOString()) || null
+    };
+  }
+
+  flush() {
+    return Promise.all([this.store.flush(), this.runs.flush()]);
+  }
+}
+
+module.exports = {
+  DEFAULT_SCHEDULER,
+  ScheduleError,
+  Scheduler
+};
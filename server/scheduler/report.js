@@ -0,0 +1,151 @@
+// server/scheduler/report.js - HTML and PDF reports of a saved query run
+//
+// A report shows the saved query's name, when it ran and with which
+// parameters, the alert that triggered it (if any), the chart and the first
+// rows of the result. renderReport() returns what a transport delivers:
+// { format, filename, contentType, content } with content a string for HTML
+// and a Buffer for PDF.
+
+const PDFDocument = require('pdfkit');
+const { layoutChart, toSvg, escapeXml } = require('./chart');
+
+const REPORT_FORMATS = ['html', 'pdf'];
+const TABLE_ROWS = 100;
+const PDF_COLUMNS = 6;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  return String(value);
+};
+
+const describeRows = ({ rows, truncated, totalRows }) => {
+  const shown = Math.min(rows.length, TABLE_ROWS);
+  const total = truncated ? totalRows : rows.length;
+  if (total === null || total === undefined) return `First ${shown.toLocaleString('en-US')} rows`;
+  return shown < total
+    ? `First ${shown.toLocaleString('en-US')} of ${total.toLocaleString('en-US')} rows`
+    : `${total.toLocaleString('en-US')} rows`;
+};
+
+const describeParams = (params) => Object.entries(params || {})
+  .map(([name, value]) => `${name} = ${value}`)
+  .join(', ');
+
+const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+
+const renderHtml = (report) => {
+  const chart = layoutChart(report.chart, report.rows, report.columns);
+  const keys = report.columns?.length ? report.columns.map(column => column.name) : Object.keys(report.rows[0] || {});
+  const params = describeParams(report.params);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(report.title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .meta { color: #6b7280; font-size: 13px; margin: 0 0 16px; }
+  .alert { background: #fef2f2; border: 1px solid #fecaca; color: #991b1b; padding: 8px 12px; border-radius: 6px; margin-bottom: 16px; }
+  table { border-collapse: collapse; font-size: 12px; margin-top: 16px; }
+  th, td { border: 1px solid #e5e7eb; padding: 4px 8px; text-align: left; }
+  th { background: #f9fafb; }
+  td.number { text-align: right; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(report.title)}</h1>
+<p class="meta">${escapeXml(new Date(report.ranAt).toUTCString())}${params ? ` · ${escapeXml(params)}` : ''} · ${escapeXml(describeRows(report))}</p>
+${report.alert ? `<p class="alert">${escapeXml(report.alert)}</p>\n` : ''}${chart ? `${toSvg(chart)}\n` : ''}<table>
+<thead><tr>${keys.map(key => `<th>${escapeXml(key)}</th>`).join('')}</tr></thead>
+<tbody>
+${report.rows.slice(0, TABLE_ROWS).map(row => `<tr>${keys.map(key => `<td${typeof row[key] === 'number' ? ' class="number"' : ''}>${escapeXml(formatCell(row[key]))}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
+
+// The chart's shapes drawn at (x, y), scaled to `width`
+const drawChart = (doc, chart, x, y, width) => {
+  const scale = width / chart.width;
+  doc.save().translate(x, y).scale(scale);
+  for (const shape of chart.shapes) {
+    if (shape.type === 'text') {
+      const textWidth = doc.fontSize(shape.size).widthOfString(String(shape.text));
+      const left = shape.anchor === 'middle' ? shape.x - textWidth / 2 : shape.anchor === 'end' ? shape.x - textWidth : shape.x;
+      doc.fillColor(shape.fill).text(String(shape.text), left, shape.y - shape.size * 0.8, { lineBreak: false });
+    } else {
+      doc.path(shape.d);
+      if (shape.fill && shape.fill !== 'none') doc.fill(shape.fill);
+      else doc.lineWidth(shape.strokeWidth || 1).stroke(shape.stroke);
+    }
+  }
+  doc.restore();
+  return chart.height * scale;
+};
+
+const renderPdf = (report) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { left } = doc.page.margins;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const params = describeParams(report.params);
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#1f2937').text(report.title);
+  doc.font('Helvetica').fontSize(10).fillColor('#6b7280')
+    .text(`${new Date(report.ranAt).toUTCString()}${params ? ` · ${params}` : ''} · ${describeRows(report)}`);
+  if (report.alert) {
+    doc.moveDown(0.5).fontSize(11).fillColor('#991b1b').text(report.alert);
+  }
+  doc.moveDown();
+
+  const chart = layoutChart(report.chart, report.rows, report.columns);
+  if (chart) {
+    const chartWidth = Math.min(width, 600);
+    doc.y += drawChart(doc, chart, left, doc.y, chartWidth) + 16;
+  }
+
+  // The table: the first few columns, as many rows as fit on the page
+  // where the chart leaves room, then full pages
+  const keys = (report.columns?.length ? report.columns.map(column => column.name) : Object.keys(report.rows[0] || {})).slice(0, PDF_COLUMNS);
+  const columnWidth = width / Math.max(keys.length, 1);
+  const rowHeight = 16;
+  const drawRow = (cells, bold) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#1f2937');
+    cells.forEach((cell, idx) => {
+      doc.text(cell, left + idx * columnWidth + 2, y + 4, { width: columnWidth - 4, height: rowHeight - 4, ellipsis: true });
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight).lineWidth(0.5).stroke('#e5e7eb');
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+  drawRow(keys, true);
+  report.rows.slice(0, TABLE_ROWS).forEach(row => drawRow(keys.map(key => formatCell(row[key])), false));
+
+  doc.end();
+});
+
+// `report` is { title, ranAt, params, alert, chart, rows, columns,
+// truncated, totalRows }
+const renderReport = async (report, format = 'html') => {
+  const base = `${slug(report.title)}-${report.ranAt.slice(0, 19).replace(/[^0-9]/g, '')}`;
+  if (format === 'pdf') {
+    return { format, filename: `${base}.pdf`, contentType: 'application/pdf', content: await renderPdf(report) };
+  }
+  return { format: 'html', filename: `${base}.html`, contentType: 'text/html; charset=utf-8', content: renderHtml(report) };
+};
+
+module.exports = {
+  REPORT_FORMATS,
+  renderReport
+};
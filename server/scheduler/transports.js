@@ -0,0 +1,157 @@
+// server/scheduler/transports.js - Where scheduled reports and alerts go
+//
+// Transports are named in metadata.scheduler.transports and referenced by
+// name from each schedule's deliveries:
+//
+//   "transports": {
+//     "team-mail": { "type": "smtp", "host": "localhost", "port": 2525, "from": "reports@example.com" },
+//     "chat-hook": { "type": "webhook", "url": "https://hooks.example.com/reports" },
+//     "archive":   { "type": "file", "directory": "data/reports" }
+//   }
+//   "deliveries": [{ "transport": "team-mail", "to": ["sales-leads@example.com"] }, { "transport": "archive" }]
+//
+// Each type registers { type, checkSettings(settings), checkDelivery(delivery),
+// create(settings) }. create returns { send(message, delivery) }, resolving
+// to a short description of where the message went. `message` is
+//
+//   { subject, summary, schedule: { id, name }, runId, ranAt, alert,
+//     report: { format, filename, contentType, content } }
+
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const WEBHOOK_TIMEOUT_MS = 15000;
+const MAX_RECIPIENTS = 50;
+
+class TransportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransportError';
+    this.statusCode = 400;
+  }
+}
+
+const transportTypes = new Map();
+
+const registerTransport = (transport) => {
+  if (typeof transport.create !== 'function') {
+    throw new Error(`Transport "${transport.type}" is missing create()`);
+  }
+  transportTypes.set(transport.type, transport);
+};
+
+registerTransport({
+  type: 'smtp',
+  checkSettings(settings) {
+    if (!settings.host || !settings.from) {
+      throw new TransportError('smtp transports need a host and a from address');
+    }
+  },
+  checkDelivery(delivery) {
+    const { to } = delivery;
+    if (!Array.isArray(to) || to.length === 0 || to.length > MAX_RECIPIENTS
+      || to.some(address => typeof address !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(address))) {
+      throw new TransportError(`Deliveries by email need "to": 1 to ${MAX_RECIPIENTS} email addresses`);
+    }
+    return { to };
+  },
+  create(settings) {
+    const mailer = nodemailer.createTransport({
+      host: settings.host,
+      port: Number(settings.port) || 25,
+      secure: Boolean(settings.secure),
+      ignoreTLS: settings.ignoreTLS,
+      auth: settings.user ? { user: settings.user, pass: settings.password } : undefined
+    });
+    return {
+      async send(message, delivery) {
+        const { report } = message;
+        // HTML reports are the body; PDFs are attached to a short summary
+        await mailer.sendMail({
+          from: settings.from,
+          to: delivery.to,
+          subject: message.subject,
+          text: message.summary,
+          ...(report.format === 'html'
+            ? { html: report.content }
+            : { attachments: [{ filename: report.filename, content: report.content, contentType: report.contentType }] })
+        });
+        return `email to ${delivery.to.join(', ')}`;
+      }
+    };
+  }
+});
+
+registerTransport({
+  type: 'webhook',
+  checkSettings(settings) {
+    if (!/^https?:\/\//.test(settings.url || '')) {
+      throw new TransportError('webhook transports need an http(s) url');
+    }
+  },
+  checkDelivery: () => ({}),
+  create(settings) {
+    return {
+      async send(message) {
+        const { report } = message;
+        const response = await fetch(settings.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...settings.headers },
+          body: JSON.stringify({
+            ...message,
+            report: {
+              ...report,
+              // PDFs travel as base64
+              content: Buffer.isBuffer(report.content) ? report.content.toString('base64') : report.content,
+              encoding: Buffer.isBuffer(report.content) ? 'base64' : 'utf-8'
+            }
+          }),
+          signal: AbortSignal.timeout(settings.timeout ? settings.timeout * 1000 : WEBHOOK_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+          throw new Error(`Webhook answered ${response.status} ${response.statusText}`);
+        }
+        return `webhook ${new URL(settings.url).host}`;
+      }
+    };
+  }
+});
+
+registerTransport({
+  type: 'file',
+  checkSettings(settings) {
+    if (!settings.directory) {
+      throw new TransportError('file transports need a directory');
+    }
+  },
+  checkDelivery: () => ({}),
+  create(settings) {
+    const directory = path.resolve(PROJECT_ROOT, settings.directory);
+    return {
+      async send(message) {
+        await fs.mkdir(directory, { recursive: true });
+        const file = path.join(directory, message.report.filename);
+        await fs.writeFile(file, message.report.content);
+        return `file ${path.relative(PROJECT_ROOT, file)}`;
+      }
+    };
+  }
+});
+
+// Transports by name from metadata.scheduler.transports
+const createTransports = (config = {}) => new Map(Object.entries(config).map(([name, settings]) => {
+  const type = transportTypes.get(settings.type);
+  if (!type) {
+    throw new TransportError(`Transport "${name}" has unknown type "${settings.type}" (available: ${[...transportTypes.keys()].join(', ')})`);
+  }
+  type.checkSettings(settings);
+  return [name, { name, type: settings.type, checkDelivery: type.checkDelivery, ...type.create(settings) }];
+}));
+
+module.exports = {
+  TransportError,
+  registerTransport,
+  createTransports
+};
@@ -0,0 +1,164 @@
+// server/schema-introspector.js - Live schema introspection
+//
+// Reads tables, columns, keys and comments from each database's data
+// dictionary and merges them with the curated descriptions in
+// config/database-metadata.json. The live dictionary decides which tables
+// and columns exist and their types; the curated file supplies the
+// descriptions (and any other hand-maintained attributes) the LLM relies on.
+//
+// Results are cached per database for metadata.cacheTTL seconds.
+
+const { resolvePolicy } = require('./sql/guard');
+
+const DEFAULT_CACHE_TTL = 300;
+
+const upper = (name) => String(name).toUpperCase();
+
+// Combine live and curated table lists; curated tables the database no
+// longer has are reported as warnings instead of being shown to the model
+const mergeTables = (liveTables, curatedTables = []) => {
+  const curatedByName = new Map(curatedTables.map(table => [upper(table.name), table]));
+  const liveNames = new Set(liveTables.map(table => upper(table.name)));
+
+  const tables = liveTables.map(live => {
+    const curated = curatedByName.get(upper(live.name)) || {};
+    const curatedColumns = new Map((curated.columns || []).map(column => [upper(column.name), column]));
+
+    const { columns: _curatedColumns, foreignKeys: curatedForeignKeys, ...curatedTable } = curated;
+
+    return {
+      ...curatedTable,
+      name: live.name,
+      description: curated.description || live.comment || undefined,
+      columns: live.columns.map(column => {
+        const curatedColumn = curatedColumns.get(upper(column.name)) || {};
+        return {
+          ...curatedColumn,
+          name: column.name,
+          type: column.type,
+          nullable: column.nullable,
+          primaryKey: column.primaryKey || undefined,
+          description: curatedColumn.description || column.comment || undefined
+        };
+      }),
+      foreignKeys: live.foreignKeys.length > 0 ? live.foreignKeys : curatedForeignKeys || []
+    };
+  });
+
+  const warnings = curatedTables
+    .filter(table => !liveNames.has(upper(table.name)))
+    .map(table => `Table ${table.name} is declared in database-metadata.json but was not found in the database`);
+
+  return { tables, warnings };
+};
+
+// Strict connections only expose the tables the SQL guard lets them read
+const filterQueryableTables = (tables, dbConfig) => {
+  const policy = resolvePolicy(dbConfig);
+  if (!policy.restrictToDeclaredTables) {
+    return tables;
+  }
+
+  const declared = new Set((dbConfig.tables || []).map(table => upper(table.name)));
+  return tables.filter(table => {
+    const name = upper(table.name);
+    return (declared.has(name) || policy.allowedTables.has(name)) && !policy.deniedTables.has(name);
+  });
+};
+
+class SchemaIntrospector {
+  constructor(dbMetadata) {
+    this.dbMetadata = dbMetadata;
+    this.cache = new Map();
+
+    // Curated descriptions may have changed
+    dbMetadata.on('reload', () => this.invalidate());
+  }
+
+  cacheSettings(metadata) {
+    const settings = metadata?.metadata || {};
+    return {
+      enabled: settings.cacheEnabled !== false,
+      ttlSeconds: settings.cacheTTL ?? DEFAULT_CACHE_TTL
+    };
+  }
+
+  // Schema as the LLM and the schema endpoint should see it. Falls back to
+  // the curated tables when introspection is disabled or fails.
+  async getSchema(dbConfig, metadata, { refresh = false } = {}) {
+    const { enabled, ttlSeconds } = this.cacheSettings(metadata);
+    const cached = this.cache.get(dbConfig.id);
+
+    if (!refresh && enabled && cached && cached.expiresAt > Date.now()) {
+      return cached.schema;
+    }
+
+    const schema = await this.introspect(dbConfig, metadata);
+
+    if (enabled && schema.source === 'live') {
+      this.cache.set(dbConfig.id, { schema, expiresAt: Date.now() + ttlSeconds * 1000 });
+    }
+
+    return schema;
+  }
+
+  async introspect(dbConfig, metadata) {
+    const curated = {
+      tables: dbConfig.tables || [],
+      source: 'config',
+      introspectedAt: null,
+      warnings: []
+    };
+
+    if (dbConfig.introspect === false) {
+      return curated;
+    }
+
+    try {
+      const live = await this.dbMetadata.introspect(dbConfig, metadata);
+      const { tables, warnings } = mergeTables(live.tables, dbConfig.tables);
+      warnings.forEach(warning => console.warn(`⚠ ${dbConfig.name}: ${warning}`));
+
+      console.log(`✓ Introspected ${live.tables.length} tables: ${dbConfig.name}`);
+
+      return {
+        tables: filterQueryableTables(tables, dbConfig),
+        source: 'live',
+        introspectedAt: new Date().toISOString(),
+        warnings
+      };
+    } catch (error) {
+      console.error(`✗ Introspection failed: ${dbConfig.name}`, error.message);
+      return { ...curated, warnings: [`Introspection failed: ${error.message}`] };
+    }
+  }
+
+  // Re-run introspection for every configured database
+  async refreshAll(metadata) {
+    const results = [];
+    for (const db of metadata.databases) {
+      const schema = await this.getSchema(db, metadata, { refresh: true });
+      results.push({
+        id: db.id,
+        source: schema.source,
+        tables: schema.tables.length,
+        warnings: schema.warnings
+      });
+    }
+    return results;
+  }
+
+  invalidate(dbId) {
+    if (dbId) {
+      this.cache.delete(dbId);
+    } else {
+      this.cache.clear();
+    }
+  }
+}
+
+module.exports = {
+  SchemaIntrospector,
+  mergeTables,
+  filterQueryableTables
+};
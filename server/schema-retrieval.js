@@ -0,0 +1,291 @@
+// server/schema-retrieval.js - Picks the tables a question needs
+//
+// Sending every table to the model does not scale past a few dozen tables.
+// Tables are ranked against the question with BM25 over their names,
+// column names and descriptions. Tables linked to a match by a foreign key
+// score a share of the match's score, and tables on the foreign-key path
+// between two selected tables are pulled in so the joins are expressible.
+// Tables are then added in rank order until the token budget or maxTables
+// is reached. Settings live in metadata.schemaRetrieval.
+
+const DEFAULTS = {
+  tokenBudget: 4000,
+  maxTables: 12,
+  // Score share a table inherits from a matching foreign-key neighbour
+  neighbourWeight: 0.4,
+  // Longest join path (in foreign keys) searched between selected tables
+  maxJoinHops: 2,
+  // Wide tables are cut to their key columns and best matching columns
+  maxColumnsPerTable: 40
+};
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Field weights: a term in a name says more than one in a description
+const WEIGHTS = { tableName: 3, columnName: 2, description: 1 };
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'how', 'i',
+  'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'show', 'the', 'their', 'this', 'to',
+  'was', 'we', 'what', 'which', 'who', 'with', 'give', 'list', 'get', 'all', 'per', 'each'
+]);
+
+const upper = (name) => String(name).toUpperCase();
+
+// Light stemming so "customers" finds CUSTOMER and "sales" finds SALE
+const stem = (term) => {
+  if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+  if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+  return term;
+};
+
+// Split identifiers and prose into terms: ORDER_ITEMS, orderItems and
+// "order items" all give [order, item]
+const terms = (text) => String(text || '')
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+  .map(stem);
+
+// Term frequencies for one table, weighted by field
+const tableDocument = (table) => {
+  const frequencies = new Map();
+  let length = 0;
+  const add = (text, weight) => {
+    for (const term of terms(text)) {
+      frequencies.set(term, (frequencies.get(term) || 0) + weight);
+      length += weight;
+    }
+  };
+
+  add(table.name, WEIGHTS.tableName);
+  add(table.description, WEIGHTS.description);
+  for (const column of table.columns || []) {
+    add(column.name, WEIGHTS.columnName);
+    add(column.description, WEIGHTS.description);
+  }
+  return { frequencies, length };
+};
+
+const bm25Scores = (tables, queryTerms) => {
+  const documents = tables.map(tableDocument);
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+
+  const documentFrequency = new Map();
+  for (const term of new Set(queryTerms)) {
+    documentFrequency.set(term, documents.filter(doc => doc.frequencies.has(term)).length);
+  }
+
+  return documents.map(doc => {
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = doc.frequencies.get(term) || 0;
+      if (tf === 0) continue;
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (tables.length - df + 0.5) / (df + 0.5));
+      score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / (averageLength || 1)));
+    }
+    return score;
+  });
+};
+
+// Undirected foreign-key graph: table -> [{ table, on }]
+const buildJoinGraph = (tables) => {
+  const graph = new Map(tables.map(table => [upper(table.name), []]));
+  for (const table of tables) {
+    for (const fk of table.foreignKeys || []) {
+      const from = upper(table.name);
+      const to = upper(fk.references.table);
+      if (!graph.has(to)) continue;
+
+      const on = fk.columns
+        .map((column, idx) => `${table.name}.${column} = ${fk.references.table}.${fk.references.columns[idx]}`)
+        .join(' AND ');
+      graph.get(from).push({ table: to, on });
+      graph.get(to).push({ table: from, on });
+    }
+  }
+  return graph;
+};
+
+// Shortest foreign-key path from `start` to any table in `targets`, as a
+// list of edges, or null when none is within maxHops
+const findJoinPath = (graph, start, targets, maxHops) => {
+  const queue = [[start, []]];
+  const seen = new Set([start]);
+
+  while (queue.length > 0) {
+    const [name, path] = queue.shift();
+    if (path.length > 0 && targets.has(name)) return path;
+    if (path.length >= maxHops) continue;
+
+    for (const edge of graph.get(name) || []) {
+      if (seen.has(edge.table)) continue;
+      seen.add(edge.table);
+      queue.push([edge.table, [...path, { from: name, ...edge }]]);
+    }
+  }
+  return null;
+};
+
+const columnScore = (column, queryTerms) => {
+  const columnTerms = new Set([...terms(column.name), ...terms(column.description)]);
+  return queryTerms.filter(term => columnTerms.has(term)).length;
+};
+
+// Keep key columns and the columns matching the question; wide fact tables
+// otherwise crowd everything else out of the budget
+const trimColumns = (table, queryTerms, maxColumns) => {
+  const columns = table.columns || [];
+  if (columns.length <= maxColumns) return { table, trimmed: 0 };
+
+  const keyColumns = new Set((table.foreignKeys || []).flatMap(fk => fk.columns.map(upper)));
+  const ranked = columns
+    .map((column, idx) => ({
+      column,
+      idx,
+      score: (column.primaryKey || keyColumns.has(upper(column.name)) ? 100 : 0) + columnScore(column, queryTerms)
+    }))
+    .sort((a, b) => b.score - a.score || a.idx - b.idx)
+    .slice(0, maxColumns)
+    .sort((a, b) => a.idx - b.idx)
+    .map(entry => entry.column);
+
+  return { table: { ...table, columns: ranked }, trimmed: columns.length - ranked.length };
+};
+
+// Compact text rendering for the prompt, one line per column:
+//   TABLE SALES_TRANSACTIONS -- Daily sales
+//     CUSTOMER_ID NUMBER NOT NULL -> CUSTOMERS.ID -- Buyer
+// Columns masked for the user (auth/access.js) say so, since the SQL guard
+// only lets them be selected as they are.
+const renderTable = (table, trimmed = 0) => {
+  const references = new Map();
+  for (const fk of table.foreignKeys || []) {
+    fk.columns.forEach((column, idx) => {
+      references.set(upper(column), `${fk.references.table}.${fk.references.columns[idx]}`);
+    });
+  }
+
+  const lines = [`TABLE ${table.name}${table.description ? ` -- ${table.description}` : ''}`];
+  for (const column of table.columns || []) {
+    const parts = [`  ${column.name} ${column.type}`];
+    if (column.primaryKey) parts.push('PRIMARY KEY');
+    else if (column.nullable === false) parts.push('NOT NULL');
+    if (references.has(upper(column.name))) parts.push(`-> ${references.get(upper(column.name))}`);
+    if (column.masked) parts.push(`[${String(column.classification).toUpperCase()}, masked: select by name only]`);
+    if (column.description) parts.push(`-- ${column.description}`);
+    lines.push(parts.join(' '));
+  }
+  if (trimmed > 0) {
+    lines.push(`  ... ${trimmed} more columns not shown`);
+  }
+  return lines.join('\n');
+};
+
+// Rough token count; about four characters per token for English and SQL
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Choose the tables for a prompt. Returns the rendered schema text and a
+// debug record of what was included and why.
+const retrieveSchema = (tables, question, options = {}) => {
+  const settings = { ...DEFAULTS, ...options };
+  const queryTerms = terms(question);
+  const scores = bm25Scores(tables, queryTerms);
+  const byName = new Map(tables.map((table, idx) => [upper(table.name), { table, idx, score: scores[idx] }]));
+  const graph = buildJoinGraph(tables);
+
+  // Neighbours of matching tables inherit part of their score
+  const candidates = tables.map((table, idx) => {
+    const name = upper(table.name);
+    const neighbourScore = Math.max(0, ...(graph.get(name) || []).map(edge => byName.get(edge.table).score));
+    const ownScore = scores[idx];
+    const inherited = neighbourScore * settings.neighbourWeight;
+    return {
+      table,
+      idx,
+      score: Math.max(ownScore, inherited),
+      reason: ownScore >= inherited ? 'match' : 'neighbour'
+    };
+  });
+
+  const matched = candidates.some(candidate => candidate.score > 0);
+  const ranked = matched
+    ? candidates.filter(candidate => candidate.score > 0).sort((a, b) => b.score - a.score || a.idx - b.idx)
+    // Nothing matched (a greeting, a vague question): fall back to config order
+    : candidates.map(candidate => ({ ...candidate, reason: 'fallback' }));
+
+  const selected = [];
+  const selectedNames = new Set();
+  let usedTokens = 0;
+
+  const tryAdd = (candidate, reason) => {
+    const name = upper(candidate.table.name);
+    if (selectedNames.has(name) || selected.length >= settings.maxTables) return false;
+
+    const { table, trimmed } = trimColumns(candidate.table, queryTerms, settings.maxColumnsPerTable);
+    const text = renderTable(table, trimmed);
+    const tokens = estimateTokens(text);
+    // The best match always goes in, even when it alone exceeds the budget
+    if (selected.length > 0 && usedTokens + tokens > settings.tokenBudget) return false;
+
+    selected.push({ name: candidate.table.name, score: Number(candidate.score.toFixed(3)), reason, tokens, trimmedColumns: trimmed, text });
+    selectedNames.add(name);
+    usedTokens += tokens;
+    return true;
+  };
+
+  for (const candidate of ranked) {
+    if (!tryAdd(candidate, candidate.reason) && selected.length >= settings.maxTables) break;
+
+    // Pull in the tables that connect this one to those already chosen
+    if (matched && selectedNames.size > 1) {
+      const name = upper(candidate.table.name);
+      const others = new Set([...selectedNames].filter(other => other !== name));
+      const path = findJoinPath(graph, name, others, settings.maxJoinHops) || [];
+      for (const edge of path) {
+        for (const hop of [edge.from, edge.table]) {
+          const entry = byName.get(hop);
+          tryAdd({ table: entry.table, score: entry.score }, 'join_path');
+        }
+      }
+    }
+  }
+
+  // Joins among the chosen tables
+  const joinPaths = [];
+  const seenJoins = new Set();
+  for (const name of selectedNames) {
+    for (const edge of graph.get(name) || []) {
+      if (selectedNames.has(edge.table) && !seenJoins.has(edge.on)) {
+        seenJoins.add(edge.on);
+        joinPaths.push(edge.on);
+      }
+    }
+  }
+
+  const joinText = joinPaths.length > 0
+    ? `\n\nJoin paths:\n${joinPaths.map(on => `  ${on}`).join('\n')}`
+    : '';
+
+  return {
+    text: selected.map(entry => entry.text).join('\n\n') + joinText,
+    joinPaths,
+    debug: {
+      terms: queryTerms,
+      included: selected.map(({ text: _text, ...entry }) => entry),
+      omittedTables: tables.length - selected.length,
+      estimatedTokens: usedTokens + estimateTokens(joinText),
+      tokenBudget: settings.tokenBudget
+    }
+  };
+};
+
+module.exports = {
+  retrieveSchema,
+  renderTable,
+  terms
+};
@@ -0,0 +1,880 @@
+// server/sql/dialects.js - Per-dialect prompt guidance and SQL rewriting
+//
+// Models write the SQL they have seen most of: LIMIT and ILIKE on Oracle,
+// INTERVAL '30 days' on MySQL, DATE_TRUNC on SQLite. Each database type gets
+// a short list of its own conventions for the system prompt, and generated
+// SQL goes through transpile(), which rewrites the common foreign constructs
+// into the dialect of dbConfig.type:
+//
+//   LIMIT n / TOP n / FETCH FIRST n ROWS ONLY   row limiting
+//   INTERVAL '30 days' / '30' DAY / 30 DAY     interval literals
+//   DATE_ADD(d, INTERVAL ...), DATE_SUB(...)   interval arithmetic
+//   DATE_TRUNC('month', d), EXTRACT(YEAR FROM d)
+//   x ILIKE y, x::type, NOW(), GETDATE(), SYSDATE, NVL()
+//
+// Rewrites work on tokens, so strings, quoted identifiers and comments are
+// left alone. Constructs that cannot be rewritten safely are reported as
+// warnings and passed through; the database error then goes to the repair
+// loop in query-agent.js.
+
+const { tokenize, joinTokens, SqlTokenizeError } = require('./tokenizer');
+
+const DIALECTS = {
+  oracle: {
+    name: 'Oracle',
+    guidance: [
+      'Limit rows with FETCH FIRST n ROWS ONLY (after ORDER BY); never use LIMIT or TOP.',
+      'There is no ILIKE; match case-insensitively with UPPER(col) LIKE UPPER(\'%text%\').',
+      'Date arithmetic: CURRENT_DATE - 30, ADD_MONTHS(d, -3) or d - INTERVAL \'30\' DAY.',
+      'Truncate dates with TRUNC(d, \'MM\') (\'YYYY\', \'Q\', \'IW\', \'DD\'); format them with TO_CHAR(d, \'YYYY-MM\').',
+      'Use NVL or COALESCE for nulls and || to concatenate strings.',
+      'Table aliases take no AS keyword, and SQL has no boolean type; compare to 1/0 or \'Y\'/\'N\'.',
+      'Unquoted identifiers are upper-case.'
+    ]
+  },
+  postgres: {
+    name: 'PostgreSQL',
+    guidance: [
+      'Limit rows with LIMIT n.',
+      'Use ILIKE for case-insensitive matching.',
+      'Date arithmetic: d - INTERVAL \'30 days\'; truncate with DATE_TRUNC(\'month\', d); format with TO_CHAR(d, \'YYYY-MM\').',
+      'Integer division truncates; cast to numeric for ratios and averages of integers.',
+      'Use COALESCE for nulls and || to concatenate strings.',
+      'Unquoted identifiers are lower-case; quote mixed-case names.'
+    ]
+  },
+  mysql: {
+    name: 'MySQL',
+    guidance: [
+      'Limit rows with LIMIT n.',
+      'There is no ILIKE; LIKE is already case-insensitive with the default collations.',
+      'Date arithmetic: d - INTERVAL 30 DAY or DATE_SUB(d, INTERVAL 30 DAY); format with DATE_FORMAT(d, \'%Y-%m\').',
+      'There is no DATE_TRUNC; use DATE_FORMAT(d, \'%Y-%m-01\') for months or DATE(d) for days.',
+      'Concatenate with CONCAT(); || means logical OR.',
+      'Quote identifiers with backticks. There is no FULL OUTER JOIN.'
+    ]
+  },
+  snowflake: {
+    name: 'Snowflake',
+    guidance: [
+      'Limit rows with LIMIT n.',
+      'Use ILIKE for case-insensitive matching.',
+      'Date arithmetic: DATEADD(day, -30, CURRENT_DATE()) or d - INTERVAL \'30 days\'; truncate with DATE_TRUNC(\'MONTH\', d).',
+      'QUALIFY filters on window functions.',
+      'Unquoted identifiers are upper-case.'
+    ]
+  },
+  sqlite: {
+    name: 'SQLite',
+    guidance: [
+      'Limit rows with LIMIT n.',
+      'There is no ILIKE; LIKE is case-insensitive for ASCII text.',
+      'Dates are ISO-8601 text. Use date(\'now\', \'-30 days\'), date(d, \'start of month\') and strftime(\'%Y-%m\', d).',
+      'There is no INTERVAL, DATE_TRUNC, EXTRACT or TO_CHAR.',
+      'Integer division truncates; multiply by 1.0 for ratios.',
+      'Use COALESCE or IFNULL for nulls and || to concatenate strings.'
+    ]
+  }
+};
+
+const dialectName = (type) => DIALECTS[type]?.name || type || 'SQL';
+
+// Lines for the system prompt
+const dialectGuidance = (type) => {
+  const dialect = DIALECTS[type];
+  if (!dialect) {
+    return '';
+  }
+  return `Write ${dialect.name} SQL:\n${dialect.guidance.map(line => `- ${line}`).join('\n')}`;
+};
+
+// --- Token helpers ---------------------------------------------------------
+
+// Words that cannot be (or name the function of) an operand
+const KEYWORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'ON', 'IN', 'EXISTS', 'HAVING', 'BY', 'WHEN',
+  'THEN', 'ELSE', 'END', 'AS', 'JOIN', 'ALL', 'ANY', 'SOME', 'DISTINCT', 'CASE', 'BETWEEN', 'LIKE',
+  'ILIKE', 'IS', 'UNION', 'INTERSECT', 'EXCEPT', 'MINUS', 'INTERVAL', 'WITH', 'OVER', 'USING',
+  'LIMIT', 'OFFSET', 'FETCH', 'ORDER', 'GROUP', 'TOP'
+]);
+
+const isSignificant = (token) => token.type !== 'whitespace' && token.type !== 'comment';
+const isWord = (token, upper) => Boolean(token) && token.type === 'word' && (!upper || token.upper === upper);
+const isPunct = (token, value) => Boolean(token) && token.type === 'punct' && token.value === value;
+const isOperator = (token, value) => Boolean(token) && token.type === 'operator' && token.value === value;
+const isName = (token) => Boolean(token) && ((token.type === 'word' && !KEYWORDS.has(token.upper)) || token.type === 'identifier');
+const isCount = (token) => Boolean(token) && (token.type === 'number' || token.type === 'bind');
+
+// First significant token at or after i
+const nextIndex = (tokens, i) => {
+  let j = i;
+  while (j < tokens.length && !isSignificant(tokens[j])) j++;
+  return j;
+};
+
+// Last significant token at or before i
+const prevIndex = (tokens, i) => {
+  let j = i;
+  while (j >= 0 && !isSignificant(tokens[j])) j--;
+  return j;
+};
+
+const matchingClose = (tokens, open) => {
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (isPunct(tokens[i], '(')) depth++;
+    else if (isPunct(tokens[i], ')')) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+};
+
+const matchingOpen = (tokens, close) => {
+  let depth = 0;
+  for (let i = close; i >= 0; i--) {
+    if (isPunct(tokens[i], ')')) depth++;
+    else if (isPunct(tokens[i], '(')) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+};
+
+// End (exclusive) of the operand starting at token i: a literal, a dotted
+// name, a function call or a parenthesised expression. -1 when there is none.
+const operandEnd = (tokens, i) => {
+  const token = tokens[i];
+  if (!token) return -1;
+  if (isPunct(token, '(')) {
+    const close = matchingClose(tokens, i);
+    return close === -1 ? -1 : close + 1;
+  }
+  if (token.type === 'string' || token.type === 'number' || token.type === 'bind') {
+    return i + 1;
+  }
+  if (!isName(token)) return -1;
+
+  let end = i + 1;
+  let j = nextIndex(tokens, end);
+  while (isPunct(tokens[j], '.')) {
+    const k = nextIndex(tokens, j + 1);
+    if (!isName(tokens[k])) break;
+    end = k + 1;
+    j = nextIndex(tokens, end);
+  }
+  if (isPunct(tokens[j], '(')) {
+    const close = matchingClose(tokens, j);
+    if (close === -1) return -1;
+    end = close + 1;
+  }
+  return end;
+};
+
+// Start of the operand ending at token i, or -1
+const operandStart = (tokens, i) => {
+  const token = tokens[i];
+  if (!token) return -1;
+
+  let start;
+  if (isPunct(token, ')')) {
+    start = matchingOpen(tokens, i);
+    if (start === -1) return -1;
+    const before = prevIndex(tokens, start - 1);
+    if (!isName(tokens[before])) return start;
+    start = before;
+  } else if (token.type === 'string' || token.type === 'number' || token.type === 'bind') {
+    return i;
+  } else if (isName(token)) {
+    start = i;
+  } else {
+    return -1;
+  }
+
+  for (;;) {
+    const dot = prevIndex(tokens, start - 1);
+    if (!isPunct(tokens[dot], '.')) break;
+    const name = prevIndex(tokens, dot - 1);
+    if (!isName(tokens[name])) break;
+    start = name;
+  }
+  return start;
+};
+
+// Top-level arguments of the call whose "(" is at `open`, as [start, end)
+// token ranges
+const callArguments = (tokens, open) => {
+  const close = matchingClose(tokens, open);
+  if (close === -1) return null;
+
+  const args = [];
+  let start = open + 1;
+  let depth = 0;
+  for (let i = open + 1; i < close; i++) {
+    if (isPunct(tokens[i], '(')) depth++;
+    else if (isPunct(tokens[i], ')')) depth--;
+    else if (depth === 0 && isPunct(tokens[i], ',')) {
+      args.push([start, i]);
+      start = i + 1;
+    }
+  }
+  args.push([start, close]);
+  return { args, close };
+};
+
+const text = (tokens, start, end) => joinTokens(tokens.slice(start, end)).trim();
+
+const stringValue = (token) => token.value.slice(1, -1).replace(/''/g, '\'');
+
+const quote = (value) => `'${String(value).replace(/'/g, '\'\'')}'`;
+
+// --- Intervals --------------------------------------------------------------
+
+const UNIT_ALIASES = {
+  second: ['s', 'sec', 'secs', 'second', 'seconds'],
+  minute: ['min', 'mins', 'minute', 'minutes'],
+  hour: ['h', 'hr', 'hrs', 'hour', 'hours'],
+  day: ['d', 'day', 'days'],
+  week: ['w', 'week', 'weeks'],
+  month: ['mon', 'mons', 'month', 'months'],
+  quarter: ['quarter', 'quarters'],
+  year: ['y', 'yr', 'yrs', 'year', 'years']
+};
+
+const UNITS = new Map(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit]))
+);
+
+const unitOf = (word) => UNITS.get(String(word || '').toLowerCase()) || null;
+
+// INTERVAL '30 days' (PostgreSQL, Snowflake), INTERVAL '30' DAY (Oracle,
+// ANSI) and INTERVAL 30 DAY (MySQL). Returns { amount, unit, end } for the
+// INTERVAL word at i, or null for anything else (compound intervals such as
+// '1 2:00' DAY TO HOUR).
+const parseInterval = (tokens, i) => {
+  const j = nextIndex(tokens, i + 1);
+  const literal = tokens[j];
+  let amount;
+  let unit;
+  let end;
+
+  const readUnitWord = (from) => {
+    const k = nextIndex(tokens, from);
+    if (!isWord(tokens[k]) || !unitOf(tokens[k].value)) return null;
+    let unitEnd = k + 1;
+    // Oracle leading precision: DAY(3)
+    const paren = nextIndex(tokens, unitEnd);
+    if (isPunct(tokens[paren], '(')) {
+      const close = matchingClose(tokens, paren);
+      if (close !== -1 && tokens.slice(paren + 1, close).every(token => !isSignificant(token) || token.type === 'number')) {
+        unitEnd = close + 1;
+      }
+    }
+    // DAY TO SECOND and friends are compound intervals
+    if (isWord(tokens[nextIndex(tokens, unitEnd)], 'TO')) return null;
+    return { unit: unitOf(tokens[k].value), end: unitEnd };
+  };
+
+  if (literal?.type === 'string') {
+    const match = /^\s*([-+]?\d+)\s*([a-z]+)?\s*$/i.exec(stringValue(literal));
+    if (!match) return null;
+    amount = Number(match[1]);
+    if (match[2]) {
+      unit = unitOf(match[2]);
+      end = j + 1;
+    } else {
+      const word = readUnitWord(j + 1);
+      if (!word) return null;
+      ({ unit, end } = word);
+    }
+  } else if (literal?.type === 'number' && /^\d+$/.test(literal.value)) {
+    amount = Number(literal.value);
+    const word = readUnitWord(j + 1);
+    if (!word) return null;
+    ({ unit, end } = word);
+  } else {
+    return null;
+  }
+
+  return unit ? { amount, unit, end } : null;
+};
+
+// Oracle and SQLite have no week or quarter interval
+const toBasicUnit = ({ amount, unit }) => {
+  if (unit === 'week') return { amount: amount * 7, unit: 'day' };
+  if (unit === 'quarter') return { amount: amount * 3, unit: 'month' };
+  return { amount, unit };
+};
+
+const renderInterval = (interval, type) => {
+  if (type === 'mysql') {
+    return `INTERVAL ${interval.amount} ${interval.unit.toUpperCase()}`;
+  }
+  if (type === 'oracle') {
+    const { amount, unit } = toBasicUnit(interval);
+    // The default leading precision is two digits
+    const digits = String(Math.abs(amount)).length;
+    return `INTERVAL '${amount}' ${unit.toUpperCase()}${digits > 2 ? `(${digits})` : ''}`;
+  }
+  return `INTERVAL '${interval.amount} ${interval.unit}${Math.abs(interval.amount) === 1 ? '' : 's'}'`;
+};
+
+// SQLite date modifier: '-30 days'
+const sqliteModifier = (interval, sign) => {
+  const { amount, unit } = toBasicUnit(interval);
+  const signed = sign === '-' ? -amount : amount;
+  return quote(`${signed < 0 ? '-' : '+'}${Math.abs(signed)} ${unit}s`);
+};
+
+// date() keeps date-only values date-only; everything else gets datetime()
+const sqliteDateFunction = (operand) =>
+  /^(CURRENT_DATE|DATE\s*\()/i.test(operand) ? 'date' : 'datetime';
+
+// --- Rules -------------------------------------------------------------------
+//
+// Each rule returns edits { start, end, text } over token indices. Edits of
+// one pass must not overlap; a rule skips past what it rewrote and runs
+// again on the result, so nested constructs are handled on later passes.
+
+const sameSql = (a, b) => a.replace(/\s+/g, ' ').toUpperCase() === b.replace(/\s+/g, ' ').toUpperCase();
+
+// DATE_ADD(d, INTERVAL 1 DAY) -> (d + INTERVAL '1 day')
+const dateAddFunction = (tokens) => {
+  const edits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (!isWord(token) || !['DATE_ADD', 'DATE_SUB', 'ADDDATE', 'SUBDATE'].includes(token.upper)) continue;
+    const open = nextIndex(tokens, i + 1);
+    if (!isPunct(tokens[open], '(')) continue;
+
+    const call = callArguments(tokens, open);
+    if (!call || call.args.length !== 2) continue;
+    const [[baseStart, baseEnd], [intervalStart, intervalEnd]] = call.args;
+    if (!isWord(tokens[nextIndex(tokens, intervalStart)], 'INTERVAL')) continue;
+
+    const operator = token.upper.includes('SUB') ? '-' : '+';
+    edits.push({
+      start: i,
+      end: call.close + 1,
+      text: `(${text(tokens, baseStart, baseEnd)} ${operator} ${text(tokens, intervalStart, intervalEnd)})`
+    });
+    i = call.close;
+  }
+  return edits;
+};
+
+const intervalLiteral = (tokens, type, warnings) => {
+  const edits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isWord(tokens[i], 'INTERVAL')) continue;
+    const interval = parseInterval(tokens, i);
+    if (!interval) continue;
+
+    if (type === 'sqlite') {
+      // d - INTERVAL '30 days' -> datetime(d, '-30 days')
+      const operatorIndex = prevIndex(tokens, i - 1);
+      const operator = tokens[operatorIndex];
+      const operandIndex = prevIndex(tokens, operatorIndex - 1);
+      const start = operandIndex >= 0 ? operandStart(tokens, operandIndex) : -1;
+      if (!(isOperator(operator, '-') || isOperator(operator, '+')) || start === -1) {
+        warnings.add('SQLite has no INTERVAL type; use date(d, \'-30 days\') instead.');
+        i = interval.end - 1;
+        continue;
+      }
+      const operand = text(tokens, start, operandIndex + 1);
+      edits.push({
+        start,
+        end: interval.end,
+        text: `${sqliteDateFunction(operand)}(${operand}, ${sqliteModifier(interval, operator.value)})`
+      });
+    } else {
+      const original = text(tokens, i, interval.end);
+      const rendered = renderInterval(interval, type);
+      if (!sameSql(original, rendered)) {
+        edits.push({ start: i, end: interval.end, text: rendered });
+      }
+    }
+    i = interval.end - 1;
+  }
+  return edits;
+};
+
+// Oracle: LIMIT n [OFFSET m] and MySQL's LIMIT m, n -> FETCH FIRST
+const limitClause = (tokens) => {
+  const edits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isWord(tokens[i], 'LIMIT')) continue;
+    const countIndex = nextIndex(tokens, i + 1);
+    if (!isCount(tokens[countIndex])) continue;
+
+    let count = tokens[countIndex].value;
+    let offset = null;
+    let end = countIndex + 1;
+    const after = nextIndex(tokens, end);
+    if (isPunct(tokens[after], ',')) {
+      const second = nextIndex(tokens, after + 1);
+      if (!isCount(tokens[second])) continue;
+      offset = count;
+      count = tokens[second].value;
+      end = second + 1;
+    } else if (isWord(tokens[after], 'OFFSET')) {
+      const offsetIndex = nextIndex(tokens, after + 1);
+      if (!isCount(tokens[offsetIndex])) continue;
+      offset = tokens[offsetIndex].value;
+      end = offsetIndex + 1;
+    }
+
+    edits.push({
+      start: i,
+      end,
+      text: `${offset !== null ? `OFFSET ${offset} ROWS ` : ''}FETCH FIRST ${count} ROWS ONLY`
+    });
+    i = end - 1;
+  }
+  return edits;
+};
+
+// MySQL and SQLite: [OFFSET m ROWS] FETCH FIRST n ROWS ONLY -> LIMIT n [OFFSET m]
+const fetchFirstClause = (tokens) => {
+  const edits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isWord(tokens[i], 'FETCH')) continue;
+    let j = nextIndex(tokens, i + 1);
+    if (!isWord(tokens[j], 'FIRST') && !isWord(tokens[j], 'NEXT')) continue;
+
+    j = nextIndex(tokens, j + 1);
+    let count = '1';
+    if (isCount(tokens[j])) {
+      count = tokens[j].value;
+      j = nextIndex(tokens, j + 1);
+    }
+    if (!isWord(tokens[j], 'ROW') && !isWord(tokens[j], 'ROWS')) continue;
+    j = nextIndex(tokens, j + 1);
+    if (!isWord(tokens[j], 'ONLY')) continue;
+
+    // A preceding OFFSET m ROWS becomes part of the LIMIT clause
+    let start = i;
+    let offset = null;
+    const rows = prevIndex(tokens, i - 1);
+    if (isWord(tokens[rows], 'ROWS') || isWord(tokens[rows], 'ROW')) {
+      const offsetValue = prevIndex(tokens, rows - 1);
+      const offsetWord = prevIndex(tokens, offsetValue - 1);
+      if (isCount(tokens[offsetValue]) && isWord(tokens[offsetWord], 'OFFSET')) {
+        offset = tokens[offsetValue].value;
+        start = offsetWord;
+      }
+    }
+
+    edits.push({ start, end: j + 1, text: `LIMIT ${count}${offset !== null ? ` OFFSET ${offset}` : ''}` });
+    i = j;
+  }
+  return edits;
+};
+
+// SELECT TOP n ... -> SELECT ... LIMIT n (FETCH FIRST n ROWS ONLY on Oracle)
+const topClause = (tokens, type, warnings) => {
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isWord(tokens[i], 'SELECT')) continue;
+
+    let j = nextIndex(tokens, i + 1);
+    if (isWord(tokens[j], 'DISTINCT') || isWord(tokens[j], 'ALL')) {
+      j = nextIndex(tokens, j + 1);
+    }
+    if (!isWord(tokens[j], 'TOP')) continue;
+
+    const topIndex = j;
+    let countIndex = nextIndex(tokens, j + 1);
+    let countEnd = countIndex + 1;
+    if (isPunct(tokens[countIndex], '(')) {
+      const close = matchingClose(tokens, countIndex);
+      countIndex = nextIndex(tokens, countIndex + 1);
+      countEnd = close + 1;
+    }
+    if (!isCount(tokens[countIndex])) continue;
+    const count = tokens[countIndex].value;
+
+    // The SELECT ends at the parenthesis that encloses it or at the end
+    let depth = 0;
+    let boundary = tokens.length;
+    let setOperator = false;
+    for (let k = countEnd; k < tokens.length; k++) {
+      if (isPunct(tokens[k], '(')) depth++;
+      else if (isPunct(tokens[k], ')')) {
+        if (depth === 0) {
+          boundary = k;
+          break;
+        }
+        depth--;
+      } else if (depth === 0 && isPunct(tokens[k], ';')) {
+        boundary = k;
+        break;
+      } else if (depth === 0 && ['UNION', 'INTERSECT', 'EXCEPT', 'MINUS'].some(word => isWord(tokens[k], word))) {
+        setOperator = true;
+      }
+    }
+    if (setOperator) {
+      warnings.add(`TOP is not ${dialectName(type)} syntax and could not be rewritten inside a set operation.`);
+      continue;
+    }
+
+    const insertAt = prevIndex(tokens, boundary - 1) + 1;
+    const limit = type === 'oracle' ? `FETCH FIRST ${count} ROWS ONLY` : `LIMIT ${count}`;
+    // Two edits: drop TOP n, append the limit
+    return [
+      { start: topIndex, end: nextIndex(tokens, countEnd), text: '' },
+      { start: insertAt, end: insertAt, text: ` ${limit}` }
+    ];
+  }
+  return [];
+};
+
+const upperCase = (operand) => (/^(UPPER|LOWER)\s*\(/i.test(operand) ? operand : `UPPER(${operand})`);
+
+// a ILIKE b -> UPPER(a) LIKE UPPER(b) on Oracle, a LIKE b on MySQL and SQLite
+const ilikeOperator = (tokens, type, warnings) => {
+  const edits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isWord(tokens[i], 'ILIKE')) continue;
+
+    if (type !== 'oracle') {
+      edits.push({ start: i, end: i + 1, text: 'LIKE' });
+      continue;
+    }
+
+    const before = prevIndex(tokens, i - 1);
+    const leftEnd = isWord(tokens[before], 'NOT') ? prevIndex(tokens, before - 1) : before;
+    const leftStart = leftEnd >= 0 ? operandStart(tokens, leftEnd) : -1;
+    const rightStart = nextIndex(tokens, i + 1);
+    const rightEnd = operandEnd(tokens, rightStart);
+    if (leftStart === -1 || rightEnd === -1) {
+      warnings.add('ILIKE was replaced by LIKE, which is case-sensitive on Oracle.');
+      edits.push({ start: i, end: i + 1, text: 'LIKE' });
+      continue;
+    }
+
+    edits.push({
+      start: leftStart,
+      end: rightEnd,
+      text: `${upperCase(text(tokens, leftStart, leftEnd + 1))}${leftEnd !== before ? ' NOT' : ''} LIKE ${upperCase(text(tokens, rightStart, rightEnd))}`
+    });
+    i = rightEnd - 1;
+  }
+  return edits;
+};
+
+// Target types for PostgreSQL-style casts
+const CAST_TYPES = {
+  oracle: {
+    text: 'VARCHAR2(4000)', varchar: 'VARCHAR2(4000)', char: 'CHAR', int: 'NUMBER(10)', integer: 'NUMBER(10)',
+    bigint: 'NUMBER(19)', smallint: 'NUMBER(5)', numeric: 'NUMBER', decimal: 'NUMBER', real: 'BINARY_FLOAT',
+    float: 'BINARY_DOUBLE', double: 'BINARY_DOUBLE', date: 'DATE', timestamp: 'TIMESTAMP'
+  },
+  mysql: {
+    text: 'CHAR', varchar: 'CHAR', char: 'CHAR', int: 'SIGNED', integer: 'SIGNED', bigint: 'SIGNED',
+    smallint: 'SIGNED', numeric: 'DECIMAL', decimal: 'DECIMAL', real: 'DOUBLE', float: 'DOUBLE',
+    double: 'DOUBLE', date: 'DATE', timestamp: 'DATETIME'
+  },
+  sqlite: {
+    text: 'TEXT', varchar: 'TEXT', char: 'TEXT', int: 'INTEGER', integer: 'INTEGER', bigint: 'INTEGER',
+    smallint: 'INTEGER', numeric: 'NUMERIC', decimal: 'NUMERIC', real: 'REAL', float: 'REAL', double: 'REAL'
+  }
+};
+
+// Type name after "::": a word, DOUBLE PRECISION, TIMESTAMP WITH[OUT] TIME
+// ZONE, and an optional (p, s). Returns { name, args, end } or null.
+const readTypeName = (tokens, start) => {
+  const first = tokens[start];
+  if (!isWord(first)) return null;
+
+  let name = first.upper.toLowerCase();
+  let end = start + 1;
+  const next = nextIndex(tokens, end);
+  if (name === 'double' && isWord(tokens[next], 'PRECISION')) {
+    end = next + 1;
+  } else if (name === 'timestamp' && (isWord(tokens[next], 'WITH') || isWord(tokens[next], 'WITHOUT'))) {
+    const time = nextIndex(tokens, next + 1);
+    const zone = nextIndex(tokens, time + 1);
+    if (isWord(tokens[time], 'TIME') && isWord(tokens[zone], 'ZONE')) end = zone + 1;
+  } else if (name === 'timestamptz') {
+    name = 'timestamp';
+  }
+
+  let args = '';
+  const paren = nextIndex(tokens, end);
+  if (isPunct(tokens[paren], '(')) {
+    const close = matchingClose(tokens, paren);
+    if (close === -1) return null;
+    args = text(tokens, paren, close + 1);
+    end = close + 1;
+  }
+  return { name, args, end };
+};
+
+// x::type -> CAST(x AS type), or date(x) / datetime(x) on SQLite
+const castOperator = (tokens, type, warnings) => {
+  const edits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isOperator(tokens[i], '::')) continue;
+
+    const operandIndex = prevIndex(tokens, i - 1);
+    const start = operandIndex >= 0 ? operandStart(tokens, operandIndex) : -1;
+    const targetType = readTypeName(tokens, nextIndex(tokens, i + 1));
+    if (start === -1 || !targetType) {
+      warnings.add(`The :: cast is not ${dialectName(type)} syntax; use CAST(x AS type).`);
+      continue;
+    }
+
+    const operand = text(tokens, start, operandIndex + 1);
+    let replacement;
+    if (type === 'sqlite' && (targetType.name === 'date' || targetType.name === 'timestamp')) {
+      replacement = `${targetType.name === 'date' ? 'date' : 'datetime'}(${operand})`;
+    } else {
+      const mapped = CAST_TYPES[type][targetType.name];
+      const keepsArgs = targetType.args && /^(NUMBER|DECIMAL|NUMERIC|CHAR)$/.test(mapped || '');
+      replacement = `CAST(${operand} AS ${mapped ? `${mapped}${keepsArgs ? targetType.args : ''}` : text(tokens, nextIndex(tokens, i + 1), targetType.end)})`;
+    }
+
+    edits.push({ start, end: targetType.end, text: replacement });
+    i = targetType.end - 1;
+  }
+  return edits;
+};
+
+const TRUNC_FORMATS = {
+  oracle: { year: 'YYYY', quarter: 'Q', month: 'MM', week: 'IW', day: 'DD', hour: 'HH24', minute: 'MI' },
+  mysql: { year: '%Y-01-01', month: '%Y-%m-01', hour: '%Y-%m-%d %H:00:00', minute: '%Y-%m-%d %H:%i:00' },
+  sqlite: { year: 'start of year', month: 'start of month' }
+};
+
+const truncExpression = (unit, value, type) => {
+  const format = TRUNC_FORMATS[type][unit];
+  if (type === 'oracle') {
+    return format ? `TRUNC(${value}, '${format}')` : null;
+  }
+  if (type === 'mysql') {
+    if (unit === 'day') return `DATE(${value})`;
+    return format ? `DATE_FORMAT(${value}, '${format}')` : null;
+  }
+  if (unit === 'day') return `date(${value})`;
+  if (unit === 'hour') return `strftime('%Y-%m-%d %H:00:00', ${value})`;
+  if (unit === 'minute') return `strftime('%Y-%m-%d %H:%M:00', ${value})`;
+  return format ? `date(${value}, '${format}')` : null;
+};
+
+// DATE_TRUNC('month', d) -> TRUNC(d, 'MM'), DATE_FORMAT(d, '%Y-%m-01'), date(d, 'start of month')
+const dateTrunc = (tokens, type, warnings) => {
+  const edits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isWord(tokens[i], 'DATE_TRUNC')) continue;
+    const open = nextIndex(tokens, i + 1);
+    if (!isPunct(tokens[open], '(')) continue;
+
+    const call = callArguments(tokens, open);
+    if (!call || call.args.length !== 2) continue;
+    const [[unitStart, unitEnd], [valueStart, valueEnd]] = call.args;
+    const unitToken = tokens[nextIndex(tokens, unitStart)];
+    const unit = unitToken && (unitToken.type === 'string' ? unitOf(stringValue(unitToken)) : unitOf(unitToken.value));
+    const replacement = unit && nextIndex(tokens, unitStart) === prevIndex(tokens, unitEnd - 1)
+      ? truncExpression(unit, text(tokens, valueStart, valueEnd), type)
+      : null;
+
+    if (!replacement) {
+      warnings.add(`DATE_TRUNC is not available on ${dialectName(type)} and could not be rewritten for this unit.`);
+    } else {
+      edits.push({ start: i, end: call.close + 1, text: replacement });
+    }
+    i = call.close;
+  }
+  return edits;
+};
+
+const STRFTIME_FIELDS = { YEAR: '%Y', MONTH: '%m', DAY: '%d', HOUR: '%H', MINUTE: '%M', SECOND: '%S', DOW: '%w', DOY: '%j' };
+
+// SQLite: EXTRACT(YEAR FROM d) -> CAST(strftime('%Y', d) AS INTEGER)
+const extractField = (tokens, type, warnings) => {
+  const edits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (!isWord(tokens[i], 'EXTRACT')) continue;
+    const open = nextIndex(tokens, i + 1);
+    if (!isPunct(tokens[open], '(')) continue;
+    const close = matchingClose(tokens, open);
+    const field = tokens[nextIndex(tokens, open + 1)];
+    const from = nextIndex(tokens, nextIndex(tokens, open + 1) + 1);
+    if (close === -1 || !isWord(field) || !isWord(tokens[from], 'FROM')) continue;
+
+    const value = text(tokens, from + 1, close);
+    let replacement = null;
+    if (STRFTIME_FIELDS[field.upper]) {
+      replacement = `CAST(strftime('${STRFTIME_FIELDS[field.upper]}', ${value}) AS INTEGER)`;
+    } else if (field.upper === 'QUARTER') {
+      replacement = `((CAST(strftime('%m', ${value}) AS INTEGER) + 2) / 3)`;
+    }
+
+    if (replacement) {
+      edits.push({ start: i, end: close + 1, text: replacement });
+    } else {
+      warnings.add(`EXTRACT(${field.upper} ...) has no SQLite equivalent; use strftime().`);
+    }
+    i = close;
+  }
+  return edits;
+};
+
+// Oracle date arithmetic counts in days, which CURRENT_TIMESTAMP does not
+// take: SYSDATE - 30 becomes CURRENT_TIMESTAMP - INTERVAL '30 days' in
+// PostgreSQL and datetime(CURRENT_TIMESTAMP, '-30 days') in SQLite. Other
+// day counts (SYSDATE - n) use PostgreSQL's date arithmetic, CURRENT_DATE.
+// Returns the edit for the SYSDATE at i, or null when no arithmetic follows.
+const sysdateArithmetic = (tokens, i, type, warnings) => {
+  const operatorIndex = nextIndex(tokens, i + 1);
+  const operator = tokens[operatorIndex];
+  const before = tokens[prevIndex(tokens, i - 1)];
+  const sign = isOperator(operator, '-') || isOperator(operator, '+') ? operator.value : null;
+  if (!sign && !isOperator(before, '-') && !isOperator(before, '+')) return null;
+
+  const daysIndex = sign ? nextIndex(tokens, operatorIndex + 1) : -1;
+  const after = tokens[nextIndex(tokens, daysIndex + 1)];
+  const literal = sign && tokens[daysIndex]?.type === 'number' &&
+    !['*', '/', '%', '||'].some(value => isOperator(after, value));
+
+  if (literal) {
+    const days = tokens[daysIndex].value;
+    return {
+      start: i,
+      end: daysIndex + 1,
+      text: type === 'sqlite'
+        ? `datetime(CURRENT_TIMESTAMP, '${sign}${days} days')`
+        : `CURRENT_TIMESTAMP ${sign} INTERVAL '${days} day${Number(days) === 1 ? '' : 's'}'`
+    };
+  }
+  if (type === 'sqlite') {
+    warnings.add('SQLite cannot add days to SYSDATE; use datetime(\'now\', \'-30 days\') or julianday().');
+    return { start: i, end: i + 1, text: 'CURRENT_TIMESTAMP' };
+  }
+  return { start: i, end: i + 1, text: 'CURRENT_DATE' };
+};
+
+// NOW(), GETDATE(), bare SYSDATE and CURRENT_DATE() where they do not parse
+const currentTime = (tokens, type, warnings) => {
+  const edits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (!isWord(token)) continue;
+    const open = nextIndex(tokens, i + 1);
+    const close = isPunct(tokens[open], '(') ? nextIndex(tokens, open + 1) : -1;
+    const emptyCall = close !== -1 && isPunct(tokens[close], ')');
+
+    if (emptyCall && ((token.upper === 'NOW' && ['oracle', 'sqlite'].includes(type)) || (token.upper === 'GETDATE' && type !== 'snowflake'))) {
+      edits.push({ start: i, end: close + 1, text: 'CURRENT_TIMESTAMP' });
+      i = close;
+    } else if (emptyCall && ['CURRENT_DATE', 'CURRENT_TIMESTAMP'].includes(token.upper) && ['oracle', 'postgres', 'sqlite'].includes(type)) {
+      edits.push({ start: i, end: close + 1, text: token.upper });
+      i = close;
+    } else if (token.upper === 'SYSDATE' && close === -1 && type !== 'oracle') {
+      if (['mysql', 'snowflake'].includes(type)) {
+        // MySQL and Snowflake spell it SYSDATE()
+        edits.push({ start: i, end: i + 1, text: 'SYSDATE()' });
+      } else {
+        const edit = sysdateArithmetic(tokens, i, type, warnings) || { start: i, end: i + 1, text: 'CURRENT_TIMESTAMP' };
+        edits.push(edit);
+        i = edit.end - 1;
+      }
+    }
+  }
+  return edits;
+};
+
+// NVL(a, b) -> COALESCE(a, b)
+const nvlFunction = (tokens) => tokens
+  .map((token, i) => (isWord(token, 'NVL') && isPunct(tokens[nextIndex(tokens, i + 1)], '(') ? { start: i, end: i + 1, text: 'COALESCE' } : null))
+  .filter(Boolean);
+
+// Order matters: DATE_ADD() becomes interval arithmetic, which the interval
+// rule then renders for the dialect
+const RULES = [
+  { name: 'date_add_function', dialects: ['oracle', 'postgres', 'snowflake', 'sqlite'], apply: dateAddFunction },
+  { name: 'interval_literal', dialects: ['oracle', 'postgres', 'mysql', 'snowflake', 'sqlite'], apply: intervalLiteral },
+  { name: 'limit_clause', dialects: ['oracle'], apply: limitClause },
+  { name: 'fetch_first_clause', dialects: ['mysql', 'sqlite'], apply: fetchFirstClause },
+  { name: 'top_clause', dialects: ['oracle', 'postgres', 'mysql', 'sqlite'], apply: topClause },
+  { name: 'ilike_operator', dialects: ['oracle', 'mysql', 'sqlite'], apply: ilikeOperator },
+  { name: 'cast_operator', dialects: ['oracle', 'mysql', 'sqlite'], apply: castOperator },
+  { name: 'date_trunc', dialects: ['oracle', 'mysql', 'sqlite'], apply: dateTrunc },
+  { name: 'extract_field', dialects: ['sqlite'], apply: extractField },
+  { name: 'current_time', dialects: ['oracle', 'postgres', 'mysql', 'snowflake', 'sqlite'], apply: currentTime },
+  { name: 'nvl_function', dialects: ['postgres', 'mysql', 'sqlite'], apply: nvlFunction }
+];
+
+// Constructs reported but not rewritten
+const checkLeftovers = (tokens, type, warnings) => {
+  const significant = tokens.filter(isSignificant);
+  significant.forEach((token, idx) => {
+    if (type !== 'oracle' && isWord(token, 'ROWNUM')) {
+      warnings.add(`ROWNUM is Oracle-only; ${dialectName(type)} limits rows with LIMIT.`);
+    }
+    if (type !== 'oracle' && isPunct(token, '(') && isOperator(significant[idx + 1], '+') && isPunct(significant[idx + 2], ')')) {
+      warnings.add('The (+) outer join is Oracle-only; use LEFT JOIN.');
+    }
+    if (type === 'mysql' && isOperator(token, '||')) {
+      warnings.add('MySQL treats || as logical OR; use CONCAT() to join strings.');
+    }
+  });
+};
+
+const MAX_PASSES = 10;
+
+const applyEdits = (tokens, edits) => {
+  const sorted = [...edits].sort((a, b) => a.start - b.start);
+  let sql = '';
+  let position = 0;
+  for (const edit of sorted) {
+    sql += joinTokens(tokens.slice(position, edit.start)) + edit.text;
+    position = edit.end;
+  }
+  return sql + joinTokens(tokens.slice(position));
+};
+
+// Rewrite `query` for the database type. Returns { query, rewrites,
+// warnings }; rewrites lists { rule, before, after } per pass. SQL that does
+// not tokenize is returned unchanged for the guard to reject.
+const transpile = (query, type) => {
+  if (!DIALECTS[type]) {
+    return { query, rewrites: [], warnings: [] };
+  }
+
+  const rewrites = [];
+  const warnings = new Set();
+  let sql = query;
+
+  try {
+    for (const rule of RULES) {
+      if (!rule.dialects.includes(type)) continue;
+      for (let pass = 0; pass < MAX_PASSES; pass++) {
+        const tokens = tokenize(sql, { dialect: type });
+        const edits = rule.apply(tokens, type, warnings);
+        if (edits.length === 0) break;
+
+        const rewritten = applyEdits(tokens, edits);
+        rewrites.push({ rule: rule.name, before: sql, after: rewritten });
+        sql = rewritten;
+      }
+    }
+    checkLeftovers(tokenize(sql, { dialect: type }), type, warnings);
+  } catch (error) {
+    if (error instanceof SqlTokenizeError) {
+      return { query, rewrites: [], warnings: [] };
+    }
+    throw error;
+  }
+
+  return { query: sql, rewrites, warnings: [...warnings] };
+};
+
+module.exports = {
+  DIALECTS,
+  dialectName,
+  dialectGuidance,
+  transpile
+};
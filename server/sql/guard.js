@@ -0,0 +1,919 @@
+// server/sql/guard.js - Read-only SQL guard
+//
+// Every statement that reaches a database goes through validateReadOnlyQuery
+// first. Only a single SELECT (or WITH ... SELECT) statement is allowed, and
+// by default it may only read the tables declared for the connection in
+// config/database-metadata.json.
+//
+// Connections can tune the policy with a "queryPolicy" block:
+//
+//   "queryPolicy": {
+//     "mode": "strict",                // "strict" (default) or "relaxed"
+//     "allowedTables": ["DUAL"],       // readable in addition to declared tables
+//     "deniedTables": ["CUSTOMERS"],   // never readable, whatever the mode
+//     "deniedColumns": ["PATIENTS.SSN"], // never readable; SELECT * on the table is refused
+//     "allowedSchemas": ["REPORTING"], // schema qualifiers besides dbConfig.schema
+//     "deniedFunctions": ["SYSDATE"],  // added to the built-in deny list
+//     "allowedFunctions": ["DBMS_RANDOM.VALUE"] // exempt from the built-in deny list
+//   }
+//
+// "relaxed" mode drops the declared-table restriction but keeps every
+// statement-level rule.
+//
+// Columns masked for the user (auth/access.js adds them to the policy as
+// "maskedColumns": { "CUSTOMERS.EMAIL": "partial" }) come back masked, so
+// they must reach the result under their own name: they may be selected
+// plainly (or through *) and used in GROUP BY and ORDER BY, but not
+// aliased, filtered or joined on, passed to functions, read as part of a
+// whole row (SELECT c, row_to_json(c)) or combined with UNION.
+// validateReadOnlyQuery reports which result columns to mask.
+//
+// Classified columns of the declared tables are traced the same way
+// whether or not they are masked, so values kept out of LLM prompts
+// (server/privacy.js) cannot slip through under another name.
+
+const { tokenize, significantTokens, splitStatements, joinTokens, SqlTokenizeError } = require('./tokenizer');
+
+class SqlGuardError extends Error {
+  constructor(rule, message, details = {}) {
+    super(message);
+    this.name = 'SqlGuardError';
+    this.rule = rule;
+    this.details = details;
+    this.statusCode = 400;
+  }
+}
+
+const DML_KEYWORDS = new Set(['INSERT', 'UPDATE', 'DELETE', 'MERGE', 'UPSERT', 'REPLACE']);
+const DDL_KEYWORDS = new Set(['CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'RENAME', 'COMMENT', 'GRANT', 'REVOKE', 'ANALYZE', 'PURGE', 'FLASHBACK', 'AUDIT', 'NOAUDIT']);
+const PLSQL_KEYWORDS = new Set(['BEGIN', 'DECLARE', 'CALL', 'EXEC', 'EXECUTE', 'DO']);
+const TRANSACTION_KEYWORDS = new Set(['COMMIT', 'ROLLBACK', 'SAVEPOINT', 'LOCK', 'SET', 'USE', 'COPY', 'PUT', 'GET', 'UNLOAD', 'LOAD']);
+
+// Keywords that must not appear anywhere in a read-only statement, e.g. a
+// data-modifying CTE in PostgreSQL. Words followed by "(" are function calls
+// (REPLACE(), TRUNCATE() in MySQL) and are left to the function rules.
+const FORBIDDEN_ANYWHERE = new Set([
+  'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'UPSERT',
+  'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'GRANT', 'REVOKE',
+  'EXECUTE', 'EXEC', 'CALL', 'BEGIN', 'DECLARE', 'COMMIT', 'ROLLBACK'
+]);
+
+// Functions that read files, sleep, reach other systems, run PL/SQL
+// packages or run SQL passed to them as text (query_to_xml('select ...'))
+// out of the guard's sight. Entries ending in "*" match by prefix.
+const DEFAULT_DENIED_FUNCTIONS = [
+  'DBMS_*', 'UTL_*', 'SYS.*', 'CTXSYS.*', 'HTTPURITYPE', 'XDBURITYPE',
+  'PG_SLEEP*', 'PG_READ_FILE', 'PG_READ_BINARY_FILE', 'PG_LS_DIR', 'PG_STAT_FILE',
+  'PG_TERMINATE_BACKEND', 'PG_CANCEL_BACKEND', 'LO_IMPORT', 'LO_EXPORT', 'DBLINK*',
+  'QUERY_TO_*', 'TABLE_TO_*', 'CURSOR_TO_*', 'SCHEMA_TO_*', 'DATABASE_TO_*',
+  'SET_CONFIG', 'SLEEP', 'BENCHMARK', 'LOAD_FILE', 'SYSTEM$*',
+  // SQLite's PRAGMA table functions describe every table, declared or not
+  'PRAGMA_*'
+];
+
+// Pseudo-tables that are always readable for a given database type
+const BUILTIN_TABLES = {
+  oracle: ['DUAL'],
+  mysql: ['DUAL'],
+  snowflake: [],
+  postgres: [],
+  sqlite: []
+};
+
+// Functions whose arguments use FROM as a keyword, e.g. EXTRACT(YEAR FROM d)
+const FROM_ARGUMENT_FUNCTIONS = new Set(['EXTRACT', 'TRIM', 'SUBSTRING', 'SUBSTR', 'OVERLAY', 'POSITION']);
+
+// Words that end a table reference inside a FROM clause
+const CLAUSE_KEYWORDS = new Set([
+  'WHERE', 'GROUP', 'HAVING', 'ORDER', 'UNION', 'INTERSECT', 'EXCEPT', 'MINUS',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'ON', 'USING',
+  'LIMIT', 'OFFSET', 'FETCH', 'FOR', 'CONNECT', 'START', 'MODEL', 'PIVOT', 'UNPIVOT',
+  'WINDOW', 'QUALIFY', 'SAMPLE', 'TABLESAMPLE', 'PARTITION', 'AS', 'WITH', 'SELECT',
+  'LATERAL', 'APPLY', 'RETURNING', 'INTO', 'VALUES'
+]);
+
+const normalizeName = (name) => String(name).toUpperCase();
+
+const matchesPattern = (name, pattern) => {
+  const upperPattern = normalizeName(pattern);
+  if (upperPattern.endsWith('*')) {
+    return name.startsWith(upperPattern.slice(0, -1));
+  }
+  return name === upperPattern;
+};
+
+// "TABLE.COLUMN" entries as table -> Set of columns
+const groupColumns = (entries) => {
+  const byTable = new Map();
+  for (const entry of entries) {
+    const name = normalizeName(entry);
+    const dot = name.lastIndexOf('.');
+    if (dot <= 0) continue;
+    const table = name.slice(0, dot).split('.').pop();
+    if (!byTable.has(table)) byTable.set(table, new Set());
+    byTable.get(table).add(name.slice(dot + 1));
+  }
+  return byTable;
+};
+
+// { "TABLE.COLUMN": value } (a masking strategy, a classification) as
+// table -> Map of column -> value
+const groupColumnValues = (entries) => {
+  const byTable = new Map();
+  for (const [entry, value] of Object.entries(entries)) {
+    const name = normalizeName(entry);
+    const dot = name.lastIndexOf('.');
+    if (dot <= 0) continue;
+    const table = name.slice(0, dot).split('.').pop();
+    if (!byTable.has(table)) byTable.set(table, new Map());
+    byTable.get(table).set(name.slice(dot + 1), value);
+  }
+  return byTable;
+};
+
+// Classified columns of the declared tables (see server/privacy.js) as
+// table -> Map of column -> classification
+const groupClassifiedColumns = (tables = []) => groupColumnValues(Object.fromEntries(tables.flatMap(table => (
+  (table.columns || []).filter(column => column.classification).map(column => [`${table.name}.${column.name}`, column.classification])
+))));
+
+// Masking strategies from least to most revealing; when one result column
+// could come from several masked columns, the strictest wins
+const STRICTEST_FIRST = ['redact', 'hash', 'generalise', 'partial'];
+const stricter = (a, b) => {
+  if (!a) return b;
+  const rank = (strategy) => {
+    const idx = STRICTEST_FIRST.indexOf(strategy);
+    return idx === -1 ? -1 : STRICTEST_FIRST.length - idx;
+  };
+  return rank(b) > rank(a) ? b : a;
+};
+
+const resolvePolicy = (dbConfig = {}) => {
+  const policy = dbConfig.queryPolicy || {};
+  const mode = policy.mode || 'strict';
+
+  if (!['strict', 'relaxed'].includes(mode)) {
+    throw new Error(`Unknown queryPolicy mode "${mode}" for database ${dbConfig.id}`);
+  }
+
+  return {
+    mode,
+    restrictToDeclaredTables: mode === 'strict',
+    allowedTables: new Set([
+      ...(BUILTIN_TABLES[dbConfig.type] || []),
+      ...(policy.allowedTables || [])
+    ].map(normalizeName)),
+    deniedTables: new Set((policy.deniedTables || []).map(normalizeName)),
+    deniedColumns: groupColumns(policy.deniedColumns || []),
+    maskedColumns: groupColumnValues(policy.maskedColumns || {}),
+    classifiedColumns: groupClassifiedColumns(dbConfig.tables),
+    tableColumns: new Map((dbConfig.tables || []).map(table => [
+      normalizeName(table.name),
+      new Set((table.columns || []).map(column => normalizeName(column.name)))
+    ])),
+    allowedSchemas: new Set([dbConfig.schema, ...(policy.allowedSchemas || [])].filter(Boolean).map(normalizeName)),
+    deniedFunctions: [...DEFAULT_DENIED_FUNCTIONS, ...(policy.deniedFunctions || [])],
+    allowedFunctions: (policy.allowedFunctions || []).map(normalizeName)
+  };
+};
+
+const identifierName = (token) => {
+  if (!token) return null;
+  if (token.type === 'word') return token.upper;
+  if (token.type === 'identifier') return normalizeName(token.name);
+  return null;
+};
+
+const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+const isWord = (token, upper) => token && token.type === 'word' && token.upper === upper;
+
+// Index of the token after the parenthesis group that opens at `index`
+const skipParens = (tokens, index) => {
+  let depth = 0;
+  for (let i = index; i < tokens.length; i++) {
+    if (isPunct(tokens[i], '(')) depth++;
+    if (isPunct(tokens[i], ')')) {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return tokens.length;
+};
+
+// Read a dotted name (schema.table, db.schema.table) starting at `index`
+const readDottedName = (tokens, index) => {
+  const parts = [];
+  let i = index;
+  while (i < tokens.length) {
+    const name = identifierName(tokens[i]);
+    if (name === null) break;
+    parts.push(name);
+    i++;
+    if (isPunct(tokens[i], '.')) {
+      i++;
+      continue;
+    }
+    break;
+  }
+  return { parts, next: i };
+};
+
+// Index of the ")" closing the parenthesis group that holds `index`, or
+// the end of the statement at the top level
+const enclosingEnd = (tokens, index) => {
+  let depth = 0;
+  for (let i = index; i < tokens.length; i++) {
+    if (isPunct(tokens[i], '(')) depth++;
+    if (isPunct(tokens[i], ')')) {
+      if (depth === 0) return i;
+      depth--;
+    }
+  }
+  return tokens.length;
+};
+
+// Names introduced by WITH name AS (...) or WITH name (cols) AS (...), with
+// the token index of the name (`at`) and the range [from, to) in which the
+// name means the CTE rather than a table. A plain CTE is only visible to
+// the CTEs after it and to the query the WITH belongs to, not to its own
+// body or earlier siblings, so "WITH a AS (SELECT * FROM b), b AS (...)"
+// reads the real table b. Under WITH RECURSIVE every name covers the whole
+// WITH.
+const collectCteScopes = (tokens) => {
+  const scopes = [];
+  for (let w = 0; w < tokens.length; w++) {
+    if (!isWord(tokens[w], 'WITH')) continue;
+    const recursive = isWord(tokens[w + 1], 'RECURSIVE');
+    const end = enclosingEnd(tokens, w + 1);
+
+    let i = recursive ? w + 2 : w + 1;
+    while (i < end) {
+      const name = identifierName(tokens[i]);
+      if (name === null) break;
+      let j = i + 1;
+      if (isPunct(tokens[j], '(')) j = skipParens(tokens, j);
+      if (!isWord(tokens[j], 'AS')) break;
+      j++;
+      // AS [NOT] MATERIALIZED (...) in PostgreSQL
+      if (isWord(tokens[j], 'NOT')) j++;
+      if (isWord(tokens[j], 'MATERIALIZED')) j++;
+      if (!isPunct(tokens[j], '(')) break;
+
+      const bodyEnd = skipParens(tokens, j);
+      scopes.push({ name, at: i, from: recursive ? w : bodyEnd, to: end });
+      if (!isPunct(tokens[bodyEnd], ',')) break;
+      i = bodyEnd + 1;
+    }
+  }
+  return scopes;
+};
+
+// True when a reference from collectTableReferences names a CTE in scope
+const isCteReference = (scopes, reference) => {
+  if (reference.parts.length !== 1 || reference.start === undefined) return false;
+  return scopes.some(scope => scope.name === reference.parts[0] && reference.start >= scope.from && reference.start < scope.to);
+};
+
+// Walk the statement and collect every table referenced from a FROM or JOIN
+// as { parts, start, end, alias, aliasAt }, start and end being the token
+// indexes of the name and aliasAt that of the alias. Subqueries and
+// table-function arguments are walked recursively so that a comma list
+// after a subquery (FROM (SELECT ...) x, OTHER) is still read. The aliases
+// of subqueries and table functions are collected as `derived`
+// ({ alias, at }).
+const readFromItems = (tokens) => {
+  const references = [];
+  const derived = [];
+
+  const walk = (from, to) => {
+    const openers = [];
+
+    for (let i = from; i < to; i++) {
+      const token = tokens[i];
+
+      if (isPunct(token, '(')) {
+        const previous = tokens[i - 1];
+        openers.push(previous && previous.type === 'word' ? previous.upper : null);
+        continue;
+      }
+      if (isPunct(token, ')')) {
+        openers.pop();
+        continue;
+      }
+
+      if (isWord(token, 'FROM')) {
+        const enclosing = openers[openers.length - 1];
+        if (enclosing && FROM_ARGUMENT_FUNCTIONS.has(enclosing)) continue;
+        // a IS DISTINCT FROM b
+        if (isWord(tokens[i - 1], 'DISTINCT') && isWord(tokens[i - 2], 'IS')) continue;
+        i = readTableList(i + 1, to, true) - 1;
+      } else if (isWord(token, 'JOIN') || isWord(token, 'APPLY')) {
+        i = readTableList(i + 1, to, false) - 1;
+      }
+    }
+  };
+
+  // Clauses that qualify a FROM item without ending the list: PARTITION
+  // (p), SAMPLE [BLOCK] (n) [SEED (n)], TABLESAMPLE method (n) [REPEATABLE
+  // (n)], AS OF ... and VERSIONS BETWEEN ... flashback, MySQL index hints
+  // and SQLite's INDEXED BY / NOT INDEXED. Returns the index after them;
+  // subqueries inside them are walked.
+  const skipItemClauses = (start, end) => {
+    let i = start;
+    while (i < end) {
+      const word = tokens[i].type === 'word' ? tokens[i].upper : null;
+      let j = i + 1;
+
+      if (word === 'PARTITION' || word === 'SUBPARTITION') {
+        if (isWord(tokens[j], 'FOR')) j++;
+        if (!isPunct(tokens[j], '(')) break;
+        j = skipParens(tokens, j);
+      } else if (word === 'SAMPLE' || word === 'TABLESAMPLE') {
+        if (tokens[j]?.type === 'word' && isPunct(tokens[j + 1], '(')) j++;
+        if (!isPunct(tokens[j], '(')) break;
+        j = skipParens(tokens, j);
+        if ((isWord(tokens[j], 'SEED') || isWord(tokens[j], 'REPEATABLE')) && isPunct(tokens[j + 1], '(')) j = skipParens(tokens, j + 1);
+      } else if ((word === 'AS' && isWord(tokens[j], 'OF')) || (word === 'VERSIONS' && isWord(tokens[j], 'BETWEEN'))) {
+        // The expression runs to the next item or clause, taking any alias with it
+        j++;
+        while (j < end && !isPunct(tokens[j], ',') && !isPunct(tokens[j], ')') &&
+          !(tokens[j].type === 'word' && CLAUSE_KEYWORDS.has(tokens[j].upper))) {
+          j = isPunct(tokens[j], '(') ? skipParens(tokens, j) : j + 1;
+        }
+      } else if (['USE', 'FORCE', 'IGNORE'].includes(word) && (isWord(tokens[j], 'INDEX') || isWord(tokens[j], 'KEY'))) {
+        j++;
+        if (isWord(tokens[j], 'FOR')) j += isWord(tokens[j + 1], 'JOIN') ? 2 : 3;
+        if (!isPunct(tokens[j], '(')) break;
+        j = skipParens(tokens, j);
+        // Hints are themselves a comma list: USE INDEX (a), IGNORE INDEX (b)
+        if (isPunct(tokens[j], ',') && ['USE', 'FORCE', 'IGNORE'].some(hint => isWord(tokens[j + 1], hint))) j++;
+      } else if (word === 'INDEXED' && isWord(tokens[j], 'BY')) {
+        j += 2;
+      } else if (word === 'NOT' && isWord(tokens[j], 'INDEXED')) {
+        j++;
+      } else {
+        break;
+      }
+
+      walk(i, j);
+      i = j;
+    }
+    return i;
+  };
+
+  const readTableList = (start, end, allowCommaList) => {
+    let i = start;
+
+    while (i < end) {
+      while (isWord(tokens[i], 'LATERAL') || isWord(tokens[i], 'ONLY')) i++;
+      let derivedItem = false;
+      let item = null;
+
+      if (isPunct(tokens[i], '(')) {
+        const close = skipParens(tokens, i);
+        if (isWord(tokens[i + 1], 'SELECT') || isWord(tokens[i + 1], 'WITH') || isWord(tokens[i + 1], 'VALUES')) {
+          walk(i + 1, close - 1);
+          derivedItem = true;
+        } else {
+          // Parenthesised table or join: FROM (T), FROM (A JOIN B ON ...)
+          const before = references.length;
+          const after = readTableList(i + 1, close - 1, true);
+          walk(after, close - 1);
+          // An alias after a lone table names that table
+          const lone = after === close - 1 && references.length === before + 1 ? references[before] : null;
+          if (lone && lone.start !== undefined && lone.alias === null) item = lone;
+          else derivedItem = true;
+        }
+        i = close;
+      } else {
+        const { parts, next } = readDottedName(tokens, i);
+        if (parts.length === 0) return i;
+
+        if (isPunct(tokens[next], '(')) {
+          // Table function such as TABLE(...) or UNNEST(...)
+          const close = skipParens(tokens, next);
+          walk(next + 1, close - 1);
+          i = close;
+          derivedItem = true;
+        } else if (tokens[next] && tokens[next].type === 'operator' && tokens[next].value === '@') {
+          const link = identifierName(tokens[next + 1]);
+          references.push({ parts, databaseLink: link || true });
+          i = next + 2;
+        } else {
+          item = { parts, start: i, end: next, alias: null };
+          references.push(item);
+          i = next;
+        }
+      }
+      i = skipItemClauses(i, end);
+
+      // Optional alias. A clause keyword right before a comma can only be
+      // an alias (SQLite allows FROM t window, u)
+      if (isWord(tokens[i], 'AS')) i++;
+      const alias = identifierName(tokens[i]);
+      if (alias !== null && (!CLAUSE_KEYWORDS.has(alias) || isPunct(tokens[i + 1], ','))) {
+        if (item) Object.assign(item, { alias, aliasAt: i });
+        if (derivedItem) derived.push({ alias, at: i });
+        i++;
+        // Column names for the alias (FROM t AS x (a, b)); the list goes
+        // on after them
+        if (isPunct(tokens[i], '(')) {
+          if (item) item.columnList = true;
+          i = skipParens(tokens, i);
+        }
+      }
+      i = skipItemClauses(i, end);
+
+      if (allowCommaList && isPunct(tokens[i], ',')) {
+        i++;
+        continue;
+      }
+      return i;
+    }
+    return i;
+  };
+
+  walk(0, tokens.length);
+  return { references, derived };
+};
+
+const collectTableReferences = (tokens) => readFromItems(tokens).references;
+
+// Names that stand for a whole row of a FROM item, as name -> table: table
+// aliases (or the table's own name) map to the table, and subquery and
+// table-function aliases and CTE names to null, as their columns could
+// come from any table. `at` holds the token indexes that introduce them.
+const collectRowSources = (tokens) => {
+  const { references, derived } = readFromItems(tokens);
+  const cteScopes = collectCteScopes(tokens);
+  const sources = new Map();
+  const at = new Set();
+
+  for (const reference of references) {
+    if (reference.start === undefined) continue;
+    const table = isCteReference(cteScopes, reference) ? null : reference.parts[reference.parts.length - 1];
+    sources.set(reference.alias || reference.parts[reference.parts.length - 1], table);
+    for (let i = reference.start; i < reference.end; i++) at.add(i);
+    if (reference.aliasAt !== undefined) at.add(reference.aliasAt);
+  }
+  for (const { alias, at: index } of derived) {
+    sources.set(alias, null);
+    at.add(index);
+  }
+  for (const scope of cteScopes) {
+    if (!sources.has(scope.name)) sources.set(scope.name, null);
+    at.add(scope.at);
+  }
+  return { sources, at };
+};
+
+// The tables whose every column the token at `index` reads when it names a
+// whole row, as PostgreSQL allows (SELECT c FROM t c, row_to_json(c),
+// json_agg(c)): a bare row source name that is not a column of the
+// `tables` read. Of those, `candidates` stand in for a row source whose
+// table is unknown. Returns null for any other token.
+const wholeRowTables = (tokens, index, rowSources, tables, policy, candidates) => {
+  const name = identifierName(tokens[index]);
+  if (name === null || rowSources.at.has(index) || !rowSources.sources.has(name)) return null;
+  if (isPunct(tokens[index - 1], '.') || isPunct(tokens[index + 1], '.') || isPunct(tokens[index + 1], '(')) return null;
+  if (tables.some(table => policy.tableColumns.get(table)?.has(name))) return null;
+  const table = rowSources.sources.get(name);
+  return table ? [table] : candidates;
+};
+
+const checkStatementType = (tokens) => {
+  const first = tokens.find(token => !isPunct(token, '('));
+  if (!first) {
+    throw new SqlGuardError('empty_statement', 'Query is empty');
+  }
+
+  const keyword = first.type === 'word' ? first.upper : first.value;
+
+  if (keyword === 'SELECT' || keyword === 'WITH') {
+    return keyword;
+  }
+  if (DML_KEYWORDS.has(keyword)) {
+    throw new SqlGuardError('dml_statement', `${keyword} statements modify data and are not allowed`, { keyword });
+  }
+  if (DDL_KEYWORDS.has(keyword)) {
+    throw new SqlGuardError('ddl_statement', `${keyword} statements change the schema and are not allowed`, { keyword });
+  }
+  if (PLSQL_KEYWORDS.has(keyword)) {
+    throw new SqlGuardError('plsql_block', `${keyword} blocks and procedure calls are not allowed`, { keyword });
+  }
+  if (TRANSACTION_KEYWORDS.has(keyword)) {
+    throw new SqlGuardError('session_statement', `${keyword} statements are not allowed`, { keyword });
+  }
+  throw new SqlGuardError('statement_type', `Only SELECT and WITH queries are allowed, got ${keyword}`, { keyword });
+};
+
+// FOR UPDATE, FOR NO KEY UPDATE, FOR SHARE, FOR KEY SHARE
+const LOCK_MODES = new Set(['UPDATE', 'NO', 'SHARE', 'KEY']);
+
+const checkKeywords = (tokens) => {
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'word') continue;
+
+    if (token.upper === 'FOR' && LOCK_MODES.has(tokens[i + 1]?.upper)) {
+      throw new SqlGuardError('locking_clause', `SELECT ... FOR ${tokens[i + 1].upper} locks rows and is not allowed`);
+    }
+    if (token.upper === 'LOCK' && isWord(tokens[i + 1], 'IN')) {
+      throw new SqlGuardError('locking_clause', 'SELECT ... LOCK IN SHARE MODE locks rows and is not allowed');
+    }
+    // TABLE t is shorthand for SELECT * FROM t (PostgreSQL, MySQL), which
+    // would read t without a FROM; TABLE(...) is Oracle's collection function
+    if (token.upper === 'TABLE' && !isPunct(tokens[i + 1], '(')) {
+      throw new SqlGuardError('statement_type', 'TABLE statements are not allowed; use SELECT ... FROM instead', { keyword: 'TABLE' });
+    }
+    if (token.upper === 'INTO') {
+      throw new SqlGuardError('select_into', 'SELECT ... INTO writes data and is not allowed');
+    }
+    if (FORBIDDEN_ANYWHERE.has(token.upper) && !isPunct(tokens[i + 1], '(')) {
+      const rule = DML_KEYWORDS.has(token.upper) ? 'dml_statement'
+        : DDL_KEYWORDS.has(token.upper) ? 'ddl_statement'
+          : PLSQL_KEYWORDS.has(token.upper) ? 'plsql_block'
+            : 'session_statement';
+      throw new SqlGuardError(rule, `${token.upper} is not allowed inside a read-only query`, { keyword: token.upper });
+    }
+  }
+};
+
+const checkFunctions = (tokens, policy) => {
+  for (let i = 0; i < tokens.length; i++) {
+    const { parts, next } = readDottedName(tokens, i);
+    if (parts.length === 0) continue;
+
+    if (isPunct(tokens[next], '(') || parts.length > 1) {
+      const qualified = parts.join('.');
+      const candidates = parts.map((_, idx) => parts.slice(0, idx + 1).join('.'));
+      // A call is denied under its own name too, whatever schema it is
+      // qualified with (pg_catalog.pg_sleep)
+      if (isPunct(tokens[next], '(') && parts.length > 1) candidates.push(parts[parts.length - 1]);
+
+      const allowed = policy.allowedFunctions.some(name => name === qualified);
+      const denied = !allowed && policy.deniedFunctions.find(pattern =>
+        candidates.some(candidate => matchesPattern(candidate, pattern)) ||
+        matchesPattern(qualified, pattern)
+      );
+
+      // Dotted names without parentheses are only functions when they hit the
+      // deny list through a package prefix (DBMS_RANDOM.VALUE)
+      if (denied && (isPunct(tokens[next], '(') || normalizeName(denied).endsWith('*'))) {
+        throw new SqlGuardError('denied_function', `Function ${qualified} is not allowed`, { function: qualified });
+      }
+    }
+    i = next - 1;
+  }
+};
+
+const checkTables = (tokens, dbConfig, policy) => {
+  const cteScopes = collectCteScopes(tokens);
+  const declared = new Set((dbConfig.tables || []).map(table => normalizeName(table.name)));
+  const tables = [];
+
+  for (const reference of collectTableReferences(tokens)) {
+    const table = reference.parts[reference.parts.length - 1];
+    const schema = reference.parts.length > 1 ? reference.parts[reference.parts.length - 2] : null;
+    const qualified = reference.parts.join('.');
+
+    if (reference.databaseLink) {
+      throw new SqlGuardError('database_link', `Database links are not allowed (${qualified}@${reference.databaseLink})`, { table: qualified });
+    }
+    if (isCteReference(cteScopes, reference)) {
+      continue;
+    }
+    if (policy.deniedTables.has(table) || policy.deniedTables.has(qualified)) {
+      throw new SqlGuardError('denied_table', `Table ${qualified} is not allowed for this connection`, { table: qualified });
+    }
+    if (schema !== null && !policy.allowedSchemas.has(schema)) {
+      throw new SqlGuardError('schema_not_allowed', `Schema ${schema} is not allowed for this connection`, { table: qualified, schema });
+    }
+    if (policy.restrictToDeclaredTables && !declared.has(table) && !policy.allowedTables.has(table)) {
+      throw new SqlGuardError('undeclared_table', `Table ${qualified} is not declared for database ${dbConfig.id}`, { table: qualified });
+    }
+
+    tables.push(table);
+  }
+
+  return [...new Set(tables)];
+};
+
+// Denied columns of the tables the query reads. Any use of the column's
+// name counts, whatever it is qualified with, and so does a * or a
+// whole-row reference that could expand to it; COUNT(*) is fine.
+const STAR_PREDECESSORS = new Set(['SELECT', 'DISTINCT', 'ALL']);
+
+const checkColumns = (tokens, tables, policy) => {
+  const denied = tables.filter(table => policy.deniedColumns.has(table));
+  if (denied.length === 0) return;
+  const rowSources = collectRowSources(tokens);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const row = wholeRowTables(tokens, i, rowSources, tables, policy, denied)?.find(table => denied.includes(table));
+    if (row) {
+      throw new SqlGuardError('denied_column', `${tokens[i].value} reads whole rows of ${row}, including columns that are not allowed; name the columns instead`, { table: row });
+    }
+    const token = tokens[i];
+    if (token.type === 'operator' && token.value === '*') {
+      const previous = tokens[i - 1];
+      if (isPunct(previous, ',') || isPunct(previous, '.') || (previous?.type === 'word' && STAR_PREDECESSORS.has(previous.upper))) {
+        throw new SqlGuardError('denied_column', `SELECT * would read columns of ${denied[0]} that are not allowed; name the columns instead`, { table: denied[0] });
+      }
+      continue;
+    }
+    const name = identifierName(token);
+    if (!name) continue;
+    const table = denied.find(candidate => policy.deniedColumns.get(candidate).has(name));
+    if (table) {
+      throw new SqlGuardError('denied_column', `Column ${table}.${name} is not allowed for this connection`, { table, column: name });
+    }
+  }
+};
+
+// Parenthesised queries whose select list names the result columns of the
+// query around them: the statement itself, FROM and JOIN subqueries and
+// WITH name AS (...)
+const PASS_THROUGH_OPENERS = new Set([null, 'FROM', 'JOIN', 'AS']);
+// Words that start a clause of the query block they appear in
+const CLAUSE_STARTS = new Set(['SELECT', 'FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'WINDOW', 'QUALIFY',
+  'LIMIT', 'OFFSET', 'FETCH', 'ON', 'USING', 'CONNECT', 'START', 'JOIN', 'UNION', 'INTERSECT', 'EXCEPT', 'MINUS']);
+const SET_OPERATORS = new Set(['UNION', 'INTERSECT', 'EXCEPT', 'MINUS']);
+const SELECT_ITEM_ENDS = new Set(['FROM']);
+const SORT_ITEM_ENDS = new Set(['ASC', 'DESC', 'NULLS', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'FETCH', 'WINDOW', 'QUALIFY']);
+
+// Words after a function call that take a parenthesised clause:
+// ROW_NUMBER() OVER (...), COUNT(*) FILTER (WHERE ...)
+const CALL_SUFFIXES = new Set(['OVER', 'FILTER', 'KEEP']);
+
+// True when the token can end a list item that is followed by `words`
+const endsItem = (token, words) => !token || isPunct(token, ',') || isPunct(token, ')') || (token.type === 'word' && words.has(token.upper));
+
+// Where the columns of `byTable` (table -> Map of column -> value: the
+// masked columns, the classified ones) are used. Returns `outputs`, the
+// result columns that carry their values under their own name as
+// { NAME: value } (values of one name joined with `combine`), and
+// `derived`, the uses that let them reach the result some other way, in
+// order: { table, column, value, clause } for a column renamed,
+// calculated with, filtered or joined on (`clause` is the clause it sits
+// in; `row` is set when a whole row is read), { keyword, value } for a
+// set operator and { columnList, value } for a column list renaming a
+// CTE's or subquery's columns
+const traceColumns = (tokens, tables, policy, byTable, combine) => {
+  const traced = tables.filter(table => byTable.has(table));
+  if (traced.length === 0) return { outputs: {}, derived: [] };
+
+  const references = collectTableReferences(tokens);
+  const rowSources = collectRowSources(tokens);
+  const aliases = new Map();
+  const inReference = new Set();
+  for (const reference of references) {
+    const table = reference.parts[reference.parts.length - 1];
+    aliases.set(reference.alias || table, table);
+    for (let i = reference.start; i < reference.end; i++) inReference.add(i);
+  }
+
+  // The value for `column` read through `qualifier` (an alias, a table or
+  // null), and the table it belongs to
+  const lookup = (qualifier, column) => {
+    const resolved = qualifier && aliases.get(qualifier);
+    if (resolved) {
+      const value = byTable.get(resolved)?.get(column);
+      return value ? { table: resolved, value } : null;
+    }
+    // Unqualified, or qualified by a subquery or CTE: any traced table
+    // with such a column may be where the values come from
+    let found = null;
+    for (const table of traced) {
+      const value = byTable.get(table).get(column);
+      if (value) found = { table: found?.table || table, value: combine(found?.value, value) };
+    }
+    return found;
+  };
+
+  const outputs = {};
+  const derived = [];
+  let used = null;
+  const frames = [{ opener: null, clause: null }];
+  // Function arguments and other groups without a clause of their own
+  // sit in the clause around them
+  const clauseOf = () => frames.findLast(frame => frame.clause)?.clause || null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const frame = frames[frames.length - 1];
+
+    if (isPunct(token, '(')) {
+      const previous = tokens[i - 1];
+      frames.push({ opener: previous ? (previous.type === 'word' ? previous.upper : previous.value) : null, clause: null });
+      continue;
+    }
+    if (isPunct(token, ')')) {
+      if (frames.length > 1) frames.pop();
+      continue;
+    }
+    if (token.type === 'word' && CLAUSE_STARTS.has(token.upper)) {
+      frame.clause = token.upper === 'JOIN' ? 'FROM' : token.upper;
+      continue;
+    }
+    const passesThrough = PASS_THROUGH_OPENERS.has(frame.opener);
+
+    if (token.type === 'operator' && token.value === '*') {
+      const previous = tokens[i - 1];
+      if (!(isPunct(previous, ',') || isPunct(previous, '.') || (previous?.type === 'word' && STAR_PREDECESSORS.has(previous.upper)))) continue;
+      const qualifier = isPunct(previous, '.') ? identifierName(tokens[i - 2]) : null;
+      const resolved = qualifier && aliases.get(qualifier);
+      const expanded = (resolved ? [resolved] : traced)
+        .flatMap(table => [...(byTable.get(table) || [])].map(([column, value]) => ({ table, column, value })));
+      if (expanded.length === 0) continue;
+      used = used || expanded[0].value;
+      if (!passesThrough || frame.clause !== 'SELECT') {
+        derived.push({ ...expanded[0], clause: clauseOf() });
+        continue;
+      }
+      for (const { column, value } of expanded) outputs[column] = combine(outputs[column], value);
+      continue;
+    }
+
+    // A whole row (SELECT c, row_to_json(c)) is one value made of every
+    // column, never a column under its own name
+    const rowTables = wholeRowTables(tokens, i, rowSources, tables, policy, traced);
+    const row = rowTables?.flatMap(table => [...(byTable.get(table) || [])].map(([column, value]) => ({ table, column, value })))[0];
+    if (row) {
+      used = used || row.value;
+      derived.push({ ...row, clause: clauseOf(), row: tokens[i].value });
+      continue;
+    }
+
+    if (inReference.has(i) || isPunct(tokens[i - 1], '.')) continue;
+    const start = i;
+    const { parts, next } = readDottedName(tokens, start);
+    if (parts.length === 0) continue;
+    i = next - 1;
+    if (isPunct(tokens[next], '(')) continue;
+
+    const column = parts[parts.length - 1];
+    const found = lookup(parts.length > 1 ? parts[parts.length - 2] : null, column);
+    if (!found) continue;
+    used = used || found.value;
+
+    const previous = tokens[start - 1];
+    const selected = frame.clause === 'SELECT' &&
+      (isPunct(previous, ',') || (previous?.type === 'word' && STAR_PREDECESSORS.has(previous.upper))) &&
+      endsItem(tokens[next], SELECT_ITEM_ENDS);
+    const sorted = (frame.clause === 'GROUP' || frame.clause === 'ORDER') &&
+      (isPunct(previous, ',') || isWord(previous, 'BY')) &&
+      endsItem(tokens[next], SORT_ITEM_ENDS);
+    if (!passesThrough || !(selected || sorted)) {
+      derived.push({ table: found.table, column, value: found.value, clause: clauseOf() });
+      continue;
+    }
+    if (selected) outputs[column] = combine(outputs[column], found.value);
+  }
+
+  // FROM t x (a, b) renames every column of t, named in the query or not
+  const renamedTable = references
+    .map(reference => reference.columnList && reference.parts[reference.parts.length - 1])
+    .find(table => table && traced.includes(table));
+  if (renamedTable) used = used || byTable.get(renamedTable).values().next().value;
+
+  if (used) {
+    const setOperator = tokens.find(token => token.type === 'word' && SET_OPERATORS.has(token.upper));
+    if (setOperator) derived.push({ keyword: setOperator.upper, value: used });
+    // Column lists that rename a CTE's, subquery's or table's columns:
+    // WITH x (a, b) AS (...), FROM (...) x (a, b) and FROM t x (a, b)
+    const renamed = references.some(reference => reference.columnList) || tokens.some((token, i) => {
+      if (i === 0 || !isPunct(token, '(') || identifierName(tokens[i - 1]) === null) return false;
+      const before = isWord(tokens[i - 2], 'AS') ? tokens[i - 3] : tokens[i - 2];
+      const cteList = (isWord(tokens[i - 2], 'WITH') || isWord(tokens[i - 2], 'RECURSIVE') || isPunct(tokens[i - 2], ',')) &&
+        isWord(tokens[skipParens(tokens, i)], 'AS');
+      return cteList || (isPunct(before, ')') && !CALL_SUFFIXES.has(identifierName(tokens[i - 1])));
+    });
+    if (renamed) derived.push({ columnList: true, value: used });
+  }
+  return { outputs, derived };
+};
+
+// Where masked columns (see the header) are used, and the result columns
+// that carry their values as { NAME: strategy }
+const checkMaskedColumns = (tokens, tables, policy) => {
+  const { outputs, derived } = traceColumns(tokens, tables, policy, policy.maskedColumns, stricter);
+  const [use] = derived;
+  if (!use) return outputs;
+  if (use.keyword) {
+    throw new SqlGuardError('masked_column', `Masked columns cannot be combined with ${use.keyword}`, { keyword: use.keyword });
+  }
+  if (use.columnList) {
+    throw new SqlGuardError('masked_column', 'Masked columns cannot be renamed with a column list', {});
+  }
+  if (use.row) {
+    throw new SqlGuardError('masked_column', `${use.row} reads whole rows of ${use.table}, whose column ${use.column} is masked for you; name the columns instead`, { table: use.table, column: use.column });
+  }
+  throw new SqlGuardError('masked_column', `Column ${use.table}.${use.column} is masked for you: select it by name, or group or sort by it, without renaming, filtering, joining on or calculating with it`, { table: use.table, column: use.column });
+};
+
+// Classified columns in the result, whatever the user's masking: `columns`
+// are the result columns that carry their values under their own name
+// ({ NAME: classification }), and `derived` the classification of one
+// whose values may reach the result under another name (renamed,
+// calculated with, combined by UNION), or null. Filtering, joining,
+// grouping and sorting on them put no values in the result. A table with
+// classified columns that the query names but that was not read as a FROM
+// item could put its values anywhere, so every column counts as derived.
+const traceClassifiedColumns = (tokens, tables, policy) => {
+  const untraced = [...policy.classifiedColumns.keys()]
+    .find(table => !tables.includes(table) && tokens.some(token => identifierName(token) === table));
+  if (untraced) {
+    return { columns: {}, derived: policy.classifiedColumns.get(untraced).values().next().value };
+  }
+  const { outputs, derived } = traceColumns(tokens, tables, policy, policy.classifiedColumns, (a, b) => a || b);
+  const leak = derived.find(use => use.table === undefined || use.clause === 'SELECT');
+  return { columns: outputs, derived: leak ? leak.value : null };
+};
+
+// Comments never reach the database: MySQL runs the text of /*! ... */,
+// and engines disagree on where others end ("--1" is arithmetic in MySQL,
+// PostgreSQL nests /* */), so what runs is exactly what was checked
+const withoutComment = (token) => (token.type === 'comment' ? { ...token, value: ' ' } : token);
+
+// Validate a query against the connection's policy. Returns the single
+// statement (without comments or a trailing semicolon), the tables it
+// reads, the result columns to mask ({ NAME: strategy }) and where
+// classified values end up in the result (`classified`, see
+// traceClassifiedColumns); throws a SqlGuardError naming the broken rule
+// otherwise.
+const validateReadOnlyQuery = (query, dbConfig = {}) => {
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw new SqlGuardError('empty_statement', 'Query is empty');
+  }
+
+  let tokens;
+  try {
+    tokens = tokenize(query, { dialect: dbConfig.type });
+  } catch (error) {
+    if (error instanceof SqlTokenizeError) {
+      throw new SqlGuardError('parse_error', error.message, { position: error.position });
+    }
+    throw error;
+  }
+
+  // What the tokenizer cannot read, the checks below cannot see into
+  const unknown = tokens.find(token => token.type === 'unknown');
+  if (unknown) {
+    throw new SqlGuardError('parse_error', `Unexpected character "${unknown.value}"`, { position: unknown.start });
+  }
+
+  const statements = splitStatements(tokens);
+  if (statements.length === 0) {
+    throw new SqlGuardError('empty_statement', 'Query is empty');
+  }
+
+  const policy = resolvePolicy(dbConfig);
+  const significant = significantTokens(statements[0]);
+
+  // Classify the first statement before counting, so a PL/SQL block
+  // (BEGIN ...; END;) is reported as such rather than as several statements
+  const statementType = checkStatementType(significant);
+  if (statements.length > 1) {
+    throw new SqlGuardError('multi_statement', `Only one statement is allowed per query, got ${statements.length}`, { statements: statements.length });
+  }
+  checkKeywords(significant);
+  const tables = checkTables(significant, dbConfig, policy);
+  checkColumns(significant, tables, policy);
+  const maskedColumns = checkMaskedColumns(significant, tables, policy);
+  checkFunctions(significant, policy);
+
+  return {
+    statement: joinTokens(statements[0].map(withoutComment)).trim(),
+    statementType,
+    tables,
+    maskedColumns,
+    classified: traceClassifiedColumns(significant, tables, policy)
+  };
+};
+
+// Best-effort list of the tables a query reads (upper-cased, without schema),
+// for building prompts. Never throws; unparseable SQL yields [].
+const listReferencedTables = (query, dialect) => {
+  try {
+    const tokens = significantTokens(tokenize(query, { dialect }));
+    const cteScopes = collectCteScopes(tokens);
+    const tables = collectTableReferences(tokens)
+      .filter(reference => !isCteReference(cteScopes, reference))
+      .map(reference => reference.parts[reference.parts.length - 1]);
+    return [...new Set(tables)];
+  } catch {
+    return [];
+  }
+};
+
+module.exports = {
+  SqlGuardError,
+  validateReadOnlyQuery,
+  resolvePolicy,
+  collectCteScopes,
+  isCteReference,
+  collectTableReferences,
+  listReferencedTables
+};
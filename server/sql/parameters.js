@@ -0,0 +1,112 @@
+// server/sql/parameters.js - Named query parameters
+//
+// Saved queries may use named parameters such as :start_date. They are
+// never pasted into the SQL: each one becomes the database's own
+// placeholder ($1 for PostgreSQL, :1 for Oracle, ? elsewhere) and its value
+// is passed to the driver as a bind. A parameter used twice is bound twice.
+//
+// Parameter definitions ({ name, type, label, default }) say how the value
+// typed into the UI is read:
+//
+//   "string"   as is
+//   "number"   a finite number
+//   "date"     YYYY-MM-DD
+//
+// PostgreSQL casts (x::date) and text inside strings, quoted identifiers
+// and comments are not parameters.
+
+const { tokenize } = require('./tokenizer');
+
+const PARAMETER_TYPES = ['string', 'number', 'date'];
+
+class ParameterError extends Error {
+  constructor(message, parameter = null) {
+    super(message);
+    this.name = 'ParameterError';
+    this.parameter = parameter;
+    this.statusCode = 400;
+  }
+}
+
+// Names of the parameters in `sql`, in order of first use
+const listParameters = (sql, dialect) => {
+  const names = tokenize(sql, { dialect })
+    .filter(token => token.type === 'bind' && token.name)
+    .map(token => token.name);
+  return [...new Set(names)];
+};
+
+const placeholder = (dialect, position) => {
+  if (dialect === 'postgres') return `$${position}`;
+  if (dialect === 'oracle') return `:${position}`;
+  return '?';
+};
+
+// Read `value` as a `definition` ({ name, type }) parameter
+const coerceParameter = (definition, value) => {
+  const { name, type = 'string' } = definition;
+  if (value === null || value === undefined || value === '') {
+    throw new ParameterError(`Parameter :${name} needs a value`, name);
+  }
+  if (type === 'number') {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(number)) {
+      throw new ParameterError(`Parameter :${name} must be a number, not "${value}"`, name);
+    }
+    return number;
+  }
+  if (type === 'date') {
+    const text = String(value).trim();
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (!date || date.getUTCMonth() !== Number(match[2]) - 1 || date.getUTCDate() !== Number(match[3])) {
+      throw new ParameterError(`Parameter :${name} must be a date as YYYY-MM-DD, not "${value}"`, name);
+    }
+    return text;
+  }
+  if (typeof value === 'object') {
+    throw new ParameterError(`Parameter :${name} must be text`, name);
+  }
+  return String(value);
+};
+
+// Values for `definitions` from what the user entered, falling back to
+// each parameter's default
+const resolveParameters = (definitions = [], values = {}) => Object.fromEntries(
+  definitions.map(definition => [
+    definition.name,
+    coerceParameter(definition, values?.[definition.name] ?? definition.default)
+  ])
+);
+
+// Rewrite the named parameters in `sql` as `dialect` placeholders, taking
+// their values from `values` (see resolveParameters()). Returns { sql,
+// binds }; SQL without parameters comes back unchanged with no binds.
+const bindParameters = (sql, values = {}, dialect) => {
+  const tokens = tokenize(sql, { dialect });
+  if (!tokens.some(token => token.type === 'bind' && token.name)) {
+    return { sql, binds: [] };
+  }
+
+  const binds = [];
+  const text = tokens.map((token) => {
+    if (token.type !== 'bind' || !token.name) return token.value;
+    const value = values?.[token.name];
+    if (value === null || value === undefined || typeof value === 'object') {
+      throw new ParameterError(`Parameter :${token.name} needs a value`, token.name);
+    }
+    binds.push(value);
+    return placeholder(dialect, binds.length);
+  }).join('');
+
+  return { sql: text, binds };
+};
+
+module.exports = {
+  PARAMETER_TYPES,
+  ParameterError,
+  listParameters,
+  coerceParameter,
+  resolveParameters,
+  bindParameters
+};
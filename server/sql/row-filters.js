@@ -0,0 +1,57 @@
+// server/sql/row-filters.js - Row-level filters for a user's queries
+//
+// A row filter is a predicate over one table's columns, such as
+// "SEGMENT = :user_segment" for CUSTOMERS (see auth/access.js rowFilters).
+// Every read of the table in a validated statement is swapped for a
+// subquery that keeps only the matching rows:
+//
+//   FROM CUSTOMERS c           ->  FROM (SELECT * FROM CUSTOMERS WHERE (SEGMENT = :user_segment)) c
+//   JOIN CUSTOMERS ON ...      ->  JOIN (SELECT * FROM CUSTOMERS WHERE (...)) CUSTOMERS ON ...
+//
+// so joins, subqueries and CTEs see the same filtered rows. The predicates
+// come from the config and are trusted; their :user_ parameters are bound
+// like any other named parameter (sql/parameters.js).
+
+const { tokenize, significantTokens } = require('./tokenizer');
+const { collectCteScopes, isCteReference, collectTableReferences } = require('./guard');
+const { listParameters } = require('./parameters');
+
+// `statement` (from validateReadOnlyQuery) with `filters` (table ->
+// predicate) applied. Returns { sql, parameters }, parameters being the
+// names the applied predicates bind.
+const applyRowFilters = (statement, filters, dialect) => {
+  if (!filters || filters.size === 0) {
+    return { sql: statement, parameters: [] };
+  }
+
+  const tokens = significantTokens(tokenize(statement, { dialect }));
+  const cteScopes = collectCteScopes(tokens);
+  const replacements = [];
+  const applied = new Set();
+
+  for (const reference of collectTableReferences(tokens)) {
+    if (reference.start === undefined || isCteReference(cteScopes, reference)) continue;
+    const table = reference.parts[reference.parts.length - 1];
+    const predicate = filters.get(table);
+    if (!predicate) continue;
+
+    const from = tokens[reference.start].start;
+    const to = tokens[reference.end - 1].end;
+    const name = statement.slice(from, to);
+    // Keep the name the rest of the query qualifies columns with
+    const alias = reference.alias ? '' : ` ${tokens[reference.end - 1].value}`;
+    replacements.push({ from, to, text: `(SELECT * FROM ${name} WHERE (${predicate}))${alias}` });
+    applied.add(predicate);
+  }
+
+  let sql = statement;
+  for (const { from, to, text } of replacements.sort((a, b) => b.from - a.from)) {
+    sql = `${sql.slice(0, from)}${text}${sql.slice(to)}`;
+  }
+  const parameters = [...new Set([...applied].flatMap(predicate => listParameters(predicate, dialect)))];
+  return { sql, parameters };
+};
+
+module.exports = {
+  applyRowFilters
+};
@@ -0,0 +1,255 @@
+// server/sql/tokenizer.js - Dialect-tolerant SQL tokenizer
+//
+// Splits SQL text into tokens without trying to understand the grammar. It
+// knows enough about Oracle, PostgreSQL, MySQL, Snowflake and SQLite
+// quoting rules that keywords hidden inside strings, quoted identifiers
+// and comments are never mistaken for real keywords. Characters it does
+// not recognise become 'unknown' tokens.
+
+class SqlTokenizeError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'SqlTokenizeError';
+    this.position = position;
+  }
+}
+
+const WORD_START = /[A-Za-z_\u0080-\uFFFF]/;
+const WORD_PART = /[A-Za-z0-9_$#\u0080-\uFFFF]/;
+const DIGIT = /[0-9]/;
+const PUNCTUATION = new Set(['(', ')', ',', ';', '.', '[', ']']);
+
+// Dialects where [name] is a quoted identifier rather than a subscript
+const BRACKET_IDENTIFIER_DIALECTS = new Set(['sqlite', 'mssql']);
+const OPERATOR_CHARS = new Set(['=', '<', '>', '!', '+', '-', '*', '/', '%', '|', '&', '^', '~', '@', '?', ':']);
+
+// Oracle alternative quoting: q'[...]', q'{...}', q'(...)', q'<...>' or q'X...X'
+const ORACLE_Q_CLOSERS = { '[': ']', '{': '}', '(': ')', '<': '>' };
+
+// Index after the literal or identifier opening at `start`, which ends at
+// `quote` (doubled to stand for itself)
+const readQuoted = (sql, start, quote, backslashEscapes = false) => {
+  let i = start + 1;
+  while (i < sql.length) {
+    if (sql[i] === quote) {
+      if (sql[i + 1] === quote) {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    if (backslashEscapes && sql[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    i++;
+  }
+  throw new SqlTokenizeError(`Unterminated ${quote === "'" ? 'string literal' : 'quoted identifier'}`, start);
+};
+
+// Dialects whose string literals treat backslash as an escape character.
+// PostgreSQL only does so in E'...' strings, and none does in quoted
+// identifiers.
+const BACKSLASH_ESCAPE_DIALECTS = new Set(['mysql', 'snowflake']);
+
+// MySQL is the only supported dialect that starts comments with "#".
+const tokenize = (sql, { dialect } = {}) => {
+  const backslashEscapes = BACKSLASH_ESCAPE_DIALECTS.has(dialect);
+  const tokens = [];
+  let i = 0;
+
+  const push = (type, start, end, extra = {}) => {
+    tokens.push({ type, value: sql.slice(start, end), start, end, ...extra });
+  };
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(ch)) {
+      let j = i + 1;
+      while (j < sql.length && /\s/.test(sql[j])) j++;
+      push('whitespace', i, j);
+      i = j;
+      continue;
+    }
+
+    if (ch === '-' && next === '-') {
+      let j = sql.indexOf('\n', i);
+      if (j === -1) j = sql.length;
+      push('comment', i, j);
+      i = j;
+      continue;
+    }
+
+    if (ch === '#' && dialect === 'mysql') {
+      let j = sql.indexOf('\n', i);
+      if (j === -1) j = sql.length;
+      push('comment', i, j);
+      i = j;
+      continue;
+    }
+
+    if (ch === '/' && next === '*') {
+      const close = sql.indexOf('*/', i + 2);
+      if (close === -1) {
+        throw new SqlTokenizeError('Unterminated block comment', i);
+      }
+      push('comment', i, close + 2);
+      i = close + 2;
+      continue;
+    }
+
+    if ((ch === 'n' || ch === 'N') && next === "'") {
+      // N'...' national character literal
+      const end = readQuoted(sql, i + 1, "'", backslashEscapes);
+      push('string', i, end);
+      i = end;
+      continue;
+    }
+
+    if ((ch === 'e' || ch === 'E') && next === "'" && dialect === 'postgres') {
+      // E'...' escape string
+      const end = readQuoted(sql, i + 1, "'", true);
+      push('string', i, end);
+      i = end;
+      continue;
+    }
+
+    if ((ch === 'q' || ch === 'Q') && next === "'") {
+      const opener = sql[i + 2];
+      const closer = ORACLE_Q_CLOSERS[opener] || opener;
+      const close = sql.indexOf(`${closer}'`, i + 3);
+      if (!opener || close === -1) {
+        throw new SqlTokenizeError('Unterminated quoted string literal', i);
+      }
+      push('string', i, close + 2);
+      i = close + 2;
+      continue;
+    }
+
+    if (ch === "'") {
+      const end = readQuoted(sql, i, "'", backslashEscapes);
+      push('string', i, end);
+      i = end;
+      continue;
+    }
+
+    if (ch === '"' || ch === '`') {
+      const end = readQuoted(sql, i, ch);
+      push('identifier', i, end, { quoted: true, name: sql.slice(i + 1, end - 1).split(ch + ch).join(ch) });
+      i = end;
+      continue;
+    }
+
+    if (ch === '[' && BRACKET_IDENTIFIER_DIALECTS.has(dialect)) {
+      const end = readQuoted(sql, i, ']');
+      push('identifier', i, end, { quoted: true, name: sql.slice(i + 1, end - 1).split(']]').join(']') });
+      i = end;
+      continue;
+    }
+
+    if (ch === '$') {
+      // PostgreSQL dollar quoting: $$...$$ or $tag$...$tag$
+      const tagMatch = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.slice(i));
+      if (tagMatch) {
+        const tag = tagMatch[0];
+        const close = sql.indexOf(tag, i + tag.length);
+        if (close === -1) {
+          throw new SqlTokenizeError('Unterminated dollar-quoted string', i);
+        }
+        push('string', i, close + tag.length);
+        i = close + tag.length;
+        continue;
+      }
+      // Positional parameter ($1)
+      let j = i + 1;
+      while (j < sql.length && DIGIT.test(sql[j])) j++;
+      if (j > i + 1) {
+        push('bind', i, j);
+        i = j;
+        continue;
+      }
+    }
+
+    if (ch === ':' && next && WORD_START.test(next)) {
+      let j = i + 1;
+      while (j < sql.length && WORD_PART.test(sql[j])) j++;
+      push('bind', i, j, { name: sql.slice(i + 1, j) });
+      i = j;
+      continue;
+    }
+
+    if (DIGIT.test(ch) || (ch === '.' && next && DIGIT.test(next))) {
+      let j = i;
+      while (j < sql.length && /[0-9.]/.test(sql[j])) j++;
+      if (/[eE]/.test(sql[j] || '') && /[-+0-9]/.test(sql[j + 1] || '')) {
+        j += 2;
+        while (j < sql.length && DIGIT.test(sql[j])) j++;
+      }
+      push('number', i, j);
+      i = j;
+      continue;
+    }
+
+    if (WORD_START.test(ch)) {
+      let j = i + 1;
+      while (j < sql.length && WORD_PART.test(sql[j])) j++;
+      push('word', i, j, { upper: sql.slice(i, j).toUpperCase() });
+      i = j;
+      continue;
+    }
+
+    if (PUNCTUATION.has(ch)) {
+      push('punct', i, i + 1);
+      i++;
+      continue;
+    }
+
+    if (OPERATOR_CHARS.has(ch)) {
+      let j = i + 1;
+      while (j < sql.length && OPERATOR_CHARS.has(sql[j]) && !(sql[j] === '-' && sql[j + 1] === '-')) j++;
+      push('operator', i, j);
+      i = j;
+      continue;
+    }
+
+    push('unknown', i, i + 1);
+    i++;
+  }
+
+  return tokens;
+};
+
+// Tokens that carry meaning (no whitespace or comments)
+const significantTokens = (tokens) =>
+  tokens.filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+
+// Split a token list into statements on top-level semicolons
+const splitStatements = (tokens) => {
+  const statements = [];
+  let current = [];
+
+  for (const token of tokens) {
+    if (token.type === 'punct' && token.value === ';') {
+      statements.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  }
+  statements.push(current);
+
+  return statements.filter(statement => significantTokens(statement).length > 0);
+};
+
+// Rebuild SQL text from tokens
+const joinTokens = (tokens) => tokens.map(token => token.value).join('');
+
+module.exports = {
+  SqlTokenizeError,
+  tokenize,
+  significantTokens,
+  splitStatements,
+  joinTokens
+};
@@ -0,0 +1,73 @@
+// server/sse.js - Server-Sent Events helpers
+const { redactSecrets } = require('./config-loader');
+
+const HEARTBEAT_MS = 15000;
+
+// Switch an Express response into an event stream. The returned signal
+// aborts when the client disconnects, so upstream work can be cancelled.
+const openEventStream = (res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  return {
+    signal: controller.signal,
+
+    send(event, data) {
+      if (controller.signal.aborted || res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(redactSecrets(data))}\n\n`);
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+};
+
+// Read an upstream event stream (fetch response body) and yield the data
+// payload of each event
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const data = rawEvent
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+
+      if (data) {
+        yield data;
+      }
+    }
+  }
+}
+
+module.exports = {
+  openEventStream,
+  readEventStream
+};
@@ -0,0 +1,149 @@
+// server/store.js - File-backed record collections
+//
+// Everything the server keeps between restarts (conversations and the like)
+// lives in a collection: a directory with one JSON file per record, named by
+// the record's ID. Records are read once and then served from memory;
+// writes replace the file through a temporary file and a rename, so a crash
+// never leaves half a record behind. Configured by metadata.storage:
+//
+//   "storage": {
+//     "directory": "data/store"   // relative to the project root
+//   }
+const fs = require('fs').promises;
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+const DEFAULT_STORAGE = {
+  directory: 'data/store'
+};
+
+// IDs become file names, so nothing that could leave the directory
+const RECORD_ID = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+
+const isRecordId = (id) => typeof id === 'string' && RECORD_ID.test(id);
+
+const storageDirectory = (options = {}) => (
+  path.resolve(PROJECT_ROOT, options.directory || DEFAULT_STORAGE.directory)
+);
+
+class JsonStore {
+  // `directory` holds this collection's files; it is created on first write
+  constructor(directory) {
+    this.directory = directory;
+    this.records = null;
+    this.loading = null;
+    this.writes = new Map();
+  }
+
+  async load() {
+    if (this.records) return this.records;
+    if (!this.loading) {
+      this.loading = this.readAll().then((records) => {
+        this.records = records;
+        return records;
+      }).finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async readAll() {
+    const records = new Map();
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return records;
+      throw error;
+    }
+
+    for (const file of files) {
+      const id = file.slice(0, -'.json'.length);
+      if (!file.endsWith('.json') || !isRecordId(id)) continue;
+      try {
+        records.set(id, JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf-8')));
+      } catch (error) {
+        // One damaged file should not take the rest of the collection with it
+        console.error(`✗ Skipping unreadable record ${path.join(this.directory, file)}: ${error.message}`);
+      }
+    }
+    return records;
+  }
+
+  async list() {
+    return [...(await this.load()).values()];
+  }
+
+  async get(id) {
+    if (!isRecordId(id)) return null;
+    return (await this.load()).get(id) || null;
+  }
+
+  // Save `record` under record.id, replacing any earlier version
+  async put(record) {
+    if (!isRecordId(record.id)) {
+      throw new Error(`Invalid record ID "${record.id}"`);
+    }
+    const records = await this.load();
+    records.set(record.id, record);
+    await this.write(record.id, JSON.stringify(record, null, 2));
+    return record;
+  }
+
+  // Replace the record behind `id` with change(record), reading and
+  // replacing it in one step so concurrent updates do not lose each other.
+  // Null when there is no such record.
+  async update(id, change) {
+    if (!isRecordId(id)) return null;
+    const records = await this.load();
+    const current = records.get(id);
+    if (!current) return null;
+    const record = { ...change(current), id };
+    records.set(id, record);
+    await this.write(id, JSON.stringify(record, null, 2));
+    return record;
+  }
+
+  async delete(id) {
+    if (!isRecordId(id)) return false;
+    const records = await this.load();
+    if (!records.delete(id)) return false;
+    await this.write(id, null);
+    return true;
+  }
+
+  // Writes to one record run in order, so the file ends up with the last one
+  write(id, contents) {
+    const file = path.join(this.directory, `${id}.json`);
+    const previous = this.writes.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      if (contents === null) {
+        await fs.rm(file, { force: true });
+        return;
+      }
+      await fs.mkdir(this.directory, { recursive: true });
+      const temporary = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, contents);
+      await fs.rename(temporary, file);
+    });
+    this.writes.set(id, next);
+    next.finally(() => {
+      if (this.writes.get(id) === next) this.writes.delete(id);
+    }).catch(() => {});
+    return next;
+  }
+
+  // Wait for writes still in flight
+  async flush() {
+    await Promise.allSettled([...this.writes.values()]);
+  }
+}
+
+module.exports = {
+  DEFAULT_STORAGE,
+  JsonStore,
+  isRecordId,
+  storageDirectory
+};
@@ -1,37 +1,56 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Send, Database, RefreshCw, TrendingUp, BarChart3, Activity } from 'lucide-react';
+import { Send, Square, Database, RefreshCw, TrendingUp, BarChart3, Activity, Table, Columns, Download, X, Bookmark, MessageSquare, Pin, LayoutDashboard, LogOut } from 'lucide-react';
 import { LineChart, Line, BarChart, Bar, ScatterChart, Scatter, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ZAxis } from 'recharts';
+import { apiCall, streamCall, setUnauthorizedHandler } from './api';
+import { loadSession, saveSession, clearSession, finishSingleSignOn } from './auth';
+import { formatValue } from './formatters';
+import { buildVisualization } from './visualization';
+import ResultsGrid from './ResultsGrid';
+import ConversationList from './ConversationList';
+import ChartPreview from './ChartPreview';
+import SavedQueries from './SavedQueries';
+import SaveQueryDialog from './SaveQueryDialog';
+import PinDialog from './PinDialog';
+import Dashboards from './Dashboards';
+import Login from './Login';
+import { exportCsv, exportJson, exportXlsx, exportFullResult, exportChartPng, exportChartSvg } from './exporters';
 
-// API configuration
-const API_BASE = '/api';
-
-// API helper functions
-const apiCall = async (endpoint, options = {}) => {
-  try {
-    const response = await fetch(`${API_BASE}${endpoint}`, {
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers
-      },
-      ...options
-    });
+// Display names for the database types the server has connectors for
+const DB_TYPE_LABELS = {
+  oracle: 'Oracle',
+  postgres: 'PostgreSQL',
+  mysql: 'MySQL',
+  snowflake: 'Snowflake',
+  sqlite: 'SQLite'
+};
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'API request failed');
-    }
+// The pages in the header
+const PAGES = [
+  { id: 'analyze', label: 'Analyze', icon: MessageSquare },
+  { id: 'dashboards', label: 'Dashboards', icon: LayoutDashboard }
+];
 
-    return await response.json();
-  } catch (error) {
-    console.error('API Error:', error);
-    throw error;
-  }
+// What the sidebar lists
+const SIDEBAR_TABS = [
+  { id: 'conversations', label: 'Conversations', icon: MessageSquare },
+  { id: 'saved', label: 'Saved', icon: Bookmark }
+];
+
+// How the right panel shows an answer
+const VIEW_MODES = [
+  { id: 'chart', label: 'Chart', icon: BarChart3 },
+  { id: 'table', label: 'Table', icon: Table },
+  { id: 'split', label: 'Split', icon: Columns }
+];
+
+const GREETING = {
+  role: 'assistant',
+  content: 'Hello! I can help you analyze your data. Try asking: "How are my sales doing for the last 7 days?"'
 };
 
-const App = () => {
-  const [messages, setMessages] = useState([
-    { role: 'assistant', content: 'Hello! I can help you analyze your data. Try asking: "How are my sales doing for the last 7 days?"' }
-  ]);
+// The signed-in workspace: chat, saved queries and dashboards
+const Workspace = ({ user, onSignOut }) => {
+  const [messages, setMessages] = useState([GREETING]);
   const [input, setInput] = useState('');
   const [loading, setLoading] = useState(false);
   const [currentViz, setCurrentViz] = useState(null);
@@ -39,10 +58,28 @@ const App = () => {
   const [dbConnections, setDbConnections] = useState([]);
   const [selectedDb, setSelectedDb] = useState('');
   const [hiddenSeries, setHiddenSeries] = useState(new Set());
+  const [exportError, setExportError] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  // Indexes in `messages` of the answer shown in the right panel and of
+  // the one shown beside it for comparison
+  const [activeTurn, setActiveTurn] = useState(null);
+  const [compareTurn, setCompareTurn] = useState(null);
+  const [sidebarTab, setSidebarTab] = useState('conversations');
+  const [savingTurn, setSavingTurn] = useState(null);
+  const [savedQueriesVersion, setSavedQueriesVersion] = useState(0);
+  const [page, setPage] = useState('analyze');
+  const [pinning, setPinning] = useState(null);
+  const [pinnedDashboard, setPinnedDashboard] = useState(null);
   const chatEndRef = useRef(null);
+  const abortRef = useRef(null);
+  const chartRef = useRef(null);
+
+  const selectedDbStatus = dbConnections.find(db => db.id === selectedDb)?.status;
 
   useEffect(() => {
     fetchDbConnections();
+    fetchConversations();
   }, []);
 
   useEffect(() => {
@@ -50,9 +87,9 @@ const App = () => {
   }, [messages]);
 
   useEffect(() => {
-    // Reset hidden series when visualization changes
+    // Reset hidden series when the data changes, not when the view does
     setHiddenSeries(new Set());
-  }, [currentViz]);
+  }, [currentViz?.data]);
 
   const fetchDbConnections = async () => {
     try {
@@ -70,236 +107,250 @@ const App = () => {
     }
   };
 
-  const handleSend = async () => {
-    if (!input.trim()) return;
-
-    const userMessage = { role: 'user', content: input };
-    setMessages(prev => [...prev, userMessage]);
-    const currentInput = input;
-    setInput('');
-    setLoading(true);
-
+  const fetchConversations = async () => {
     try {
-      // Call actual backend API
-      const response = await apiCall('/chat', {
-        method: 'POST',
-        body: JSON.stringify({
-          messages: [...messages, userMessage],
-          databaseId: selectedDb,
-          context: currentViz
-        })
-      });
-
-      if (!response.success) {
-        throw new Error(response.error || 'Chat request failed');
-      }
+      const data = await apiCall('/conversations');
+      setConversations(data.conversations);
+    } catch (error) {
+      console.error('Failed to fetch conversations:', error);
+    }
+  };
 
-      const aiResponse = response.response;
-      
-      // Add AI message
-      const assistantMessage = { 
-        role: 'assistant', 
-        content: aiResponse.message || 'I processed your request.' 
-      };
-      setMessages(prev => [...prev, assistantMessage]);
-
-      // If there's a query, execute it
-      if (aiResponse.query) {
-        try {
-          const queryResult = await apiCall('/query', {
-            method: 'POST',
-            body: JSON.stringify({
-              databaseId: selectedDb,
-              query: aiResponse.query
-            })
-          });
-
-          if (queryResult.success && queryResult.data) {
-            // Generate visualization from actual data
-            const vizData = await generateVisualization(queryResult.data, aiResponse);
-            setCurrentViz(vizData);
-          }
+  const startConversation = () => {
+    setConversationId(null);
+    setMessages([GREETING]);
+    setCurrentViz(null);
+    setGeneratedCode('');
+    setActiveTurn(null);
+    setCompareTurn(null);
+  };
 
-          // Set the generated SQL code
-          setGeneratedCode(aiResponse.query);
-        } catch (queryError) {
-          console.error('Query execution error:', queryError);
-          setMessages(prev => [...prev, {
-            role: 'assistant',
-            content: `I generated a query but encountered an error: ${queryError.message}`
-          }]);
-        }
-      } else if (aiResponse.visualization) {
-        // Use AI-suggested visualization
-        setCurrentViz(aiResponse.visualization);
-        if (aiResponse.query) {
-          setGeneratedCode(aiResponse.query);
+  // Bring an earlier answer's chart and SQL back into the right panel
+  const selectTurn = (index) => {
+    const message = messages[index];
+    setActiveTurn(index);
+    if (compareTurn === index) setCompareTurn(null);
+    setCurrentViz(message.viz || null);
+    setGeneratedCode(message.sql || '');
+  };
+
+  // Chat messages for a saved turn. The assistant message keeps the turn's
+  // chart and SQL so they can be shown again.
+  const turnMessages = (turn, databaseId) => {
+    const { result } = turn;
+    const viz = result && buildVisualization(result.rows, turn.chart, result.columns);
+    const status = result
+      ? describeQueryStatus({ status: 'complete', attempt: turn.attempts?.length || 1, rowCount: result.rowCount, truncated: result.truncated, totalRows: result.totalRows })
+      : turn.error && (turn.query ? `Query failed: ${turn.error}` : `Error: ${turn.error}`);
+    return [
+      { role: 'user', content: turn.question || '' },
+      {
+        role: 'assistant',
+        content: turn.message || (turn.error && !turn.query ? `Sorry, I encountered an error: ${turn.error}` : 'I processed your request.'),
+        status,
+        statusError: Boolean(turn.error) && !result,
+        dialect: turn.dialect,
+        attempts: turn.attempts,
+        turnId: turn.id,
+        databaseId,
+        sql: turn.query,
+        chart: turn.chart,
+        viz: viz && {
+          ...viz,
+          result: { id: result.resultId, truncated: result.truncated, totalRows: result.totalRows },
+          source: { databaseId, query: turn.query, params: null, chart: turn.chart },
+          view: 'chart'
         }
       }
+    ];
+  };
 
+  const openConversation = async (id) => {
+    try {
+      const { conversation } = await apiCall(`/conversations/${id}`);
+      const restored = conversation.turns.flatMap(turn => turnMessages(turn, conversation.databaseId));
+      setConversationId(conversation.id);
+      setMessages([GREETING, ...restored]);
+      if (conversation.databaseId && dbConnections.some(db => db.id === conversation.databaseId)) {
+        setSelectedDb(conversation.databaseId);
+      }
+      const last = restored.findLastIndex(message => message.sql || message.viz);
+      setActiveTurn(last === -1 ? null : last + 1);
+      setCompareTurn(null);
+      setCurrentViz(restored[last]?.viz || null);
+      setGeneratedCode(restored[last]?.sql || '');
     } catch (error) {
-      console.error('Chat error:', error);
-      setMessages(prev => [...prev, { 
-        role: 'assistant', 
-        content: `Sorry, I encountered an error: ${error.message}` 
-      }]);
-    } finally {
-      setLoading(false);
+      console.error('Failed to open conversation:', error);
+      if (error.status === 404) fetchConversations();
     }
   };
 
-  const generateVisualization = async (data, aiResponse) => {
-    if (!data || data.length === 0) {
-      return null;
+  const renameConversation = async (id, title) => {
+    try {
+      await apiCall(`/conversations/${id}`, { method: 'PATCH', body: JSON.stringify({ title }) });
+    } catch (error) {
+      console.error('Failed to rename conversation:', error);
     }
+    fetchConversations();
+  };
 
+  const deleteConversation = async (id) => {
+    if (!window.confirm('Delete this conversation?')) return;
     try {
-      // Get visualization suggestion from AI
-      const vizResponse = await apiCall('/visualize', {
-        method: 'POST',
-        body: JSON.stringify({
-          data: data,
-          query: aiResponse.query
-        })
-      });
-
-      if (vizResponse.success && vizResponse.visualization) {
-        const viz = vizResponse.visualization;
-        const colors = [
-          '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', 
-          '#3b82f6', '#ec4899', '#14b8a6', '#f97316',
-          '#8b5cf6', '#a855f7', '#06b6d4', '#84cc16'
-        ];
-        
-        const baseViz = {
-          type: viz.type || 'line',
-          data: data,
-          title: viz.title || 'Query Results',
-          xKey: viz.xKey || Object.keys(data[0])[0],
-          yKey: viz.yKey || Object.keys(data[0])[1]
-        };
-
-        // Type-specific configuration
-        if (viz.type === 'scatter') {
-          return {
-            ...baseViz,
-            xKey: viz.xKey || Object.keys(data[0])[0],
-            yKey: viz.yKey || Object.keys(data[0])[1],
-            zKey: viz.zKey, // Optional third dimension for bubble size
-            scatterSeries: viz.scatterSeries || [{
-              name: viz.name || 'Data Points',
-              color: colors[0],
-              shape: 'circle'
-            }]
-          };
-        } else if (viz.type === 'donut' || viz.type === 'pie') {
-          return {
-            ...baseViz,
-            type: 'donut',
-            nameKey: viz.nameKey || Object.keys(data[0])[0],
-            valueKey: viz.valueKey || Object.keys(data[0])[1],
-            colors: colors
-          };
-        } else if (viz.type === 'line') {
-          return {
-            ...baseViz,
-            lines: viz.yKeys ? viz.yKeys.map((key, idx) => ({
-              key: key,
-              color: colors[idx % colors.length],
-              name: key.replace(/_/g, ' ').toUpperCase(),
-              strokeWidth: 2,
-              dot: { r: 4 },
-              activeDot: { r: 6 }
-            })) : [{ 
-              key: Object.keys(data[0])[1], 
-              color: colors[0], 
-              name: 'Value',
-              strokeWidth: 2,
-              dot: { r: 4 },
-              activeDot: { r: 6 }
-            }]
-          };
-        } else if (viz.type === 'bar') {
-          return {
-            ...baseViz,
-            bars: viz.yKeys ? viz.yKeys.map((key, idx) => ({
-              key: key,
-              color: colors[idx % colors.length],
-              name: key.replace(/_/g, ' ').toUpperCase()
-            })) : [{
-              key: Object.keys(data[0])[1],
-              color: colors[0],
-              name: 'Value'
-            }]
-          };
-        }
-      }
+      await apiCall(`/conversations/${id}`, { method: 'DELETE' });
+      if (id === conversationId) startConversation();
     } catch (error) {
-      console.error('Visualization generation error:', error);
+      console.error('Failed to delete conversation:', error);
     }
+    fetchConversations();
+  };
 
-    // Fallback: Intelligent chart type detection
-    const keys = Object.keys(data[0]);
-    const xKey = keys[0];
-    
-    // Identify numeric columns for multi-series
-    const numericKeys = keys.slice(1).filter(key => {
-      const value = data[0][key];
-      return typeof value === 'number' || !isNaN(parseFloat(value));
+  // Show the rows of a saved query run (/api/saved-queries/:id/run) with
+  // its saved chart
+  const showSavedQueryRun = (response) => {
+    const viz = buildVisualization(response.data, response.chart, response.columns);
+    const result = { id: response.resultId, truncated: response.truncated, totalRows: response.totalRows };
+    if (dbConnections.some(db => db.id === response.savedQuery.databaseId)) {
+      setSelectedDb(response.savedQuery.databaseId);
+    }
+    setActiveTurn(null);
+    const source = { databaseId: response.savedQuery.databaseId, query: response.query, params: response.params, chart: response.chart };
+    setCurrentViz(viz && { ...viz, title: response.savedQuery.name, result, source, view: 'chart' });
+    setGeneratedCode(response.query);
+  };
+
+  // Open the save dialog for the answer in the right panel
+  const saveActiveTurn = () => {
+    const message = messages[activeTurn];
+    setSavingTurn({
+      question: messages[activeTurn - 1]?.content || null,
+      query: message.sql,
+      databaseId: message.databaseId || selectedDb,
+      chart: message.chart || null
     });
+  };
 
-    const colors = [
-      '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', 
-      '#3b82f6', '#ec4899', '#14b8a6', '#f97316'
-    ];
+  // Status line under the assistant message for a query event
+  const describeQueryStatus = ({ status, attempt, rowCount, truncated, totalRows, durationMs, error, retrying }) => {
+    const revisions = attempt - 1;
+    if (status === 'running') {
+      return revisions > 0 ? `Running revised query (attempt ${attempt})…` : 'Running query…';
+    }
+    if (status === 'complete') {
+      const rows = truncated
+        ? `First ${rowCount.toLocaleString()} of ${totalRows != null ? totalRows.toLocaleString() : 'more'} rows`
+        : `${rowCount.toLocaleString()} rows`;
+      const summary = durationMs != null ? `${rows} in ${durationMs} ms` : rows;
+      return revisions > 0 ? `${summary} after ${revisions} revision${revisions > 1 ? 's' : ''}` : summary;
+    }
+    return retrying
+      ? `Attempt ${attempt} failed: ${error}. Asking the model to fix the query…`
+      : `Query failed: ${error}`;
+  };
+
+  // Update the assistant message being streamed (always the last one)
+  const updateStreamingMessage = (update) => {
+    setMessages(prev => {
+      const last = prev[prev.length - 1];
+      return [...prev.slice(0, -1), { ...last, ...update(last) }];
+    });
+  };
+
+  const handleSend = async () => {
+    if (!input.trim()) return;
 
-    // Auto-detect best chart type
-    const shouldUseDonut = data.length <= 10 && numericKeys.length === 1 && 
-                          (keys[0].includes('category') || keys[0].includes('type') || 
-                           keys[0].includes('name') || keys[0].includes('segment'));
-    
-    const shouldUseScatter = numericKeys.length >= 2 && data.length >= 10;
-
-    if (shouldUseDonut) {
-      return {
-        type: 'donut',
-        data: data,
-        title: 'Distribution Analysis',
-        nameKey: keys[0],
-        valueKey: numericKeys[0],
-        colors: colors
-      };
-    } else if (shouldUseScatter) {
-      return {
-        type: 'scatter',
-        data: data,
-        title: 'Correlation Analysis',
-        xKey: numericKeys[0],
-        yKey: numericKeys[1],
-        zKey: numericKeys[2], // Optional
-        scatterSeries: [{
-          name: 'Data Points',
-          color: colors[0],
-          shape: 'circle'
-        }]
-      };
+    const userMessage = { role: 'user', content: input };
+    setMessages(prev => [...prev, userMessage, { role: 'assistant', content: '', streaming: true, databaseId: selectedDb }]);
+    setActiveTurn(messages.length + 1);
+    setInput('');
+    setLoading(true);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let sql = null;
+    let rows = null;
+    let columns = null;
+    let result = null;
+
+    try {
+      // The first question starts a saved conversation
+      let activeConversation = conversationId;
+      if (!activeConversation) {
+        const { conversation } = await apiCall('/conversations', {
+          method: 'POST',
+          body: JSON.stringify({ databaseId: selectedDb })
+        });
+        activeConversation = conversation.id;
+        setConversationId(activeConversation);
+      }
+
+      await streamCall('/chat/stream', {
+        messages: [...messages, userMessage].map(({ role, content }) => ({ role, content })),
+        databaseId: selectedDb,
+        context: currentViz,
+        conversationId: activeConversation
+      }, (event, data) => {
+        switch (event) {
+          case 'token':
+            updateStreamingMessage(msg => ({ content: msg.content + data.content }));
+            break;
+          case 'message':
+            updateStreamingMessage(() => ({ content: data.response.message || 'I processed your request.' }));
+            break;
+          case 'sql':
+            sql = data.query;
+            setGeneratedCode(data.query);
+            updateStreamingMessage(() => ({ dialect: data.dialect, sql: data.query }));
+            break;
+          case 'query':
+            updateStreamingMessage(() => ({
+              status: describeQueryStatus(data),
+              statusError: data.status === 'error' && !data.retrying
+            }));
+            break;
+          case 'attempts':
+            updateStreamingMessage(() => ({ attempts: data.attempts }));
+            break;
+          case 'result':
+            rows = data.data;
+            columns = data.columns;
+            result = { id: data.resultId, truncated: data.truncated, totalRows: data.totalRows };
+            break;
+          case 'chart': {
+            const viz = buildVisualization(rows, data.visualization, columns);
+            const source = { databaseId: selectedDb, query: sql, params: null, chart: data.visualization };
+            setCurrentViz(viz && { ...viz, result, source, view: 'chart' });
+            updateStreamingMessage(() => ({ viz: viz && { ...viz, result, source, view: 'chart' }, chart: data.visualization }));
+            break;
+          }
+          case 'turn':
+            updateStreamingMessage(() => ({ turnId: data.turnId }));
+            fetchConversations();
+            break;
+          case 'error':
+            throw new Error(data.error);
+          default:
+            break;
+        }
+      }, controller.signal);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        updateStreamingMessage(msg => ({ content: msg.content || 'Stopped.', status: 'Stopped' }));
+      } else {
+        console.error('Chat error:', error);
+        updateStreamingMessage(msg => msg.content
+          ? { status: `Error: ${error.message}`, statusError: true }
+          : { content: `Sorry, I encountered an error: ${error.message}` });
+      }
+    } finally {
+      updateStreamingMessage(() => ({ streaming: false }));
+      abortRef.current = null;
+      setLoading(false);
     }
+  };
 
-    // Default to line chart with multiple series
-    return {
-      type: 'line',
-      data: data,
-      title: 'Query Results',
-      xKey: xKey,
-      lines: numericKeys.map((key, idx) => ({
-        key: key,
-        color: colors[idx % colors.length],
-        name: key.replace(/_/g, ' ').toUpperCase(),
-        strokeWidth: 2,
-        dot: { r: 4 },
-        activeDot: { r: 6 }
-      }))
-    };
+  const handleStop = () => {
+    abortRef.current?.abort();
   };
 
   const toggleSeries = (seriesKey) => {
@@ -314,14 +365,45 @@ const App = () => {
     });
   };
 
+  // Column metadata of the current result, for type-aware formatting
+  const columnFor = (key) => currentViz?.columns?.find(column => column.name === key);
+
+  const setView = (view) => {
+    setCurrentViz(prev => prev && { ...prev, view });
+  };
+
+  // Download the current answer. Data exports use the rows in the browser;
+  // "full" ones have the server re-run the query without the row cap.
+  const handleExport = async (kind, event) => {
+    event.currentTarget.closest('details')?.removeAttribute('open');
+    setExportError(null);
+    const { data, columns, result, title } = currentViz;
+    const base = (title || 'query-results').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'query-results';
+    try {
+      switch (kind) {
+        case 'csv': exportCsv(data, columns, `${base}.csv`); break;
+        case 'xlsx': await exportXlsx(data, columns, `${base}.xlsx`); break;
+        case 'json': exportJson(data, columns, `${base}.json`); break;
+        case 'full-csv': await exportFullResult(result.id, 'csv'); break;
+        case 'full-xlsx': await exportFullResult(result.id, 'xlsx'); break;
+        case 'png': await exportChartPng(chartRef.current, `${base}.png`); break;
+        case 'svg': exportChartSvg(chartRef.current, `${base}.svg`); break;
+        default: break;
+      }
+    } catch (error) {
+      console.error('Export error:', error);
+      setExportError(`Export failed: ${error.message}`);
+    }
+  };
+
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
       return (
         <div className="bg-white p-3 border border-gray-200 rounded-lg shadow-lg">
-          {label && <p className="font-semibold text-gray-800 mb-1">{label}</p>}
+          {label && <p className="font-semibold text-gray-800 mb-1">{formatValue(label, columnFor(currentViz?.xKey))}</p>}
           {payload.map((entry, index) => (
             <p key={index} style={{ color: entry.color }} className="text-sm">
-              {entry.name}: <span className="font-semibold">{typeof entry.value === 'number' ? entry.value.toLocaleString() : entry.value}</span>
+              {entry.name}: <span className="font-semibold">{formatValue(entry.value, columnFor(entry.dataKey))}</span>
             </p>
           ))}
         </div>
@@ -362,7 +444,7 @@ const App = () => {
     const visibleBars = bars ? bars.filter(bar => !hiddenSeries.has(bar.key)) : [];
 
     return (
-      <div className="bg-white rounded-lg p-6 shadow-sm border border-gray-200">
+      <div ref={chartRef} className="bg-white rounded-lg p-6 shadow-sm border border-gray-200">
         <div className="flex items-start justify-between mb-4">
           <div>
             <h3 className="text-lg font-semibold text-gray-800">{title}</h3>
@@ -417,6 +499,7 @@ const App = () => {
                 dataKey={xKey} 
                 stroke="#6b7280"
                 style={{ fontSize: '12px' }}
+                tickFormatter={(value) => formatValue(value, columnFor(xKey))}
               />
               <YAxis 
                 stroke="#6b7280"
@@ -449,6 +532,7 @@ const App = () => {
                 dataKey={xKey} 
                 stroke="#6b7280"
                 style={{ fontSize: '12px' }}
+                tickFormatter={(value) => formatValue(value, columnFor(xKey))}
               />
               <YAxis 
                 stroke="#6b7280"
@@ -555,6 +639,20 @@ const App = () => {
           <div className="flex items-center gap-3">
             <Activity className="w-8 h-8 text-purple-600" />
             <h1 className="text-xl font-bold text-gray-800">Data Analytics AI</h1>
+            <nav className="ml-6 inline-flex rounded-lg border border-gray-200 bg-gray-50 p-0.5">
+              {PAGES.map(({ id, label, icon: Icon }) => (
+                <button
+                  key={id}
+                  onClick={() => setPage(id)}
+                  className={`px-3 py-1.5 rounded-md text-sm font-medium flex items-center gap-1.5 ${
+                    page === id ? 'bg-white text-purple-700 shadow-sm' : 'text-gray-600 hover:text-gray-800'
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {label}
+                </button>
+              ))}
+            </nav>
           </div>
           <div className="flex items-center gap-4">
             <select 
@@ -564,20 +662,72 @@ const App = () => {
             >
               {dbConnections.map(db => (
                 <option key={db.id} value={db.id}>
-                  {db.name}
+                  {db.name} ({DB_TYPE_LABELS[db.type] || db.type})
                 </option>
               ))}
             </select>
             <div className="flex items-center gap-2 text-sm">
-              <div className="w-2 h-2 bg-green-500 rounded-full"></div>
-              <span className="text-gray-600">Connected</span>
+              <div className={`w-2 h-2 rounded-full ${
+                selectedDbStatus === 'connected' ? 'bg-green-500'
+                  : selectedDbStatus === 'error' ? 'bg-red-500'
+                    : 'bg-gray-400'
+              }`}></div>
+              <span className="text-gray-600">
+                {selectedDbStatus === 'connected' ? 'Connected'
+                  : selectedDbStatus === 'error' ? 'Connection failed'
+                    : 'Not checked'}
+              </span>
             </div>
+            {user.source !== 'none' && (
+              <div className="flex items-center gap-2 pl-4 border-l border-gray-200 text-sm">
+                <span className="text-gray-700" title={user.roles.join(', ')}>{user.displayName || user.username}</span>
+                <button
+                  onClick={onSignOut}
+                  title="Sign out"
+                  className="p-1.5 rounded-md text-gray-500 hover:text-gray-800 hover:bg-gray-100"
+                >
+                  <LogOut className="w-4 h-4" />
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </header>
 
+      {page === 'dashboards' && <Dashboards openId={pinnedDashboard} />}
+
       {/* Main Content */}
-      <div className="flex-1 flex overflow-hidden">
+      <div className={`flex-1 flex overflow-hidden ${page === 'analyze' ? '' : 'hidden'}`}>
+        <div className="w-64 bg-gray-50 border-r border-gray-200 flex flex-col">
+          <div className="flex border-b border-gray-200">
+            {SIDEBAR_TABS.map(({ id, label, icon: Icon }) => (
+              <button
+                key={id}
+                onClick={() => setSidebarTab(id)}
+                className={`flex-1 px-3 py-2 text-xs font-medium flex items-center justify-center gap-1 border-b-2 ${
+                  sidebarTab === id ? 'border-purple-600 text-purple-700' : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                <Icon className="w-3.5 h-3.5" />
+                {label}
+              </button>
+            ))}
+          </div>
+          {sidebarTab === 'conversations' ? (
+            <ConversationList
+              conversations={conversations}
+              activeId={conversationId}
+              disabled={loading}
+              onSelect={openConversation}
+              onNew={startConversation}
+              onRename={renameConversation}
+              onDelete={deleteConversation}
+            />
+          ) : (
+            <SavedQueries refreshKey={savedQueriesVersion} disabled={loading} onRun={showSavedQueryRun} />
+          )}
+        </div>
+
         {/* Left Panel - Chat */}
         <div className="w-96 bg-white border-r border-gray-200 flex flex-col">
           <div className="p-4 border-b border-gray-200">
@@ -588,18 +738,76 @@ const App = () => {
           </div>
           
           <div className="flex-1 overflow-y-auto p-4 space-y-4">
-            {messages.map((msg, idx) => (
+            {messages.map((msg, idx) => (msg.streaming && !msg.content) ? null : (
               <div key={idx} className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
                 <div className={`max-w-[85%] rounded-lg px-4 py-2 ${
                   msg.role === 'user' 
                     ? 'bg-purple-600 text-white' 
                     : 'bg-gray-100 text-gray-800'
                 }`}>
-                  <p className="text-sm">{msg.content}</p>
+                  <p className="text-sm whitespace-pre-wrap">{msg.content}</p>
+                  {msg.status && (
+                    <p className={`text-xs mt-1 ${msg.statusError ? 'text-red-600' : 'text-gray-500'}`}>{msg.status}</p>
+                  )}
+                  {msg.dialect && (
+                    <p className="text-xs mt-1 text-gray-500">
+                      {msg.dialect.rules.length > 0 && `SQL adjusted for this database (${msg.dialect.rules.map(rule => rule.replace(/_/g, ' ')).join(', ')}). `}
+                      {msg.dialect.warnings.join(' ')}
+                    </p>
+                  )}
+                  {msg.attempts && msg.attempts.length > 1 && (
+                    <details className="mt-2 text-xs text-gray-600">
+                      <summary className="cursor-pointer select-none">
+                        Query revised {msg.attempts.length - 1} time{msg.attempts.length > 2 ? 's' : ''}
+                      </summary>
+                      <ol className="mt-2 space-y-2">
+                        {msg.attempts.map(attempt => (
+                          <li key={attempt.attempt} className="border-l-2 pl-2 border-gray-300">
+                            <p className={attempt.status === 'success' ? 'text-green-700' : 'text-red-600'}>
+                              Attempt {attempt.attempt}: {attempt.status === 'success'
+                                ? `${attempt.rowCount.toLocaleString()} rows`
+                                : attempt.error}
+                            </p>
+                            {attempt.explanation && <p className="italic">{attempt.explanation}</p>}
+                            <pre className="mt-1 p-2 bg-gray-800 text-green-400 rounded overflow-x-auto whitespace-pre-wrap">{attempt.query}</pre>
+                          </li>
+                        ))}
+                      </ol>
+                    </details>
+                  )}
+                  {!msg.streaming && (msg.viz || msg.sql) && (
+                    <div className={`mt-2 rounded-md border bg-white overflow-hidden ${
+                      activeTurn === idx ? 'border-purple-500 ring-1 ring-purple-500' : 'border-gray-200 hover:border-purple-300'
+                    }`}>
+                      <button onClick={() => selectTurn(idx)} className="w-full text-left p-2">
+                        {msg.viz && (
+                          <div className="pointer-events-none">
+                            <ChartPreview viz={msg.viz} compact />
+                          </div>
+                        )}
+                        <p className="text-xs font-medium text-gray-700 truncate mt-1">{msg.viz?.title || 'SQL query'}</p>
+                        <p className="text-xs text-gray-400">
+                          {msg.viz ? `${msg.viz.data.length.toLocaleString()} rows · ` : ''}
+                          {activeTurn === idx ? 'Showing' : 'Click to show'}
+                        </p>
+                      </button>
+                      {msg.viz && activeTurn !== idx && (
+                        <button
+                          onClick={() => setCompareTurn(compareTurn === idx ? null : idx)}
+                          className={`w-full px-2 py-1 border-t border-gray-100 text-xs flex items-center gap-1 ${
+                            compareTurn === idx ? 'bg-purple-50 text-purple-700' : 'text-gray-500 hover:bg-gray-50'
+                          }`}
+                        >
+                          <Columns className="w-3 h-3" />
+                          {compareTurn === idx ? 'Comparing — click to stop' : 'Compare with the chart shown'}
+                        </button>
+                      )}
+                    </div>
+                  )}
                 </div>
               </div>
             ))}
-            {loading && (
+            {loading && !messages[messages.length - 1]?.content && (
               <div className="flex justify-start">
                 <div className="bg-gray-100 rounded-lg px-4 py-2">
                   <div className="flex gap-1">
@@ -619,17 +827,27 @@ const App = () => {
                 type="text"
                 value={input}
                 onChange={(e) => setInput(e.target.value)}
-                onKeyPress={(e) => e.key === 'Enter' && handleSend()}
+                onKeyPress={(e) => e.key === 'Enter' && !loading && handleSend()}
                 placeholder="Ask about your data..."
                 className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
               />
-              <button
-                onClick={handleSend}
-                disabled={loading || !input.trim()}
-                className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                <Send className="w-5 h-5" />
-              </button>
+              {loading ? (
+                <button
+                  onClick={handleStop}
+                  title="Stop generating"
+                  className="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800"
+                >
+                  <Square className="w-5 h-5" />
+                </button>
+              ) : (
+                <button
+                  onClick={handleSend}
+                  disabled={!input.trim()}
+                  className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Send className="w-5 h-5" />
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -637,9 +855,101 @@ const App = () => {
         {/* Right Panel - Visualization & Code */}
         <div className="flex-1 flex flex-col overflow-hidden">
           {/* Visualization Area */}
-          <div className="flex-1 p-6 overflow-y-auto">
+          <div className="flex-1 p-6 overflow-y-auto flex flex-col gap-4 min-h-0">
             {currentViz ? (
-              renderVisualization()
+              <>
+                <div className="flex items-center justify-end gap-3">
+                  {exportError && <p className="text-xs text-red-600">{exportError}</p>}
+                  {currentViz.source?.query && (
+                    <button
+                      onClick={() => setPinning({ title: currentViz.title, ...currentViz.source })}
+                      className="px-3 py-1.5 rounded-lg border border-gray-200 bg-white text-xs font-medium text-gray-600 hover:bg-gray-100 flex items-center gap-1"
+                    >
+                      <Pin className="w-3.5 h-3.5" />
+                      Pin
+                    </button>
+                  )}
+                  <details className="relative">
+                    <summary className="list-none cursor-pointer select-none px-3 py-1.5 rounded-lg border border-gray-200 bg-white text-xs font-medium text-gray-600 hover:bg-gray-100 flex items-center gap-1">
+                      <Download className="w-3.5 h-3.5" />
+                      Export
+                    </summary>
+                    <div className="absolute right-0 mt-1 w-56 z-20 bg-white border border-gray-200 rounded-lg shadow-lg py-1 text-sm">
+                      <p className="px-3 py-1 text-xs text-gray-400">Rows shown ({currentViz.data.length.toLocaleString()})</p>
+                      {[['csv', 'CSV'], ['xlsx', 'Excel (XLSX)'], ['json', 'JSON']].map(([kind, label]) => (
+                        <button key={kind} onClick={(e) => handleExport(kind, e)} className="w-full text-left px-3 py-1.5 hover:bg-gray-100">
+                          {label}
+                        </button>
+                      ))}
+                      {currentViz.result?.id && (
+                        <>
+                          <p className="px-3 py-1 text-xs text-gray-400 border-t border-gray-100 mt-1">
+                            Full result{currentViz.result.totalRows != null ? ` (${currentViz.result.totalRows.toLocaleString()} rows)` : ''}
+                          </p>
+                          {[['full-csv', 'CSV'], ['full-xlsx', 'Excel (XLSX)']].map(([kind, label]) => (
+                            <button key={kind} onClick={(e) => handleExport(kind, e)} className="w-full text-left px-3 py-1.5 hover:bg-gray-100">
+                              {label}
+                            </button>
+                          ))}
+                        </>
+                      )}
+                      {currentViz.view !== 'table' && (
+                        <>
+                          <p className="px-3 py-1 text-xs text-gray-400 border-t border-gray-100 mt-1">Chart</p>
+                          {[['png', 'PNG image'], ['svg', 'SVG image']].map(([kind, label]) => (
+                            <button key={kind} onClick={(e) => handleExport(kind, e)} className="w-full text-left px-3 py-1.5 hover:bg-gray-100">
+                              {label}
+                            </button>
+                          ))}
+                        </>
+                      )}
+                    </div>
+                  </details>
+                  <div className="inline-flex rounded-lg border border-gray-200 bg-white p-0.5">
+                    {VIEW_MODES.map(({ id, label, icon: Icon }) => (
+                      <button
+                        key={id}
+                        onClick={() => setView(id)}
+                        className={`px-3 py-1 rounded-md text-xs font-medium flex items-center gap-1 ${
+                          currentViz.view === id ? 'bg-purple-600 text-white' : 'text-gray-600 hover:bg-gray-100'
+                        }`}
+                      >
+                        <Icon className="w-3.5 h-3.5" />
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {currentViz.view !== 'table' && (messages[compareTurn]?.viz ? (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="min-w-0">{renderVisualization()}</div>
+                    <div className="min-w-0 bg-white rounded-lg p-6 shadow-sm border border-gray-200">
+                      <div className="flex items-start justify-between gap-2 mb-4">
+                        <div className="min-w-0">
+                          <h3 className="text-lg font-semibold text-gray-800">{messages[compareTurn].viz.title}</h3>
+                          <p className="text-sm text-gray-500 mt-1 truncate">{messages[compareTurn - 1]?.content}</p>
+                        </div>
+                        <button onClick={() => setCompareTurn(null)} title="Stop comparing" className="p-1 text-gray-400 hover:text-gray-700">
+                          <X className="w-4 h-4" />
+                        </button>
+                      </div>
+                      <ChartPreview viz={messages[compareTurn].viz} height={350} />
+                    </div>
+                  </div>
+                ) : renderVisualization())}
+                {currentViz.view !== 'chart' && (
+                  <div className={currentViz.view === 'table' ? 'flex-1 min-h-[320px]' : 'h-96 shrink-0'}>
+                    <ResultsGrid
+                      key={currentViz.result?.id || 'local'}
+                      resultId={currentViz.result?.id}
+                      rows={currentViz.data}
+                      columns={currentViz.columns}
+                      totalRows={currentViz.result?.totalRows}
+                      truncated={currentViz.result?.truncated}
+                    />
+                  </div>
+                )}
+              </>
             ) : (
               <div className="h-full flex items-center justify-center">
                 <div className="text-center text-gray-400">
@@ -657,6 +967,15 @@ const App = () => {
                 <Database className="w-4 h-4" />
                 Generated SQL Query
               </h3>
+              {!loading && messages[activeTurn]?.sql && (
+                <button
+                  onClick={saveActiveTurn}
+                  className="px-2 py-1 rounded text-xs text-gray-300 hover:bg-gray-800 flex items-center gap-1"
+                >
+                  <Bookmark className="w-3.5 h-3.5" />
+                  Save query
+                </button>
+              )}
             </div>
             {generatedCode ? (
               <pre className="text-sm text-green-400 font-mono">
@@ -668,8 +987,99 @@ const App = () => {
           </div>
         </div>
       </div>
+      {savingTurn && (
+        <SaveQueryDialog
+          turn={savingTurn}
+          onClose={() => setSavingTurn(null)}
+          onSaved={() => {
+            setSavingTurn(null);
+            setSavedQueriesVersion(version => version + 1);
+            setSidebarTab('saved');
+          }}
+        />
+      )}
+      {pinning && (
+        <PinDialog
+          pin={pinning}
+          onClose={() => setPinning(null)}
+          onPinned={(dashboardId) => {
+            setPinning(null);
+            setPinnedDashboard(dashboardId);
+            setPage('dashboards');
+          }}
+        />
+      )}
     </div>
   );
 };
 
+// Signs the user in (or finishes a single sign-on redirect) before showing
+// the workspace, and comes back here when the session ends
+const App = () => {
+  const [authConfig, setAuthConfig] = useState(null);
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [signInError, setSignInError] = useState(null);
+
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      clearSession();
+      setUser(null);
+      setSignInError('Your session has ended; please sign in again');
+    });
+
+    const start = async () => {
+      try {
+        const config = await apiCall('/auth/config');
+        setAuthConfig(config);
+
+        const callback = finishSingleSignOn();
+        if (callback) {
+          const session = await apiCall('/auth/oidc/callback', { method: 'POST', body: JSON.stringify(callback) });
+          saveSession(session);
+          setUser(session.user);
+        } else if (config.mode === 'none' || loadSession()) {
+          const { user: me } = await apiCall('/auth/me');
+          setUser(me);
+        }
+      } catch (error) {
+        if (error.status === 401) clearSession();
+        setSignInError(error.status === 401 ? 'Your session has ended; please sign in again' : error.message);
+        setAuthConfig(config => config || { mode: 'local' });
+      } finally {
+        setChecking(false);
+      }
+    };
+    start();
+  }, []);
+
+  const signOut = () => {
+    clearSession();
+    setUser(null);
+    setSignInError(null);
+  };
+
+  if (checking) {
+    return (
+      <div className="h-screen flex items-center justify-center bg-gray-50 text-sm text-gray-500">
+        <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+        Loading…
+      </div>
+    );
+  }
+  if (!user) {
+    return (
+      <Login
+        config={authConfig}
+        error={signInError}
+        onSignedIn={(signedIn) => {
+          setSignInError(null);
+          setUser(signedIn);
+        }}
+      />
+    );
+  }
+  return <Workspace key={user.id} user={user} onSignOut={signOut} />;
+};
+
 export default App;
\ No newline at end of file
@@ -0,0 +1,84 @@
+import React from 'react';
+import { LineChart, Line, BarChart, Bar, ScatterChart, Scatter, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatValue } from './formatters';
+
+// A chart config from buildVisualization() drawn without the interactive
+// controls of the main chart: as a thumbnail in the chat (compact) or next
+// to the current answer for comparison.
+const ChartPreview = ({ viz, height = 96, compact = false }) => {
+  const { type, data, xKey, yKey, lines, bars, nameKey, valueKey, colors, scatterSeries, columns } = viz;
+  const columnFor = (key) => columns?.find(column => column.name === key);
+  const axisProps = { stroke: '#6b7280', style: { fontSize: '11px' } };
+
+  const axes = (numeric) => !compact && (
+    <>
+      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+      <XAxis
+        dataKey={xKey}
+        type={numeric ? 'number' : 'category'}
+        tickFormatter={(value) => formatValue(value, columnFor(xKey))}
+        {...axisProps}
+      />
+      <YAxis dataKey={numeric ? yKey : undefined} type="number" {...axisProps} />
+      <Tooltip formatter={(value, name, entry) => formatValue(value, columnFor(entry.dataKey))} />
+      <Legend wrapperStyle={{ fontSize: '12px' }} />
+    </>
+  );
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      {type === 'line' ? (
+        <LineChart data={data}>
+          {axes(false)}
+          {(lines || []).map(line => (
+            <Line
+              key={line.key}
+              type="monotone"
+              dataKey={line.key}
+              stroke={line.color}
+              name={line.name}
+              strokeWidth={compact ? 1.5 : 2}
+              dot={!compact}
+              isAnimationActive={false}
+            />
+          ))}
+        </LineChart>
+      ) : type === 'bar' ? (
+        <BarChart data={data}>
+          {axes(false)}
+          {(bars || []).map(bar => (
+            <Bar key={bar.key} dataKey={bar.key} fill={bar.color} name={bar.name} isAnimationActive={false} />
+          ))}
+        </BarChart>
+      ) : type === 'scatter' ? (
+        <ScatterChart>
+          {axes(true)}
+          {compact && <XAxis dataKey={xKey} type="number" hide />}
+          {compact && <YAxis dataKey={yKey} type="number" hide />}
+          {(scatterSeries || []).map((series, idx) => (
+            <Scatter key={idx} name={series.name} data={data} fill={series.color} isAnimationActive={false} />
+          ))}
+        </ScatterChart>
+      ) : type === 'donut' ? (
+        <PieChart>
+          <Pie
+            data={data}
+            dataKey={valueKey}
+            nameKey={nameKey}
+            outerRadius={compact ? '90%' : '75%'}
+            innerRadius={compact ? '50%' : '40%'}
+            isAnimationActive={false}
+          >
+            {data.map((entry, index) => (
+              <Cell key={`cell-${index}`} fill={colors[index % colors.length]} />
+            ))}
+          </Pie>
+          {!compact && <Tooltip />}
+          {!compact && <Legend wrapperStyle={{ fontSize: '12px' }} />}
+        </PieChart>
+      ) : null}
+    </ResponsiveContainer>
+  );
+};
+
+export default ChartPreview;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { MessageSquare, Plus, Pencil, Trash2, Check, X } from 'lucide-react';
+
+// "5 min ago", "Yesterday", or the date for older conversations
+const describeUpdated = (timestamp) => {
+  const updated = new Date(timestamp);
+  const minutes = Math.floor((Date.now() - updated.getTime()) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  if (minutes < 48 * 60) return 'Yesterday';
+  return updated.toLocaleDateString();
+};
+
+// Sidebar of saved conversations (/api/conversations). Switching, renaming
+// and deleting are left to the parent; `disabled` blocks them while an
+// answer is streaming.
+const ConversationList = ({ conversations, activeId, disabled, onSelect, onNew, onRename, onDelete }) => {
+  const [editing, setEditing] = useState(null);
+  const [title, setTitle] = useState('');
+
+  const startRename = (conversation) => {
+    setEditing(conversation.id);
+    setTitle(conversation.title);
+  };
+
+  const submitRename = () => {
+    if (title.trim()) onRename(editing, title.trim());
+    setEditing(null);
+  };
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      <div className="p-4 border-b border-gray-200">
+        <button
+          onClick={onNew}
+          disabled={disabled}
+          className="w-full px-3 py-2 rounded-lg bg-purple-600 text-white text-sm font-medium flex items-center justify-center gap-2 hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Plus className="w-4 h-4" />
+          New conversation
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-1">
+        {conversations.length === 0 && (
+          <p className="px-2 py-4 text-xs text-gray-400 text-center">Saved conversations appear here</p>
+        )}
+        {conversations.map(conversation => (
+          <div
+            key={conversation.id}
+            className={`group rounded-lg px-3 py-2 text-sm ${
+              conversation.id === activeId ? 'bg-purple-100 text-purple-900' : 'text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            {editing === conversation.id ? (
+              <div className="flex items-center gap-1">
+                <input
+                  autoFocus
+                  value={title}
+                  onChange={(e) => setTitle(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') submitRename();
+                    if (e.key === 'Escape') setEditing(null);
+                  }}
+                  className="flex-1 min-w-0 px-2 py-0.5 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                />
+                <button onClick={submitRename} title="Save" className="p-1 text-gray-500 hover:text-gray-800">
+                  <Check className="w-3.5 h-3.5" />
+                </button>
+                <button onClick={() => setEditing(null)} title="Cancel" className="p-1 text-gray-500 hover:text-gray-800">
+                  <X className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            ) : (
+              <div className="flex items-start gap-2">
+                <button
+                  onClick={() => onSelect(conversation.id)}
+                  disabled={disabled}
+                  className="flex-1 min-w-0 text-left disabled:cursor-not-allowed"
+                >
+                  <p className="truncate font-medium flex items-center gap-1.5">
+                    <MessageSquare className="w-3.5 h-3.5 shrink-0 opacity-60" />
+                    <span className="truncate">{conversation.title}</span>
+                  </p>
+                  <p className="text-xs text-gray-400 mt-0.5">
+                    {conversation.turns} question{conversation.turns === 1 ? '' : 's'} · {describeUpdated(conversation.updatedAt)}
+                  </p>
+                </button>
+                <div className="hidden group-hover:flex items-center">
+                  <button onClick={() => startRename(conversation)} title="Rename" className="p-1 text-gray-400 hover:text-gray-700">
+                    <Pencil className="w-3.5 h-3.5" />
+                  </button>
+                  <button
+                    onClick={() => onDelete(conversation.id)}
+                    disabled={disabled}
+                    title="Delete"
+                    className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                  >
+                    <Trash2 className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ConversationList;
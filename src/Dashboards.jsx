@@ -0,0 +1,373 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { LayoutDashboard, Plus, Pencil, Trash2, RefreshCw, X, GripVertical, Check } from 'lucide-react';
+import { apiCall } from './api';
+import { buildVisualization } from './visualization';
+import ChartPreview from './ChartPreview';
+
+// The grid the server lays widgets out on (server/dashboards.js)
+const GRID_COLUMNS = 4;
+const MAX_WIDGET_ROWS = 4;
+const ROW_HEIGHT = 160;
+const GAP = 16;
+const WIDGET_HEADER = 56;
+
+const REFRESH_INTERVALS = [
+  { seconds: null, label: 'Off' },
+  { seconds: 60, label: 'Every minute' },
+  { seconds: 300, label: 'Every 5 min' },
+  { seconds: 900, label: 'Every 15 min' },
+  { seconds: 3600, label: 'Every hour' }
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// One pinned chart. It re-runs its query whenever `refreshKey` changes and
+// is resized by dragging its corner, in whole grid cells.
+const DashboardWidget = ({ dashboardId, widget, refreshKey, dragging, onRemove, onResize, onDragStart, onDragEnd, onDrop }) => {
+  const [state, setState] = useState({ running: true });
+  const [preview, setPreview] = useState(null);
+  const cellRef = useRef(null);
+  const layout = preview || widget.layout;
+
+  useEffect(() => {
+    let cancelled = false;
+    setState(prev => ({ ...prev, running: true }));
+    apiCall(`/dashboards/${dashboardId}/widgets/${widget.id}/run`, { method: 'POST' })
+      .then((response) => {
+        if (cancelled) return;
+        const viz = buildVisualization(response.data, response.chart, response.columns);
+        setState({ viz, ranAt: response.ranAt, truncated: response.truncated });
+      })
+      .catch((err) => {
+        if (!cancelled) setState({ error: err.message });
+      });
+    return () => { cancelled = true; };
+  }, [dashboardId, widget.id, refreshKey]);
+
+  // Track the pointer until it is released; each grid cell the corner
+  // crosses adds or removes a column or row
+  const startResize = (event) => {
+    event.preventDefault();
+    const grid = cellRef.current.parentElement.getBoundingClientRect();
+    const columnWidth = (grid.width - GAP * (GRID_COLUMNS - 1)) / GRID_COLUMNS;
+    const { x, y } = { x: event.clientX, y: event.clientY };
+    let next = widget.layout;
+
+    const move = (moveEvent) => {
+      next = {
+        w: clamp(widget.layout.w + Math.round((moveEvent.clientX - x) / (columnWidth + GAP)), 1, GRID_COLUMNS),
+        h: clamp(widget.layout.h + Math.round((moveEvent.clientY - y) / (ROW_HEIGHT + GAP)), 1, MAX_WIDGET_ROWS)
+      };
+      setPreview(next);
+    };
+    const release = () => {
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', release);
+      setPreview(null);
+      if (next.w !== widget.layout.w || next.h !== widget.layout.h) onResize(next);
+    };
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', release);
+  };
+
+  return (
+    <div
+      ref={cellRef}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={(e) => { e.preventDefault(); onDrop(); }}
+      style={{ gridColumn: `span ${layout.w}`, gridRow: `span ${layout.h}` }}
+      className={`relative bg-white rounded-lg border p-3 flex flex-col min-w-0 ${
+        dragging ? 'opacity-50 border-purple-400' : preview ? 'border-purple-400' : 'border-gray-200'
+      }`}
+    >
+      <div className="group flex items-center gap-2 mb-2">
+        <span
+          draggable
+          onDragStart={(e) => { e.dataTransfer.effectAllowed = 'move'; onDragStart(); }}
+          onDragEnd={onDragEnd}
+          title="Drag to move"
+          className="cursor-move text-gray-300 hover:text-gray-500"
+        >
+          <GripVertical className="w-4 h-4" />
+        </span>
+        <h3 className="flex-1 min-w-0 truncate text-sm font-semibold text-gray-800">{widget.title}</h3>
+        <span className="text-xs text-gray-400">
+          {state.running ? 'Refreshing…' : state.ranAt && new Date(state.ranAt).toLocaleTimeString()}
+        </span>
+        <button onClick={onRemove} title="Remove from dashboard" className="hidden group-hover:block p-0.5 text-gray-400 hover:text-red-600">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex-1 min-h-0">
+        {state.error ? (
+          <p className="text-xs text-red-600">{state.error}</p>
+        ) : state.viz ? (
+          <ChartPreview viz={state.viz} height={layout.h * ROW_HEIGHT + (layout.h - 1) * GAP - WIDGET_HEADER} compact={layout.h === 1 && layout.w === 1} />
+        ) : !state.running && (
+          <p className="text-xs text-gray-400">No rows</p>
+        )}
+      </div>
+      {state.truncated && <p className="text-xs text-gray-400">Showing the first rows only</p>}
+
+      <div
+        onPointerDown={startResize}
+        title="Drag to resize"
+        className="absolute bottom-0 right-0 w-4 h-4 cursor-se-resize border-r-2 border-b-2 border-gray-300 rounded-br-lg hover:border-purple-500"
+      />
+    </div>
+  );
+};
+
+// Dashboards (/api/dashboards) of charts pinned from answers. `openId`
+// selects a dashboard, e.g. the one a chart was just pinned to.
+const Dashboards = ({ openId }) => {
+  const [dashboards, setDashboards] = useState([]);
+  const [selectedId, setSelectedId] = useState(openId || null);
+  const [dashboard, setDashboard] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [draggingId, setDraggingId] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchDashboards = async () => {
+    try {
+      const data = await apiCall('/dashboards');
+      setDashboards(data.dashboards);
+      setError(null);
+      if (!selectedId && data.dashboards.length > 0) setSelectedId(data.dashboards[0].id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchDashboards();
+  }, []);
+
+  useEffect(() => {
+    if (openId) setSelectedId(openId);
+  }, [openId]);
+
+  useEffect(() => {
+    setDashboard(null);
+    if (!selectedId) return;
+    apiCall(`/dashboards/${selectedId}`)
+      .then(data => setDashboard(data.dashboard))
+      .catch(err => setError(err.message));
+  }, [selectedId]);
+
+  useEffect(() => {
+    if (!dashboard?.refreshInterval) return undefined;
+    const timer = setInterval(() => setRefreshKey(key => key + 1), dashboard.refreshInterval * 1000);
+    return () => clearInterval(timer);
+  }, [dashboard?.id, dashboard?.refreshInterval]);
+
+  // Apply a change on the server, keeping the dashboard as it comes back
+  const change = async (path, method, body) => {
+    try {
+      const data = await apiCall(`/dashboards/${dashboard.id}${path}`, { method, body: body && JSON.stringify(body) });
+      setError(null);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const createDashboard = async () => {
+    try {
+      const { dashboard: created } = await apiCall('/dashboards', { method: 'POST', body: JSON.stringify({ name: newName }) });
+      setNewName('');
+      setSelectedId(created.id);
+      fetchDashboards();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deleteDashboard = async (summary) => {
+    if (!window.confirm(`Delete the dashboard "${summary.name}" and its widgets?`)) return;
+    try {
+      await apiCall(`/dashboards/${summary.id}`, { method: 'DELETE' });
+      if (summary.id === selectedId) setSelectedId(null);
+      fetchDashboards();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateDashboard = async (changes) => {
+    const data = await change('', 'PATCH', changes);
+    if (data) {
+      setDashboard(data.dashboard);
+      fetchDashboards();
+    }
+  };
+
+  const submitRename = () => {
+    if (renaming.trim() && renaming.trim() !== dashboard.name) updateDashboard({ name: renaming });
+    setRenaming(null);
+  };
+
+  const resizeWidget = async (widgetId, layout) => {
+    setDashboard(prev => ({ ...prev, widgets: prev.widgets.map(widget => (widget.id === widgetId ? { ...widget, layout } : widget)) }));
+    const data = await change(`/widgets/${widgetId}`, 'PATCH', { layout });
+    if (data) setDashboard(prev => ({ ...prev, widgets: prev.widgets.map(widget => (widget.id === widgetId ? data.widget : widget)) }));
+  };
+
+  const removeWidget = async (widget) => {
+    if (!window.confirm(`Remove "${widget.title}" from the dashboard?`)) return;
+    if (await change(`/widgets/${widget.id}`, 'DELETE')) {
+      setDashboard(prev => ({ ...prev, widgets: prev.widgets.filter(candidate => candidate.id !== widget.id) }));
+      fetchDashboards();
+    }
+  };
+
+  // Move the dragged widget to where `targetId` is
+  const dropOn = (targetId) => {
+    const moving = draggingId;
+    setDraggingId(null);
+    if (!moving || moving === targetId) return;
+    const order = dashboard.widgets.map(widget => widget.id).filter(id => id !== moving);
+    const from = dashboard.widgets.findIndex(widget => widget.id === moving);
+    const to = dashboard.widgets.findIndex(widget => widget.id === targetId);
+    order.splice(order.indexOf(targetId) + (from < to ? 1 : 0), 0, moving);
+    setDashboard(prev => ({ ...prev, widgets: order.map(id => prev.widgets.find(widget => widget.id === id)) }));
+    updateDashboard({ order });
+  };
+
+  const intervals = REFRESH_INTERVALS.some(option => option.seconds === (dashboard?.refreshInterval ?? null))
+    ? REFRESH_INTERVALS
+    : [...REFRESH_INTERVALS, { seconds: dashboard.refreshInterval, label: `Every ${dashboard.refreshInterval} s` }];
+
+  return (
+    <div className="flex-1 flex overflow-hidden">
+      <div className="w-64 bg-gray-50 border-r border-gray-200 flex flex-col">
+        <div className="p-4 border-b border-gray-200 flex gap-1">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter' && newName.trim()) createDashboard(); }}
+            placeholder="New dashboard"
+            className="flex-1 min-w-0 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+          <button
+            onClick={createDashboard}
+            disabled={!newName.trim()}
+            title="Create dashboard"
+            className="px-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4" />
+          </button>
+        </div>
+        <div className="flex-1 overflow-y-auto p-2 space-y-1">
+          {dashboards.length === 0 && (
+            <p className="px-2 py-4 text-xs text-gray-400 text-center">Pin a chart to start a dashboard</p>
+          )}
+          {dashboards.map(summary => (
+            <div
+              key={summary.id}
+              className={`group rounded-lg px-3 py-2 text-sm flex items-start gap-2 ${
+                summary.id === selectedId ? 'bg-purple-100 text-purple-900' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <button onClick={() => setSelectedId(summary.id)} className="flex-1 min-w-0 text-left">
+                <p className="font-medium flex items-center gap-1.5">
+                  <LayoutDashboard className="w-3.5 h-3.5 shrink-0 opacity-60" />
+                  <span className="truncate">{summary.name}</span>
+                </p>
+                <p className="text-xs text-gray-400 mt-0.5">{summary.widgets} chart{summary.widgets === 1 ? '' : 's'}</p>
+              </button>
+              <button onClick={() => deleteDashboard(summary)} title="Delete" className="hidden group-hover:block p-1 text-gray-400 hover:text-red-600">
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex-1 p-6 overflow-y-auto">
+        {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+        {dashboard ? (
+          <>
+            <div className="flex items-center gap-3 mb-4">
+              {renaming !== null ? (
+                <div className="flex-1 flex items-center gap-1">
+                  <input
+                    autoFocus
+                    value={renaming}
+                    onChange={(e) => setRenaming(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') submitRename();
+                      if (e.key === 'Escape') setRenaming(null);
+                    }}
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded text-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                  <button onClick={submitRename} title="Save" className="p-1 text-gray-500 hover:text-gray-800">
+                    <Check className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <h2 className="flex-1 min-w-0 text-lg font-semibold text-gray-800 flex items-center gap-2">
+                  <span className="truncate">{dashboard.name}</span>
+                  <button onClick={() => setRenaming(dashboard.name)} title="Rename" className="p-1 text-gray-400 hover:text-gray-700">
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                </h2>
+              )}
+              <select
+                value={dashboard.refreshInterval ?? ''}
+                onChange={(e) => updateDashboard({ refreshInterval: e.target.value ? Number(e.target.value) : null })}
+                title="Refresh interval"
+                className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+              >
+                {intervals.map(option => (
+                  <option key={option.label} value={option.seconds ?? ''}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => setRefreshKey(key => key + 1)}
+                className="px-3 py-1.5 rounded-lg border border-gray-200 bg-white text-sm text-gray-600 hover:bg-gray-100 flex items-center gap-1"
+              >
+                <RefreshCw className="w-4 h-4" />
+                Refresh
+              </button>
+            </div>
+
+            {dashboard.widgets.length === 0 ? (
+              <p className="text-sm text-gray-400">Use "Pin" above a chart to add it here.</p>
+            ) : (
+              <div className="grid grid-cols-4 gap-4" style={{ gridAutoRows: `${ROW_HEIGHT}px`, gridAutoFlow: 'dense' }}>
+                {dashboard.widgets.map(widget => (
+                  <DashboardWidget
+                    key={widget.id}
+                    dashboardId={dashboard.id}
+                    widget={widget}
+                    refreshKey={refreshKey}
+                    dragging={draggingId === widget.id}
+                    onRemove={() => removeWidget(widget)}
+                    onResize={(layout) => resizeWidget(widget.id, layout)}
+                    onDragStart={() => setDraggingId(widget.id)}
+                    onDragEnd={() => setDraggingId(null)}
+                    onDrop={() => dropOn(widget.id)}
+                  />
+                ))}
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="h-full flex items-center justify-center text-gray-400">
+            <div className="text-center">
+              <LayoutDashboard className="w-16 h-16 mx-auto mb-4 opacity-20" />
+              <p>Pin charts from your answers to build a dashboard</p>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Dashboards;
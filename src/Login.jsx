@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { Activity, LogIn } from 'lucide-react';
+import { apiCall } from './api';
+import { saveSession, startSingleSignOn } from './auth';
+
+const SIGN_IN_ERRORS = {
+  401: 'Wrong username or password',
+  429: 'Too many failed sign-ins; wait a few minutes and try again'
+};
+
+// The sign-in screen. `config` is /api/auth/config: a username and password
+// form in local mode, a single sign-on button in oidc mode. `error` is a
+// message to show on arrival, such as an expired session.
+const Login = ({ config, error: initialError, onSignedIn }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(initialError || null);
+
+  const signIn = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const session = await apiCall('/auth/login', {
+        method: 'POST',
+        body: JSON.stringify({ username, password })
+      });
+      saveSession(session);
+      onSignedIn(session.user);
+    } catch (err) {
+      setError(SIGN_IN_ERRORS[err.status] || err.message);
+      setPassword('');
+      setBusy(false);
+    }
+  };
+
+  const signInWithProvider = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await startSingleSignOn(config.oidc);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="h-screen flex items-center justify-center bg-gray-50">
+      <div className="bg-white rounded-lg shadow-xl w-96 p-8 space-y-4">
+        <div className="flex items-center gap-3">
+          <Activity className="w-8 h-8 text-purple-600" />
+          <h1 className="text-xl font-bold text-gray-800">Data Analytics AI</h1>
+        </div>
+        {config.mode === 'oidc' ? (
+          <>
+            <p className="text-sm text-gray-600">Sign in with your organisation account to continue.</p>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <button
+              onClick={signInWithProvider}
+              disabled={busy}
+              className="w-full px-4 py-2 rounded-lg text-sm bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+            >
+              <LogIn className="w-4 h-4" />
+              {busy ? 'Redirecting…' : 'Sign in with single sign-on'}
+            </button>
+          </>
+        ) : (
+          <form onSubmit={signIn} className="space-y-3">
+            <label className="block text-sm text-gray-600">
+              Username
+              <input
+                autoFocus
+                autoComplete="username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+              />
+            </label>
+            <label className="block text-sm text-gray-600">
+              Password
+              <input
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+              />
+            </label>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <button
+              type="submit"
+              disabled={busy || !username.trim() || !password}
+              className="w-full px-4 py-2 rounded-lg text-sm bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+            >
+              <LogIn className="w-4 h-4" />
+              {busy ? 'Signing in…' : 'Sign in'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Login;
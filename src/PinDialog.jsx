@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { apiCall } from './api';
+
+const NEW_DASHBOARD = '';
+
+// Pin the chart in the right panel to a dashboard, or to a new one named
+// here. `pin` is { title, databaseId, query, params, chart }; the widget
+// re-runs the query each time the dashboard loads.
+const PinDialog = ({ pin, onPinned, onClose }) => {
+  const [dashboards, setDashboards] = useState([]);
+  const [dashboardId, setDashboardId] = useState(NEW_DASHBOARD);
+  const [name, setName] = useState('');
+  const [title, setTitle] = useState(pin.title || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiCall('/dashboards')
+      .then((data) => {
+        setDashboards(data.dashboards);
+        if (data.dashboards.length > 0) setDashboardId(data.dashboards[0].id);
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      let targetId = dashboardId;
+      if (targetId === NEW_DASHBOARD) {
+        const { dashboard } = await apiCall('/dashboards', { method: 'POST', body: JSON.stringify({ name }) });
+        targetId = dashboard.id;
+      }
+      await apiCall(`/dashboards/${targetId}/widgets`, {
+        method: 'POST',
+        body: JSON.stringify({ ...pin, title })
+      });
+      onPinned(targetId);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500';
+
+  return (
+    <div className="fixed inset-0 z-30 bg-black/30 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-[28rem] p-6 space-y-3" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-lg font-semibold text-gray-800">Pin to dashboard</h3>
+        <label className="block text-sm text-gray-600">
+          Widget title
+          <input autoFocus value={title} onChange={(e) => setTitle(e.target.value)} className={inputClass} />
+        </label>
+        <label className="block text-sm text-gray-600">
+          Dashboard
+          <select value={dashboardId} onChange={(e) => setDashboardId(e.target.value)} className={inputClass}>
+            {dashboards.map(dashboard => (
+              <option key={dashboard.id} value={dashboard.id}>{dashboard.name}</option>
+            ))}
+            <option value={NEW_DASHBOARD}>New dashboard…</option>
+          </select>
+        </label>
+        {dashboardId === NEW_DASHBOARD && (
+          <label className="block text-sm text-gray-600">
+            Name of the new dashboard
+            <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Weekly sales" className={inputClass} />
+          </label>
+        )}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end gap-2 pt-2">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-100">Cancel</button>
+          <button
+            onClick={save}
+            disabled={saving || !title.trim() || (dashboardId === NEW_DASHBOARD && !name.trim())}
+            className="px-4 py-2 rounded-lg text-sm bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Pinning…' : 'Pin'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PinDialog;
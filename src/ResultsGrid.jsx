@@ -0,0 +1,278 @@
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { ArrowUp, ArrowDown, Search, EyeOff } from 'lucide-react';
+import { apiCall } from './api';
+import { formatValue, compareValues, isNumeric } from './formatters';
+
+const ROW_HEIGHT = 32;
+const HEADER_HEIGHT = 36;
+const OVERSCAN = 10;
+const PAGE_SIZE = 200;
+const MIN_COLUMN_WIDTH = 60;
+const INDEX_COLUMN_WIDTH = 56;
+
+const DEFAULT_WIDTHS = {
+  number: 120,
+  date: 120,
+  timestamp: 190,
+  boolean: 90
+};
+
+// Header tooltip: the database type, and for classified columns how
+// their values are masked. `derived` columns may hold classified values
+// calculated or renamed by the query.
+const columnTitle = (column) => {
+  const title = column.dbType ? `${column.name} (${column.dbType})` : column.name;
+  if (column.masked) return `${title}\n${column.classification?.toUpperCase() || 'Classified'}, masked (${column.masked})`;
+  if (column.derived) return `${title}\nMay hold ${String(column.classification).toUpperCase()} values`;
+  return column.classification ? `${title}\n${column.classification.toUpperCase()}` : title;
+};
+
+// Rows of a query result in a virtualised table: only the rows in view are
+// rendered. While the server still holds the result (/api/results/:id),
+// pages, sorting and search are fetched from it; once the handle has
+// expired, or without one, the rows passed in are sorted and searched
+// here. Mount with a key per result so state starts fresh.
+const ResultsGrid = ({ resultId, rows, columns, totalRows, truncated }) => {
+  const gridColumns = useMemo(() => (
+    columns?.length
+      ? columns
+      : Object.keys(rows[0] || {}).map(name => ({ name, type: typeof rows[0][name] === 'number' ? 'number' : 'string' }))
+  ), [rows, columns]);
+
+  const [sort, setSort] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [widths, setWidths] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(400);
+  const [expired, setExpired] = useState(false);
+  const [, setVersion] = useState(0);
+  const scrollRef = useRef(null);
+  const remoteRef = useRef({ key: null, pages: new Map(), pending: new Set(), count: null, error: null });
+
+  const remote = Boolean(resultId) && !expired;
+  const queryKey = JSON.stringify({ sort, search });
+
+  // Search as the user pauses typing
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  useEffect(() => {
+    const element = scrollRef.current;
+    if (!element) return undefined;
+    const observer = new ResizeObserver(([entry]) => setViewportHeight(entry.contentRect.height));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  // A new order or search starts from the top
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [queryKey]);
+
+  const localRows = useMemo(() => {
+    if (remote) return rows;
+    const needle = search.toLowerCase();
+    const matched = needle
+      ? rows.filter(row => Object.values(row).some(value => value !== null && String(value).toLowerCase().includes(needle)))
+      : rows;
+    if (!sort) return matched;
+    // Nulls last in either direction, as on the server
+    return [...matched].sort((left, right) => {
+      const a = left[sort.column];
+      const b = right[sort.column];
+      if (a === b) return 0;
+      if (a === null || a === undefined) return 1;
+      if (b === null || b === undefined) return -1;
+      const order = compareValues(a, b);
+      return sort.direction === 'desc' ? -order : order;
+    });
+  }, [remote, rows, sort, search]);
+
+  if (remote && remoteRef.current.key !== queryKey) {
+    remoteRef.current = { key: queryKey, pages: new Map(), pending: new Set(), count: null, error: null };
+  }
+  const remoteState = remoteRef.current;
+
+  const rowCount = remote
+    ? (remoteState.count ?? (search ? 0 : rows.length))
+    : localRows.length;
+
+  const firstRow = Math.max(0, Math.floor((scrollTop - HEADER_HEIGHT) / ROW_HEIGHT) - OVERSCAN);
+  const lastRow = Math.min(rowCount, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN);
+
+  // Fetch the pages that cover the rows in view
+  useEffect(() => {
+    if (!remote) return;
+    const state = remoteRef.current;
+    if (state.error) return;
+    const lastPage = Math.floor(Math.max(firstRow, lastRow - 1) / PAGE_SIZE);
+    for (let page = Math.floor(firstRow / PAGE_SIZE); page <= lastPage; page++) {
+      if (state.pages.has(page) || state.pending.has(page)) continue;
+      if (state.count !== null && page * PAGE_SIZE >= state.count) continue;
+
+      state.pending.add(page);
+      apiCall(`/results/${resultId}/rows`, {
+        method: 'POST',
+        body: JSON.stringify({
+          offset: page * PAGE_SIZE,
+          limit: PAGE_SIZE,
+          sort: sort ? [sort] : [],
+          search
+        })
+      })
+        .then((response) => {
+          state.pages.set(page, response.data);
+          state.count = response.matchedRows;
+        })
+        .catch((error) => {
+          if (error.status === 404) setExpired(true);
+          else state.error = error.message;
+        })
+        .finally(() => {
+          state.pending.delete(page);
+          if (remoteRef.current === state) setVersion(version => version + 1);
+        });
+    }
+  }, [remote, resultId, queryKey, firstRow, lastRow]);
+
+  const rowAt = (index) => (
+    remote
+      ? remoteState.pages.get(Math.floor(index / PAGE_SIZE))?.[index % PAGE_SIZE]
+      : localRows[index]
+  );
+
+  const widthOf = (column) => widths[column.name] ?? DEFAULT_WIDTHS[column.type] ?? 180;
+  const totalWidth = INDEX_COLUMN_WIDTH + gridColumns.reduce((sum, column) => sum + widthOf(column), 0);
+
+  // Unsorted → ascending → descending → unsorted
+  const toggleSort = (name) => {
+    setSort((current) => {
+      if (current?.column !== name) return { column: name, direction: 'asc' };
+      return current.direction === 'asc' ? { column: name, direction: 'desc' } : null;
+    });
+  };
+
+  const startResize = (event, column) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const startX = event.clientX;
+    const startWidth = widthOf(column);
+    const onMove = (moveEvent) => {
+      const width = Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+      setWidths(prev => ({ ...prev, [column.name]: width }));
+    };
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+    };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  };
+
+  const visibleRows = [];
+  for (let index = firstRow; index < lastRow; index++) {
+    visibleRows.push(index);
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 flex flex-col h-full min-h-0">
+      <div className="flex items-center justify-between gap-4 px-4 py-2 border-b border-gray-200">
+        <div className="relative">
+          <Search className="w-4 h-4 text-gray-400 absolute left-2 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search rows..."
+            className="pl-8 pr-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </div>
+        <p className="text-xs text-gray-500">
+          {rowCount.toLocaleString()} {search ? 'matching ' : ''}rows
+          {truncated && ` (first ${rows.length.toLocaleString()} of ${totalRows != null ? totalRows.toLocaleString() : 'more'})`}
+          {expired && ' • sorted and searched in the browser'}
+          {remoteState.error && remote && ` • ${remoteState.error}`}
+        </p>
+      </div>
+
+      <div
+        ref={scrollRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className="flex-1 min-h-0 overflow-auto text-sm"
+      >
+        <div style={{ width: totalWidth }}>
+          {/* Header */}
+          <div className="sticky top-0 z-10 flex bg-gray-50 border-b border-gray-200" style={{ height: HEADER_HEIGHT }}>
+            <div className="shrink-0 px-2 flex items-center justify-end text-xs text-gray-400" style={{ width: INDEX_COLUMN_WIDTH }}>#</div>
+            {gridColumns.map(column => (
+              <div
+                key={column.name}
+                onClick={() => toggleSort(column.name)}
+                title={columnTitle(column)}
+                className={`relative shrink-0 px-2 flex items-center gap-1 font-semibold text-gray-700 cursor-pointer select-none hover:bg-gray-100 ${
+                  isNumeric(column) ? 'justify-end' : ''
+                }`}
+                style={{ width: widthOf(column) }}
+              >
+                <span className="truncate">{column.name}</span>
+                {column.masked && <EyeOff className="w-3 h-3 shrink-0 text-gray-400" />}
+                {sort?.column === column.name && (
+                  sort.direction === 'asc'
+                    ? <ArrowUp className="w-3 h-3 shrink-0" />
+                    : <ArrowDown className="w-3 h-3 shrink-0" />
+                )}
+                <span
+                  onMouseDown={(e) => startResize(e, column)}
+                  onClick={(e) => e.stopPropagation()}
+                  className="absolute right-0 top-0 h-full w-1.5 cursor-col-resize hover:bg-purple-300"
+                />
+              </div>
+            ))}
+          </div>
+
+          {/* Body: full height so the scrollbar is right, only visible rows rendered */}
+          <div className="relative" style={{ height: rowCount * ROW_HEIGHT }}>
+            {visibleRows.map((index) => {
+              const row = rowAt(index);
+              return (
+                <div
+                  key={index}
+                  className={`absolute left-0 flex border-b border-gray-100 ${index % 2 ? 'bg-gray-50' : 'bg-white'}`}
+                  style={{ top: index * ROW_HEIGHT, height: ROW_HEIGHT, width: totalWidth }}
+                >
+                  <div className="shrink-0 px-2 flex items-center justify-end text-xs text-gray-400" style={{ width: INDEX_COLUMN_WIDTH }}>
+                    {index + 1}
+                  </div>
+                  {gridColumns.map((column) => {
+                    const value = row?.[column.name];
+                    return (
+                      <div
+                        key={column.name}
+                        className={`shrink-0 px-2 flex items-center overflow-hidden ${isNumeric(column) ? 'justify-end tabular-nums' : ''}`}
+                        style={{ width: widthOf(column) }}
+                      >
+                        {!row ? (
+                          <span className="h-3 w-2/3 rounded bg-gray-100" />
+                        ) : value === null || value === undefined ? (
+                          <span className="text-gray-400 italic">null</span>
+                        ) : (
+                          <span className="truncate" title={String(value)}>{formatValue(value, column)}</span>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResultsGrid;
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { apiCall } from './api';
+import { parseTags } from './tags';
+
+// Save a chat turn (question, SQL, database and chart spec) as a named
+// query. `turn` is { question, query, databaseId, chart }.
+const SaveQueryDialog = ({ turn, onSaved, onClose }) => {
+  const [name, setName] = useState(turn.question?.slice(0, 80) || '');
+  const [tags, setTags] = useState('');
+  const [description, setDescription] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const { savedQuery } = await apiCall('/saved-queries', {
+        method: 'POST',
+        body: JSON.stringify({ ...turn, name, tags: parseTags(tags), description })
+      });
+      onSaved(savedQuery);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 bg-black/30 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl w-[28rem] p-6 space-y-3" onClick={(e) => e.stopPropagation()}>
+        <h3 className="text-lg font-semibold text-gray-800">Save query</h3>
+        <label className="block text-sm text-gray-600">
+          Name
+          <input
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </label>
+        <label className="block text-sm text-gray-600">
+          Tags <span className="text-gray-400">(comma separated)</span>
+          <input
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="sales, weekly"
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </label>
+        <label className="block text-sm text-gray-600">
+          Description
+          <textarea
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            rows={2}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </label>
+        <p className="text-xs text-gray-500">
+          Edit the saved SQL to add parameters such as <code>:start_date</code>; each one gets an input when the query is run.
+        </p>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end gap-2 pt-2">
+          <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-100">Cancel</button>
+          <button
+            onClick={save}
+            disabled={saving || !name.trim()}
+            className="px-4 py-2 rounded-lg text-sm bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving…' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SaveQueryDialog;
@@ -0,0 +1,305 @@
+import React, { useState, useEffect } from 'react';
+import { Search, Play, Pencil, Trash2, Tag, ChevronDown, ChevronRight } from 'lucide-react';
+import { apiCall } from './api';
+import { parseTags } from './tags';
+
+const PARAMETER_TYPES = ['string', 'number', 'date'];
+const INPUT_TYPES = { string: 'text', number: 'number', date: 'date' };
+
+// :name parameters in `sql`, ignoring strings, quoted names, comments and
+// PostgreSQL casts. The server has the final say when the query is saved.
+const detectParameters = (sql) => {
+  const code = sql
+    .replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`/g, ' ')
+    .replace(/--[^\n]*|\/\*[\s\S]*?\*\//g, ' ');
+  const names = [...code.matchAll(/(^|[^:\w]):([A-Za-z_][A-Za-z0-9_$#]*)/g)].map(match => match[2]);
+  return [...new Set(names)];
+};
+
+const initialValues = (saved) => Object.fromEntries(
+  saved.parameters.map(parameter => [parameter.name, parameter.default ?? ''])
+);
+
+// Saved queries (/api/saved-queries) with search and tag filters. Each one
+// expands into inputs for its parameters and runs without the model;
+// onRun(response) receives the /run response. `refreshKey` changes when a
+// query is saved elsewhere.
+const SavedQueries = ({ refreshKey, disabled, onRun }) => {
+  const [queries, setQueries] = useState([]);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [tag, setTag] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [values, setValues] = useState({});
+  const [draft, setDraft] = useState(null);
+  const [status, setStatus] = useState({});
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const fetchQueries = async () => {
+    try {
+      const params = new URLSearchParams();
+      if (search) params.set('search', search);
+      if (tag) params.set('tag', tag);
+      const data = await apiCall(`/saved-queries?${params}`);
+      setQueries(data.savedQueries);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    fetchQueries();
+  }, [search, tag, refreshKey]);
+
+  const allTags = [...new Set(queries.flatMap(saved => saved.tags))].sort((a, b) => a.localeCompare(b));
+
+  const toggle = (saved) => {
+    setDraft(null);
+    if (expanded === saved.id) {
+      setExpanded(null);
+      return;
+    }
+    setExpanded(saved.id);
+    setValues(prev => ({ [saved.id]: initialValues(saved), ...prev }));
+  };
+
+  const setValue = (saved, name, value) => {
+    setValues(prev => ({ ...prev, [saved.id]: { ...prev[saved.id], [name]: value } }));
+  };
+
+  const run = async (saved) => {
+    setStatus(prev => ({ ...prev, [saved.id]: { running: true } }));
+    try {
+      const response = await apiCall(`/saved-queries/${saved.id}/run`, {
+        method: 'POST',
+        body: JSON.stringify({ params: values[saved.id] || initialValues(saved) })
+      });
+      const rows = response.truncated
+        ? `First ${response.data.length.toLocaleString()} of ${response.totalRows != null ? response.totalRows.toLocaleString() : 'more'} rows`
+        : `${response.data.length.toLocaleString()} rows`;
+      setStatus(prev => ({ ...prev, [saved.id]: { message: rows } }));
+      onRun(response);
+    } catch (err) {
+      setStatus(prev => ({ ...prev, [saved.id]: { error: err.message } }));
+    }
+  };
+
+  const remove = async (saved) => {
+    if (!window.confirm(`Delete the saved query "${saved.name}"?`)) return;
+    try {
+      await apiCall(`/saved-queries/${saved.id}`, { method: 'DELETE' });
+      if (expanded === saved.id) setExpanded(null);
+      fetchQueries();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const startEdit = (saved) => {
+    setExpanded(saved.id);
+    setDraft({
+      id: saved.id,
+      name: saved.name,
+      tags: saved.tags.join(', '),
+      description: saved.description || '',
+      query: saved.query,
+      parameters: saved.parameters,
+      error: null
+    });
+  };
+
+  // Definitions for the parameters the draft SQL uses, keeping what was set
+  const draftParameters = () => detectParameters(draft.query).map(name => (
+    draft.parameters.find(parameter => parameter.name === name) || { name, type: 'string', label: name, default: null }
+  ));
+
+  const updateParameter = (name, change) => {
+    setDraft(prev => ({
+      ...prev,
+      parameters: [
+        ...prev.parameters.filter(parameter => parameter.name !== name),
+        { ...draftParameters().find(parameter => parameter.name === name), ...change }
+      ]
+    }));
+  };
+
+  const saveEdit = async () => {
+    try {
+      const { savedQuery } = await apiCall(`/saved-queries/${draft.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({
+          name: draft.name,
+          tags: parseTags(draft.tags),
+          description: draft.description,
+          query: draft.query,
+          parameters: draftParameters()
+        })
+      });
+      setDraft(null);
+      setValues(prev => ({ ...prev, [savedQuery.id]: initialValues(savedQuery) }));
+      fetchQueries();
+    } catch (err) {
+      setDraft(prev => ({ ...prev, error: err.message }));
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded text-xs focus:outline-none focus:ring-2 focus:ring-purple-500';
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      <div className="p-4 border-b border-gray-200 space-y-2">
+        <div className="relative">
+          <Search className="w-4 h-4 text-gray-400 absolute left-2 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search saved queries..."
+            className="w-full pl-8 pr-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </div>
+        {(allTags.length > 0 || tag) && (
+          <div className="flex flex-wrap gap-1">
+            {(tag && !allTags.includes(tag) ? [tag, ...allTags] : allTags).map(name => (
+              <button
+                key={name}
+                onClick={() => setTag(tag === name ? null : name)}
+                className={`px-2 py-0.5 rounded-full text-xs flex items-center gap-1 ${
+                  tag === name ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-600 hover:bg-gray-300'
+                }`}
+              >
+                <Tag className="w-3 h-3" />
+                {name}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-1">
+        {error && <p className="px-2 text-xs text-red-600">{error}</p>}
+        {queries.length === 0 && !error && (
+          <p className="px-2 py-4 text-xs text-gray-400 text-center">
+            {search || tag ? 'No saved queries match' : 'Save a query from the SQL panel to reuse it here'}
+          </p>
+        )}
+        {queries.map(saved => (
+          <div key={saved.id} className={`rounded-lg text-sm ${expanded === saved.id ? 'bg-white border border-gray-200' : 'hover:bg-gray-100'}`}>
+            <div className="group flex items-start gap-1 px-2 py-2">
+              <button onClick={() => toggle(saved)} className="flex-1 min-w-0 text-left flex items-start gap-1">
+                {expanded === saved.id
+                  ? <ChevronDown className="w-3.5 h-3.5 mt-0.5 shrink-0 text-gray-400" />
+                  : <ChevronRight className="w-3.5 h-3.5 mt-0.5 shrink-0 text-gray-400" />}
+                <span className="min-w-0">
+                  <span className="block truncate font-medium text-gray-700">{saved.name}</span>
+                  {saved.tags.length > 0 && (
+                    <span className="block truncate text-xs text-gray-400">{saved.tags.join(' · ')}</span>
+                  )}
+                </span>
+              </button>
+              <div className="hidden group-hover:flex items-center">
+                <button onClick={() => startEdit(saved)} title="Edit" className="p-1 text-gray-400 hover:text-gray-700">
+                  <Pencil className="w-3.5 h-3.5" />
+                </button>
+                <button onClick={() => remove(saved)} title="Delete" className="p-1 text-gray-400 hover:text-red-600">
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            </div>
+
+            {expanded === saved.id && !draft && (
+              <div className="px-3 pb-3 space-y-2">
+                {saved.description && <p className="text-xs text-gray-500">{saved.description}</p>}
+                {saved.parameters.map(parameter => (
+                  <label key={parameter.name} className="block text-xs text-gray-600">
+                    {parameter.label}
+                    <input
+                      type={INPUT_TYPES[parameter.type] || 'text'}
+                      value={values[saved.id]?.[parameter.name] ?? ''}
+                      onChange={(e) => setValue(saved, parameter.name, e.target.value)}
+                      className={`mt-0.5 ${inputClass}`}
+                    />
+                  </label>
+                ))}
+                <button
+                  onClick={() => run(saved)}
+                  disabled={disabled || status[saved.id]?.running}
+                  className="w-full px-3 py-1.5 rounded-lg bg-purple-600 text-white text-xs font-medium flex items-center justify-center gap-1 hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Play className="w-3.5 h-3.5" />
+                  {status[saved.id]?.running ? 'Running…' : 'Run'}
+                </button>
+                {status[saved.id]?.message && <p className="text-xs text-gray-500">{status[saved.id].message}</p>}
+                {status[saved.id]?.error && <p className="text-xs text-red-600">{status[saved.id].error}</p>}
+              </div>
+            )}
+
+            {expanded === saved.id && draft?.id === saved.id && (
+              <div className="px-3 pb-3 space-y-2 text-xs text-gray-600">
+                <label className="block">
+                  Name
+                  <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className={`mt-0.5 ${inputClass}`} />
+                </label>
+                <label className="block">
+                  Tags
+                  <input value={draft.tags} onChange={(e) => setDraft({ ...draft, tags: e.target.value })} className={`mt-0.5 ${inputClass}`} />
+                </label>
+                <label className="block">
+                  Description
+                  <input value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} className={`mt-0.5 ${inputClass}`} />
+                </label>
+                <label className="block">
+                  SQL <span className="text-gray-400">(:name adds a parameter)</span>
+                  <textarea
+                    value={draft.query}
+                    onChange={(e) => setDraft({ ...draft, query: e.target.value })}
+                    rows={6}
+                    className={`mt-0.5 font-mono ${inputClass}`}
+                  />
+                </label>
+                {draftParameters().map(parameter => (
+                  <div key={parameter.name} className="flex items-center gap-1">
+                    <code className="flex-1 min-w-0 truncate">:{parameter.name}</code>
+                    <select
+                      value={parameter.type}
+                      onChange={(e) => updateParameter(parameter.name, { type: e.target.value, default: null })}
+                      className="px-1 py-1 border border-gray-300 rounded text-xs"
+                    >
+                      {PARAMETER_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                    <input
+                      type={INPUT_TYPES[parameter.type]}
+                      value={parameter.default ?? ''}
+                      onChange={(e) => updateParameter(parameter.name, { default: e.target.value || null })}
+                      placeholder="default"
+                      className="w-24 px-1 py-1 border border-gray-300 rounded text-xs"
+                    />
+                  </div>
+                ))}
+                {draft.error && <p className="text-red-600">{draft.error}</p>}
+                <div className="flex justify-end gap-1">
+                  <button onClick={() => setDraft(null)} className="px-3 py-1 rounded text-gray-600 hover:bg-gray-100">Cancel</button>
+                  <button
+                    onClick={saveEdit}
+                    disabled={!draft.name.trim() || !draft.query.trim()}
+                    className="px-3 py-1 rounded bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50"
+                  >
+                    Save
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SavedQueries;
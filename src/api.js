@@ -0,0 +1,93 @@
+// src/api.js - Calls to the backend API
+import { sessionToken } from './auth';
+
+// API configuration
+export const API_BASE = '/api';
+
+// Called when the server turns a request away for want of a valid
+// session, so the app can show the login screen
+let onUnauthorized = () => {};
+
+export const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler;
+};
+
+const authHeaders = () => {
+  const token = sessionToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+const checkSession = (response, endpoint) => {
+  if (response.status === 401 && !endpoint.startsWith('/auth/')) {
+    onUnauthorized();
+  }
+};
+
+// API helper functions. Failed requests throw an Error carrying the HTTP
+// status.
+export const apiCall = async (endpoint, options = {}) => {
+  try {
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+        ...options.headers
+      }
+    });
+
+    if (!response.ok) {
+      checkSession(response, endpoint);
+      const error = await response.json().catch(() => ({}));
+      throw Object.assign(new Error(error.error || 'API request failed'), { status: response.status });
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('API Error:', error);
+    throw error;
+  }
+};
+
+// POST to a Server-Sent Events endpoint and call onEvent(event, data) for
+// each event as it arrives. Resolves when the server closes the stream.
+export const streamCall = async (endpoint, body, onEvent, signal) => {
+  const response = await fetch(`${API_BASE}${endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    checkSession(response, endpoint);
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || 'API request failed');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const dataLines = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+      }
+      if (dataLines.length > 0) {
+        onEvent(event, JSON.parse(dataLines.join('\n')));
+      }
+    }
+  }
+};
@@ -0,0 +1,84 @@
+// src/auth.js - The signed-in session, and single sign-on redirects
+//
+// The session ({ token, expiresAt, user }) from /api/auth/login or
+// /api/auth/oidc/callback is kept in localStorage, so new tabs stay signed
+// in until it expires. For single sign-on the browser goes to the identity
+// provider with a PKCE challenge and comes back to this page with a code;
+// the verifier waits in sessionStorage meanwhile.
+
+const SESSION_KEY = 'analytics.session';
+const SIGN_ON_KEY = 'analytics.signOn';
+
+export const loadSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (session?.token && new Date(session.expiresAt) > new Date()) return session;
+  } catch {
+    // Unreadable; treated as signed out
+  }
+  localStorage.removeItem(SESSION_KEY);
+  return null;
+};
+
+export const saveSession = (session) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+export const sessionToken = () => loadSession()?.token || null;
+
+const randomString = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const challengeFor = async (verifier) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return btoa(String.fromCharCode(...new Uint8Array(digest))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// The page the provider sends the browser back to
+const redirectUri = () => `${window.location.origin}${window.location.pathname}`;
+
+// Go to the provider's sign-in page; `provider` is the oidc block of
+// /api/auth/config
+export const startSingleSignOn = async ({ authorizationEndpoint, clientId, scope }) => {
+  const attempt = { verifier: randomString(), state: randomString(), nonce: randomString() };
+  sessionStorage.setItem(SIGN_ON_KEY, JSON.stringify(attempt));
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri(),
+    scope,
+    state: attempt.state,
+    nonce: attempt.nonce,
+    code_challenge: await challengeFor(attempt.verifier),
+    code_challenge_method: 'S256'
+  }).toString();
+  window.location.assign(url.toString());
+};
+
+// The body for /api/auth/oidc/callback when the page was opened by the
+// provider's redirect, else null. Throws when the provider reported an
+// error or the redirect does not belong to the sign-in started here.
+export const finishSingleSignOn = () => {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('code') && !params.has('error')) return null;
+
+  const attempt = JSON.parse(sessionStorage.getItem(SIGN_ON_KEY) || 'null');
+  sessionStorage.removeItem(SIGN_ON_KEY);
+  window.history.replaceState(null, '', redirectUri());
+
+  if (params.has('error')) {
+    throw new Error(params.get('error_description') || params.get('error'));
+  }
+  if (!attempt || attempt.state !== params.get('state')) {
+    throw new Error('This sign-in was not started here; please try again');
+  }
+  return { code: params.get('code'), codeVerifier: attempt.verifier, redirectUri: redirectUri(), nonce: attempt.nonce };
+};
@@ -0,0 +1,164 @@
+// src/exporters.js - Downloads of result rows and charts from the browser
+//
+// These work on the rows the browser already holds (at most the query's
+// maxRows). Whole results go through /api/results/:id/export instead.
+import { apiCall } from './api';
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Result columns, or the keys of the first row when there is no metadata
+const columnsOf = (rows, columns) => (
+  columns?.length ? columns : Object.keys(rows[0] || {}).map(name => ({ name, type: 'string' }))
+);
+
+// Text a spreadsheet would run as a formula gets a leading quote, as in the
+// server's CSV export
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value, column) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'string' ? value : String(value);
+  if (typeof value === 'string' && column?.type !== 'number' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const exportCsv = (rows, columns, filename) => {
+  const cols = columnsOf(rows, columns);
+  const lines = [
+    cols.map(column => csvCell(column.name)).join(','),
+    ...rows.map(row => cols.map(column => csvCell(row[column.name], column)).join(','))
+  ];
+  // The byte order mark makes Excel read the file as UTF-8
+  downloadBlob(new Blob([`\uFEFF${lines.join('\r\n')}\r\n`], { type: 'text/csv;charset=utf-8' }), filename);
+};
+
+export const exportJson = (rows, columns, filename) => {
+  const body = JSON.stringify({ columns: columnsOf(rows, columns), rows }, null, 2);
+  downloadBlob(new Blob([body], { type: 'application/json' }), filename);
+};
+
+const XLSX_FORMATS = {
+  date: 'yyyy-mm-dd',
+  timestamp: 'yyyy-mm-dd hh:mm:ss'
+};
+
+// Calendar dates become UTC midnight so no timezone moves them
+const xlsxValue = (value, column) => {
+  if (value === null || value === undefined) return null;
+  if (column.type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+  if (column.type === 'timestamp' && typeof value === 'string') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date;
+  }
+  return value;
+};
+
+// exceljs is large, so it loads on the first XLSX export
+export const exportXlsx = async (rows, columns, filename) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const cols = columnsOf(rows, columns);
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Results', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = cols.map(column => ({
+    header: column.name,
+    key: column.name,
+    width: Math.min(Math.max(column.name.length + 2, column.type === 'timestamp' ? 20 : 12), 50),
+    style: XLSX_FORMATS[column.type] ? { numFmt: XLSX_FORMATS[column.type] } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  for (const row of rows) {
+    sheet.addRow(cols.map(column => xlsxValue(row[column.name], column)));
+  }
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  downloadBlob(new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), filename);
+};
+
+// Let the browser download the whole result from the server. A plain link
+// sends no Authorization header, so the server first issues a single-use
+// link for it.
+export const exportFullResult = async (resultId, format) => {
+  const { url } = await apiCall(`/results/${encodeURIComponent(resultId)}/export-link`, {
+    method: 'POST',
+    body: JSON.stringify({ format })
+  });
+  const link = document.createElement('a');
+  link.href = url;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+// Standalone SVG markup for a rendered Recharts chart, on a white
+// background so it reads outside the page
+const chartSvg = (svg) => {
+  const { width, height } = svg.getBoundingClientRect();
+  const copy = svg.cloneNode(true);
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  copy.setAttribute('width', width);
+  copy.setAttribute('height', height);
+  copy.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  copy.style.fontFamily = getComputedStyle(svg).fontFamily;
+
+  const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', '#ffffff');
+  copy.insertBefore(background, copy.firstChild);
+
+  return { markup: new XMLSerializer().serializeToString(copy), width, height };
+};
+
+// The chart's <svg> inside `container` (the element around the
+// ResponsiveContainer)
+const findChart = (container) => {
+  const svg = container?.querySelector('svg.recharts-surface');
+  if (!svg) throw new Error('There is no chart to export');
+  return svg;
+};
+
+export const exportChartSvg = (container, filename) => {
+  const { markup } = chartSvg(findChart(container));
+  downloadBlob(new Blob([markup], { type: 'image/svg+xml' }), filename);
+};
+
+// Draw the SVG onto a canvas at device resolution (at least 2x)
+export const exportChartPng = async (container, filename) => {
+  const { markup, width, height } = chartSvg(findChart(container));
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('The chart could not be drawn'));
+      image.src = url;
+    });
+
+    const scale = Math.max(window.devicePixelRatio || 1, 2);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    downloadBlob(blob, filename);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
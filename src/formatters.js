@@ -0,0 +1,57 @@
+// src/formatters.js - Display formatting for query result values
+//
+// Values arrive serialised by column type (server/connectors/columns.js):
+// numbers as numbers, dates as YYYY-MM-DD, timestamps as ISO-8601 strings
+// and binary values as base64.
+
+// YYYY-MM-DD is a calendar date; new Date() would read it as UTC midnight
+// and show the previous day west of Greenwich
+const parseDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+};
+
+const numberFormats = new Map();
+
+// Scale from the column metadata fixes the decimals; otherwise up to two
+const numberFormat = (scale) => {
+  const key = scale ?? 'auto';
+  if (!numberFormats.has(key)) {
+    numberFormats.set(key, new Intl.NumberFormat(undefined, scale != null && scale >= 0 && scale <= 20
+      ? { minimumFractionDigits: scale, maximumFractionDigits: scale }
+      : { maximumFractionDigits: 2 }));
+  }
+  return numberFormats.get(key);
+};
+
+// Text for one value of `column` ({ type, scale }); '' for null
+export const formatValue = (value, column) => {
+  if (value === null || value === undefined) return '';
+  switch (column?.type) {
+    case 'number':
+      return typeof value === 'number' ? numberFormat(column.scale).format(value) : String(value);
+    case 'date': {
+      const date = parseDate(String(value));
+      return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleDateString();
+    }
+    case 'timestamp': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+    }
+    case 'boolean':
+      return value ? 'Yes' : 'No';
+    case 'binary':
+      return `(${Math.floor(String(value).length * 3 / 4).toLocaleString()} bytes)`;
+    default:
+      return typeof value === 'number' ? value.toLocaleString() : String(value);
+  }
+};
+
+// Order two non-null values the way the server's result sort does
+export const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+export const isNumeric = (column) => column?.type === 'number';
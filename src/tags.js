@@ -0,0 +1,4 @@
+// src/tags.js - Saved query tags
+
+// Tags typed as "sales, weekly"
+export const parseTags = (text) => text.split(',').map(tag => tag.trim()).filter(Boolean);
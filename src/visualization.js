@@ -0,0 +1,181 @@
+// src/visualization.js - Chart configs for result rows
+//
+// buildVisualization() turns the chart spec the server suggests (or that
+// was saved with a query or dashboard widget) into the config the chart
+// renderers in App.jsx and ChartPreview.jsx draw.
+
+// Sort result columns by the logical types the server reports (number,
+// string, date, timestamp, boolean, binary). Results without column
+// metadata only tell numbers apart.
+export const groupColumns = (data, columns) => {
+  const keys = Object.keys(data[0] || {});
+  const types = new Map((columns || []).map(column => [column.name, column.type]));
+  const typeOf = (key) => types.get(key) || (typeof data[0][key] === 'number' ? 'number' : 'string');
+
+  return {
+    keys,
+    numberKeys: keys.filter(key => typeOf(key) === 'number'),
+    timeKeys: keys.filter(key => ['date', 'timestamp'].includes(typeOf(key))),
+    categoryKeys: keys.filter(key => ['string', 'boolean'].includes(typeOf(key)))
+  };
+};
+
+// Turn a chart suggestion from the server into the config the renderer
+// uses, picking columns by their types when there is no usable suggestion
+export const buildVisualization = (data, viz, columns) => {
+  if (!data || data.length === 0) {
+    return null;
+  }
+
+  const { keys, numberKeys, timeKeys, categoryKeys } = groupColumns(data, columns);
+  const defaultX = timeKeys[0] || categoryKeys[0] || keys[0];
+  const defaultValue = numberKeys.find(key => key !== defaultX) || keys[1];
+
+  if (viz) {
+    const colors = [
+      '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', 
+      '#3b82f6', '#ec4899', '#14b8a6', '#f97316',
+      '#8b5cf6', '#a855f7', '#06b6d4', '#84cc16'
+    ];
+    
+    const baseViz = {
+      type: viz.type || 'line',
+      data: data,
+      title: viz.title || 'Query Results',
+      columns: columns || null,
+      xKey: viz.xKey || defaultX,
+      yKey: viz.yKey || defaultValue
+    };
+
+    // Type-specific configuration
+    if (viz.type === 'scatter') {
+      return {
+        ...baseViz,
+        xKey: viz.xKey || numberKeys[0] || keys[0],
+        yKey: viz.yKey || numberKeys[1] || keys[1],
+        zKey: viz.zKey, // Optional third dimension for bubble size
+        scatterSeries: viz.scatterSeries || [{
+          name: viz.name || 'Data Points',
+          color: colors[0],
+          shape: 'circle'
+        }]
+      };
+    } else if (viz.type === 'donut' || viz.type === 'pie') {
+      return {
+        ...baseViz,
+        type: 'donut',
+        nameKey: viz.nameKey || categoryKeys[0] || keys[0],
+        valueKey: viz.valueKey || defaultValue,
+        colors: colors
+      };
+    } else if (viz.type === 'line') {
+      return {
+        ...baseViz,
+        lines: viz.yKeys ? viz.yKeys.map((key, idx) => ({
+          key: key,
+          color: colors[idx % colors.length],
+          name: key.replace(/_/g, ' ').toUpperCase(),
+          strokeWidth: 2,
+          dot: { r: 4 },
+          activeDot: { r: 6 }
+        })) : [{ 
+          key: defaultValue, 
+          color: colors[0], 
+          name: 'Value',
+          strokeWidth: 2,
+          dot: { r: 4 },
+          activeDot: { r: 6 }
+        }]
+      };
+    } else if (viz.type === 'bar') {
+      return {
+        ...baseViz,
+        bars: viz.yKeys ? viz.yKeys.map((key, idx) => ({
+          key: key,
+          color: colors[idx % colors.length],
+          name: key.replace(/_/g, ' ').toUpperCase()
+        })) : [{
+          key: defaultValue,
+          color: colors[0],
+          name: 'Value'
+        }]
+      };
+    }
+  }
+
+  // Fallback: choose the chart from the column types
+  const xKey = defaultX;
+  const seriesKeys = numberKeys.filter(key => key !== xKey);
+
+  const colors = [
+    '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', 
+    '#3b82f6', '#ec4899', '#14b8a6', '#f97316'
+  ];
+
+  // A few categories against one measure read best as a donut, several
+  // measures with nothing to group them by as a scatter
+  const shouldUseDonut = timeKeys.length === 0 && categoryKeys.length > 0 &&
+                        data.length <= 10 && seriesKeys.length === 1;
+  
+  const shouldUseScatter = timeKeys.length === 0 && categoryKeys.length === 0 &&
+                          numberKeys.length >= 2 && data.length >= 10;
+
+  if (shouldUseDonut) {
+    return {
+      type: 'donut',
+      data: data,
+      columns: columns || null,
+      title: 'Distribution Analysis',
+      nameKey: xKey,
+      valueKey: seriesKeys[0],
+      colors: colors
+    };
+  } else if (shouldUseScatter) {
+    return {
+      type: 'scatter',
+      data: data,
+      columns: columns || null,
+      title: 'Correlation Analysis',
+      xKey: numberKeys[0],
+      yKey: numberKeys[1],
+      zKey: numberKeys[2], // Optional
+      scatterSeries: [{
+        name: 'Data Points',
+        color: colors[0],
+        shape: 'circle'
+      }]
+    };
+  }
+
+  // Categories compare as bars; time and sequences trend as lines
+  if (timeKeys.length === 0 && categoryKeys.length > 0) {
+    return {
+      type: 'bar',
+      data: data,
+      columns: columns || null,
+      title: 'Query Results',
+      xKey: xKey,
+      bars: seriesKeys.map((key, idx) => ({
+        key: key,
+        color: colors[idx % colors.length],
+        name: key.replace(/_/g, ' ').toUpperCase()
+      }))
+    };
+  }
+
+  return {
+    type: 'line',
+    data: data,
+    columns: columns || null,
+    title: 'Query Results',
+    xKey: xKey,
+    lines: seriesKeys.map((key, idx) => ({
+      key: key,
+      color: colors[idx % colors.length],
+      name: key.replace(/_/g, ' ').toUpperCase(),
+      strokeWidth: 2,
+      dot: { r: 4 },
+      activeDot: { r: 6 }
+    }))
+  };
+};
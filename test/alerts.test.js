@@ -0,0 +1,104 @@
+// test/alerts.test.js - Alert rules on scheduled query results
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlertError, checkAlert, evaluateAlert } = require('../server/scheduler/alerts');
+
+const days = (...totals) => totals.map((total, idx) => ({ DAY: `2026-03-0${idx + 1}`, TOTAL_SALES: total }));
+
+test('normalises rules and fills in change defaults', () => {
+  assert.equal(checkAlert(null), null);
+  assert.equal(checkAlert(undefined), null);
+  assert.deepEqual(checkAlert({ type: 'threshold', column: ' TOTAL ', operator: '<', value: 1000, extra: true }), {
+    type: 'threshold', column: 'TOTAL', operator: '<', value: 1000
+  });
+  assert.deepEqual(checkAlert({ type: 'change', column: 'TOTAL', percent: 20 }), {
+    type: 'change', column: 'TOTAL', window: 7, direction: 'drop', percent: 20
+  });
+});
+
+test('rejects malformed rules', () => {
+  const check = (alert, pattern) => assert.throws(
+    () => checkAlert(alert),
+    (error) => error instanceof AlertError && error.statusCode === 400 && pattern.test(error.message)
+  );
+
+  check([], /alert must be a rule object or null/);
+  check({ type: 'threshold', operator: '<', value: 1 }, /alert\.column must name a result column/);
+  check({ type: 'threshold', column: 'T', operator: '<>', value: 1 }, /alert\.operator must be one of < <= > >= = !=/);
+  check({ type: 'threshold', column: 'T', operator: '<', value: '1' }, /alert\.value must be a number/);
+  check({ type: 'change', column: 'T', percent: 20, window: 0 }, /alert\.window must be a whole number of rows from 1 to 366/);
+  check({ type: 'change', column: 'T', percent: 20, window: 2.5 }, /alert\.window/);
+  check({ type: 'change', column: 'T', percent: 20, direction: 'down' }, /alert\.direction must be one of drop, rise, any/);
+  check({ type: 'change', column: 'T', percent: 0 }, /alert\.percent must be a positive number/);
+  check({ type: 'spike', column: 'T' }, /alert\.type must be "threshold" or "change"/);
+});
+
+test('compares the last row with a threshold', () => {
+  const below = checkAlert({ type: 'threshold', column: 'total_sales', operator: '<', value: 1000 });
+
+  assert.deepEqual(evaluateAlert(below, days(5000, 999.5)), {
+    triggered: true, message: 'total_sales is 999.5 < 1,000', value: 999.5, baseline: 1000
+  });
+  assert.deepEqual(evaluateAlert(below, days(500, 1000)), {
+    triggered: false, message: 'total_sales is 1,000, not < 1,000', value: 1000, baseline: 1000
+  });
+  // Drivers return some numeric types as strings
+  assert.equal(evaluateAlert(below, [{ TOTAL_SALES: '12.5' }]).triggered, true);
+  assert.equal(evaluateAlert({ ...below, operator: '!=', value: 3 }, days(3)).triggered, false);
+});
+
+test('fires when a daily total drops 20% below its 7-day average', () => {
+  const alert = checkAlert({ type: 'change', column: 'TOTAL_SALES', window: 7, direction: 'drop', percent: 20 });
+
+  // Only the 7 rows before the last count: the 9000 is outside the window
+  const dropped = evaluateAlert(alert, [{ TOTAL_SALES: 9000 }, ...days(900, 1000, 1100, 1000, 950, 1050, 1000, 800)]);
+  assert.deepEqual(dropped, {
+    triggered: true,
+    message: 'TOTAL_SALES is 800, 20% below the 7-row average of 1,000',
+    value: 800,
+    baseline: 1000
+  });
+
+  const steady = evaluateAlert(alert, days(1000, 1000, 1000, 1000, 1000, 1000, 1000, 801));
+  assert.equal(steady.triggered, false);
+  assert.equal(steady.message, 'TOTAL_SALES is 801, 19.9% below the 7-row average of 1,000');
+
+  const risen = days(1000, 1000, 1000, 1000, 1000, 1000, 1000, 1500);
+  assert.equal(evaluateAlert(alert, risen).triggered, false);
+  assert.equal(evaluateAlert({ ...alert, direction: 'rise' }, risen).triggered, true);
+  assert.equal(evaluateAlert({ ...alert, direction: 'any' }, risen).triggered, true);
+  assert.equal(evaluateAlert({ ...alert, direction: 'rise' }, days(1000, 1000, 1000, 1000, 1000, 1000, 1000, 500)).triggered, false);
+});
+
+test('does not fire when there is too little to compare', () => {
+  const alert = checkAlert({ type: 'change', column: 'TOTAL_SALES', window: 7, percent: 20 });
+
+  assert.deepEqual(evaluateAlert(alert, days(1000, 1000, 1000, 1000, 1000, 1000, 100)), {
+    triggered: false,
+    message: 'Needs 7 earlier rows of TOTAL_SALES to compare with, found 6',
+    value: 100,
+    baseline: null
+  });
+  // Rows without a number do not count towards the window
+  const gaps = [...days(1000, null, 1000, 1000, 1000, 1000, 1000), { TOTAL_SALES: 'n/a' }, { TOTAL_SALES: 100 }];
+  assert.match(evaluateAlert(alert, gaps).message, /found 5$/);
+
+  assert.deepEqual(evaluateAlert(alert, []), {
+    triggered: false, message: 'No numeric TOTAL_SALES in the last row', value: null, baseline: null
+  });
+  assert.equal(evaluateAlert(alert, [{ OTHER: 1 }]).message, 'No numeric TOTAL_SALES in the last row');
+});
+
+test('does not fire against a zero baseline', () => {
+  const alert = checkAlert({ type: 'change', column: 'TOTAL_SALES', window: 3, direction: 'any', percent: 10 });
+
+  assert.deepEqual(evaluateAlert(alert, days(0, 0, 0, 500)), {
+    triggered: false,
+    message: 'The 3-row average of TOTAL_SALES is 0',
+    value: 500,
+    baseline: 0
+  });
+  // A negative baseline still compares by size
+  assert.equal(evaluateAlert({ ...alert, direction: 'drop' }, days(-100, -100, -100, -150)).message,
+    'TOTAL_SALES is -150, 50% below the 3-row average of -100');
+});
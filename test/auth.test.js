@@ -0,0 +1,185 @@
+// test/auth.test.js - Session and provider tokens, and what roles allow
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateKeyPairSync, sign } = require('crypto');
+const { TokenError, signToken, verifyToken, verifyProviderToken } = require('../server/auth/tokens');
+const { Access, AccessError } = require('../server/auth/access');
+const { Authenticator } = require('../server/auth');
+const { validateReadOnlyQuery } = require('../server/sql/guard');
+
+const SECRET = '0123456789abcdef0123456789abcdef';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const rejectsToken = (fn, message) => assert.throws(fn, error => error instanceof TokenError && message.test(error.message));
+
+test('verifies session tokens it signed and nothing else', () => {
+  const token = signToken({ sub: 'u1' }, SECRET, 60);
+  assert.equal(verifyToken(token, SECRET).sub, 'u1');
+
+  const [header, payload] = token.split('.');
+  rejectsToken(() => verifyToken(token, 'another-secret-another-secret-00'), /signature/);
+  rejectsToken(() => verifyToken(`${header}.${encode({ sub: 'admin', exp: 9999999999 })}.${token.split('.')[2]}`, SECRET), /signature/);
+  rejectsToken(() => verifyToken(`${encode({ alg: 'none', typ: 'JWT' })}.${payload}.`, SECRET), /algorithm none/);
+  rejectsToken(() => verifyToken(signToken({ sub: 'u1' }, SECRET, -120), SECRET), /expired/);
+  rejectsToken(() => verifyToken('not-a-token', SECRET), /Malformed/);
+  rejectsToken(() => verifyToken(token, SECRET, { issuer: 'https://idp.example.com' }), /issued by someone else/);
+});
+
+test('verifies provider tokens against the key set', async () => {
+  const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const keySet = { get: async kid => (kid === 'k1' ? publicKey : Promise.reject(new TokenError(`Unknown signing key "${kid}"`))) };
+  const now = Math.floor(Date.now() / 1000);
+  const issue = (header, claims) => {
+    const signed = `${encode(header)}.${encode(claims)}`;
+    return `${signed}.${sign('sha256', Buffer.from(signed), privateKey).toString('base64url')}`;
+  };
+  const claims = { sub: 'alice', iss: 'https://idp', aud: 'app', exp: now + 60 };
+  const expected = { issuer: 'https://idp', audience: 'app' };
+
+  assert.equal((await verifyProviderToken(issue({ alg: 'RS256', kid: 'k1' }, claims), keySet, expected)).sub, 'alice');
+  await assert.rejects(verifyProviderToken(issue({ alg: 'RS256', kid: 'k1' }, { ...claims, aud: 'other' }), keySet, expected), /another audience/);
+  await assert.rejects(verifyProviderToken(issue({ alg: 'RS256', kid: 'k2' }, claims), keySet, expected), /Unknown signing key/);
+  await assert.rejects(verifyProviderToken(`${encode({ alg: 'HS256', kid: 'k1' })}.${encode(claims)}.x`, keySet, expected), /algorithm HS256/);
+
+  const token = issue({ alg: 'RS256', kid: 'k1' }, claims);
+  const forged = `${token.split('.')[0]}.${encode({ ...claims, sub: 'admin' })}.${token.split('.')[2]}`;
+  await assert.rejects(verifyProviderToken(forged, keySet, expected), /signature/);
+});
+
+const ROLES = {
+  admin: { databases: ['*'], manageUsers: true },
+  analyst: { databases: ['*'], hiddenColumns: { '*': ['CUSTOMERS.EMAIL'] } },
+  sales: { databases: ['db1'], hiddenTables: { '*': ['CUSTOMERS'] } }
+};
+
+const db1 = {
+  id: 'db1',
+  type: 'sqlite',
+  tables: [
+    { name: 'SALES', columns: [{ name: 'ID' }, { name: 'CUSTOMER_ID' }] },
+    { name: 'CUSTOMERS', columns: [{ name: 'ID' }, { name: 'NAME' }, { name: 'EMAIL' }] }
+  ]
+};
+
+test('grants the databases of any role', () => {
+  const sales = new Access(['sales'], ROLES);
+  assert.equal(sales.canQuery('db1'), true);
+  assert.equal(sales.canQuery('db2'), false);
+  assert.throws(() => sales.checkDatabase('db2'), AccessError);
+  assert.equal(sales.manageUsers, false);
+  assert.equal(new Access(['admin'], ROLES).manageUsers, true);
+  assert.equal(new Access([], ROLES).canQuery('db1'), false);
+  assert.equal(new Access(['unknown-role'], ROLES).canQuery('db1'), false);
+  assert.equal(new Access([], {}, { unrestricted: true }).canQuery('db2'), true);
+});
+
+test('hides a table or column only when every granting role hides it', () => {
+  const tablesFor = roles => new Access(roles, ROLES).restrictTables('db1', db1.tables)
+    .map(table => `${table.name}(${table.columns.map(column => column.name).join(',')})`);
+
+  assert.deepEqual(tablesFor(['sales']), ['SALES(ID,CUSTOMER_ID)']);
+  assert.deepEqual(tablesFor(['analyst']), ['SALES(ID,CUSTOMER_ID)', 'CUSTOMERS(ID,NAME)']);
+  // sales hides the table, analyst only the column: EMAIL stays hidden
+  assert.deepEqual(tablesFor(['sales', 'analyst']), ['SALES(ID,CUSTOMER_ID)', 'CUSTOMERS(ID,NAME)']);
+  assert.deepEqual(tablesFor(['sales', 'admin']), ['SALES(ID,CUSTOMER_ID)', 'CUSTOMERS(ID,NAME,EMAIL)']);
+});
+
+test('adds hidden tables and columns to the query policy', () => {
+  const policy = new Access(['sales', 'analyst'], ROLES).restrictDatabase(db1).queryPolicy;
+  assert.deepEqual(policy.deniedTables, []);
+  assert.deepEqual(policy.deniedColumns, ['CUSTOMERS.EMAIL']);
+  assert.deepEqual(new Access(['sales'], ROLES).restrictDatabase(db1).queryPolicy.deniedTables, ['CUSTOMERS']);
+  assert.throws(() => new Access(['sales'], ROLES).restrictDatabase({ ...db1, id: 'db2' }), AccessError);
+});
+
+test('keeps hidden tables and columns out of queries that name them in parentheses', () => {
+  const rejects = (roles, query, rule) => assert.throws(
+    () => validateReadOnlyQuery(query, new Access(roles, ROLES).restrictDatabase(db1)),
+    error => error.rule === rule
+  );
+  rejects(['sales'], 'SELECT NAME, EMAIL FROM (CUSTOMERS)', 'denied_table');
+  rejects(['sales'], 'SELECT c.NAME FROM (CUSTOMERS) c', 'denied_table');
+  rejects(['sales'], 'SELECT s.ID FROM SALES s JOIN (CUSTOMERS c) ON c.ID = s.CUSTOMER_ID', 'denied_table');
+  rejects(['analyst'], 'SELECT NAME, EMAIL FROM (CUSTOMERS)', 'denied_column');
+  rejects(['analyst'], 'SELECT * FROM ((CUSTOMERS))', 'denied_column');
+  assert.doesNotThrow(() => validateReadOnlyQuery('SELECT NAME FROM (CUSTOMERS)', new Access(['analyst'], ROLES).restrictDatabase(db1)));
+});
+
+const classifiedDb = {
+  id: 'db1',
+  type: 'sqlite',
+  tables: [
+    { name: 'SALES', columns: [{ name: 'ID' }, { name: 'AMOUNT', classification: 'sensitive' }] },
+    { name: 'CUSTOMERS', columns: [{ name: 'ID' }, { name: 'NAME', classification: 'pii' }, { name: 'NOTES', classification: 'phi' }] }
+  ]
+};
+
+test('masks with the most revealing strategy of the granting roles', () => {
+  const definitions = {
+    ...ROLES,
+    admin: { ...ROLES.admin, masking: { pii: 'none', phi: 'none', sensitive: 'none' } },
+    analyst: { ...ROLES.analyst, masking: { pii: 'hash' } }
+  };
+  const access = roles => new Access(roles, definitions, { privacy: { masking: { pii: 'partial' } } });
+
+  assert.equal(access(['analyst']).strategyFor('db1', 'pii'), 'hash');
+  assert.equal(access(['sales']).strategyFor('db1', 'pii'), 'partial');
+  assert.equal(access(['sales']).strategyFor('db1', 'phi'), 'redact');
+  assert.equal(access(['analyst', 'sales']).strategyFor('db1', 'pii'), 'partial');
+  assert.equal(access(['admin', 'analyst']).strategyFor('db1', 'pii'), 'none');
+
+  assert.deepEqual([...access(['admin']).maskedColumns(classifiedDb)], []);
+  assert.deepEqual(access(['analyst']).restrictDatabase(classifiedDb).queryPolicy.maskedColumns, {
+    'SALES.AMOUNT': 'redact',
+    'CUSTOMERS.NAME': 'hash',
+    'CUSTOMERS.NOTES': 'redact'
+  });
+  const customers = access(['analyst']).restrictTables('db1', classifiedDb.tables)[1];
+  assert.deepEqual(customers.columns.map(column => column.masked), [undefined, 'hash', 'redact']);
+});
+
+test('filters rows only when every granting role does', () => {
+  const definitions = {
+    ...ROLES,
+    manager: { databases: ['db1'], rowFilters: { '*': { customers: 'SEGMENT = :user_segment' } } },
+    east: { databases: ['db1'], rowFilters: { db1: { CUSTOMERS: "REGION = 'EAST'" } } }
+  };
+  const user = { id: 'u1', username: 'ann', attributes: { segment: 'Retail' } };
+  const access = roles => new Access(roles, definitions, { user });
+
+  const { filters, values } = access(['manager']).rowFiltersFor('db1');
+  assert.deepEqual([...filters], [['CUSTOMERS', 'SEGMENT = :user_segment']]);
+  assert.deepEqual(values, { user_id: 'u1', user_name: 'ann', user_segment: 'Retail' });
+  assert.equal(access(['manager', 'east']).rowFiltersFor('db1').filters.get('CUSTOMERS'), "(SEGMENT = :user_segment) OR (REGION = 'EAST')");
+  assert.equal(access(['manager', 'sales']).rowFiltersFor('db1').filters.size, 0);
+  assert.equal(access(['manager']).rowFiltersFor('db2').filters.size, 0);
+  assert.equal(new Access([], {}, { unrestricted: true }).rowFiltersFor('db1').filters.size, 0);
+});
+
+test('lets a download token through once, for its own path', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const authenticator = new Authenticator(directory, { mode: 'local', sessionSecret: SECRET });
+  const middleware = authenticator.middleware({ downloadPaths: [/^\/results\/[^/]+\/export$/] });
+
+  const call = async (reqPath, query) => {
+    const req = { method: 'GET', path: reqPath, query, headers: {} };
+    const res = { status(code) { this.statusCode = code; return this; }, json() { return this; } };
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return passed ? req.user : res.statusCode;
+  };
+
+  const user = { id: 'u1', username: 'ann', roles: [], source: 'local' };
+  const token = authenticator.issueDownloadToken(user, '/results/r1/export');
+  assert.equal(await call('/results/r2/export', { download: token }), 401);
+
+  const again = authenticator.issueDownloadToken(user, '/results/r1/export');
+  assert.equal(await call('/conversations', { download: again }), 401);
+  assert.equal(await call('/results/r1/export', { download: again }), user);
+  assert.equal(await call('/results/r1/export', { download: again }), 401);
+  assert.equal(await call('/results/r1/export', { access_token: signToken({ sub: 'u1', src: 'local' }, SECRET, 60) }), 401);
+});
@@ -0,0 +1,24 @@
+// test/config-loader.test.js - Placeholder expansion and secret redaction
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigError, resolveConfig, redactSecrets } = require('../server/config-loader');
+
+test('expands placeholders and redacts the secrets of the latest config only', () => {
+  process.env.TEST_DB_PASSWORD = 'first-password';
+  const first = resolveConfig({ host: '${TEST_DB_HOST:-localhost}', password: '${TEST_DB_PASSWORD}' });
+  assert.deepEqual(first, { host: 'localhost', password: 'first-password' });
+  assert.equal(redactSecrets('login failed for first-password'), 'login failed for [REDACTED]');
+  assert.equal(redactSecrets('localhost'), 'localhost');
+
+  process.env.TEST_DB_PASSWORD = 'second-password';
+  resolveConfig({ password: '${TEST_DB_PASSWORD}' });
+  assert.equal(redactSecrets('first-password'), 'first-password');
+  assert.equal(redactSecrets({ rows: [{ note: 'second-password' }] }).rows[0].note, '[REDACTED]');
+});
+
+test('keeps the previous secrets when a config fails to resolve', () => {
+  process.env.TEST_DB_PASSWORD = 'kept-password';
+  resolveConfig({ password: '${TEST_DB_PASSWORD}' });
+  assert.throws(() => resolveConfig({ password: '${TEST_MISSING_PASSWORD}' }), ConfigError);
+  assert.equal(redactSecrets('kept-password'), '[REDACTED]');
+});
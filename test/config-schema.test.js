@@ -0,0 +1,162 @@
+// test/config-schema.test.js - Validating database-metadata.json and reloading it
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('../server/config-loader');
+const { validateMetadata } = require('../server/config-schema');
+const { MetadataFile } = require('../server/metadata-file');
+
+const sqlite = (id, extra = {}) => ({
+  id,
+  name: `SQLite ${id}`,
+  type: 'sqlite',
+  filename: `${id}.db`,
+  tables: [{ name: 'SALES', columns: [{ name: 'AMOUNT', type: 'NUMBER' }] }],
+  ...extra
+});
+
+const metadata = (...databases) => ({ version: '1.0.0', databases });
+
+// The problems validateMetadata reports, or [] when the file is valid
+const problems = (raw) => {
+  try {
+    validateMetadata(raw);
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+};
+
+test('accepts a minimal file for each connector type', () => {
+  assert.deepEqual(problems(metadata(
+    sqlite('lite'),
+    { id: 'ora', name: 'Oracle', type: 'oracle', host: 'db', port: 1521, database: 'ORCL', username: 'u', password: '${ORACLE_PASSWORD}' },
+    { id: 'pg', name: 'Postgres', type: 'postgres', host: 'db', database: 'app', username: 'u', password: '' },
+    { id: 'my', name: 'MySQL', type: 'mysql', host: 'db', database: 'app', username: 'u', password: 'p' },
+    { id: 'sf', name: 'Snowflake', type: 'snowflake', account: 'acme', username: 'u', password: 'p', warehouse: 'WH', database: 'APP' }
+  )), []);
+  assert.deepEqual(problems(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'database-metadata.json'), 'utf-8'))), []);
+});
+
+test('reports the fields each connector type requires, by JSON pointer', () => {
+  assert.deepEqual(problems(metadata(sqlite('ok'), { id: 'ora', name: 'Oracle', type: 'oracle', host: 'db' })), [
+    '/databases/1: missing required property "port"',
+    '/databases/1: missing required property "database"',
+    '/databases/1: missing required property "username"',
+    '/databases/1: missing required property "password"'
+  ]);
+  assert.deepEqual(problems(metadata({ id: 'sf', name: 'Snowflake', type: 'snowflake', account: 'acme', username: 'u', password: 'p' })), [
+    '/databases/0: missing required property "warehouse"',
+    '/databases/0: missing required property "database"'
+  ]);
+  assert.deepEqual(problems(metadata({ id: 'lite', name: 'SQLite', type: 'sqlite' })), [
+    '/databases/0: missing required property "filename"'
+  ]);
+  assert.deepEqual(problems(metadata({ id: 'x', name: 'X', type: 'mssql' })), [
+    '/databases/0/type: must be one of "oracle", "postgres", "mysql", "snowflake", "sqlite"'
+  ]);
+});
+
+test('reports malformed values and unknown properties where they occur', () => {
+  assert.deepEqual(problems(metadata(sqlite('lite', {
+    tables: [{ name: 'SALES', columns: [] }, { name: 'ORDERS', colums: [] }],
+    hostname: 'typo'
+  }))).sort(), [
+    '/databases/0/tables/0/columns: must NOT have fewer than 1 items',
+    '/databases/0/tables/1: missing required property "columns"',
+    '/databases/0/tables/1: unknown property "colums"',
+    '/databases/0: unknown property "hostname"'
+  ].sort());
+  assert.deepEqual(problems({ version: '1.0.0' }), ['/: missing required property "databases"']);
+  assert.deepEqual(problems([]), ['/: database metadata must be a JSON object']);
+});
+
+test('reports duplicate database ids and table names', () => {
+  const tables = [
+    { name: 'SALES', columns: [{ name: 'ID', type: 'NUMBER' }] },
+    { name: 'sales', columns: [{ name: 'ID', type: 'NUMBER' }] }
+  ];
+  assert.deepEqual(problems(metadata(sqlite('lite'), sqlite('other'), sqlite('lite', { tables }))), [
+    '/databases/2/id: duplicate database id "lite" (also used by /databases/0)',
+    '/databases/2/tables/1/name: duplicate table "sales"'
+  ]);
+});
+
+test('refuses versions it has no schema for', () => {
+  assert.deepEqual(problems({ ...metadata(sqlite('lite')), version: '2.0.0' }), [
+    '/version: unsupported metadata version "2.0.0" (supported: 1.x.x)'
+  ]);
+  assert.deepEqual(problems({ databases: [] }), [
+    '/version: unsupported metadata version "undefined" (supported: 1.x.x)'
+  ]);
+});
+
+test.describe('reloading the file', () => {
+  test.beforeEach(() => {
+    test.mock.method(console, 'log', () => {});
+    test.mock.method(console, 'error', () => {});
+  });
+  test.afterEach(() => test.mock.restoreAll());
+
+  const setup = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'database-metadata.json');
+    const write = (content) => fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return { file: new MetadataFile(file), write };
+  };
+
+  test('swaps in a valid edit and announces it', async (t) => {
+    const { file, write } = setup(t);
+    write(metadata(sqlite('lite')));
+    await file.loadMetadata();
+
+    const reloaded = [];
+    file.on('reload', next => reloaded.push(next));
+    write(metadata(sqlite('lite'), sqlite('other')));
+    await file.reload();
+
+    assert.deepEqual(file.metadata.databases.map(db => db.id), ['lite', 'other']);
+    assert.equal(reloaded.length, 1);
+    assert.equal(reloaded[0], file.metadata);
+    assert.deepEqual({ ...file.lastReload, at: undefined }, { at: undefined, success: true, errors: [] });
+  });
+
+  test('keeps the previous configuration when an edit is broken', async (t) => {
+    const { file, write } = setup(t);
+    write(metadata(sqlite('lite')));
+    const original = await file.loadMetadata();
+    const reloaded = [];
+    file.on('reload', next => reloaded.push(next));
+
+    write(metadata(sqlite('lite'), sqlite('lite')));
+    await file.reload();
+    assert.equal(file.metadata, original);
+    assert.equal(await file.loadMetadata(), original);
+    assert.equal(file.lastReload.success, false);
+    assert.deepEqual(file.lastReload.errors, ['/databases/1/id: duplicate database id "lite" (also used by /databases/0)']);
+
+    write('{ "version": "1.0.0", ');
+    await file.reload();
+    assert.equal(file.metadata, original);
+    assert.equal(file.lastReload.success, false);
+    assert.match(file.lastReload.errors[0], /^\/: invalid JSON/);
+    assert.deepEqual(reloaded, []);
+
+    // Fixing the file recovers without a restart
+    write(metadata(sqlite('fixed')));
+    await file.reload();
+    assert.equal(file.lastReload.success, true);
+    assert.deepEqual(file.metadata.databases.map(db => db.id), ['fixed']);
+  });
+
+  test('fails the first load outright', async (t) => {
+    const { file, write } = setup(t);
+    write({ version: '1.0.0', databases: [{ id: 'lite', name: 'SQLite', type: 'sqlite' }] });
+    await assert.rejects(file.loadMetadata(), ConfigError);
+    assert.equal(file.metadata, null);
+  });
+});
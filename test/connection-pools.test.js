@@ -0,0 +1,143 @@
+// test/connection-pools.test.js - Pool settings, connection reuse and pool stats
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getConnector } = require('../server/connectors');
+
+const OPTIONS = { min: 1, max: 3, idleTimeout: 60, acquireTimeout: 5 };
+
+// Stand-in for the pg driver: records the pool settings and every
+// statement, and hands out clients that must come back
+class FakePgPool {
+  constructor(settings) {
+    FakePgPool.last = this;
+    this.settings = settings;
+    this.statements = [];
+    this.out = 0;
+    this.ended = false;
+    this.totalCount = 0;
+    this.idleCount = 0;
+    this.waitingCount = 0;
+  }
+
+  on() {}
+
+  async connect() {
+    this.out++;
+    this.totalCount = Math.max(this.totalCount, this.out);
+    return {
+      processID: 42,
+      query: async (sql) => {
+        this.statements.push(sql);
+        if (/FROM PAYROLL/.test(sql)) throw Object.assign(new Error('relation "payroll" does not exist'), { code: '42P01' });
+        return /^FETCH/.test(sql) ? { rows: [{ id: 1 }, { id: 2 }], fields: [{ name: 'id', dataTypeID: 23 }] } : { rows: [] };
+      },
+      release: () => { this.out--; }
+    };
+  }
+
+  async end() {
+    this.ended = true;
+  }
+}
+
+const withFakeDriver = async (moduleName, exports, run) => {
+  const resolved = require.resolve(moduleName);
+  const original = require.cache[resolved];
+  require.cache[resolved] = { id: resolved, filename: resolved, loaded: true, exports };
+  try {
+    await run();
+  } finally {
+    if (original) require.cache[resolved] = original;
+    else delete require.cache[resolved];
+  }
+};
+
+test('sizes the PostgreSQL pool from the pool options', () => withFakeDriver('pg', { Pool: FakePgPool }, async () => {
+  const pool = await getConnector('postgres').createPool({ id: 'pg', host: 'db', database: 'sales', username: 'app', password: 'pw' }, OPTIONS);
+  assert.deepEqual(FakePgPool.last.settings, {
+    host: 'db',
+    port: undefined,
+    database: 'sales',
+    user: 'app',
+    password: 'pw',
+    ssl: false,
+    min: 1,
+    max: 3,
+    idleTimeoutMillis: 60000,
+    connectionTimeoutMillis: 5000
+  });
+  assert.deepEqual(pool.stats(), { open: 0, busy: 0, waiting: 0, max: 3 });
+  await pool.close();
+  assert.equal(FakePgPool.last.ended, true);
+}));
+
+test('returns PostgreSQL connections to the pool after each query', () => withFakeDriver('pg', { Pool: FakePgPool }, async () => {
+  const pool = await getConnector('postgres').createPool({ id: 'pg' }, OPTIONS);
+  const driver = FakePgPool.last;
+
+  const result = await pool.query('SELECT id FROM sales', [], { maxRows: 1 });
+  assert.deepEqual(result.rows, [{ id: 1 }]);
+  assert.equal(result.truncated, true);
+  assert.equal(driver.out, 0);
+  assert.deepEqual(driver.statements, ['BEGIN READ ONLY', 'DECLARE result_cursor NO SCROLL CURSOR FOR SELECT id FROM sales', 'FETCH FORWARD 2 FROM result_cursor', 'COMMIT']);
+
+  driver.statements = [];
+  await assert.rejects(pool.query('SELECT * FROM PAYROLL', [], { maxRows: 1 }), error => getConnector('postgres').isQueryError(error));
+  assert.equal(driver.out, 0);
+  assert.equal(driver.statements.at(-1), 'ROLLBACK');
+
+  await Promise.all([pool.query('SELECT 1', []), pool.query('SELECT 2', [])]);
+  assert.equal(driver.out, 0);
+  await pool.close();
+}));
+
+test('sizes the MySQL pool from the pool options', async () => {
+  let settings = null;
+  let ended = false;
+  const mysql = {
+    createPool: (given) => {
+      settings = given;
+      return { end: async () => { ended = true; }, pool: { _allConnections: [1, 2], _freeConnections: [1], _connectionQueue: [] } };
+    }
+  };
+  await withFakeDriver('mysql2/promise', mysql, async () => {
+    const pool = await getConnector('mysql').createPool({ id: 'my', host: 'db' }, OPTIONS);
+    assert.equal(settings.connectionLimit, 3);
+    assert.equal(settings.maxIdle, 1);
+    assert.equal(settings.idleTimeout, 60000);
+    assert.equal(settings.connectTimeout, 5000);
+    assert.equal(settings.waitForConnections, true);
+    assert.deepEqual(pool.stats(), { open: 2, busy: 1, waiting: 0, max: 3 });
+    await pool.close();
+    assert.equal(ended, true);
+  });
+});
+
+test('runs SQLite queries one at a time on a single connection', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pools-test-'));
+  const filename = path.join(directory, 'numbers.db');
+  const db = new Database(filename);
+  db.exec('CREATE TABLE N (K INTEGER); INSERT INTO N VALUES (1), (2), (3);');
+  db.close();
+  // SQLite workers are unref'd; keep the test process waiting for them
+  const keepAlive = setInterval(() => {}, 1000);
+
+  const pool = await getConnector('sqlite').createPool({ id: 'lite', filename }, OPTIONS);
+  try {
+    const first = pool.query('SELECT K FROM N ORDER BY K');
+    const second = pool.query('SELECT COUNT(*) AS C FROM N');
+    assert.deepEqual(pool.stats(), { open: 1, busy: 1, waiting: 1, max: 1 });
+    assert.deepEqual((await first).rows, [{ K: 1 }, { K: 2 }, { K: 3 }]);
+    assert.deepEqual((await second).rows, [{ C: 3 }]);
+    assert.deepEqual(pool.stats(), { open: 1, busy: 0, waiting: 0, max: 1 });
+  } finally {
+    await pool.close();
+    clearInterval(keepAlive);
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+  assert.equal(pool.stats().open, 0);
+});
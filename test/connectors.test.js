@@ -0,0 +1,99 @@
+// test/connectors.test.js - The connector registry and the SQLite connector
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { registerConnector, getConnector, listConnectorTypes } = require('../server/connectors');
+const { buildTables, formatType, requireDriver } = require('../server/connectors/shared');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'connectors-test-'));
+const filename = path.join(directory, 'sales.db');
+
+// SQLite workers are unref'd so they never hold the server open; the test
+// process needs something else to wait on while they answer
+let keepAlive;
+
+test.before(() => {
+  keepAlive = setInterval(() => {}, 1000);
+  const db = new Database(filename);
+  db.exec(`
+    CREATE TABLE CUSTOMERS (ID INTEGER PRIMARY KEY, NAME TEXT NOT NULL);
+    CREATE TABLE SALES (ID INTEGER PRIMARY KEY, CUSTOMER_ID INTEGER REFERENCES CUSTOMERS(ID), AMOUNT NUMERIC(10,2));
+    INSERT INTO CUSTOMERS VALUES (1, 'Acme'), (2, 'Globex');
+    INSERT INTO SALES VALUES (1, 1, 10.5), (2, 1, 20), (3, 2, 7.25);
+  `);
+  db.close();
+});
+
+test.after(() => {
+  clearInterval(keepAlive);
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('looks connectors up by database type', () => {
+  assert.deepEqual(listConnectorTypes().sort(), ['mysql', 'oracle', 'postgres', 'snowflake', 'sqlite']);
+  assert.equal(getConnector('sqlite').type, 'sqlite');
+  assert.throws(() => getConnector('db2'), /Unsupported database type: db2/);
+  assert.throws(() => registerConnector({ type: 'broken' }), /missing createPool/);
+  assert.ok(!listConnectorTypes().includes('broken'));
+});
+
+test('names the package a missing driver needs', () => {
+  assert.throws(() => requireDriver('no-such-driver-package', 'db2'), /needs the "no-such-driver-package" package/);
+});
+
+test('queries and introspects a SQLite database', async () => {
+  const pool = await getConnector('sqlite').createPool({ id: 'lite', filename }, {});
+  try {
+    assert.equal(await pool.test(), true);
+
+    const result = await pool.query('SELECT ID, AMOUNT FROM SALES WHERE CUSTOMER_ID = ? ORDER BY ID', [1]);
+    assert.deepEqual(result.rows, [{ ID: 1, AMOUNT: 10.5 }, { ID: 2, AMOUNT: 20 }]);
+    assert.equal(result.truncated, false);
+    assert.deepEqual(result.columns.map(({ name, type }) => ({ name, type })), [{ name: 'ID', type: 'number' }, { name: 'AMOUNT', type: 'number' }]);
+
+    const { tables } = await pool.introspect();
+    assert.deepEqual(tables.map(table => table.name), ['CUSTOMERS', 'SALES']);
+    const sales = tables.find(table => table.name === 'SALES');
+    assert.equal(sales.columns.find(column => column.name === 'ID').primaryKey, true);
+    assert.deepEqual(sales.foreignKeys[0].references, { table: 'CUSTOMERS', columns: ['ID'] });
+
+    await assert.rejects(pool.query('SELECT * FROM PAYROLL'), error => getConnector('sqlite').isQueryError(error));
+  } finally {
+    await pool.close();
+  }
+});
+
+test('refuses a SQLite file that does not exist', async () => {
+  await assert.rejects(getConnector('sqlite').createPool({ id: 'lite', filename: path.join(directory, 'missing.db') }, {}));
+  await assert.rejects(getConnector('sqlite').createPool({ id: 'lite' }, {}), /needs a "filename"/);
+});
+
+test('assembles introspected rows into tables', () => {
+  assert.equal(formatType('NUMBER', { precision: 10, scale: 2 }), 'NUMBER(10,2)');
+  assert.equal(formatType('VARCHAR2', { length: 255 }), 'VARCHAR2(255)');
+  assert.equal(formatType('DATE', { precision: 7 }), 'DATE');
+
+  const tables = buildTables({
+    columns: [
+      { tableName: 'SALES', columnName: 'ID', dataType: 'NUMBER', nullable: false },
+      { tableName: 'SALES', columnName: 'CUSTOMER_ID', dataType: 'NUMBER', nullable: true, comment: 'Buyer' }
+    ],
+    tableComments: [{ tableName: 'SALES', comment: 'One row per sale' }, { tableName: 'GONE', comment: 'x' }],
+    keys: [
+      { type: 'primary', tableName: 'SALES', columnName: 'ID' },
+      { constraintName: 'FK_CUST', type: 'foreign', tableName: 'SALES', columnName: 'CUSTOMER_ID', referencedTable: 'CUSTOMERS', referencedColumn: 'ID' }
+    ]
+  });
+  assert.deepEqual(tables, [{
+    name: 'SALES',
+    comment: 'One row per sale',
+    columns: [
+      { name: 'ID', type: 'NUMBER', nullable: false, primaryKey: true, comment: null },
+      { name: 'CUSTOMER_ID', type: 'NUMBER', nullable: true, primaryKey: false, comment: 'Buyer' }
+    ],
+    foreignKeys: [{ name: 'FK_CUST', columns: ['CUSTOMER_ID'], references: { table: 'CUSTOMERS', columns: ['ID'] } }]
+  }]);
+});
@@ -0,0 +1,119 @@
+// test/conversations.test.js - Saved conversations and their turns
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConversationStore, ConversationError } = require('../server/conversations');
+
+const openStore = (t, options) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, conversations: new ConversationStore(dir, options) };
+};
+
+const notFound = (error) => error instanceof ConversationError && error.statusCode === 404;
+
+test('creates, renames and deletes conversations', async (t) => {
+  const { dir, conversations } = openStore(t);
+
+  const created = await conversations.create({ databaseId: 'ora1' });
+  assert.equal(created.title, null);
+  assert.equal(created.databaseId, 'ora1');
+  assert.deepEqual(created.turns, []);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'conversations')), [`${created.id}.json`]);
+
+  const renamed = await conversations.rename(created.id, '  Weekly sales  ');
+  assert.equal(renamed.title, 'Weekly sales');
+  assert.ok(renamed.updatedAt >= created.updatedAt);
+  await assert.rejects(conversations.rename(created.id, '   '), /title must be a non-empty string/);
+  await assert.rejects(conversations.rename(created.id, 'x'.repeat(201)), /at most 200 characters/);
+  await assert.rejects(conversations.create({ title: 7 }), ConversationError);
+  await assert.rejects(conversations.rename('missing', 'Title'), notFound);
+
+  await conversations.delete(created.id);
+  await assert.rejects(conversations.get(created.id), notFound);
+  await assert.rejects(conversations.delete(created.id), notFound);
+  await conversations.flush();
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'conversations')), []);
+});
+
+test('adds turns in order and names the conversation after the first question', async (t) => {
+  const { dir, conversations } = openStore(t);
+  const { id } = await conversations.create();
+
+  const first = await conversations.addTurn(id, { question: '  What were   sales\nlast week? ', message: 'Here they are.', query: 'SELECT 1' });
+  await conversations.addTurn(id, { question: 'And by region?', message: 'Split by region.', error: 'timeout' });
+
+  const conversation = await conversations.get(id);
+  assert.equal(conversation.title, 'What were sales last week?');
+  assert.deepEqual(conversation.turns.map(turn => turn.question), ['  What were   sales\nlast week? ', 'And by region?']);
+  assert.equal(conversation.turns[0].id, first.id);
+  assert.equal(conversation.turns[0].result, null);
+  assert.equal(conversation.turns[1].error, 'timeout');
+  assert.equal(conversations.describe(conversation).turns, 2);
+
+  const long = await conversations.create();
+  await conversations.addTurn(long.id, { question: 'q'.repeat(100), message: '' });
+  assert.equal((await conversations.get(long.id)).title, `${'q'.repeat(79)}…`);
+
+  await assert.rejects(conversations.addTurn('missing', { question: 'q', message: 'm' }), notFound);
+
+  // Turns survive a restart
+  await conversations.flush();
+  const reopened = new ConversationStore(dir);
+  assert.equal((await reopened.get(id)).turns.length, 2);
+});
+
+test('keeps only snapshotRows rows of each result', async (t) => {
+  const { conversations } = openStore(t, { snapshotRows: 2 });
+  const { id } = await conversations.create();
+  const rows = [{ n: 1 }, { n: 2 }, { n: 3 }];
+
+  const turn = await conversations.addTurn(id, {
+    question: 'q',
+    message: 'm',
+    result: { resultId: 'r1', rows, columns: [{ name: 'n', type: 'number' }], truncated: true, totalRows: 50 }
+  });
+  assert.deepEqual(turn.result, {
+    resultId: 'r1',
+    columns: [{ name: 'n', type: 'number' }],
+    rows: [{ n: 1 }, { n: 2 }],
+    rowCount: 3,
+    snapshotTruncated: true,
+    truncated: true,
+    totalRows: 50
+  });
+
+  const small = await conversations.addTurn(id, { question: 'q', message: 'm', result: { rows: [{ n: 1 }] } });
+  assert.deepEqual(small.result, {
+    resultId: null, columns: [], rows: [{ n: 1 }], rowCount: 1, snapshotTruncated: false, truncated: false, totalRows: 1
+  });
+});
+
+test('shows each owner only their own conversations', async (t) => {
+  const { conversations } = openStore(t);
+  const ada = await conversations.create({ owner: 'ada', databaseId: 'ora1', title: 'Ada on Oracle' });
+  await conversations.create({ owner: 'ada', databaseId: 'pg1', title: 'Ada on Postgres' });
+  const bob = await conversations.create({ owner: 'bob', databaseId: 'ora1', title: 'Bob on Oracle' });
+
+  assert.deepEqual((await conversations.list({ owner: 'ada' })).map(c => c.title).sort(), ['Ada on Oracle', 'Ada on Postgres']);
+  assert.deepEqual((await conversations.list({ owner: 'ada', databaseId: 'ora1' })).map(c => c.id), [ada.id]);
+  assert.deepEqual((await conversations.list({ owner: 'carol' })), []);
+  // Without an owner (auth mode "none") everything is visible
+  assert.equal((await conversations.list()).length, 3);
+
+  assert.equal((await conversations.get(ada.id, 'ada')).id, ada.id);
+  await assert.rejects(conversations.get(bob.id, 'ada'), notFound);
+  assert.equal((await conversations.get(bob.id)).owner, 'bob');
+});
+
+test('lists the most recently updated conversation first', async (t) => {
+  const { conversations } = openStore(t);
+  const older = await conversations.create({ title: 'Older' });
+  await conversations.create({ title: 'Newer' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await conversations.addTurn(older.id, { question: 'q', message: 'm' });
+
+  assert.deepEqual((await conversations.list()).map(c => c.title), ['Older', 'Newer']);
+});
@@ -0,0 +1,125 @@
+// test/dashboards.test.js - Dashboards, their widgets and who sees them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DashboardStore, DashboardError, GRID_COLUMNS, MAX_WIDGET_ROWS } = require('../server/dashboards');
+
+const openStore = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboards-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, dashboards: new DashboardStore(dir) };
+};
+
+const WIDGET = {
+  title: 'Daily sales',
+  databaseId: 'ora1',
+  query: ' SELECT TRANSACTION_DATE, SUM(AMOUNT) FROM SALES_TRANSACTIONS GROUP BY TRANSACTION_DATE ',
+  chart: { type: 'line', xKey: 'TRANSACTION_DATE' }
+};
+
+const rejected = (pattern, statusCode = 400) => (error) => (
+  error instanceof DashboardError && error.statusCode === statusCode && pattern.test(error.message)
+);
+
+test('adds, updates and removes widgets', async (t) => {
+  const { dir, dashboards } = openStore(t);
+  const dashboard = await dashboards.create({ name: ' Sales ' });
+  assert.equal(dashboard.name, 'Sales');
+
+  const widget = await dashboards.addWidget(dashboard.id, { ...WIDGET, params: { region: 'North' } });
+  assert.equal(widget.query, WIDGET.query.trim());
+  assert.deepEqual(widget.layout, { w: 2, h: 2 });
+  assert.deepEqual(widget.params, { region: 'North' });
+
+  const updated = await dashboards.updateWidget(dashboard.id, widget.id, { title: 'Sales per day', layout: { h: 3 } });
+  assert.equal(updated.title, 'Sales per day');
+  assert.deepEqual(updated.layout, { w: 2, h: 3 });
+  assert.deepEqual(updated.chart, WIDGET.chart);
+  assert.deepEqual(await dashboards.getWidget(dashboard.id, widget.id), updated);
+
+  await dashboards.removeWidget(dashboard.id, widget.id);
+  assert.deepEqual((await dashboards.get(dashboard.id)).widgets, []);
+  await assert.rejects(dashboards.removeWidget(dashboard.id, widget.id), rejected(/has no widget/, 404));
+  await assert.rejects(dashboards.updateWidget(dashboard.id, 'missing', { title: 'x' }), rejected(/has no widget/, 404));
+  await assert.rejects(dashboards.addWidget('missing', WIDGET), rejected(/No dashboard with ID missing/, 404));
+
+  await assert.rejects(dashboards.addWidget(dashboard.id, { ...WIDGET, query: '  ' }), rejected(/query must be a non-empty string/));
+  await assert.rejects(dashboards.addWidget(dashboard.id, { ...WIDGET, chart: [] }), rejected(/chart must be a chart spec/));
+  await assert.rejects(dashboards.addWidget(dashboard.id, { ...WIDGET, params: ['North'] }), rejected(/params must map/));
+  await assert.rejects(dashboards.addWidget(dashboard.id, { ...WIDGET, databaseId: undefined }), rejected(/databaseId must be/));
+
+  await dashboards.delete(dashboard.id);
+  await assert.rejects(dashboards.get(dashboard.id), rejected(/No dashboard/, 404));
+  await dashboards.flush();
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'dashboards')), []);
+});
+
+test('rearranges widgets only by a complete order', async (t) => {
+  const { dashboards } = openStore(t);
+  const { id } = await dashboards.create({ name: 'Sales' });
+  const a = await dashboards.addWidget(id, { ...WIDGET, title: 'A' });
+  const b = await dashboards.addWidget(id, { ...WIDGET, title: 'B' });
+  const c = await dashboards.addWidget(id, { ...WIDGET, title: 'C' });
+
+  const reordered = await dashboards.update(id, { order: [c.id, a.id, b.id] });
+  assert.deepEqual(reordered.widgets.map(widget => widget.title), ['C', 'A', 'B']);
+
+  for (const order of [[c.id, a.id], [c.id, a.id, a.id], [c.id, a.id, b.id, 'extra'], [c.id, a.id, 'other']]) {
+    await assert.rejects(dashboards.update(id, { order }), rejected(/order must list every widget of the dashboard once/));
+  }
+  await assert.rejects(dashboards.update(id, { order: c.id }), rejected(/order must be an array/));
+  assert.deepEqual((await dashboards.get(id)).widgets.map(widget => widget.title), ['C', 'A', 'B']);
+});
+
+test('keeps widgets within the grid', async (t) => {
+  const { dashboards } = openStore(t);
+  const { id } = await dashboards.create({ name: 'Sales' });
+
+  const full = await dashboards.addWidget(id, { ...WIDGET, layout: { w: GRID_COLUMNS, h: MAX_WIDGET_ROWS } });
+  assert.deepEqual(full.layout, { w: 4, h: 4 });
+  assert.deepEqual((await dashboards.addWidget(id, { ...WIDGET, layout: { w: 1 } })).layout, { w: 1, h: 2 });
+
+  for (const layout of [{ w: 0 }, { w: 5 }, { w: 1.5 }, { w: '2' }]) {
+    await assert.rejects(dashboards.addWidget(id, { ...WIDGET, layout }), rejected(/layout\.w must be a whole number of columns from 1 to 4/));
+  }
+  for (const layout of [{ h: 0 }, { h: 5 }]) {
+    await assert.rejects(dashboards.updateWidget(id, full.id, { layout }), rejected(/layout\.h must be a whole number of rows from 1 to 4/));
+  }
+  await assert.rejects(dashboards.addWidget(id, { ...WIDGET, layout: [2, 2] }), rejected(/layout must be an object/));
+  assert.deepEqual((await dashboards.getWidget(id, full.id)).layout, { w: 4, h: 4 });
+});
+
+test('checks the refresh interval', async (t) => {
+  const { dashboards } = openStore(t);
+
+  assert.equal((await dashboards.create({ name: 'Live', refreshInterval: 30 })).refreshInterval, 30);
+  assert.equal((await dashboards.create({ name: 'Daily', refreshInterval: 86400 })).refreshInterval, 86400);
+  const manual = await dashboards.create({ name: 'Manual', refreshInterval: 0 });
+  assert.equal(manual.refreshInterval, null);
+
+  for (const refreshInterval of [29, 86401, 60.5, '60', -30]) {
+    await assert.rejects(dashboards.create({ name: 'Bad', refreshInterval }), rejected(/refreshInterval must be whole seconds from 30 to 86400, or null/));
+  }
+  assert.equal((await dashboards.update(manual.id, { refreshInterval: 300 })).refreshInterval, 300);
+  assert.equal((await dashboards.update(manual.id, { refreshInterval: null })).refreshInterval, null);
+  await assert.rejects(dashboards.update(manual.id, { refreshInterval: 10 }), DashboardError);
+});
+
+test('shows each owner only their own dashboards', async (t) => {
+  const { dashboards } = openStore(t);
+  const ada = await dashboards.create({ name: 'Zeta' }, 'ada');
+  await dashboards.create({ name: 'Alpha' }, 'ada');
+  const bob = await dashboards.create({ name: 'Bob board' }, 'bob');
+  const widget = await dashboards.addWidget(bob.id, WIDGET);
+
+  assert.deepEqual((await dashboards.list({ owner: 'ada' })).map(dashboard => dashboard.name), ['Alpha', 'Zeta']);
+  assert.deepEqual((await dashboards.list({ owner: 'bob' }))[0].widgets, 1);
+  assert.equal((await dashboards.list()).length, 3);
+
+  assert.equal((await dashboards.get(ada.id, 'ada')).owner, 'ada');
+  await assert.rejects(dashboards.get(bob.id, 'ada'), rejected(/No dashboard/, 404));
+  await assert.rejects(dashboards.getWidget(bob.id, widget.id, 'ada'), rejected(/No dashboard/, 404));
+  assert.equal((await dashboards.getWidget(bob.id, widget.id, 'bob')).id, widget.id);
+});
@@ -0,0 +1,43 @@
+// test/export.test.js - Streaming CSV downloads and what they leave out
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { resolveConfig } = require('../server/config-loader');
+const { writeExport } = require('../server/export');
+
+const collect = (output) => new Promise((resolve) => {
+  const parts = [];
+  output.on('data', part => parts.push(part));
+  output.on('end', () => resolve(Buffer.concat(parts).toString('utf8')));
+});
+
+async function* chunks(...list) {
+  yield* list;
+}
+
+const COLUMNS = [{ name: 'name', type: 'string' }, { name: 'total', type: 'number' }];
+
+test('writes CSV with a byte order mark, quoting and formula guards', async () => {
+  const output = new PassThrough();
+  const text = collect(output);
+  await writeExport('csv', { columns: COLUMNS, rows: [{ name: 'Ada, Countess', total: 1 }] }, chunks(
+    { rows: [{ name: '=HYPERLINK("x")', total: -2 }, { name: null, total: 3 }] }
+  ), output);
+
+  assert.equal(await text, '\uFEFFname,total\r\n"Ada, Countess",1\r\n"\'=HYPERLINK(""x"")",-2\r\n,3\r\n');
+});
+
+test('cuts configured secrets out of exported values', async () => {
+  process.env.TEST_EXPORT_PASSWORD = 'export-secret-value';
+  resolveConfig({ password: '${TEST_EXPORT_PASSWORD}' });
+
+  const output = new PassThrough();
+  const text = collect(output);
+  await writeExport('csv', { columns: COLUMNS, rows: [{ name: 'dsn=export-secret-value', total: 1 }] }, chunks(
+    { rows: [{ name: 'export-secret-value', total: 2 }] }
+  ), output);
+
+  const csv = await text;
+  assert.doesNotMatch(csv, /export-secret-value/);
+  assert.match(csv, /dsn=\[REDACTED\],1\r\n\[REDACTED\],2/);
+});
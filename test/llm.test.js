@@ -0,0 +1,125 @@
+// test/llm.test.js - Provider registry, settings and the fixture provider
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { registerProvider, getProvider, listProviderTypes, createLLMClient } = require('../server/llm');
+
+// Records the settings it was built with and answers with them
+registerProvider({
+  type: 'recorder',
+  defaults: { model: 'recorder-1', temperature: 0.5, maxTokens: 100, timeout: 30 },
+  env: { apiKey: 'RECORDER_API_KEY', timeout: 'RECORDER_TIMEOUT' },
+  createClient: (settings) => ({
+    configured: Boolean(settings.apiKey),
+    status: () => ({ calls: 0 }),
+    async complete(messages, options) {
+      return { content: JSON.stringify({ settings, options }), usage: {} };
+    }
+  })
+});
+
+const SALES_SYSTEM = 'You are a SQL expert with access to a sqlite database.';
+
+test('registers the built-in providers and refuses unknown ones', () => {
+  assert.deepEqual(listProviderTypes().slice(0, 3), ['elevance', 'openai', 'fixture']);
+  assert.equal(getProvider('fixture').type, 'fixture');
+  assert.throws(() => getProvider('nope'), /Unsupported LLM provider: nope \(available: elevance, openai, fixture, recorder\)/);
+  assert.throws(() => registerProvider({ type: 'broken' }), /"broken" is missing createClient\(\)/);
+  assert.throws(() => createLLMClient({ provider: 'nope' }, {}), /Unsupported LLM provider: nope/);
+});
+
+test('picks the provider from the environment before the metadata, defaulting to elevance', () => {
+  assert.equal(createLLMClient({}, {}).provider, 'elevance');
+  assert.equal(createLLMClient({ provider: 'fixture' }, {}).provider, 'fixture');
+  assert.equal(createLLMClient({ provider: 'fixture' }, { LLM_PROVIDER: 'recorder' }).provider, 'recorder');
+});
+
+test('layers settings as defaults, then metadata.llm, then the environment', async () => {
+  const llmConfig = {
+    provider: 'recorder',
+    providers: { recorder: { model: 'from-metadata', temperature: 0.2, maxTokens: '300' }, fixture: { model: 'other' } }
+  };
+
+  const fromMetadata = createLLMClient(llmConfig, {});
+  assert.equal(fromMetadata.model, 'from-metadata');
+  const { settings } = JSON.parse((await fromMetadata.complete([])).content);
+  assert.deepEqual(settings, { model: 'from-metadata', temperature: 0.2, maxTokens: 300, timeout: 30 });
+
+  const fromEnv = createLLMClient(llmConfig, { LLM_MODEL: 'from-env', LLM_TEMPERATURE: '0', RECORDER_TIMEOUT: '5', LLM_MAX_TOKENS: '' });
+  const { settings: overridden, options } = JSON.parse((await fromEnv.complete([], { maxTokens: 50 })).content);
+  assert.deepEqual(overridden, { model: 'from-env', temperature: 0, maxTokens: 300, timeout: 5 });
+  // Call options win over settings, which fill in the rest
+  assert.deepEqual(options, { model: 'from-env', temperature: 0, maxTokens: 50 });
+});
+
+test('refuses numeric settings that are not numbers', () => {
+  assert.throws(() => createLLMClient({ provider: 'recorder' }, { LLM_TEMPERATURE: 'warm' }),
+    /LLM setting "temperature" must be a number, got "warm"/);
+  assert.throws(() => createLLMClient({ provider: 'recorder', providers: { recorder: { timeout: 'soon' } } }, {}),
+    /LLM setting "timeout" must be a number/);
+});
+
+test('keeps secrets out of describe()', () => {
+  const elevance = createLLMClient({ providers: { elevance: { clientId: 'app' } } }, {
+    ELEVANCE_API_KEY: 'key-value',
+    ELEVANCE_CLIENT_SECRET: 'secret-value',
+    ELEVANCE_TOKEN_URL: 'https://login.example/token'
+  });
+  const described = elevance.describe();
+
+  assert.equal(described.provider, 'elevance');
+  assert.equal(described.configured, true);
+  assert.equal(described.clientId, 'app');
+  assert.equal(described.auth, 'oauth2');
+  assert.equal('apiKey' in described, false);
+  assert.equal('clientSecret' in described, false);
+  assert.doesNotMatch(JSON.stringify(described), /key-value|secret-value/);
+
+  const recorder = createLLMClient({ provider: 'recorder' }, { RECORDER_API_KEY: 'recorder-key' }).describe();
+  assert.deepEqual(recorder, {
+    provider: 'recorder', configured: true, model: 'recorder-1', temperature: 0.5, maxTokens: 100, timeout: 30, calls: 0
+  });
+});
+
+test('answers the same messages with the same canned response', async () => {
+  const llm = createLLMClient({ provider: 'fixture' }, {});
+  const messages = [
+    { role: 'system', content: SALES_SYSTEM },
+    { role: 'user', content: 'Sales by product category?' }
+  ];
+
+  const first = await llm.complete(messages);
+  const second = await llm.complete(messages);
+  assert.deepEqual(first, second);
+  assert.equal(llm.configured, true);
+
+  const answer = JSON.parse(first.content);
+  assert.equal(answer.visualization, 'donut');
+  assert.match(answer.query, /GROUP BY p\.CATEGORY/);
+  assert.equal(first.usage.total_tokens, first.usage.prompt_tokens + first.usage.completion_tokens);
+
+  const daily = JSON.parse((await llm.complete([{ role: 'system', content: SALES_SYSTEM }, { role: 'user', content: 'How were sales?' }])).content);
+  assert.match(daily.query, /date\('now', '-7 day'\)/);
+});
+
+test('streams the fixture answer in pieces and stops on abort', async () => {
+  const llm = createLLMClient({ provider: 'fixture' }, {});
+  const messages = [{ role: 'system', content: SALES_SYSTEM }, { role: 'user', content: 'Customers by segment' }];
+
+  const tokens = [];
+  const completion = await llm.stream(messages, {}, token => tokens.push(token));
+  assert.ok(tokens.length > 1);
+  assert.equal(tokens.join(''), completion.content);
+  assert.deepEqual(completion, await llm.complete(messages));
+
+  const controller = new AbortController();
+  const streamed = [];
+  await assert.rejects(
+    llm.stream(messages, { signal: controller.signal }, (token) => {
+      streamed.push(token);
+      controller.abort();
+    }),
+    { name: 'AbortError' }
+  );
+  assert.equal(streamed.length, 1);
+  await assert.rejects(llm.complete(messages, { signal: controller.signal }), { name: 'AbortError' });
+});
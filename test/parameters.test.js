@@ -0,0 +1,67 @@
+// test/parameters.test.js - Named query parameters and their binds
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ParameterError, listParameters, resolveParameters, bindParameters } = require('../server/sql/parameters');
+
+const SQL = `SELECT name, '2024-01-01:00' AS stamp, created::date
+FROM orders -- :not_a_parameter
+WHERE created >= :start_date AND region = :region AND created < :start_date + 7`;
+
+test('lists parameters in order of first use, skipping casts, strings and comments', () => {
+  assert.deepEqual(listParameters(SQL, 'postgres'), ['start_date', 'region']);
+  assert.deepEqual(listParameters('SELECT ":quoted" FROM t', 'oracle'), []);
+  assert.deepEqual(listParameters('SELECT 1', 'mysql'), []);
+});
+
+test('binds each use with the dialect placeholder', () => {
+  const values = { start_date: '2024-03-01', region: 'North' };
+
+  const postgres = bindParameters(SQL, values, 'postgres');
+  assert.match(postgres.sql, /created >= \$1 AND region = \$2 AND created < \$3 \+ 7/);
+  assert.match(postgres.sql, /created::date/);
+  assert.match(postgres.sql, /-- :not_a_parameter/);
+  assert.deepEqual(postgres.binds, ['2024-03-01', 'North', '2024-03-01']);
+
+  assert.equal(bindParameters('SELECT * FROM t WHERE a = :a OR b = :a', { a: 1 }, 'oracle').sql,
+    'SELECT * FROM t WHERE a = :1 OR b = :2');
+  assert.equal(bindParameters('SELECT * FROM t WHERE a = :a', { a: 1 }, 'mysql').sql, 'SELECT * FROM t WHERE a = ?');
+});
+
+test('leaves SQL without parameters alone', () => {
+  assert.deepEqual(bindParameters('SELECT 1', { unused: 1 }, 'postgres'), { sql: 'SELECT 1', binds: [] });
+});
+
+test('refuses to bind a missing value', () => {
+  assert.throws(() => bindParameters('SELECT :a', {}, 'postgres'), (error) => (
+    error instanceof ParameterError && error.parameter === 'a' && error.statusCode === 400
+  ));
+  assert.throws(() => bindParameters('SELECT :a', { a: ['x'] }, 'postgres'), ParameterError);
+});
+
+test('reads entered values by type, falling back to defaults', () => {
+  const definitions = [
+    { name: 'since', type: 'date' },
+    { name: 'limit', type: 'number', default: 10 },
+    { name: 'region' }
+  ];
+
+  assert.deepEqual(resolveParameters(definitions, { since: ' 2024-02-29 ', region: 42 }), {
+    since: '2024-02-29',
+    limit: 10,
+    region: '42'
+  });
+  assert.deepEqual(resolveParameters(definitions, { since: '2024-01-01', limit: ' 5 ', region: 'x' }).limit, 5);
+});
+
+test('rejects values that do not fit their type', () => {
+  const check = (definition, value, pattern) => assert.throws(
+    () => resolveParameters([definition], { [definition.name]: value }),
+    (error) => error instanceof ParameterError && error.parameter === definition.name && pattern.test(error.message)
+  );
+
+  check({ name: 'n', type: 'number' }, 'ten', /must be a number, not "ten"/);
+  check({ name: 'd', type: 'date' }, '2023-02-29', /must be a date as YYYY-MM-DD/);
+  check({ name: 'd', type: 'date' }, '01/02/2024', /must be a date as YYYY-MM-DD/);
+  check({ name: 's' }, { text: 'x' }, /must be text/);
+  check({ name: 's' }, '', /needs a value/);
+});
@@ -0,0 +1,73 @@
+// test/privacy.test.js - Masking classified columns and scrubbing prompt samples
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { configurePrivacy, maskResult, scrubForPrompt, scrubErrorMessage } = require('../server/privacy');
+const { validateReadOnlyQuery } = require('../server/sql/guard');
+
+configurePrivacy({ hashSecret: 'test-hash-secret' });
+
+const describe = (...names) => names.map(name => ({ name, type: name === 'AGE' || name === 'ID' ? 'number' : 'string' }));
+
+test('masks each column with its strategy', () => {
+  const rows = [
+    { ID: 1, NAME: 'Jane Doe', EMAIL: 'jane@example.com', AGE: 34, PHONE: '555 123 4567' },
+    { ID: 2, NAME: null, EMAIL: 'bo@example.org', AGE: 71, PHONE: '555 000 1111' }
+  ];
+  const masked = { NAME: 'partial', EMAIL: 'generalise', AGE: 'generalise', PHONE: 'partial' };
+  const classified = { columns: { NAME: 'pii', EMAIL: 'pii', AGE: 'sensitive', PHONE: 'pii' }, derived: null };
+  const result = maskResult(rows, describe('ID', 'NAME', 'EMAIL', 'AGE', 'PHONE'), masked, classified);
+
+  assert.deepEqual(result.rows, [
+    { ID: 1, NAME: 'J*** D**', EMAIL: '*@example.com', AGE: '30-39', PHONE: '*** *** 4567' },
+    { ID: 2, NAME: null, EMAIL: '*@example.org', AGE: '70-79', PHONE: '*** *** 1111' }
+  ]);
+  assert.deepEqual(result.columns[0], { name: 'ID', type: 'number' });
+  assert.deepEqual(result.columns[3], { name: 'AGE', type: 'string', classification: 'sensitive', masked: 'generalise' });
+  assert.equal(rows[0].NAME, 'Jane Doe');
+
+  const hashed = maskResult([{ NAME: 'Jane' }, { NAME: 'Jane' }, { NAME: 'Bo' }], describe('NAME'), { NAME: 'hash' }).rows;
+  assert.match(hashed[0].NAME, /^[0-9a-f]{16}$/);
+  assert.equal(hashed[0].NAME, hashed[1].NAME);
+  assert.notEqual(hashed[0].NAME, hashed[2].NAME);
+  assert.deepEqual(maskResult([{ NAME: 'Jane' }], describe('NAME'), { NAME: 'redact' }).rows, [{ NAME: '[redacted]' }]);
+});
+
+test('marks classified columns shown as stored', () => {
+  const rows = [{ NAME: 'Jane', TOTAL: 3 }];
+  const traced = maskResult(rows, describe('NAME', 'TOTAL'), {}, { columns: { NAME: 'pii' }, derived: null });
+  assert.equal(traced.rows, rows);
+  assert.deepEqual(traced.columns, [{ name: 'NAME', type: 'string', classification: 'pii' }, { name: 'TOTAL', type: 'string' }]);
+
+  const untraced = maskResult(rows, describe('TOTAL'), {}, { columns: {}, derived: 'pii' });
+  assert.deepEqual(untraced.columns, [{ name: 'TOTAL', type: 'string', classification: 'pii', derived: true }]);
+});
+
+test('keeps classified values out of prompt samples', () => {
+  const rows = [{ NAME: 'Jane', EMAIL: null, TOTAL: 3 }];
+  assert.deepEqual(scrubForPrompt(rows, { columns: { NAME: 'pii', EMAIL: 'pii' }, derived: null }), [{ NAME: '[PII]', EMAIL: null, TOTAL: 3 }]);
+  assert.deepEqual(scrubForPrompt([{ name: 'Jane' }], { columns: { NAME: 'phi' }, derived: null }), [{ name: '[PHI]' }]);
+  // Renamed or calculated values could be in any column
+  assert.deepEqual(scrubForPrompt([{ CONTACT: 'jane@example.com', TOTAL: 3 }], { columns: {}, derived: 'pii' }), [{ CONTACT: '[PII]', TOTAL: '[PII]' }]);
+  assert.equal(scrubForPrompt(rows, { columns: {}, derived: null }), rows);
+});
+
+test('scrubs classified values read from a table in parentheses', () => {
+  const db = {
+    id: 'lite',
+    type: 'sqlite',
+    tables: [{ name: 'CUSTOMERS', columns: [{ name: 'ID' }, { name: 'NAME', classification: 'pii' }, { name: 'EMAIL', classification: 'pii' }] }]
+  };
+  const rows = [{ ID: 1, NAME: 'Jane', EMAIL: 'jane@example.com' }];
+  for (const query of ['SELECT ID, NAME, EMAIL FROM (CUSTOMERS)', 'SELECT c.* FROM (CUSTOMERS) c']) {
+    const { classified } = validateReadOnlyQuery(query, db);
+    assert.deepEqual(scrubForPrompt(rows, classified), [{ ID: 1, NAME: '[PII]', EMAIL: '[PII]' }], query);
+  }
+});
+
+test('drops quoted values from database errors', () => {
+  assert.equal(
+    scrubErrorMessage('invalid input syntax for type integer: "jo@example.com" in column "EMAIL"', new Set(['EMAIL'])),
+    'invalid input syntax for type integer: "…" in column "EMAIL"'
+  );
+  assert.equal(scrubErrorMessage("ORA-01722: invalid number 'Jane'"), "ORA-01722: invalid number '…'");
+});
@@ -0,0 +1,186 @@
+// test/query-agent.test.js - Running generated SQL and repairing failures
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QueryAgent } = require('../server/query-agent');
+const { SqlGuardError } = require('../server/sql/guard');
+
+const TABLES = [
+  {
+    name: 'CUSTOMERS',
+    columns: [
+      { name: 'ID', type: 'INTEGER', primaryKey: true },
+      { name: 'NAME', type: 'TEXT' }
+    ]
+  },
+  { name: 'ORDERS', columns: [{ name: 'ID', type: 'INTEGER', primaryKey: true }, { name: 'TOTAL', type: 'NUMERIC' }] }
+];
+
+const queryError = (message, code = '42703') => Object.assign(new Error(message), { code });
+
+// Agent over a database whose runs answer from `outcomes` in order (an
+// Error is thrown, anything else is the result) and a model answering
+// from `replies`. Records the queries run, their options and the prompts
+// sent.
+const setup = ({ outcomes, replies = [], queryRepair, configured = true }) => {
+  const executed = [];
+  const runOptions = [];
+  const prompts = [];
+  const dbMetadata = {
+    loadMetadata: async () => ({
+      databases: [{ id: 'main', type: 'postgres', transpile: false }],
+      metadata: queryRepair ? { queryRepair } : {}
+    }),
+    executeQuery: async (id, sql, options) => {
+      executed.push(sql);
+      runOptions.push(options);
+      const outcome = outcomes[executed.length - 1];
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    }
+  };
+  const schemaIntrospector = { getSchema: async () => ({ tables: TABLES }) };
+  const llm = {
+    configured,
+    complete: async (messages) => {
+      prompts.push(messages);
+      return { content: JSON.stringify(replies[prompts.length - 1]), usage: {} };
+    }
+  };
+  const agent = new QueryAgent(dbMetadata, schemaIntrospector, () => llm);
+  return { agent, executed, runOptions, prompts };
+};
+
+test.beforeEach(() => {
+  test.mock.method(console, 'warn', () => {});
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+const rows = [{ name: 'Ada' }];
+const success = { rows, columns: [{ name: 'name' }], truncated: false, totalRows: 1 };
+
+test('returns the first run when it succeeds', async () => {
+  const { agent, executed, prompts } = setup({ outcomes: [success] });
+  const seen = [];
+  const result = await agent.run({ databaseId: 'main', query: 'SELECT name FROM customers', onAttempt: a => seen.push(a.status) });
+
+  assert.deepEqual(result.data, rows);
+  assert.equal(result.error, null);
+  assert.equal(result.attempts.length, 1);
+  assert.deepEqual(seen, ['running', 'success']);
+  assert.deepEqual(executed, ['SELECT name FROM customers']);
+  assert.equal(prompts.length, 0);
+});
+
+test('runs every attempt for the requesting user', async () => {
+  const { agent, runOptions } = setup({
+    outcomes: [queryError('column "nme" does not exist'), success],
+    replies: [{ query: 'SELECT name FROM customers' }]
+  });
+  await agent.run({ databaseId: 'main', query: 'SELECT nme FROM customers', owner: 'ada' });
+
+  assert.deepEqual(runOptions.map(options => options.owner), ['ada', 'ada']);
+  assert.notEqual(runOptions[0].queryId, runOptions[1].queryId);
+});
+
+test('sends a query error and the schema back to the model and runs its fix', async () => {
+  const { agent, executed, prompts } = setup({
+    outcomes: [queryError('column "nme" does not exist'), success],
+    replies: [{ query: 'SELECT name FROM customers', explanation: 'Fixed the column name' }]
+  });
+  const result = await agent.run({ databaseId: 'main', query: 'SELECT nme FROM customers', question: 'Customer names' });
+
+  assert.deepEqual(executed, ['SELECT nme FROM customers', 'SELECT name FROM customers']);
+  assert.deepEqual(result.data, rows);
+  assert.deepEqual(result.attempts.map(a => a.status), ['error', 'success']);
+  assert.equal(result.attempts[0].retrying, true);
+  assert.equal(result.attempts[1].explanation, 'Fixed the column name');
+
+  const prompt = prompts[0].at(-1).content;
+  assert.match(prompt, /The user asked: Customer names/);
+  assert.match(prompt, /SELECT nme FROM customers/);
+  // Quoted values that are not schema names are cut (privacy.js)
+  assert.match(prompt, /Error: column "…" does not exist/);
+  assert.match(prompt, /TABLE CUSTOMERS/);
+  assert.match(prompt, /Other tables: ORDERS/);
+});
+
+test('repairs queries the SQL guard rejected', async () => {
+  const { agent, prompts } = setup({
+    outcomes: [new SqlGuardError('denied_column', 'Column SSN may not be read'), success],
+    replies: [{ query: 'SELECT name FROM customers' }]
+  });
+  const result = await agent.run({ databaseId: 'main', query: 'SELECT ssn FROM customers' });
+
+  assert.equal(result.error, null);
+  assert.equal(result.attempts[0].rule, 'denied_column');
+  assert.match(prompts[0].at(-1).content, /rule: denied_column/);
+});
+
+test('does not retry errors no rewrite would fix', async () => {
+  const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  const { agent, executed, prompts } = setup({ outcomes: [refused] });
+  const result = await agent.run({ databaseId: 'main', query: 'SELECT 1' });
+
+  assert.equal(result.error, refused);
+  assert.equal(result.data, null);
+  assert.equal(result.attempts[0].retrying, false);
+  assert.equal(executed.length, 1);
+  assert.equal(prompts.length, 0);
+});
+
+test('does not retry when no model is configured', async () => {
+  const { agent, executed } = setup({ outcomes: [queryError('syntax error', '42601')], configured: false });
+  const result = await agent.run({ databaseId: 'main', query: 'SELEC 1' });
+
+  assert.equal(result.attempts[0].retrying, false);
+  assert.equal(executed.length, 1);
+});
+
+test('stops when the model returns a query that already failed', async () => {
+  const { agent, executed } = setup({
+    outcomes: [queryError('column "nme" does not exist')],
+    replies: [{ query: 'select  nme from customers;' }]
+  });
+  const result = await agent.run({ databaseId: 'main', query: 'SELECT nme FROM customers' });
+
+  assert.equal(executed.length, 1);
+  assert.equal(result.attempts.length, 1);
+  assert.equal(result.attempts[0].retrying, false);
+  assert.match(result.error.message, /nme/);
+});
+
+test('stops when the model answer cannot be parsed', async () => {
+  const { agent, executed } = setup({
+    outcomes: [queryError('column "nme" does not exist')],
+    replies: ['not json', 'still not json', 'nope']
+  });
+  const result = await agent.run({ databaseId: 'main', query: 'SELECT nme FROM customers' });
+
+  assert.equal(executed.length, 1);
+  assert.equal(result.attempts[0].retrying, false);
+});
+
+test('caps the attempts at the configured maximum', async () => {
+  const failing = Array.from({ length: 5 }, (_, i) => queryError(`failure ${i}`));
+  const replies = Array.from({ length: 5 }, (_, i) => ({ query: `SELECT ${i + 1}` }));
+
+  const configured = setup({ outcomes: failing, replies, queryRepair: { maxAttempts: 2 } });
+  let result = await configured.agent.run({ databaseId: 'main', query: 'SELECT 0', maxAttempts: 4 });
+  assert.equal(result.attempts.length, 2);
+  assert.equal(configured.executed.length, 2);
+
+  const requested = setup({ outcomes: failing, replies });
+  result = await requested.agent.run({ databaseId: 'main', query: 'SELECT 0', maxAttempts: 1 });
+  assert.equal(result.attempts.length, 1);
+
+  const defaults = setup({ outcomes: failing, replies });
+  result = await defaults.agent.run({ databaseId: 'main', query: 'SELECT 0' });
+  assert.equal(result.attempts.length, 3);
+  assert.equal(result.error.message, 'failure 2');
+});
+
+test('rejects an unknown database', async () => {
+  const { agent } = setup({ outcomes: [] });
+  await assert.rejects(agent.run({ databaseId: 'missing', query: 'SELECT 1' }), /Database missing not found/);
+});
@@ -0,0 +1,31 @@
+// test/query-limits.test.js - Resolving row caps and time limits for a query
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_QUERY_LIMITS, resolveQueryLimits, countQuery } = require('../server/query-limits');
+
+const metadata = { metadata: { queryLimits: { maxRows: 5000, timeout: 30 } } };
+
+test('layers the defaults, the metadata and the connection limits', () => {
+  assert.deepEqual(resolveQueryLimits({}, null), DEFAULT_QUERY_LIMITS);
+  assert.deepEqual(resolveQueryLimits({ limits: { timeout: 10 } }, metadata), { maxRows: 5000, timeout: 10, fetchArraySize: 100, exportTimeout: 600 });
+});
+
+test('lets a request lower the limits but never raise them', () => {
+  assert.deepEqual(resolveQueryLimits({}, metadata, { maxRows: 50, timeout: 5 }), { maxRows: 50, timeout: 5, fetchArraySize: 100, exportTimeout: 600 });
+  assert.equal(resolveQueryLimits({}, metadata, { maxRows: 1e9 }).maxRows, 5000);
+  for (const maxRows of [0, -1, 'many', null, Infinity]) {
+    assert.equal(resolveQueryLimits({}, metadata, { maxRows }).maxRows, 5000, String(maxRows));
+  }
+});
+
+test('keeps row counts whole and at least one', () => {
+  assert.equal(resolveQueryLimits({}, metadata, { maxRows: 0.5 }).maxRows, 1);
+  assert.equal(resolveQueryLimits({}, metadata, { maxRows: 20.9, fetchArraySize: 0.2 }).fetchArraySize, 1);
+  assert.equal(resolveQueryLimits({}, metadata, { maxRows: 20.9 }).maxRows, 20);
+  assert.deepEqual(resolveQueryLimits({ limits: { maxRows: 0.5, fetchArraySize: 0 } }, metadata), { maxRows: 1, timeout: 30, fetchArraySize: 1, exportTimeout: 600 });
+  assert.equal(resolveQueryLimits({}, metadata, { timeout: 0.5 }).timeout, 0.5);
+});
+
+test('counts the rows of a statement', () => {
+  assert.equal(countQuery('SELECT * FROM SALES'), 'SELECT COUNT(*) AS TOTAL_ROWS FROM (\nSELECT * FROM SALES\n) counted');
+});
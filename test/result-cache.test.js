@@ -0,0 +1,125 @@
+// test/result-cache.test.js - Paging, sorting, filtering and expiring cached results
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResultCache, ResultCacheError } = require('../server/result-cache');
+
+const COLUMNS = [
+  { name: 'name', type: 'string' },
+  { name: 'region', type: 'string' },
+  { name: 'total', type: 'number' }
+];
+
+const ROWS = [
+  { name: 'Ada', region: 'North', total: 10 },
+  { name: 'Grace', region: 'South', total: 2 },
+  { name: 'Alan', region: null, total: 30 },
+  { name: 'Edsger', region: 'North', total: null },
+  { name: 'Barbara', region: 'East', total: 2 }
+];
+
+let cache;
+
+test.beforeEach(() => {
+  cache = new ResultCache({ pageSize: 2, maxPageSize: 3 });
+});
+
+test.afterEach(() => {
+  cache.close();
+  test.mock.restoreAll();
+});
+
+const store = (extra = {}) => cache.store({ databaseId: 'main', query: 'SELECT 1', rows: ROWS, columns: COLUMNS, ...extra });
+const names = (page) => page.data.map(row => row.name);
+
+test('stores a result and pages through it', () => {
+  const handle = store();
+  assert.equal(handle.rowCount, 5);
+  assert.equal(handle.totalRows, 5);
+  assert.equal(handle.databaseId, 'main');
+
+  const first = cache.page(handle.id);
+  assert.deepEqual(names(first), ['Ada', 'Grace']);
+  assert.equal(first.limit, 2);
+  assert.equal(first.matchedRows, 5);
+
+  assert.deepEqual(names(cache.page(handle.id, { offset: 4 })), ['Barbara']);
+  assert.equal(cache.page(handle.id, { limit: 50 }).limit, 3);
+  assert.equal(cache.page(handle.id, { limit: 'lots', offset: -3 }).offset, 0);
+});
+
+test('sorts with nulls last in either direction', () => {
+  const { id } = store();
+  const all = { limit: 3 };
+
+  assert.deepEqual(cache.page(id, { ...all, sort: 'total' }).data.map(row => row.total), [2, 2, 10]);
+  const desc = cache.page(id, { offset: 3, limit: 3, sort: { column: 'total', direction: 'desc' } });
+  assert.deepEqual(desc.data.map(row => row.total), [2, null]);
+
+  const byTwo = cache.page(id, { ...all, sort: [{ column: 'total' }, { column: 'name', direction: 'desc' }] });
+  assert.deepEqual(names(byTwo), ['Grace', 'Barbara', 'Ada']);
+
+  assert.throws(() => cache.page(id, { sort: 'missing' }), /unknown column "missing"/);
+  assert.throws(() => cache.page(id, { sort: { column: 'name', direction: 'up' } }), ResultCacheError);
+});
+
+test('filters by operator, coercing values for number columns', () => {
+  const { id } = store();
+  const filter = (...filters) => names(cache.page(id, { limit: 3, filters }));
+
+  assert.deepEqual(filter({ column: 'total', operator: 'eq', value: '2' }), ['Grace', 'Barbara']);
+  assert.deepEqual(filter({ column: 'total', operator: 'gt', value: 5 }), ['Ada', 'Alan']);
+  assert.deepEqual(filter({ column: 'region', operator: 'isNull' }), ['Alan']);
+  assert.deepEqual(filter({ column: 'region', operator: 'ne', value: 'North' }), ['Grace', 'Alan', 'Barbara']);
+  assert.deepEqual(filter({ column: 'name', operator: 'startsWith', value: 'a' }), ['Ada', 'Alan']);
+  assert.deepEqual(filter({ column: 'region', operator: 'in', value: ['East', 'South'] }), ['Grace', 'Barbara']);
+  assert.deepEqual(filter(
+    { column: 'region', operator: 'eq', value: 'north' },
+    { column: 'total', operator: 'notNull' }
+  ), ['Ada']);
+
+  assert.throws(() => filter({ column: 'nope' }), /unknown column "nope"/);
+  assert.throws(() => filter({ column: 'name', operator: 'like' }), /Unknown filter operator "like"/);
+  assert.throws(() => filter({ column: 'name', operator: 'in', value: 'Ada' }), /needs an array value/);
+});
+
+test('searches text in every column', () => {
+  const { id } = store();
+  const page = cache.page(id, { search: ' NORTH ' });
+  assert.equal(page.matchedRows, 2);
+  assert.deepEqual(names(page), ['Ada', 'Edsger']);
+});
+
+test('hides results stored for another user', () => {
+  const { id } = store({ owner: 'alice' });
+  assert.equal(cache.page(id, { owner: 'alice' }).matchedRows, 5);
+  assert.throws(() => cache.page(id, { owner: 'bob' }), (error) => error instanceof ResultCacheError && error.statusCode === 404);
+});
+
+test('expires handles ttl seconds after their last read', () => {
+  let now = 1_000_000;
+  test.mock.method(Date, 'now', () => now);
+  cache.configure({ ttl: 10 });
+  const { id } = store();
+
+  now += 9_000;
+  cache.get(id);
+  now += 9_000;
+  assert.equal(cache.get(id).id, id);
+
+  now += 10_000;
+  assert.throws(() => cache.get(id), /has expired or does not exist/);
+  assert.equal(cache.stats().results, 0);
+});
+
+test('drops the least recently read handle past maxResults', () => {
+  cache.configure({ maxResults: 2 });
+  const first = store();
+  const second = store();
+  cache.get(first.id);
+  const third = store();
+
+  assert.equal(cache.get(first.id).id, first.id);
+  assert.equal(cache.get(third.id).id, third.id);
+  assert.throws(() => cache.get(second.id), ResultCacheError);
+  assert.deepEqual(cache.stats(), { results: 2, rows: 10, ttl: 900 });
+});
@@ -0,0 +1,38 @@
+// test/row-filters.test.js - Row filters applied to validated statements
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyRowFilters } = require('../server/sql/row-filters');
+
+const filters = new Map([['CUSTOMERS', 'SEGMENT = :user_segment']]);
+const FILTERED = '(SELECT * FROM CUSTOMERS WHERE (SEGMENT = :user_segment))';
+
+test('filters every read of the table', () => {
+  const filtered = [
+    ['SELECT * FROM CUSTOMERS c WHERE c.ID = 1', `SELECT * FROM ${FILTERED} c WHERE c.ID = 1`],
+    ['SELECT s.ID FROM SALES s JOIN CUSTOMERS ON CUSTOMERS.ID = s.CUSTOMER_ID', `SELECT s.ID FROM SALES s JOIN ${FILTERED} CUSTOMERS ON CUSTOMERS.ID = s.CUSTOMER_ID`],
+    ['SELECT * FROM SALES WHERE CUSTOMER_ID IN (SELECT ID FROM CUSTOMERS)', `SELECT * FROM SALES WHERE CUSTOMER_ID IN (SELECT ID FROM ${FILTERED} CUSTOMERS)`],
+    ['WITH t AS (SELECT * FROM CUSTOMERS) SELECT * FROM t', `WITH t AS (SELECT * FROM ${FILTERED} CUSTOMERS) SELECT * FROM t`]
+  ];
+  for (const [statement, expected] of filtered) {
+    assert.deepEqual(applyRowFilters(statement, filters, 'sqlite'), { sql: expected, parameters: ['user_segment'] }, statement);
+  }
+  assert.equal(applyRowFilters('SELECT * FROM SALES s (a, b), CUSTOMERS', filters, 'postgres').sql, `SELECT * FROM SALES s (a, b), ${FILTERED} CUSTOMERS`);
+  assert.equal(applyRowFilters('SELECT * FROM SALES PARTITION (p) , CUSTOMERS c', filters, 'oracle').sql, `SELECT * FROM SALES PARTITION (p) , ${FILTERED} c`);
+  assert.equal(applyRowFilters('SELECT * FROM SALES SAMPLE (5) s, CUSTOMERS', filters, 'oracle').sql, `SELECT * FROM SALES SAMPLE (5) s, ${FILTERED} CUSTOMERS`);
+  assert.equal(applyRowFilters('SELECT * FROM [CUSTOMERS]', filters, 'sqlite').sql, 'SELECT * FROM (SELECT * FROM [CUSTOMERS] WHERE (SEGMENT = :user_segment)) [CUSTOMERS]');
+  assert.equal(applyRowFilters('SELECT * FROM (CUSTOMERS)', filters, 'sqlite').sql, `SELECT * FROM (${FILTERED} CUSTOMERS)`);
+  assert.equal(applyRowFilters('SELECT c.ID FROM (CUSTOMERS) c', filters, 'sqlite').sql, `SELECT c.ID FROM (${FILTERED}) c`);
+  assert.equal(applyRowFilters('SELECT * FROM SALES JOIN (CUSTOMERS c) ON c.ID = 1', filters, 'sqlite').sql, `SELECT * FROM SALES JOIN (${FILTERED} c) ON c.ID = 1`);
+  assert.equal(applyRowFilters('SELECT * FROM MAIN.CUSTOMERS', filters, 'oracle').sql, 'SELECT * FROM (SELECT * FROM MAIN.CUSTOMERS WHERE (SEGMENT = :user_segment)) CUSTOMERS');
+});
+
+test('leaves other tables and unfiltered users alone', () => {
+  assert.deepEqual(applyRowFilters('SELECT * FROM SALES', filters, 'sqlite'), { sql: 'SELECT * FROM SALES', parameters: [] });
+  assert.deepEqual(applyRowFilters('SELECT * FROM CUSTOMERS', new Map(), 'sqlite'), { sql: 'SELECT * FROM CUSTOMERS', parameters: [] });
+  assert.deepEqual(applyRowFilters('SELECT * FROM CUSTOMERS', null, 'sqlite'), { sql: 'SELECT * FROM CUSTOMERS', parameters: [] });
+});
+
+test('filters the real table behind a CTE of the same name', () => {
+  const { sql } = applyRowFilters('WITH a AS (SELECT * FROM CUSTOMERS), CUSTOMERS AS (SELECT * FROM a) SELECT * FROM CUSTOMERS', filters, 'postgres');
+  assert.equal(sql, `WITH a AS (SELECT * FROM ${FILTERED} CUSTOMERS), CUSTOMERS AS (SELECT * FROM a) SELECT * FROM CUSTOMERS`);
+});
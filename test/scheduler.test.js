@@ -0,0 +1,29 @@
+// test/scheduler.test.js - Cron expressions and schedule validation
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { parseCron, nextRun, CronError } = require('../server/scheduler/cron');
+const { Scheduler, ScheduleError } = require('../server/scheduler');
+
+test('finds the next matching minute', () => {
+  const after = new Date(2026, 0, 1, 10, 30);
+  assert.deepEqual(nextRun('*/15 * * * *', after), new Date(2026, 0, 1, 10, 45));
+  assert.deepEqual(nextRun('0 9 * * 1-5', after), new Date(2026, 0, 2, 9, 0));
+  assert.deepEqual(nextRun('30 8 1 * *', after), new Date(2026, 1, 1, 8, 30));
+  assert.deepEqual(nextRun('0 0 29 2 *', after), new Date(2028, 1, 29, 0, 0));
+  assert.equal(nextRun('0 0 31 4 *', after), null);
+  assert.throws(() => parseCron('61 * * * *'), CronError);
+});
+
+test('refuses a schedule whose cron expression never fires', async () => {
+  const savedQueries = { get: async id => ({ id }) };
+  const scheduler = new Scheduler(path.join(os.tmpdir(), 'scheduler-test'), {}, { savedQueries, runSavedQuery: async () => ({}) });
+  const input = { name: 'April 31st', savedQueryId: 'q1', cron: '0 0 31 4 *', deliveries: [] };
+
+  await assert.rejects(scheduler.check(input), (error) => {
+    assert.ok(error instanceof ScheduleError);
+    assert.match(error.message, /never fires/);
+    return true;
+  });
+});
@@ -0,0 +1,102 @@
+// test/schema-introspector.test.js - Merging the live dictionary with curated metadata
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeTables, filterQueryableTables } = require('../server/schema-introspector');
+
+const LIVE = [
+  {
+    name: 'CUSTOMERS',
+    comment: 'Customer master from the dictionary',
+    columns: [
+      { name: 'ID', type: 'NUMBER', nullable: false, primaryKey: true },
+      { name: 'EMAIL', type: 'VARCHAR2(200)', nullable: true, comment: 'Login address' },
+      { name: 'SEGMENT', type: 'VARCHAR2(20)', nullable: true }
+    ],
+    foreignKeys: []
+  },
+  {
+    name: 'orders',
+    columns: [{ name: 'customer_id', type: 'NUMBER', nullable: false }],
+    foreignKeys: [{ columns: ['customer_id'], references: { table: 'CUSTOMERS', columns: ['ID'] } }]
+  },
+  { name: 'AUDIT_LOG', columns: [{ name: 'ENTRY', type: 'CLOB', nullable: true }], foreignKeys: [] }
+];
+
+const CURATED = [
+  {
+    name: 'customers',
+    description: 'One row per customer',
+    owner: 'crm-team',
+    columns: [
+      { name: 'email', type: 'string', description: 'Primary contact email', classification: 'pii' },
+      { name: 'LOYALTY_TIER', type: 'string', description: 'Dropped last year' }
+    ],
+    foreignKeys: [{ columns: ['ID'], references: { table: 'ACCOUNTS', columns: ['ID'] } }]
+  },
+  {
+    name: 'ORDERS',
+    columns: [],
+    foreignKeys: [{ columns: ['CUSTOMER_ID'], references: { table: 'CLIENTS', columns: ['ID'] } }]
+  },
+  { name: 'RETIRED_TABLE', description: 'Gone', columns: [] }
+];
+
+test('takes names and types from the live dictionary', () => {
+  const { tables } = mergeTables(LIVE, CURATED);
+  const [customers, orders] = tables;
+
+  assert.deepEqual(tables.map(table => table.name), ['CUSTOMERS', 'orders', 'AUDIT_LOG']);
+  assert.deepEqual(customers.columns.map(column => column.name), ['ID', 'EMAIL', 'SEGMENT']);
+  assert.equal(customers.columns[1].type, 'VARCHAR2(200)');
+  assert.equal(customers.columns[1].nullable, true);
+  assert.equal(customers.columns[0].primaryKey, true);
+  assert.equal(customers.columns[2].primaryKey, undefined);
+  // Live keys win; curated keys only fill in when the database has none
+  assert.deepEqual(customers.foreignKeys, CURATED[0].foreignKeys);
+  assert.deepEqual(orders.foreignKeys, LIVE[1].foreignKeys);
+});
+
+test('keeps curated descriptions and attributes such as classification', () => {
+  const { tables } = mergeTables(LIVE, CURATED);
+  const [customers, , audit] = tables;
+
+  assert.equal(customers.description, 'One row per customer');
+  assert.equal(customers.owner, 'crm-team');
+  assert.deepEqual(customers.columns[1], {
+    name: 'EMAIL',
+    type: 'VARCHAR2(200)',
+    nullable: true,
+    primaryKey: undefined,
+    description: 'Primary contact email',
+    classification: 'pii'
+  });
+  // Dictionary comments stand in where nothing is curated
+  assert.equal(customers.columns[0].description, undefined);
+  assert.equal(mergeTables(LIVE).tables[0].description, 'Customer master from the dictionary');
+  assert.equal(mergeTables(LIVE).tables[0].columns[1].description, 'Login address');
+  assert.equal(audit.description, undefined);
+});
+
+test('warns about curated tables the database no longer has', () => {
+  const { warnings } = mergeTables(LIVE, CURATED);
+  assert.deepEqual(warnings, [
+    'Table RETIRED_TABLE is declared in database-metadata.json but was not found in the database'
+  ]);
+  assert.deepEqual(mergeTables(LIVE).warnings, []);
+});
+
+test('shows strict connections only the tables the guard lets them read', () => {
+  const { tables } = mergeTables(LIVE, CURATED);
+  const names = (dbConfig) => filterQueryableTables(tables, dbConfig).map(table => table.name);
+
+  assert.deepEqual(names({ id: 'db', type: 'oracle', tables: CURATED }), ['CUSTOMERS', 'orders']);
+  assert.deepEqual(names({
+    id: 'db',
+    type: 'oracle',
+    tables: CURATED,
+    queryPolicy: { allowedTables: ['audit_log'], deniedTables: ['ORDERS'] }
+  }), ['CUSTOMERS', 'AUDIT_LOG']);
+  assert.deepEqual(names({ id: 'db', type: 'oracle', tables: CURATED, queryPolicy: { mode: 'relaxed' } }),
+    ['CUSTOMERS', 'orders', 'AUDIT_LOG']);
+  assert.deepEqual(names({ id: 'db', type: 'oracle' }), []);
+});
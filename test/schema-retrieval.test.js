@@ -0,0 +1,113 @@
+// test/schema-retrieval.test.js - Choosing and rendering the tables a question needs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { retrieveSchema, renderTable, terms } = require('../server/schema-retrieval');
+
+const column = (name, extra = {}) => ({ name, type: 'INTEGER', ...extra });
+const foreignKey = (from, table) => ({ columns: [from], references: { table, columns: ['ID'] } });
+
+const TABLES = [
+  { name: 'CUSTOMERS', description: 'People who buy', columns: [column('ID', { primaryKey: true }), column('NAME'), column('EMAIL')] },
+  {
+    name: 'ORDERS',
+    columns: [column('ID', { primaryKey: true }), column('CUSTOMER_ID'), column('PLACED_AT')],
+    foreignKeys: [foreignKey('CUSTOMER_ID', 'CUSTOMERS')]
+  },
+  {
+    name: 'ORDER_ITEMS',
+    columns: [column('ORDER_ID'), column('PRODUCT_ID'), column('QUANTITY')],
+    foreignKeys: [foreignKey('ORDER_ID', 'ORDERS'), foreignKey('PRODUCT_ID', 'PRODUCTS')]
+  },
+  { name: 'PRODUCTS', columns: [column('ID', { primaryKey: true }), column('TITLE'), column('PRICE')] },
+  { name: 'EMPLOYEES', columns: [column('ID', { primaryKey: true }), column('SALARY')] }
+];
+
+const included = (result) => result.debug.included.map(entry => [entry.name, entry.reason]);
+
+test('splits identifiers and prose into stemmed terms', () => {
+  assert.deepEqual(terms('ORDER_ITEMS'), ['order', 'item']);
+  assert.deepEqual(terms('orderItems'), ['order', 'item']);
+  assert.deepEqual(terms('Show me the order items'), ['order', 'item']);
+  assert.deepEqual(terms('categories by address'), ['category', 'address']);
+});
+
+test('ranks matching tables first and pulls in their foreign-key neighbours', () => {
+  const result = retrieveSchema(TABLES, 'How many customers?');
+
+  assert.deepEqual(included(result), [
+    ['CUSTOMERS', 'match'],
+    ['ORDERS', 'match'],
+    ['ORDER_ITEMS', 'neighbour']
+  ]);
+  assert.equal(result.debug.omittedTables, 2);
+  assert.deepEqual(result.joinPaths, ['ORDERS.CUSTOMER_ID = CUSTOMERS.ID', 'ORDER_ITEMS.ORDER_ID = ORDERS.ID']);
+  assert.match(result.text, /^TABLE CUSTOMERS -- People who buy/);
+  assert.match(result.text, /Join paths:\n {2}ORDERS.CUSTOMER_ID = CUSTOMERS.ID/);
+  assert.doesNotMatch(result.text, /EMPLOYEES/);
+});
+
+test('adds the tables that join two matches', () => {
+  const result = retrieveSchema(TABLES, 'customer name and product price', { maxTables: 4, maxJoinHops: 3 });
+
+  assert.deepEqual(included(result), [
+    ['PRODUCTS', 'match'],
+    ['CUSTOMERS', 'match'],
+    ['ORDERS', 'join_path'],
+    ['ORDER_ITEMS', 'join_path']
+  ]);
+  assert.equal(result.joinPaths.length, 3);
+});
+
+test('falls back to config order when nothing matches', () => {
+  const result = retrieveSchema(TABLES, 'hello there', { maxTables: 2 });
+
+  assert.deepEqual(included(result), [['CUSTOMERS', 'fallback'], ['ORDERS', 'fallback']]);
+  assert.equal(result.debug.omittedTables, 3);
+});
+
+test('keeps to the token budget but always includes the best match', () => {
+  const result = retrieveSchema(TABLES, 'customers', { tokenBudget: 1 });
+
+  assert.deepEqual(included(result), [['CUSTOMERS', 'match']]);
+  assert.equal(result.debug.tokenBudget, 1);
+  assert.ok(result.debug.estimatedTokens > 1);
+});
+
+test('cuts wide tables to key and matching columns', () => {
+  const wide = {
+    name: 'FACTS',
+    columns: [
+      column('ID', { primaryKey: true }),
+      ...Array.from({ length: 10 }, (_, i) => column(`METRIC_${i}`)),
+      column('STORE_ID'),
+      column('REVENUE')
+    ],
+    foreignKeys: [foreignKey('STORE_ID', 'STORES')]
+  };
+  const result = retrieveSchema([wide], 'facts revenue', { maxColumnsPerTable: 4 });
+  const lines = result.text.split('\n');
+
+  assert.deepEqual(lines.slice(1, 5).map(line => line.trim().split(' ')[0]), ['ID', 'METRIC_0', 'STORE_ID', 'REVENUE']);
+  assert.equal(lines[5], '  ... 9 more columns not shown');
+  assert.equal(result.debug.included[0].trimmedColumns, 9);
+});
+
+test('renders keys, references, masking and descriptions', () => {
+  const text = renderTable({
+    name: 'ORDERS',
+    description: 'One row per order',
+    columns: [
+      column('ID', { primaryKey: true }),
+      column('CUSTOMER_ID', { nullable: false, description: 'Buyer' }),
+      { name: 'CARD', type: 'TEXT', masked: true, classification: 'pci' }
+    ],
+    foreignKeys: [foreignKey('CUSTOMER_ID', 'CUSTOMERS')]
+  });
+
+  assert.equal(text, [
+    'TABLE ORDERS -- One row per order',
+    '  ID INTEGER PRIMARY KEY',
+    '  CUSTOMER_ID INTEGER NOT NULL -> CUSTOMERS.ID -- Buyer',
+    '  CARD TEXT [PCI, masked: select by name only]'
+  ].join('\n'));
+});
@@ -0,0 +1,53 @@
+// test/sql-dialects.test.js - Rewriting generated SQL for each dialect
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { transpile } = require('../server/sql/dialects');
+
+const REWRITES = [
+  ['oracle', 'SELECT * FROM SALES ORDER BY AMOUNT DESC LIMIT 10', 'SELECT * FROM SALES ORDER BY AMOUNT DESC FETCH FIRST 10 ROWS ONLY'],
+  ['oracle', 'SELECT * FROM SALES LIMIT 10 OFFSET 5', 'SELECT * FROM SALES OFFSET 5 ROWS FETCH FIRST 10 ROWS ONLY'],
+  ['postgres', 'SELECT TOP 5 * FROM SALES', 'SELECT * FROM SALES LIMIT 5'],
+  ['mysql', 'SELECT * FROM SALES FETCH FIRST 3 ROWS ONLY', 'SELECT * FROM SALES LIMIT 3'],
+  ['oracle', "SELECT * FROM SALES WHERE D >= CURRENT_DATE - INTERVAL '30 days'", "SELECT * FROM SALES WHERE D >= CURRENT_DATE - INTERVAL '30' DAY"],
+  ['mysql', "SELECT * FROM SALES WHERE D >= CURRENT_DATE - INTERVAL '30 days'", 'SELECT * FROM SALES WHERE D >= CURRENT_DATE - INTERVAL 30 DAY'],
+  ['oracle', "SELECT DATE_TRUNC('month', D) FROM SALES", "SELECT TRUNC(D, 'MM') FROM SALES"],
+  ['sqlite', "SELECT DATE_TRUNC('month', D) FROM SALES", "SELECT date(D, 'start of month') FROM SALES"],
+  ['sqlite', 'SELECT EXTRACT(YEAR FROM D) FROM SALES', "SELECT CAST(strftime('%Y', D) AS INTEGER) FROM SALES"],
+  ['oracle', "SELECT * FROM C WHERE NAME ILIKE '%a%'", "SELECT * FROM C WHERE UPPER(NAME) LIKE UPPER('%a%')"],
+  ['oracle', 'SELECT AMOUNT::int FROM SALES', 'SELECT CAST(AMOUNT AS NUMBER(10)) FROM SALES'],
+  ['postgres', 'SELECT NVL(A, 0) FROM SALES', 'SELECT COALESCE(A, 0) FROM SALES'],
+  ['postgres', 'SELECT * FROM SALES WHERE D >= SYSDATE', 'SELECT * FROM SALES WHERE D >= CURRENT_TIMESTAMP'],
+  ['postgres', 'SELECT * FROM SALES WHERE D >= SYSDATE - 30', "SELECT * FROM SALES WHERE D >= CURRENT_TIMESTAMP - INTERVAL '30 days'"],
+  ['postgres', 'SELECT SYSDATE + 1 FROM SALES', "SELECT CURRENT_TIMESTAMP + INTERVAL '1 day' FROM SALES"],
+  ['postgres', 'SELECT SYSDATE - D FROM SALES', 'SELECT CURRENT_DATE - D FROM SALES'],
+  ['postgres', 'SELECT SYSDATE - 7 * 2 FROM SALES', 'SELECT CURRENT_DATE - 7 * 2 FROM SALES'],
+  ['sqlite', 'SELECT * FROM SALES WHERE D >= SYSDATE - 30', "SELECT * FROM SALES WHERE D >= datetime(CURRENT_TIMESTAMP, '-30 days')"]
+];
+
+test('rewrites foreign constructs into the target dialect', () => {
+  for (const [type, query, expected] of REWRITES) {
+    const result = transpile(query, type);
+    assert.equal(result.query, expected, `${type}: ${query}`);
+    assert.equal(result.rewrites.at(-1).after, expected);
+  }
+});
+
+test('leaves native SQL, strings and comments alone', () => {
+  const unchanged = [
+    ['postgres', 'SELECT * FROM SALES LIMIT 10'],
+    ['oracle', "SELECT 'LIMIT 5' FROM SALES -- LIMIT 3"],
+    ['oracle', 'SELECT "ILIKE" FROM SALES'],
+    ['unknown', 'SELECT * FROM SALES LIMIT 5'],
+    ['oracle', "SELECT 'unterminated FROM SALES LIMIT 5"]
+  ];
+  for (const [type, query] of unchanged) {
+    assert.deepEqual(transpile(query, type), { query, rewrites: [], warnings: [] }, `${type}: ${query}`);
+  }
+});
+
+test('warns about constructs it cannot rewrite', () => {
+  assert.match(transpile('SELECT * FROM SALES WHERE ROWNUM <= 5', 'postgres').warnings[0], /ROWNUM/);
+  assert.match(transpile('SELECT * FROM A, B WHERE A.ID = B.ID (+)', 'mysql').warnings[0], /\(\+\)/);
+  assert.match(transpile("SELECT FIRST_NAME || ' ' || LAST_NAME FROM C", 'mysql').warnings[0], /CONCAT/);
+  assert.match(transpile('SELECT SYSDATE - D FROM SALES', 'sqlite').warnings[0], /SYSDATE/);
+});
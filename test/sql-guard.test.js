@@ -0,0 +1,314 @@
+// test/sql-guard.test.js - Accept/reject cases for the read-only SQL guard
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateReadOnlyQuery, listReferencedTables } = require('../server/sql/guard');
+
+const table = (name, columns = ['ID']) => ({ name, columns: columns.map(column => ({ name: column, type: 'NUMBER' })) });
+
+const oracle = {
+  id: 'ora',
+  type: 'oracle',
+  schema: 'MAIN',
+  tables: [table('SALES', ['ID', 'AMOUNT', 'CUSTOMER_ID']), table('CUSTOMERS', ['ID', 'NAME', 'EMAIL'])]
+};
+
+const withPolicy = (dbConfig, queryPolicy) => ({ ...dbConfig, queryPolicy });
+
+const rejects = (query, dbConfig, rule) => {
+  assert.throws(() => validateReadOnlyQuery(query, dbConfig), (error) => {
+    assert.equal(error.name, 'SqlGuardError');
+    assert.equal(error.rule, rule, `${query}: ${error.message}`);
+    return true;
+  });
+};
+
+test('accepts single SELECT and WITH queries over declared tables', () => {
+  const accepted = [
+    'SELECT ID, AMOUNT FROM SALES',
+    'select s.id from sales s join customers c on c.id = s.customer_id',
+    'SELECT * FROM MAIN.SALES',
+    'SELECT COUNT(*) FROM SALES;',
+    "SELECT 'DROP TABLE SALES' AS note FROM DUAL",
+    'SELECT EXTRACT(YEAR FROM CURRENT_DATE) FROM DUAL',
+    'WITH totals AS (SELECT CUSTOMER_ID, SUM(AMOUNT) AS total FROM SALES GROUP BY CUSTOMER_ID) SELECT * FROM totals',
+    'SELECT * FROM (SELECT ID FROM SALES) x, CUSTOMERS'
+  ];
+  for (const query of accepted) {
+    assert.doesNotThrow(() => validateReadOnlyQuery(query, oracle), query);
+  }
+});
+
+test('reports the statement and the tables it reads', () => {
+  const result = validateReadOnlyQuery('SELECT s.ID FROM SALES s JOIN CUSTOMERS c ON c.ID = s.CUSTOMER_ID;', oracle);
+  assert.equal(result.statement, 'SELECT s.ID FROM SALES s JOIN CUSTOMERS c ON c.ID = s.CUSTOMER_ID');
+  assert.equal(result.statementType, 'SELECT');
+  assert.deepEqual(result.tables.sort(), ['CUSTOMERS', 'SALES']);
+});
+
+test('rejects statements that write, lock or run code', () => {
+  rejects('', oracle, 'empty_statement');
+  rejects('DELETE FROM SALES', oracle, 'dml_statement');
+  rejects('DROP TABLE SALES', oracle, 'ddl_statement');
+  rejects('BEGIN NULL; END;', oracle, 'plsql_block');
+  rejects('SET ROLE admin', oracle, 'session_statement');
+  rejects('EXPLAIN SELECT 1 FROM DUAL', oracle, 'statement_type');
+  rejects('SELECT 1 FROM DUAL; DELETE FROM SALES', oracle, 'multi_statement');
+  rejects('SELECT * FROM SALES FOR UPDATE', oracle, 'locking_clause');
+  rejects('SELECT * FROM SALES FOR SHARE', oracle, 'locking_clause');
+  rejects('SELECT * FROM SALES FOR NO KEY UPDATE', oracle, 'locking_clause');
+  rejects('SELECT * FROM SALES FOR KEY SHARE NOWAIT', oracle, 'locking_clause');
+  rejects('SELECT * FROM SALES LOCK IN SHARE MODE', oracle, 'locking_clause');
+  rejects('SELECT * FROM (TABLE CUSTOMERS) x', oracle, 'statement_type');
+  rejects('SELECT ID FROM SALES UNION TABLE CUSTOMERS', oracle, 'statement_type');
+  rejects('WITH x AS (TABLE PAYROLL) SELECT * FROM x', oracle, 'statement_type');
+  assert.doesNotThrow(() => validateReadOnlyQuery('SELECT * FROM TABLE(SALES_PIPELINE())', withPolicy(oracle, { mode: 'relaxed' })));
+  rejects('SELECT ID INTO x FROM SALES', oracle, 'select_into');
+  rejects('WITH d AS (DELETE FROM SALES RETURNING *) SELECT * FROM d', oracle, 'dml_statement');
+  rejects("SELECT 'unterminated FROM SALES", oracle, 'parse_error');
+});
+
+test('rejects denied functions and allows exemptions', () => {
+  rejects("SELECT UTL_HTTP.REQUEST('http://x') FROM DUAL", oracle, 'denied_function');
+  rejects('SELECT DBMS_RANDOM.VALUE FROM DUAL', oracle, 'denied_function');
+  const postgres = { id: 'pg', type: 'postgres', tables: [] };
+  rejects('SELECT pg_sleep(10)', postgres, 'denied_function');
+  rejects('SELECT pg_catalog.pg_sleep(10)', postgres, 'denied_function');
+  rejects("SELECT query_to_xml('select * from customers', true, false, '')", postgres, 'denied_function');
+  rejects("SELECT pg_catalog.query_to_xml_and_xmlschema('select 1', true, false, '')", postgres, 'denied_function');
+  rejects("SELECT query_to_json('select * from customers')", postgres, 'denied_function');
+  rejects("SELECT table_to_xml('customers', true, false, '')", postgres, 'denied_function');
+  rejects("SELECT cursor_to_xml('c', 10, true, false, '')", postgres, 'denied_function');
+  const sqlite = { id: 'lite', type: 'sqlite', tables: [table('SALES')] };
+  rejects("SELECT * FROM pragma_table_info('PAYROLL')", sqlite, 'denied_function');
+  rejects("SELECT name FROM SALES, pragma_index_list('SALES')", sqlite, 'denied_function');
+  rejects('SELECT * FROM "pragma_table_list"()', sqlite, 'denied_function');
+  rejects('SELECT * FROM main.pragma_database_list()', sqlite, 'denied_function');
+  rejects('SELECT SYSDATE() FROM SALES', withPolicy(oracle, { deniedFunctions: ['SYSDATE'] }), 'denied_function');
+  assert.doesNotThrow(() => validateReadOnlyQuery('SELECT DBMS_RANDOM.VALUE FROM DUAL', withPolicy(oracle, { allowedFunctions: ['DBMS_RANDOM.VALUE'] })));
+});
+
+test('restricts tables to the declared ones in strict mode', () => {
+  rejects('SELECT * FROM PAYROLL', oracle, 'undeclared_table');
+  rejects('SELECT * FROM SALES, PAYROLL', oracle, 'undeclared_table');
+  rejects('SELECT * FROM SALES WHERE ID IN (SELECT ID FROM PAYROLL)', oracle, 'undeclared_table');
+  rejects('SELECT * FROM HR.SALES', oracle, 'schema_not_allowed');
+  rejects('SELECT * FROM SALES@remote', oracle, 'database_link');
+  // An alias column list does not end the FROM list
+  rejects('SELECT * FROM SALES s (a, b, c), PAYROLL', oracle, 'undeclared_table');
+  rejects('SELECT * FROM (SELECT ID FROM SALES) s (a), PAYROLL', oracle, 'undeclared_table');
+  // Nor do partitions, samples, flashback, index hints or keyword aliases
+  const afterClauses = [
+    ['oracle', 'SELECT * FROM SALES PARTITION (p1) s, PAYROLL'],
+    ['oracle', 'SELECT * FROM SALES SUBPARTITION FOR (2024, 1), PAYROLL'],
+    ['mysql', 'SELECT * FROM SALES PARTITION (p0, p1) AS s, PAYROLL'],
+    ['oracle', "SELECT * FROM SALES AS OF TIMESTAMP SYSTIMESTAMP - INTERVAL '1' HOUR s, PAYROLL"],
+    ['oracle', 'SELECT * FROM SALES AS OF TIMESTAMP (SELECT MAX(T) FROM PAYROLL) s'],
+    ['oracle', 'SELECT * FROM SALES VERSIONS BETWEEN SCN MINVALUE AND MAXVALUE, PAYROLL'],
+    ['oracle', 'SELECT * FROM SALES SAMPLE BLOCK (10) SEED (3) s, PAYROLL'],
+    ['postgres', 'SELECT * FROM SALES s TABLESAMPLE BERNOULLI (10) REPEATABLE (1), PAYROLL'],
+    ['snowflake', 'SELECT * FROM SALES SAMPLE ROW (10 ROWS), PAYROLL'],
+    ['mysql', 'SELECT * FROM SALES USE INDEX (a), IGNORE INDEX FOR ORDER BY (b), PAYROLL'],
+    ['sqlite', 'SELECT * FROM SALES INDEXED BY ix, PAYROLL'],
+    ['sqlite', 'SELECT * FROM SALES window, PAYROLL'],
+    ['postgres', 'SELECT * FROM SALES AS sample, PAYROLL']
+  ];
+  for (const [type, query] of afterClauses) {
+    rejects(query, { ...oracle, type }, 'undeclared_table');
+  }
+  assert.deepEqual(validateReadOnlyQuery('SELECT ID, SUM(AMOUNT) OVER w FROM SALES WINDOW w AS (PARTITION BY ID) ORDER BY ID', oracle).tables, ['SALES']);
+
+  const relaxed = withPolicy(oracle, { mode: 'relaxed', deniedTables: ['PAYROLL'] });
+  assert.doesNotThrow(() => validateReadOnlyQuery('SELECT * FROM AUDIT_LOG', relaxed));
+  rejects('SELECT * FROM PAYROLL', relaxed, 'denied_table');
+  assert.doesNotThrow(() => validateReadOnlyQuery('SELECT * FROM LOOKUP', withPolicy(oracle, { allowedTables: ['LOOKUP'] })));
+});
+
+test('reads tables and joins in parentheses', () => {
+  const sqlite = { ...oracle, type: 'sqlite' };
+  assert.deepEqual(validateReadOnlyQuery('SELECT * FROM (SALES)', sqlite).tables, ['SALES']);
+  assert.deepEqual(validateReadOnlyQuery('SELECT a.ID FROM (SALES) a', sqlite).tables, ['SALES']);
+  assert.deepEqual(validateReadOnlyQuery('SELECT * FROM SALES s JOIN (CUSTOMERS u) ON u.ID = s.CUSTOMER_ID', sqlite).tables.sort(), ['CUSTOMERS', 'SALES']);
+  assert.deepEqual(validateReadOnlyQuery('SELECT * FROM ((SALES s JOIN CUSTOMERS c ON c.ID = s.CUSTOMER_ID))', sqlite).tables.sort(), ['CUSTOMERS', 'SALES']);
+
+  rejects('SELECT * FROM (sqlite_master)', sqlite, 'undeclared_table');
+  rejects('SELECT * FROM (PAYROLL) p', sqlite, 'undeclared_table');
+  rejects('SELECT * FROM SALES s JOIN (PAYROLL u) ON u.ID = s.ID', sqlite, 'undeclared_table');
+  rejects('SELECT * FROM (SALES JOIN PAYROLL ON 1 = 1)', sqlite, 'undeclared_table');
+  rejects('SELECT * FROM (SALES), PAYROLL', sqlite, 'undeclared_table');
+  rejects('SELECT NAME FROM (CUSTOMERS)', withPolicy(sqlite, { deniedTables: ['CUSTOMERS'] }), 'denied_table');
+  rejects('SELECT c.EMAIL FROM (CUSTOMERS) c', withPolicy(sqlite, { deniedColumns: ['CUSTOMERS.EMAIL'] }), 'denied_column');
+});
+
+test('rejects denied tables and columns', () => {
+  const policy = withPolicy(oracle, { deniedTables: ['CUSTOMERS'] });
+  rejects('SELECT * FROM CUSTOMERS', policy, 'denied_table');
+  rejects('SELECT * FROM SALES s JOIN MAIN.CUSTOMERS c ON c.ID = s.CUSTOMER_ID', policy, 'denied_table');
+
+  const columns = withPolicy(oracle, { deniedColumns: ['CUSTOMERS.EMAIL'] });
+  rejects('SELECT EMAIL FROM CUSTOMERS', columns, 'denied_column');
+  rejects('SELECT c.email FROM CUSTOMERS c', columns, 'denied_column');
+  rejects('SELECT * FROM CUSTOMERS', columns, 'denied_column');
+  rejects('SELECT c.* FROM CUSTOMERS c', columns, 'denied_column');
+  assert.doesNotThrow(() => validateReadOnlyQuery('SELECT ID, NAME, COUNT(*) FROM CUSTOMERS GROUP BY ID, NAME', columns));
+  assert.doesNotThrow(() => validateReadOnlyQuery('SELECT * FROM SALES', columns));
+});
+
+test('reports masked result columns and refuses other uses', () => {
+  const masked = withPolicy(oracle, { maskedColumns: { 'CUSTOMERS.NAME': 'hash', 'CUSTOMERS.EMAIL': 'partial' } });
+  assert.deepEqual(validateReadOnlyQuery('SELECT NAME, ID FROM CUSTOMERS', masked).maskedColumns, { NAME: 'hash' });
+  assert.deepEqual(validateReadOnlyQuery('SELECT * FROM CUSTOMERS', masked).maskedColumns, { NAME: 'hash', EMAIL: 'partial' });
+  assert.deepEqual(validateReadOnlyQuery('SELECT c.NAME, COUNT(*) FROM CUSTOMERS c GROUP BY c.NAME ORDER BY c.NAME', masked).maskedColumns, { NAME: 'hash' });
+  assert.deepEqual(validateReadOnlyQuery('SELECT NAME FROM (SELECT NAME FROM CUSTOMERS) x', masked).maskedColumns, { NAME: 'hash' });
+
+  rejects('SELECT NAME AS WHO FROM CUSTOMERS', masked, 'masked_column');
+  rejects('SELECT UPPER(NAME) FROM CUSTOMERS', masked, 'masked_column');
+  rejects("SELECT NAME || '' FROM CUSTOMERS", masked, 'masked_column');
+  rejects("SELECT ID FROM CUSTOMERS WHERE EMAIL LIKE 'a%'", masked, 'masked_column');
+  rejects('SELECT s.ID FROM SALES s JOIN CUSTOMERS c ON c.NAME = s.ID', masked, 'masked_column');
+  rejects('SELECT (SELECT MAX(NAME) FROM CUSTOMERS) FROM DUAL', masked, 'masked_column');
+  rejects('SELECT NAME FROM CUSTOMERS UNION SELECT NAME FROM CUSTOMERS', masked, 'masked_column');
+  rejects('SELECT WHO FROM (SELECT NAME FROM CUSTOMERS) x (WHO)', masked, 'masked_column');
+  rejects('SELECT b FROM CUSTOMERS c (a, b)', masked, 'masked_column');
+  assert.deepEqual(validateReadOnlyQuery('SELECT ID FROM SALES', masked).maskedColumns, {});
+
+  // Tables in parentheses are masked the same way
+  assert.deepEqual(validateReadOnlyQuery('SELECT NAME, EMAIL FROM (CUSTOMERS)', masked).maskedColumns, { NAME: 'hash', EMAIL: 'partial' });
+  assert.deepEqual(validateReadOnlyQuery('SELECT c.NAME FROM (CUSTOMERS) c', masked).maskedColumns, { NAME: 'hash' });
+  rejects('SELECT UPPER(u.EMAIL) FROM SALES s JOIN (CUSTOMERS u) ON u.ID = s.CUSTOMER_ID', masked, 'masked_column');
+});
+
+test('traces classified columns into the result whatever the masking', () => {
+  const classified = {
+    ...oracle,
+    tables: [
+      table('SALES', ['ID', 'AMOUNT', 'CUSTOMER_ID']),
+      { name: 'CUSTOMERS', columns: [{ name: 'ID' }, { name: 'NAME', classification: 'pii' }, { name: 'EMAIL', classification: 'pii' }] },
+      table('PRODUCTS', ['ID', 'NAME'])
+    ]
+  };
+  const trace = query => validateReadOnlyQuery(query, classified).classified;
+
+  assert.deepEqual(trace('SELECT NAME, EMAIL, ID FROM CUSTOMERS'), { columns: { NAME: 'pii', EMAIL: 'pii' }, derived: null });
+  assert.deepEqual(trace('SELECT * FROM (SELECT EMAIL FROM CUSTOMERS) x').columns, { NAME: 'pii', EMAIL: 'pii' });
+  // NAME is classified on CUSTOMERS only
+  assert.deepEqual(trace('SELECT NAME FROM PRODUCTS'), { columns: {}, derived: null });
+  assert.deepEqual(trace('SELECT p.NAME FROM PRODUCTS p JOIN CUSTOMERS c ON c.ID = p.ID'), { columns: {}, derived: null });
+  // Filtering, sorting and counting put no values in the result
+  assert.deepEqual(trace("SELECT COUNT(*) FROM CUSTOMERS WHERE EMAIL LIKE '%@example.com'"), { columns: {}, derived: null });
+  assert.deepEqual(trace('SELECT ID, ROW_NUMBER() OVER (ORDER BY NAME) AS N FROM CUSTOMERS'), { columns: {}, derived: null });
+
+  const derived = [
+    "SELECT EMAIL AS CONTACT, NAME || '' AS WHO FROM CUSTOMERS",
+    'SELECT UPPER(EMAIL) FROM CUSTOMERS',
+    'SELECT x FROM (SELECT EMAIL AS x FROM CUSTOMERS) t',
+    'SELECT (SELECT MAX(EMAIL) FROM CUSTOMERS) AS M FROM DUAL',
+    'SELECT NAME FROM PRODUCTS UNION SELECT EMAIL FROM CUSTOMERS',
+    'WITH t (x) AS (SELECT EMAIL FROM CUSTOMERS) SELECT x FROM t',
+    'SELECT b FROM CUSTOMERS c (a, b)',
+    // A classified table named where no table is read: a CTE of that name
+    'WITH CUSTOMERS AS (SELECT ID FROM SALES) SELECT * FROM CUSTOMERS'
+  ];
+  for (const query of derived) {
+    assert.equal(trace(query).derived, 'pii', query);
+  }
+  assert.deepEqual(trace('SELECT NAME, EMAIL FROM (CUSTOMERS)'), { columns: { NAME: 'pii', EMAIL: 'pii' }, derived: null });
+  assert.deepEqual(trace('SELECT c.* FROM (CUSTOMERS) c').columns, { NAME: 'pii', EMAIL: 'pii' });
+});
+
+test('treats whole-row references as reading every column', () => {
+  const postgres = {
+    id: 'pg',
+    type: 'postgres',
+    tables: [
+      table('SALES', ['ID', 'AMOUNT']),
+      { name: 'CUSTOMERS', columns: [{ name: 'ID' }, { name: 'NAME', classification: 'pii' }, { name: 'EMAIL', classification: 'pii' }, { name: 'AGE', classification: 'sensitive' }] }
+    ]
+  };
+  const wholeRows = [
+    'SELECT c FROM customers c',
+    'SELECT customers FROM customers',
+    'SELECT row_to_json(c) FROM customers c',
+    'SELECT json_agg(c) FROM customers c',
+    'SELECT row_to_json(c.*) FROM customers c',
+    'SELECT json_agg(c.*) FROM customers c',
+    'SELECT row_to_json(x) FROM (SELECT NAME FROM customers) x',
+    'WITH t AS (SELECT EMAIL FROM customers) SELECT json_agg(t) FROM t'
+  ];
+  for (const query of wholeRows) {
+    rejects(query, withPolicy(postgres, { maskedColumns: { 'CUSTOMERS.NAME': 'hash' } }), 'masked_column');
+    rejects(query, withPolicy(postgres, { deniedColumns: ['CUSTOMERS.EMAIL'] }), 'denied_column');
+    assert.equal(validateReadOnlyQuery(query, postgres).classified.derived, 'pii', query);
+  }
+
+  // Aliases qualifying columns, and columns named like an alias, are not rows
+  const masked = withPolicy(postgres, { maskedColumns: { 'CUSTOMERS.NAME': 'hash' }, deniedColumns: ['CUSTOMERS.EMAIL'] });
+  assert.deepEqual(validateReadOnlyQuery('SELECT c.ID, c.NAME FROM customers c ORDER BY c.ID', masked).maskedColumns, { NAME: 'hash' });
+  assert.doesNotThrow(() => validateReadOnlyQuery('SELECT id FROM customers id', masked));
+  assert.deepEqual(validateReadOnlyQuery('SELECT s FROM sales s', postgres).classified, { columns: {}, derived: null });
+});
+
+test('scopes CTE names to the queries that can see them', () => {
+  const policy = withPolicy(oracle, { deniedTables: ['CUSTOMERS'] });
+  // A plain CTE does not see itself or later siblings: these read the real table
+  rejects('WITH a AS (SELECT * FROM CUSTOMERS), CUSTOMERS AS (SELECT 1 AS x FROM DUAL) SELECT * FROM a', policy, 'denied_table');
+  rejects('WITH CUSTOMERS AS (SELECT * FROM CUSTOMERS) SELECT * FROM CUSTOMERS', policy, 'denied_table');
+  rejects('WITH a AS (SELECT * FROM PAYROLL), PAYROLL AS (SELECT 1 AS x FROM DUAL) SELECT * FROM a', oracle, 'undeclared_table');
+  rejects('SELECT * FROM (WITH PAYROLL AS (SELECT ID FROM SALES) SELECT * FROM PAYROLL) x, PAYROLL', oracle, 'undeclared_table');
+
+  // Later siblings, the main query and nested subqueries do see it
+  const visible = [
+    'WITH a AS (SELECT ID FROM SALES), b AS (SELECT * FROM a) SELECT * FROM b JOIN a ON a.ID = b.ID',
+    'WITH a AS (SELECT ID FROM SALES) SELECT * FROM SALES WHERE ID IN (SELECT ID FROM a)',
+    'WITH a AS MATERIALIZED (SELECT ID FROM SALES) SELECT * FROM a',
+    'SELECT * FROM (WITH PAYROLL AS (SELECT ID FROM SALES) SELECT * FROM PAYROLL) x',
+    'WITH RECURSIVE n (k) AS (SELECT 1 FROM DUAL UNION ALL SELECT k + 1 FROM n WHERE k < 5) SELECT * FROM n'
+  ];
+  for (const query of visible) {
+    assert.deepEqual(validateReadOnlyQuery(query, oracle).tables.filter(name => !['SALES', 'DUAL'].includes(name)), [], query);
+  }
+});
+
+test('sends no comments to the database', () => {
+  const mysql = { id: 'my', type: 'mysql', tables: [table('SALES')] };
+  const runs = (query, dbConfig = mysql) => validateReadOnlyQuery(query, dbConfig).statement;
+
+  // MySQL executes /*! ... */ and ends "#" comments at the line break
+  assert.equal(runs('SELECT * FROM SALES /*!, SECRET */'), 'SELECT * FROM SALES');
+  assert.equal(runs('SELECT 1 --(SELECT x FROM SECRET)\nFROM SALES'), 'SELECT 1  \nFROM SALES');
+  assert.equal(runs('SELECT /*+ INDEX(s) */ ID FROM SALES s -- trailing', oracle), 'SELECT   ID FROM SALES s');
+  rejects('SELECT * FROM SALES #\n, SECRET', mysql, 'undeclared_table');
+  assert.equal(runs("SELECT '#' AS hash FROM SALES # note"), "SELECT '#' AS hash FROM SALES");
+});
+
+test('reads SQLite bracket identifiers as names', () => {
+  const sqlite = { id: 'lite', type: 'sqlite', tables: [table('SALES'), table('CUSTOMERS', ['ID', 'NAME', 'EMAIL'])] };
+  assert.deepEqual(validateReadOnlyQuery('SELECT [ID] FROM [SALES]', sqlite).tables, ['SALES']);
+  rejects('SELECT * FROM [PAYROLL]', sqlite, 'undeclared_table');
+  rejects('SELECT * FROM SALES, [PAYROLL]', sqlite, 'undeclared_table');
+  rejects('SELECT * FROM [CUSTOMERS]', withPolicy(sqlite, { deniedTables: ['CUSTOMERS'] }), 'denied_table');
+  rejects('SELECT [EMAIL] FROM CUSTOMERS', withPolicy(sqlite, { deniedColumns: ['CUSTOMERS.EMAIL'] }), 'denied_column');
+  assert.deepEqual(validateReadOnlyQuery('SELECT * FROM [CUSTOMERS]', withPolicy(sqlite, { maskedColumns: { 'CUSTOMERS.NAME': 'hash' } })).maskedColumns, { NAME: 'hash' });
+  rejects('SELECT * FROM [SALES', sqlite, 'parse_error');
+
+  // Elsewhere brackets are subscripts, and characters the tokenizer does not know are refused
+  const postgres = { id: 'pg', type: 'postgres', tables: [table('SALES', ['ID', 'TAGS'])] };
+  assert.doesNotThrow(() => validateReadOnlyQuery('SELECT TAGS[1] FROM SALES', postgres));
+  rejects('SELECT * FROM SALES, {oj PAYROLL}', { ...postgres, type: 'mysql' }, 'parse_error');
+});
+
+test('reads backslash escapes where the dialect has them', () => {
+  const hidden = (quoted) => `SELECT ${quoted} AS x, (SELECT MAX(ID) FROM PAYROLL) AS y FROM SALES`;
+  rejects(hidden("'\\''"), { ...oracle, type: 'snowflake' }, 'undeclared_table');
+  rejects(hidden("'\\''"), { ...oracle, type: 'mysql' }, 'undeclared_table');
+  rejects(hidden("E'\\''"), { ...oracle, type: 'postgres' }, 'undeclared_table');
+  rejects(hidden('`a\\`'), { ...oracle, type: 'mysql' }, 'undeclared_table');
+  // Elsewhere a backslash is an ordinary character
+  assert.equal(validateReadOnlyQuery("SELECT 'C:\\' AS dir FROM SALES", { ...oracle, type: 'postgres' }).statement, "SELECT 'C:\\' AS dir FROM SALES");
+  rejects(hidden("'\\'"), { ...oracle, type: 'postgres' }, 'undeclared_table');
+});
+
+test('lists referenced tables without CTE names', () => {
+  assert.deepEqual(listReferencedTables('WITH t AS (SELECT * FROM SALES) SELECT * FROM t JOIN CUSTOMERS c ON c.ID = t.ID').sort(), ['CUSTOMERS', 'SALES']);
+  assert.deepEqual(listReferencedTables('WITH a AS (SELECT * FROM b), b AS (SELECT 1 AS x) SELECT * FROM a'), ['B']);
+  assert.deepEqual(listReferencedTables("SELECT 'unterminated"), []);
+});
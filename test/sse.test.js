@@ -0,0 +1,64 @@
+// test/sse.test.js - Writing and reading Server-Sent Events
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { resolveConfig } = require('../server/config-loader');
+const { openEventStream, readEventStream } = require('../server/sse');
+
+// Just enough of an Express response to open a stream on
+const fakeResponse = () => Object.assign(new EventEmitter(), {
+  written: [],
+  writableEnded: false,
+  writeHead(status, headers) {
+    this.status = status;
+    this.headers = headers;
+  },
+  flushHeaders() {},
+  write(text) {
+    this.written.push(text);
+  },
+  end() {
+    this.writableEnded = true;
+  }
+});
+
+test('sends events with the configured secrets cut out', () => {
+  process.env.TEST_SSE_TOKEN = 'sse-secret-value';
+  resolveConfig({ token: '${TEST_SSE_TOKEN}' });
+
+  const res = fakeResponse();
+  const stream = openEventStream(res);
+  stream.send('error', { error: 'login failed with sse-secret-value' });
+  stream.send('result', { data: [{ note: 'sse-secret-value' }] });
+  stream.close();
+
+  assert.equal(res.headers['Content-Type'], 'text/event-stream');
+  assert.deepEqual(res.written, [
+    'event: error\ndata: {"error":"login failed with [REDACTED]"}\n\n',
+    'event: result\ndata: {"data":[{"note":"[REDACTED]"}]}\n\n'
+  ]);
+  assert.equal(res.writableEnded, true);
+});
+
+test('stops sending once the client disconnects', () => {
+  const res = fakeResponse();
+  const stream = openEventStream(res);
+  res.emit('close');
+  stream.send('token', { content: 'late' });
+  stream.close();
+
+  assert.equal(stream.signal.aborted, true);
+  assert.deepEqual(res.written, []);
+});
+
+test('reads the data of each upstream event across chunk boundaries', async () => {
+  const encoder = new TextEncoder();
+  async function* body() {
+    yield encoder.encode('data: {"a":1}\n\ndata: {"b"');
+    yield encoder.encode(':2}\r\n\r\n: comment\n\ndata: line one\ndata: line two\n\n');
+  }
+
+  const events = [];
+  for await (const data of readEventStream(body())) events.push(data);
+  assert.deepEqual(events, ['{"a":1}', '{"b":2}', 'line one\nline two']);
+});
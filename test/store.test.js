@@ -0,0 +1,87 @@
+// test/store.test.js - File-backed record collections
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore, isRecordId } = require('../server/store');
+
+const tempDirectory = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const readRecord = (dir, id) => JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf-8'));
+
+test('accepts only IDs that stay inside the directory', () => {
+  assert.equal(isRecordId('3f2c-a_1'), true);
+  assert.equal(isRecordId('../secrets'), false);
+  assert.equal(isRecordId('-flag'), false);
+  assert.equal(isRecordId(''), false);
+  assert.equal(isRecordId(42), false);
+});
+
+test('stores one file per record and reads them back after a restart', async (t) => {
+  const dir = path.join(tempDirectory(t), 'things');
+  const store = new JsonStore(dir);
+
+  assert.deepEqual(await store.list(), []);
+  await store.put({ id: 'a', value: 1 });
+  await store.put({ id: 'b', value: 2 });
+  assert.deepEqual(await store.update('a', record => ({ ...record, value: 10, id: 'ignored' })), { id: 'a', value: 10 });
+  assert.equal(await store.update('missing', record => record), null);
+  assert.equal(await store.delete('b'), true);
+  assert.equal(await store.delete('b'), false);
+  await assert.rejects(store.put({ id: '../escape' }), /Invalid record ID "..\/escape"/);
+
+  assert.deepEqual(fs.readdirSync(dir), ['a.json']);
+  assert.deepEqual(readRecord(dir, 'a'), { id: 'a', value: 10 });
+
+  const reopened = new JsonStore(dir);
+  assert.deepEqual(await reopened.list(), [{ id: 'a', value: 10 }]);
+  assert.equal(await reopened.get('b'), null);
+  assert.equal(await reopened.get('../a'), null);
+});
+
+test('writes each record in call order through a temporary file', async (t) => {
+  const dir = tempDirectory(t);
+  const store = new JsonStore(dir);
+  const renames = t.mock.method(fs.promises, 'rename');
+
+  const pending = [];
+  for (let value = 1; value <= 20; value++) {
+    pending.push(store.put({ id: 'counter', value }));
+  }
+  pending.push(store.put({ id: 'other', value: 'x' }));
+  await store.flush();
+  await Promise.all(pending);
+
+  assert.deepEqual(readRecord(dir, 'counter'), { id: 'counter', value: 20 });
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['counter.json', 'other.json']);
+  assert.equal(renames.mock.callCount(), 21);
+  for (const call of renames.mock.calls) {
+    const [from, to] = call.arguments;
+    assert.equal(from, `${to}.${process.pid}.tmp`);
+  }
+  assert.equal(store.writes.size, 0);
+
+  // A put queued behind a delete recreates the record
+  const deleted = store.delete('other');
+  await store.put({ id: 'other', value: 'y' });
+  assert.equal(await deleted, true);
+  assert.deepEqual(readRecord(dir, 'other'), { id: 'other', value: 'y' });
+});
+
+test('skips damaged and unrelated files', async (t) => {
+  const dir = tempDirectory(t);
+  t.mock.method(console, 'error', () => {});
+  fs.writeFileSync(path.join(dir, 'good.json'), '{"id":"good"}');
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{"id":');
+  fs.writeFileSync(path.join(dir, 'good.json.123.tmp'), '{"id":"half"');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'hello');
+
+  assert.deepEqual(await new JsonStore(dir).list(), [{ id: 'good' }]);
+  assert.equal(console.error.mock.callCount(), 1);
+  assert.match(console.error.mock.calls[0].arguments[0], /Skipping unreadable record .*broken\.json/);
+});
@@ -0,0 +1,96 @@
+// test/structured-output.test.js - Extracting, validating and repairing model JSON
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { StructuredOutputError, parseStructured, resolveStructured, completeStructured, getOutputStats } = require('../server/llm/structured-output');
+const { checkChartColumns } = require('../server/llm/output-schemas');
+
+// Model stand-in that answers with `replies` in order and records the
+// messages of every call
+const scriptedModel = (replies) => {
+  const calls = [];
+  return {
+    calls,
+    complete: async (messages) => {
+      calls.push(messages);
+      return { content: replies[calls.length - 1], usage: { promptTokens: 10, completionTokens: 5 } };
+    }
+  };
+};
+
+test.beforeEach(() => {
+  test.mock.method(console, 'warn', () => {});
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('digs the JSON out of fences and prose', () => {
+  const expected = { message: 'Sales rose', query: 'SELECT 1', visualization: 'bar' };
+  const replies = [
+    JSON.stringify(expected),
+    `\`\`\`json\n${JSON.stringify(expected)}\n\`\`\``,
+    `Here you go: ${JSON.stringify(expected)} Hope it helps {not json}`
+  ];
+  for (const reply of replies) {
+    assert.deepEqual(parseStructured(reply, 'chatResponse'), expected, reply);
+  }
+  assert.deepEqual(parseStructured('{"message": "a {brace} in a \\"string\\""}', 'chatResponse'), { message: 'a {brace} in a "string"' });
+});
+
+test('reports what is wrong with the JSON', () => {
+  const problems = (reply, schemaName, check) => {
+    try {
+      parseStructured(reply, schemaName, check);
+    } catch (error) {
+      assert.ok(error instanceof StructuredOutputError);
+      return { kind: error.kind, problems: error.problems };
+    }
+    assert.fail(`${reply} was accepted`);
+  };
+
+  assert.deepEqual(problems('No JSON here', 'chatResponse'), { kind: 'parse', problems: ['the reply does not contain a JSON object'] });
+  assert.deepEqual(problems('{"query": "SELECT 1"}', 'chatResponse'), { kind: 'validation', problems: ['/: missing required property "message"'] });
+  assert.deepEqual(problems('{"type": "bar", "xKey": "REGION"}', 'chartSpec'), { kind: 'validation', problems: ['/: missing required property "yKeys"'] });
+  assert.match(problems('{"type": "area"}', 'chartSpec').problems[0], /^\/type: must be one of "line", "bar"/);
+  assert.deepEqual(
+    problems('{"type": "bar", "xKey": "REGION", "yKeys": ["TOTAL"]}', 'chartSpec', checkChartColumns(['REGION', 'AMOUNT'])).problems,
+    ['/yKeys/0: "TOTAL" is not a column of the results (columns: REGION, AMOUNT)']
+  );
+  assert.throws(() => parseStructured('{}', 'poem'), /Unknown output schema/);
+});
+
+test('passes valid replies through without asking again', async () => {
+  const llm = scriptedModel(['{"query": "SELECT 1", "explanation": "fixed"}']);
+  const result = await completeStructured(llm, [{ role: 'user', content: 'fix it' }], 'sqlFix');
+  assert.deepEqual(result.value, { query: 'SELECT 1', explanation: 'fixed' });
+  assert.equal(result.repairs, 0);
+  assert.equal(llm.calls.length, 1);
+});
+
+test('asks the model to repair a reply and adds up the usage', async () => {
+  const before = getOutputStats().sqlFix?.repaired || 0;
+  const llm = scriptedModel(['Sure! The query is SELECT 1', '{"query": "SELECT 1"}']);
+  const messages = [{ role: 'user', content: 'fix it' }];
+  const result = await completeStructured(llm, messages, 'sqlFix', { maxRepairs: 2 });
+
+  assert.deepEqual(result.value, { query: 'SELECT 1' });
+  assert.equal(result.repairs, 1);
+  assert.deepEqual(result.usage, { promptTokens: 20, completionTokens: 10 });
+  const repair = llm.calls[1];
+  assert.deepEqual(repair.slice(0, 2), [...messages, { role: 'assistant', content: 'Sure! The query is SELECT 1' }]);
+  assert.match(repair[2].content, /the reply does not contain a JSON object/);
+  assert.match(repair[2].content, /"required":\["query"\]/);
+  assert.equal(getOutputStats().sqlFix.repaired, before + 1);
+});
+
+test('gives up after the allowed repairs', async () => {
+  const llm = scriptedModel(['{"message": ""}', '{"message": 3}', '{"visualization": "bar"}']);
+  await assert.rejects(
+    resolveStructured(llm, [], { content: 'not json' }, 'chatResponse', { maxRepairs: 3 }),
+    (error) => error instanceof StructuredOutputError && /missing required property "message"/.test(error.message)
+  );
+  assert.equal(llm.calls.length, 3);
+
+  const none = scriptedModel([]);
+  await assert.rejects(resolveStructured(none, [], { content: 'not json' }, 'chatResponse', { maxRepairs: 0 }), StructuredOutputError);
+  assert.equal(none.calls.length, 0);
+});
@@ -0,0 +1,91 @@
+// test/token-manager.test.js - Fetching, caching and replacing OAuth2 tokens
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenManager } = require('../server/llm/token-manager');
+
+const realFetch = globalThis.fetch;
+
+// Token endpoint stand-in: answers with the next of `responses` (or
+// `token-N` tokens) and records each request
+const tokenEndpoint = (responses = []) => {
+  const requests = [];
+  globalThis.fetch = async (url, { headers, body }) => {
+    requests.push({ url, headers, body: Object.fromEntries(body) });
+    await new Promise(resolve => setImmediate(resolve));
+    const { status = 200, json = { access_token: `token-${requests.length}`, expires_in: 3600 } } = responses[requests.length - 1] || {};
+    return { ok: status < 400, status, json: async () => json };
+  };
+  return requests;
+};
+
+// Refreshes and failures are logged; keep the test output to the results
+test.beforeEach(() => {
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(() => {
+  globalThis.fetch = realFetch;
+  test.mock.restoreAll();
+});
+
+const manager = (options = {}) => new TokenManager({ tokenUrl: 'https://idp/token', clientId: 'app', clientSecret: 's3cret', scope: 'llm', ...options });
+
+test('fetches a token once and shares it between callers', async () => {
+  const requests = tokenEndpoint();
+  const tokens = manager();
+
+  assert.deepEqual(await Promise.all([tokens.getToken(), tokens.getToken(), tokens.getToken()]), ['token-1', 'token-1', 'token-1']);
+  assert.equal(await tokens.getToken(), 'token-1');
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0].body, { grant_type: 'client_credentials', scope: 'llm' });
+  assert.equal(requests[0].headers.Authorization, `Basic ${Buffer.from('app:s3cret').toString('base64')}`);
+  assert.equal(tokens.status().state, 'valid');
+  assert.equal(tokens.status().refreshCount, 1);
+});
+
+test('sends the client credentials in the body when asked', async () => {
+  const requests = tokenEndpoint();
+  await manager({ authMethod: 'body' }).getToken();
+  assert.equal(requests[0].headers.Authorization, undefined);
+  assert.deepEqual(requests[0].body, { grant_type: 'client_credentials', scope: 'llm', client_id: 'app', client_secret: 's3cret' });
+});
+
+test('refreshes ahead of expiry', async () => {
+  // Half of a 10 second lifetime is kept as the margin, so the token is due at once
+  const requests = tokenEndpoint([{ json: { access_token: 'short', expires_in: 10 } }]);
+  const tokens = manager({ refreshMargin: 60 });
+  assert.equal(await tokens.getToken(), 'short');
+  tokens.refreshAt = Date.now() - 1;
+  assert.equal(await tokens.getToken(), 'token-2');
+  assert.equal(requests.length, 2);
+});
+
+test('replaces a rejected token once however many requests saw the 401', async () => {
+  const requests = tokenEndpoint();
+  const tokens = manager();
+  const rejected = await tokens.getToken();
+
+  const replaced = await Promise.all([tokens.invalidate(rejected), tokens.invalidate(rejected)]);
+  assert.deepEqual(replaced, ['token-2', 'token-2']);
+  // A late 401 for the old token gets the newer one without another request
+  assert.equal(await tokens.invalidate(rejected), 'token-2');
+  assert.equal(requests.length, 2);
+});
+
+test('reports token endpoint failures and recovers on the next call', async () => {
+  tokenEndpoint([{ status: 401, json: { error: 'invalid_client', error_description: 'Bad client secret' } }]);
+  const tokens = manager();
+
+  await assert.rejects(tokens.getToken(), /HTTP 401\): Bad client secret/);
+  assert.equal(tokens.status().state, 'error');
+  assert.match(tokens.status().lastError, /Bad client secret/);
+
+  assert.equal(await tokens.getToken(), 'token-2');
+  assert.equal(tokens.status().lastError, null);
+});
+
+test('refuses a response without an access token', async () => {
+  tokenEndpoint([{ json: { token_type: 'bearer' } }]);
+  await assert.rejects(manager().getToken(), /no access_token in response/);
+});
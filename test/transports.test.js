@@ -0,0 +1,53 @@
+// test/transports.test.js - Delivering scheduled reports
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TransportError, createTransports } = require('../server/scheduler/transports');
+
+const REPORT = {
+  subject: 'Daily sales',
+  summary: '8 rows',
+  schedule: { id: 's1', name: 'Daily sales' },
+  runId: 'r1',
+  ranAt: '2026-03-08T07:00:00.000Z',
+  alert: null,
+  report: { format: 'html', filename: 'daily-sales-2026-03-08.html', contentType: 'text/html', content: '<h1>Daily sales</h1>' }
+};
+
+test('writes reports into the directory of a file transport', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'transports-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const directory = path.join(root, 'reports', 'daily');
+
+  const transports = createTransports({ archive: { type: 'file', directory } });
+  const archive = transports.get('archive');
+  assert.equal(archive.name, 'archive');
+  assert.equal(archive.type, 'file');
+  assert.deepEqual(archive.checkDelivery({ transport: 'archive' }), {});
+
+  const where = await archive.send(REPORT, {});
+  const file = path.join(directory, REPORT.report.filename);
+  assert.equal(where, `file ${path.relative(path.join(__dirname, '..'), file)}`);
+  assert.equal(fs.readFileSync(file, 'utf-8'), '<h1>Daily sales</h1>');
+
+  const pdf = Buffer.from('%PDF-1.7 binary');
+  await archive.send({ ...REPORT, report: { ...REPORT.report, format: 'pdf', filename: 'daily.pdf', content: pdf } }, {});
+  assert.deepEqual(fs.readFileSync(path.join(directory, 'daily.pdf')), pdf);
+});
+
+test('refuses transports and deliveries it cannot use', () => {
+  assert.throws(() => createTransports({ fax: { type: 'fax' } }),
+    (error) => error instanceof TransportError && /Transport "fax" has unknown type "fax" \(available: smtp, webhook, file\)/.test(error.message));
+  assert.throws(() => createTransports({ archive: { type: 'file' } }), /file transports need a directory/);
+  assert.throws(() => createTransports({ hook: { type: 'webhook', url: 'ftp://example.com' } }), /need an http\(s\) url/);
+  assert.throws(() => createTransports({ mail: { type: 'smtp', host: 'localhost' } }), /need a host and a from address/);
+
+  const mail = createTransports({ mail: { type: 'smtp', host: 'localhost', from: 'reports@example.com' } }).get('mail');
+  assert.deepEqual(mail.checkDelivery({ to: ['a@example.com'] }), { to: ['a@example.com'] });
+  for (const to of [undefined, [], ['not an address'], Array(51).fill('a@example.com')]) {
+    assert.throws(() => mail.checkDelivery({ to }), /need "to": 1 to 50 email addresses/);
+  }
+  assert.deepEqual(createTransports(), new Map());
+});